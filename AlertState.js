@@ -0,0 +1,191 @@
+const fs = require("fs");
+
+/**
+ * Alert types tracked by the state store
+ */
+const ALERT_TYPES = [
+  "RETIREMENT",
+  "POP_ACHIEVED",
+  "TARGET_REACHED",
+  "BUYING_OPPORTUNITY",
+  "ROI_TARGET",
+  "PRICE_TARGET",
+];
+
+/**
+ * Alert types that can only ever fire once per set (they never re-arm)
+ */
+const ONCE_ONLY_TYPES = ["RETIREMENT"];
+
+/**
+ * How far (as a share of the threshold price) a price must move back across
+ * a threshold before the alert re-arms. Stops alerts flapping on small moves.
+ */
+const REARM_MARGIN = 0.02;
+
+/**
+ * Remembers which alert events have fired so each fires exactly once
+ *
+ * Each event is keyed by set number and alert type (plus lot id for
+ * per-lot alerts). An event is "armed" until it fires, and re-arms only
+ * when its condition clears again by more than REARM_MARGIN.
+ */
+class AlertState {
+  constructor(statePath) {
+    this.statePath = statePath;
+    this.lastProcessedSnapshot = null;
+    this.events = {};
+    this.knownSets = new Set();
+    // Alerts that fired but could not be delivered to a channel:
+    // [{channel, category, alerts}], retried on the next run
+    this.pendingDeliveries = [];
+    this.seeding = false;
+    this.load();
+  }
+
+  /**
+   * Load state from file
+   */
+  load() {
+    if (fs.existsSync(this.statePath)) {
+      const data = JSON.parse(fs.readFileSync(this.statePath, "utf8"));
+      this.lastProcessedSnapshot = data.lastProcessedSnapshot || null;
+      this.events = data.events || {};
+      this.knownSets = new Set(data.knownSets || []);
+      this.pendingDeliveries = data.pendingDeliveries || [];
+      console.log(
+        `Loaded alert state (last processed: ${
+          this.lastProcessedSnapshot || "none"
+        })`
+      );
+    }
+  }
+
+  /**
+   * Save state to file
+   */
+  save() {
+    const data = {
+      lastUpdated: new Date().toISOString(),
+      lastProcessedSnapshot: this.lastProcessedSnapshot,
+      knownSets: Array.from(this.knownSets),
+      events: this.events,
+      pendingDeliveries: this.pendingDeliveries,
+    };
+    fs.writeFileSync(this.statePath, JSON.stringify(data, null, 2), "utf8");
+  }
+
+  /**
+   * Build the state key for an event
+   * @param {string} setNumber - Set number
+   * @param {string} type - Alert type (one of ALERT_TYPES)
+   * @param {number|null} lotId - Holdings lot id for per-lot alerts
+   * @returns {string} Event key
+   */
+  static key(setNumber, type, lotId = null) {
+    return lotId === null || lotId === undefined
+      ? `${setNumber}:${type}`
+      : `${setNumber}:${type}:lot-${lotId}`;
+  }
+
+  /**
+   * Get snapshots that have not been processed yet (oldest first)
+   * @param {Array} snapshots - All snapshots sorted oldest first
+   * @returns {Array} Snapshots newer than the last processed one
+   */
+  getUnprocessedSnapshots(snapshots) {
+    if (!this.lastProcessedSnapshot) return snapshots;
+
+    const index = snapshots.findIndex(
+      (s) => s.timestamp === this.lastProcessedSnapshot
+    );
+    if (index !== -1) return snapshots.slice(index + 1);
+
+    // Last processed snapshot was removed; fall back to comparing timestamps
+    return snapshots.filter((s) => s.timestamp > this.lastProcessedSnapshot);
+  }
+
+  /**
+   * Record that a snapshot has been fully processed
+   * @param {string} timestamp - Snapshot timestamp
+   */
+  markProcessed(timestamp) {
+    this.lastProcessedSnapshot = timestamp;
+  }
+
+  /**
+   * Check whether a set has been seen in a processed snapshot before
+   * @param {string} setNumber - Set number
+   * @returns {boolean} True if the set is known
+   */
+  isKnownSet(setNumber) {
+    return this.knownSets.has(setNumber);
+  }
+
+  /**
+   * Remember a set as seen
+   * @param {string} setNumber - Set number
+   */
+  addKnownSet(setNumber) {
+    this.knownSets.add(setNumber);
+  }
+
+  /**
+   * Evaluate an event's condition and decide whether it should fire now
+   * While seeding, events that are active are recorded as already fired
+   * @param {string} key - Event key from AlertState.key
+   * @param {Object} condition - {active: boolean, rearm: boolean}
+   * @param {string} snapshot - Timestamp of the snapshot being evaluated
+   * @returns {boolean} True if the alert should be raised
+   */
+  evaluate(key, condition, snapshot) {
+    const type = key.split(":")[1];
+    const entry = this.events[key] || { armed: true };
+    let fire = false;
+
+    if (condition.active && entry.armed) {
+      entry.armed = false;
+      entry.firedAt = new Date().toISOString();
+      entry.firedSnapshot = snapshot;
+      entry.silent = this.seeding;
+      fire = !this.seeding;
+    } else if (
+      !condition.active &&
+      condition.rearm &&
+      !entry.armed &&
+      !ONCE_ONLY_TYPES.includes(type)
+    ) {
+      entry.armed = true;
+      entry.rearmedSnapshot = snapshot;
+    }
+
+    this.events[key] = entry;
+    return fire;
+  }
+}
+
+/**
+ * Build a price-threshold condition with re-arm hysteresis
+ * @param {number} price - Current price
+ * @param {number} threshold - Threshold price
+ * @param {string} direction - "above" (fires at or above) or "below" (fires below)
+ * @returns {{active: boolean, rearm: boolean}} Condition for AlertState.evaluate
+ */
+function priceCondition(price, threshold, direction = "above") {
+  if (direction === "below") {
+    return {
+      active: price < threshold,
+      rearm: price >= threshold * (1 + REARM_MARGIN),
+    };
+  }
+  return {
+    active: price >= threshold,
+    rearm: price < threshold * (1 - REARM_MARGIN),
+  };
+}
+
+AlertState.ALERT_TYPES = ALERT_TYPES;
+AlertState.REARM_MARGIN = REARM_MARGIN;
+AlertState.priceCondition = priceCondition;
+
+module.exports = AlertState;
@@ -0,0 +1,247 @@
+const fs = require("fs");
+const { DEFAULT_CURRENCY, formatMoney } = require("./schema");
+
+const CURRENCY_CODE = /^[A-Z]{3}$/;
+
+/**
+ * Normalize a date to an ISO date
+ * @param {Date|string} date - Date, or ISO date string
+ * @returns {string} e.g. "2025-10-01"
+ */
+function isoDate(date) {
+  return date instanceof Date
+    ? date.toISOString().slice(0, 10)
+    : String(date).slice(0, 10);
+}
+
+/**
+ * Local table of dated exchange rates, used to convert prices between
+ * currencies. Each entry says how many units of "to" one unit of "from" buys.
+ */
+class ExchangeRates {
+  constructor(ratesPath) {
+    this.ratesPath = ratesPath;
+    this.rates = [];
+    // Currency pairs a conversion was asked for but no rate was found
+    this.missing = new Set();
+    this.load();
+  }
+
+  /**
+   * Load rates from file
+   */
+  load() {
+    if (fs.existsSync(this.ratesPath)) {
+      const data = JSON.parse(fs.readFileSync(this.ratesPath, "utf8"));
+      this.rates = data.rates || [];
+    }
+  }
+
+  /**
+   * Save rates to file
+   */
+  save() {
+    const data = {
+      lastUpdated: new Date().toISOString(),
+      rates: this.rates,
+    };
+    fs.writeFileSync(this.ratesPath, JSON.stringify(data, null, 2), "utf8");
+  }
+
+  /**
+   * Record the rate between two currencies on a date, replacing any rate
+   * already recorded for that pair and date
+   * @param {string} from - ISO 4217 code, e.g. "GBP"
+   * @param {string} to - ISO 4217 code, e.g. "USD"
+   * @param {number} rate - Units of "to" per unit of "from"
+   * @param {string} date - ISO date (default today)
+   * @returns {Object} The rate entry
+   */
+  setRate(from, to, rate, date = new Date().toISOString().slice(0, 10)) {
+    const entry = {
+      from: String(from).toUpperCase(),
+      to: String(to).toUpperCase(),
+      rate: Number(rate),
+      date,
+    };
+
+    if (!CURRENCY_CODE.test(entry.from) || !CURRENCY_CODE.test(entry.to)) {
+      throw new Error(`Currencies must be 3-letter codes like GBP or USD`);
+    }
+    if (entry.from === entry.to) {
+      throw new Error(`A rate needs two different currencies`);
+    }
+    if (!Number.isFinite(entry.rate) || entry.rate <= 0) {
+      throw new Error(`Rate must be a positive number`);
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(new Date(date))) {
+      throw new Error(`Date must be YYYY-MM-DD`);
+    }
+
+    this.removeRates(entry.from, entry.to, date);
+    this.rates.push(entry);
+    return entry;
+  }
+
+  /**
+   * Remove the rates recorded between two currencies (in either direction)
+   * @param {string} from - ISO 4217 code
+   * @param {string} to - ISO 4217 code
+   * @param {string} date - Only remove the rate on this date (optional)
+   * @returns {number} Number of rates removed
+   */
+  removeRates(from, to, date) {
+    const before = this.rates.length;
+    const pair = [String(from).toUpperCase(), String(to).toUpperCase()];
+    this.rates = this.rates.filter(
+      (entry) =>
+        !(
+          ((entry.from === pair[0] && entry.to === pair[1]) ||
+            (entry.from === pair[1] && entry.to === pair[0])) &&
+          (!date || entry.date === date)
+        )
+    );
+    return before - this.rates.length;
+  }
+
+  /**
+   * Get all rates, sorted by pair and date
+   * @returns {Array<Object>} Rate entries
+   */
+  getRates() {
+    return [...this.rates].sort(
+      (a, b) =>
+        a.from.localeCompare(b.from) ||
+        a.to.localeCompare(b.to) ||
+        a.date.localeCompare(b.date)
+    );
+  }
+
+  /**
+   * Find the rate to convert between two currencies on a date: the latest
+   * rate on or before the date, or the earliest one when the date is older
+   * than every rate. Rates recorded the other way round are inverted, and
+   * pairs without a rate of their own go through US dollars.
+   * @param {string} from - ISO 4217 code
+   * @param {string} to - ISO 4217 code
+   * @param {Date|string} date - Date of the amount (default today)
+   * @returns {Object|null} {rate, date}, or null if no rate is known
+   */
+  findRate(from, to, date = new Date()) {
+    if (from === to) return { rate: 1, date: null };
+
+    const day = isoDate(date);
+    const candidates = this.rates
+      .map((entry) => {
+        if (entry.from === from && entry.to === to) return entry;
+        if (entry.from === to && entry.to === from) {
+          return { ...entry, rate: 1 / entry.rate };
+        }
+        return null;
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.date.localeCompare(b.date));
+
+    if (candidates.length > 0) {
+      const onOrBefore = candidates.filter((entry) => entry.date <= day);
+      const chosen = onOrBefore.length
+        ? onOrBefore[onOrBefore.length - 1]
+        : candidates[0];
+      return { rate: chosen.rate, date: chosen.date };
+    }
+
+    if (from !== DEFAULT_CURRENCY && to !== DEFAULT_CURRENCY) {
+      const first = this.findRate(from, DEFAULT_CURRENCY, date);
+      const second = first && this.findRate(DEFAULT_CURRENCY, to, date);
+      if (first && second) {
+        return {
+          rate: first.rate * second.rate,
+          date: [first.date, second.date].sort()[0],
+        };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Convert an amount between currencies
+   * @param {number|null} amount - Amount in "from"
+   * @param {string} from - ISO 4217 code
+   * @param {string} to - ISO 4217 code
+   * @param {Date|string} date - Date of the amount (default today)
+   * @returns {number|null} Amount in "to", or null if the amount is missing
+   *   or no rate is known (the pair is then added to missing)
+   */
+  convert(amount, from, to, date = new Date()) {
+    if (amount === null || amount === undefined) return null;
+    const found = this.findRate(from, to, date);
+    if (!found) {
+      this.missing.add(`${from}→${to}`);
+      return null;
+    }
+    return amount * found.rate;
+  }
+
+  /**
+   * Format what an amount comes to in the reporting currency, to follow the
+   * amount itself
+   * @param {number|null} amount - Amount
+   * @param {string} currency - Currency of the amount
+   * @param {string} reporting - Reporting currency
+   * @param {Date|string} date - Date of the amount (default today)
+   * @returns {string} e.g. " (≈ $634.99)", " (no GBP→USD rate)" when it
+   *   cannot be converted, or "" when there is nothing to convert
+   */
+  formatConversion(amount, currency, reporting, date = new Date()) {
+    if (amount === null || amount === undefined || currency === reporting) {
+      return "";
+    }
+    const converted = this.convert(amount, currency, reporting, date);
+    return converted === null
+      ? ` (no ${currency}→${reporting} rate)`
+      : ` (≈ ${formatMoney(converted, "", reporting)})`;
+  }
+
+  /**
+   * Format an amount in its own currency, followed by the amount converted
+   * to the reporting currency when the two differ
+   * @param {number|null} amount - Amount
+   * @param {string} currency - Currency of the amount
+   * @param {string} reporting - Reporting currency
+   * @param {Date|string} date - Date of the amount (default today)
+   * @param {string} missing - Text to show when the amount is missing
+   * @returns {string} e.g. "£499.99 (≈ $634.99)"
+   */
+  format(amount, currency, reporting, date = new Date(), missing = "") {
+    if (amount === null || amount === undefined) return missing;
+    return `${formatMoney(amount, "", currency)}${this.formatConversion(
+      amount,
+      currency,
+      reporting,
+      date
+    )}`;
+  }
+
+  /**
+   * Describe the conversions asked for that had no rate
+   * @returns {string|null} Warning naming the missing pairs, or null if
+   *   every conversion had a rate
+   */
+  describeMissing() {
+    if (this.missing.size === 0) return null;
+    const [from, to] = Array.from(this.missing)[0].split("→");
+    return `No exchange rate for ${Array.from(this.missing).join(
+      ", "
+    )}; those amounts are not converted. Add one with: node rates.js set ${from} ${to} <rate>`;
+  }
+
+  /**
+   * Get count of rates
+   * @returns {number} Number of rates in the table
+   */
+  count() {
+    return this.rates.length;
+  }
+}
+
+module.exports = ExchangeRates;
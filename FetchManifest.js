@@ -0,0 +1,155 @@
+const fs = require("fs");
+const path = require("path");
+
+const MANIFEST_FILENAME = "_manifest.json";
+
+const STATUSES = ["success", "failed", "skipped"];
+
+/**
+ * Records the outcome of every set in a fetch run
+ *
+ * The manifest lives next to the fetched HTML files, so a run that was cut
+ * short can be resumed into the same directory and only the sets that are
+ * still missing are fetched again.
+ */
+class FetchManifest {
+  constructor(outputDir, timestamp) {
+    this.manifestPath = path.join(outputDir, MANIFEST_FILENAME);
+    this.outputDir = outputDir;
+    this.timestamp = timestamp;
+    this.runs = [];
+    this.sets = {};
+    this.load();
+  }
+
+  /**
+   * Load manifest from file
+   */
+  load() {
+    if (fs.existsSync(this.manifestPath)) {
+      const data = JSON.parse(fs.readFileSync(this.manifestPath, "utf8"));
+      this.runs = data.runs || [];
+      this.sets = data.sets || {};
+      console.log(
+        `Loaded fetch manifest (${Object.keys(this.sets).length} sets)`
+      );
+    }
+  }
+
+  /**
+   * Save manifest to file (called after every set so a crash loses nothing)
+   */
+  save() {
+    const data = {
+      timestamp: this.timestamp,
+      lastUpdated: new Date().toISOString(),
+      summary: this.getSummary(),
+      runs: this.runs,
+      sets: this.sets,
+    };
+    fs.writeFileSync(this.manifestPath, JSON.stringify(data, null, 2), "utf8");
+  }
+
+  /**
+   * Check whether a manifest file exists for this run
+   * @returns {boolean} True if the manifest exists
+   */
+  exists() {
+    return fs.existsSync(this.manifestPath);
+  }
+
+  /**
+   * Record the start of a fetch pass over this directory
+   * @param {boolean} resumed - Whether this pass resumes an earlier run
+   * @returns {Object} The run entry
+   */
+  startRun(resumed) {
+    const run = {
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      resumed,
+    };
+    this.runs.push(run);
+    return run;
+  }
+
+  /**
+   * Record the end of the current fetch pass
+   */
+  finishRun() {
+    const run = this.runs[this.runs.length - 1];
+    if (run) {
+      run.finishedAt = new Date().toISOString();
+      run.summary = this.getSummary();
+    }
+  }
+
+  /**
+   * Record the outcome for a set
+   * @param {Object} set - Registry entry {setNumber, name, url}
+   * @param {string} status - One of STATUSES
+   * @param {Object} info - Extra fields: {attempts, error, reason, file}
+   */
+  record(set, status, info = {}) {
+    if (!STATUSES.includes(status)) {
+      throw new Error(`Unknown fetch status "${status}"`);
+    }
+
+    const previous = this.sets[set.setNumber] || {};
+    this.sets[set.setNumber] = {
+      name: set.name,
+      url: set.url,
+      status,
+      attempts: (previous.attempts || 0) + (info.attempts || 0),
+      file: info.file || null,
+      error: info.error || null,
+      reason: info.reason || null,
+      updatedAt: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Check whether a set was already fetched and its file is still on disk
+   * @param {string} setNumber - Set number
+   * @returns {boolean} True if the set does not need fetching again
+   */
+  isComplete(setNumber) {
+    const entry = this.sets[setNumber];
+    if (entry) {
+      return (
+        entry.status === "success" &&
+        fs.existsSync(path.join(this.outputDir, entry.file))
+      );
+    }
+    // Runs from before manifests existed only have the HTML files
+    return fs.existsSync(path.join(this.outputDir, `set-${setNumber}.html`));
+  }
+
+  /**
+   * Get the sets with a given status
+   * @param {string} status - One of STATUSES
+   * @returns {Array<Object>} Entries with their setNumber
+   */
+  getSetsByStatus(status) {
+    return Object.entries(this.sets)
+      .filter(([, entry]) => entry.status === status)
+      .map(([setNumber, entry]) => ({ setNumber, ...entry }));
+  }
+
+  /**
+   * Count the sets per status
+   * @returns {{success: number, failed: number, skipped: number}} Counts
+   */
+  getSummary() {
+    const summary = { success: 0, failed: 0, skipped: 0 };
+    for (const entry of Object.values(this.sets)) {
+      summary[entry.status]++;
+    }
+    return summary;
+  }
+}
+
+FetchManifest.MANIFEST_FILENAME = MANIFEST_FILENAME;
+FetchManifest.STATUSES = STATUSES;
+
+module.exports = FetchManifest;
@@ -0,0 +1,216 @@
+const fs = require("fs");
+const { DEFAULT_CURRENCY } = require("./schema");
+
+const CONDITIONS = ["sealed", "used"];
+
+/**
+ * Manages the purchase lots (and sales) of LEGO sets we actually own
+ */
+class HoldingsLedger {
+  constructor(ledgerPath) {
+    this.ledgerPath = ledgerPath;
+    this.lots = [];
+    this.load();
+  }
+
+  /**
+   * Load ledger from file
+   */
+  load() {
+    if (fs.existsSync(this.ledgerPath)) {
+      const data = JSON.parse(fs.readFileSync(this.ledgerPath, "utf8"));
+      // Lots recorded before currencies were tracked were bought in dollars
+      this.lots = (data.lots || []).map((lot) => ({
+        currency: DEFAULT_CURRENCY,
+        ...lot,
+      }));
+      console.log(`Loaded ${this.lots.length} lots from holdings`);
+    }
+  }
+
+  /**
+   * Save ledger to file
+   */
+  save() {
+    const data = {
+      lastUpdated: new Date().toISOString(),
+      lots: this.lots,
+    };
+    fs.writeFileSync(this.ledgerPath, JSON.stringify(data, null, 2), "utf8");
+  }
+
+  /**
+   * Record a purchase lot
+   * @param {string} setNumber - Set number
+   * @param {Object} purchase - {quantity, pricePaid, date, condition, source,
+   *   currency}; the sale prices of the lot are in its currency too
+   * @returns {Object} The new lot
+   */
+  addLot(setNumber, purchase) {
+    const quantity = Number(purchase.quantity);
+    const pricePaid = Number(purchase.pricePaid);
+    const condition = (purchase.condition || "sealed").toLowerCase();
+    const currency = String(
+      purchase.currency || DEFAULT_CURRENCY
+    ).toUpperCase();
+
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      throw new Error(`Quantity must be a positive whole number`);
+    }
+    if (!Number.isFinite(pricePaid) || pricePaid < 0) {
+      throw new Error(`Price paid must be a non-negative number`);
+    }
+    if (!CONDITIONS.includes(condition)) {
+      throw new Error(`Condition must be one of: ${CONDITIONS.join(", ")}`);
+    }
+    if (!/^[A-Z]{3}$/.test(currency)) {
+      throw new Error(`Currency must be a 3-letter code like GBP or USD`);
+    }
+
+    const lot = {
+      id: this.lots.reduce((max, l) => Math.max(max, l.id), 0) + 1,
+      setNumber: String(setNumber),
+      quantity,
+      pricePaid,
+      currency,
+      date: purchase.date || new Date().toISOString().slice(0, 10),
+      condition,
+      source: purchase.source || "",
+      sales: [],
+    };
+
+    this.lots.push(lot);
+    return lot;
+  }
+
+  /**
+   * Record a sale against a lot
+   * @param {number} lotId - Lot id
+   * @param {Object} sale - {quantity, price, date}
+   * @returns {Object} The updated lot
+   */
+  recordSale(lotId, sale) {
+    const lot = this.getLot(lotId);
+    if (!lot) {
+      throw new Error(`Lot ${lotId} not found`);
+    }
+
+    const quantity = Number(sale.quantity);
+    const price = Number(sale.price);
+
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      throw new Error(`Quantity must be a positive whole number`);
+    }
+    if (quantity > this.remainingQuantity(lot)) {
+      throw new Error(
+        `Lot ${lotId} only has ${this.remainingQuantity(lot)} unsold`
+      );
+    }
+    if (!Number.isFinite(price) || price < 0) {
+      throw new Error(`Sale price must be a non-negative number`);
+    }
+
+    lot.sales.push({
+      quantity,
+      price,
+      date: sale.date || new Date().toISOString().slice(0, 10),
+    });
+    return lot;
+  }
+
+  /**
+   * Remove a lot from the ledger
+   * @param {number} lotId - Lot id
+   * @returns {boolean} True if the lot was removed
+   */
+  removeLot(lotId) {
+    const before = this.lots.length;
+    this.lots = this.lots.filter((lot) => lot.id !== Number(lotId));
+    return this.lots.length < before;
+  }
+
+  /**
+   * Get a lot by id
+   * @param {number} lotId - Lot id
+   * @returns {Object|null} Lot or null
+   */
+  getLot(lotId) {
+    return this.lots.find((lot) => lot.id === Number(lotId)) || null;
+  }
+
+  /**
+   * Get all lots, optionally for a single set
+   * @param {string} setNumber - Set number (optional)
+   * @returns {Array<Object>} Array of lots
+   */
+  getLots(setNumber) {
+    if (!setNumber) return [...this.lots];
+    return this.lots.filter((lot) => lot.setNumber === String(setNumber));
+  }
+
+  /**
+   * Get lots that still have unsold units
+   * @param {string} setNumber - Set number (optional)
+   * @returns {Array<Object>} Array of open lots
+   */
+  getOpenLots(setNumber) {
+    return this.getLots(setNumber).filter(
+      (lot) => this.remainingQuantity(lot) > 0
+    );
+  }
+
+  /**
+   * Number of units in a lot that have not been sold
+   * @param {Object} lot - Lot
+   * @returns {number} Remaining quantity
+   */
+  remainingQuantity(lot) {
+    return lot.quantity - lot.sales.reduce((sum, s) => sum + s.quantity, 0);
+  }
+
+  /**
+   * Calculate realized and unrealized gains for a lot
+   * @param {Object} lot - Lot
+   * @param {number} marketPrice - Current market price per unit, in the lot's
+   *   currency (0 if unknown)
+   * @returns {Object} Cost basis, proceeds and gain figures
+   */
+  getLotGains(lot, marketPrice) {
+    const remaining = this.remainingQuantity(lot);
+    const soldQuantity = lot.quantity - remaining;
+    const proceeds = lot.sales.reduce(
+      (sum, s) => sum + s.quantity * s.price,
+      0
+    );
+    const realized = proceeds - soldQuantity * lot.pricePaid;
+    const unrealized = marketPrice
+      ? remaining * (marketPrice - lot.pricePaid)
+      : 0;
+    const openCost = remaining * lot.pricePaid;
+
+    return {
+      costBasis: lot.quantity * lot.pricePaid,
+      openCost,
+      remaining,
+      soldQuantity,
+      proceeds,
+      realized,
+      unrealized,
+      marketValue: marketPrice ? remaining * marketPrice : 0,
+      unrealizedPercent:
+        openCost > 0 && marketPrice ? (unrealized / openCost) * 100 : 0,
+    };
+  }
+
+  /**
+   * Get count of lots
+   * @returns {number} Number of lots in the ledger
+   */
+  count() {
+    return this.lots.length;
+  }
+}
+
+HoldingsLedger.CONDITIONS = CONDITIONS;
+
+module.exports = HoldingsLedger;
@@ -0,0 +1,101 @@
+const { initBrowser } = require("./utils");
+
+/**
+ * A bounded pool of browser pages that share one browser
+ *
+ * Pages are created on demand up to `size`. Callers that find every page in
+ * use wait until one is released. If the browser crashes or disconnects it is
+ * relaunched on the next acquire.
+ */
+class PagePool {
+  constructor(size = 1) {
+    this.size = Math.max(1, size);
+    this.browser = null;
+    this.launching = null;
+    this.idle = [];
+    this.open = 0;
+    this.waiting = [];
+  }
+
+  /**
+   * Make sure a connected browser is running
+   * @returns {Promise<Browser>} Puppeteer browser instance
+   */
+  async ensureBrowser() {
+    if (this.browser && this.browser.isConnected()) return this.browser;
+
+    // Concurrent callers share a single relaunch
+    if (!this.launching) {
+      if (this.browser) console.log("  ↻ Browser disconnected, relaunching...");
+      this.launching = initBrowser()
+        .then((browser) => {
+          this.browser = browser;
+          this.idle = [];
+          this.open = 0;
+          return browser;
+        })
+        .finally(() => {
+          this.launching = null;
+        });
+    }
+    return this.launching;
+  }
+
+  /**
+   * Get a page, waiting for one to be released if the pool is full
+   * @returns {Promise<Page>} Puppeteer page
+   */
+  async acquire() {
+    const browser = await this.ensureBrowser();
+
+    while (this.idle.length > 0) {
+      const page = this.idle.pop();
+      if (!page.isClosed()) return page;
+      this.open--;
+    }
+
+    if (this.open < this.size) {
+      this.open++;
+      try {
+        return await browser.newPage();
+      } catch (error) {
+        this.open--;
+        throw error;
+      }
+    }
+
+    await new Promise((resolve) => this.waiting.push(resolve));
+    return this.acquire();
+  }
+
+  /**
+   * Return a page to the pool
+   * @param {Page} page - Page from acquire
+   * @param {boolean} discard - Close the page instead of reusing it (e.g. after an error)
+   */
+  async release(page, discard = false) {
+    if (discard || page.isClosed() || page.browser() !== this.browser) {
+      if (page.browser() === this.browser) this.open--;
+      await page.close().catch(() => {});
+    } else {
+      this.idle.push(page);
+    }
+
+    const next = this.waiting.shift();
+    if (next) next();
+  }
+
+  /**
+   * Close the browser and every page
+   */
+  async close() {
+    if (this.browser && this.browser.isConnected()) {
+      await this.browser.close().catch(() => {});
+    }
+    this.browser = null;
+    this.idle = [];
+    this.open = 0;
+  }
+}
+
+module.exports = PagePool;
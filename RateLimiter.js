@@ -0,0 +1,58 @@
+/**
+ * Token-bucket rate limiter shared by every concurrent request
+ *
+ * The bucket holds up to `burst` tokens and refills at requestsPerMinute / 60
+ * tokens per second. Each request takes one token; when the bucket is empty,
+ * callers wait in order until a token is available.
+ */
+class RateLimiter {
+  /**
+   * @param {Object} options - {requestsPerMinute, burst}
+   *   requestsPerMinute of 0 or null switches limiting off
+   */
+  constructor(options = {}) {
+    this.requestsPerMinute = options.requestsPerMinute || 0;
+    this.capacity = Math.max(1, options.burst || 1);
+    this.tokens = this.capacity;
+    this.lastRefill = Date.now();
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Add the tokens earned since the last refill
+   */
+  refill() {
+    const now = Date.now();
+    const earned = ((now - this.lastRefill) * this.requestsPerMinute) / 60000;
+    this.tokens = Math.min(this.capacity, this.tokens + earned);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Wait for a token (callers are served first come, first served)
+   * @returns {Promise<void>} Resolves when the request may go ahead
+   */
+  acquire() {
+    if (!this.requestsPerMinute) return Promise.resolve();
+
+    const turn = this.queue.then(() => this.take());
+    this.queue = turn;
+    return turn;
+  }
+
+  /**
+   * Take one token, sleeping until one has been earned if necessary
+   * @returns {Promise<void>} Resolves once the token is taken
+   */
+  async take() {
+    this.refill();
+    if (this.tokens < 1) {
+      const waitMs = ((1 - this.tokens) * 60000) / this.requestsPerMinute;
+      await new Promise((resolve) => setTimeout(resolve, Math.ceil(waitMs)));
+      this.refill();
+    }
+    this.tokens = Math.max(0, this.tokens - 1);
+  }
+}
+
+module.exports = RateLimiter;
@@ -1,6 +1,15 @@
 const fs = require("fs");
 const path = require("path");
 
+/**
+ * Lifecycle states a registry set moves through:
+ * - candidate: found on the retiring soon page
+ * - monitored: picked by the user to follow closely
+ * - retired: the latest analysis says the set has retired
+ * - archived: no longer fetched, but its history is kept
+ */
+const LIFECYCLE_STATES = ["candidate", "monitored", "retired", "archived"];
+
 /**
  * Manages a registry of LEGO sets being monitored
  */
@@ -18,6 +27,11 @@ class SetRegistry {
     if (fs.existsSync(this.registryPath)) {
       const data = JSON.parse(fs.readFileSync(this.registryPath, "utf8"));
       this.sets = new Map(Object.entries(data.sets || {}));
+      // Registries saved before lifecycle states only had a monitoring flag
+      for (const set of this.sets.values()) {
+        if (!set.state) set.state = set.monitoring ? "monitored" : "candidate";
+        delete set.monitoring;
+      }
       console.log(`Loaded ${this.sets.size} sets from registry`);
     } else {
       console.log("No existing registry found, starting fresh");
@@ -39,8 +53,10 @@ class SetRegistry {
    * Add or update a set in the registry
    * @param {string} setNumber - Set number
    * @param {Object} setInfo - Set information
+   * @param {string} seenAt - When the set was seen, as an ISO date (defaults
+   *   to now; older dates when replaying saved pages)
    */
-  addSet(setNumber, setInfo) {
+  addSet(setNumber, setInfo, seenAt = new Date().toISOString()) {
     const existing = this.sets.get(setNumber);
 
     if (existing) {
@@ -48,20 +64,42 @@ class SetRegistry {
       this.sets.set(setNumber, {
         ...existing,
         ...setInfo,
-        lastSeen: new Date().toISOString(),
+        lastSeen: seenAt,
         timesFound: (existing.timesFound || 1) + 1,
       });
+      // Sets archived for dropping off the list come back when they reappear
+      if (existing.state === "archived" && existing.stateSource === "auto") {
+        this.setState(setNumber, "candidate", {
+          reason: "seen on the retiring soon page again",
+          source: "auto",
+          at: seenAt,
+        });
+      }
     } else {
       // Add new set
       this.sets.set(setNumber, {
         ...setInfo,
-        firstSeen: new Date().toISOString(),
-        lastSeen: new Date().toISOString(),
+        state: "candidate",
+        firstSeen: seenAt,
+        lastSeen: seenAt,
         timesFound: 1,
       });
     }
   }
 
+  /**
+   * Change fields of an existing set without counting it as seen again
+   * @param {string} setNumber - Set number
+   * @param {Object} changes - Fields to overwrite
+   * @returns {boolean} True if the set exists
+   */
+  updateSet(setNumber, changes) {
+    const existing = this.sets.get(setNumber);
+    if (!existing) return false;
+    this.sets.set(setNumber, { ...existing, ...changes });
+    return true;
+  }
+
   /**
    * Get all set numbers
    * @returns {Array<string>} Array of set numbers
@@ -90,6 +128,18 @@ class SetRegistry {
     }));
   }
 
+  /**
+   * Get all sets found under a category (case-insensitive)
+   * @param {string} category - Category name, e.g. "Star Wars"
+   * @returns {Array<Object>} Array of sets in that category
+   */
+  getSetsByCategory(category) {
+    const name = category.toLowerCase();
+    return this.getAllSets().filter(
+      (set) => set.category && set.category.toLowerCase() === name
+    );
+  }
+
   /**
    * Get count of sets
    * @returns {number} Number of sets in registry
@@ -98,6 +148,13 @@ class SetRegistry {
     return this.sets.size;
   }
 
+  /**
+   * Remove every set (the file only changes on save)
+   */
+  clear() {
+    this.sets.clear();
+  }
+
   /**
    * Remove a set from the registry
    * @param {string} setNumber - Set number to remove
@@ -114,7 +171,7 @@ class SetRegistry {
   markAsMonitored(setNumber) {
     const set = this.sets.get(setNumber);
     if (set) {
-      set.monitoring = true;
+      this.setState(setNumber, "monitored", { reason: "marked as monitored" });
       set.monitoringSince = set.monitoringSince || new Date().toISOString();
     }
   }
@@ -124,8 +181,138 @@ class SetRegistry {
    * @returns {Array<Object>} Array of monitored sets
    */
   getMonitoredSets() {
-    return this.getAllSets().filter((set) => set.monitoring);
+    return this.getSetsByState("monitored");
+  }
+
+  /**
+   * Stop monitoring a set (it becomes a candidate again)
+   * @param {string} setNumber - Set number
+   */
+  unmarkAsMonitored(setNumber) {
+    const set = this.sets.get(setNumber);
+    if (set) {
+      if (set.state === "monitored") {
+        this.setState(setNumber, "candidate", { reason: "unmonitored" });
+      }
+      delete set.monitoringSince;
+    }
+  }
+
+  /**
+   * Move a set to another lifecycle state, keeping a history of changes
+   * @param {string} setNumber - Set number
+   * @param {string} state - One of LIFECYCLE_STATES
+   * @param {Object} options - {reason, source: "user" (default) or "auto", at: ISO date}
+   * @returns {boolean} True if the state changed
+   * @throws {Error} If the state is unknown
+   */
+  setState(setNumber, state, options = {}) {
+    if (!LIFECYCLE_STATES.includes(state)) {
+      throw new Error(
+        `Unknown lifecycle state "${state}" (expected ${LIFECYCLE_STATES.join(
+          ", "
+        )})`
+      );
+    }
+    const set = this.sets.get(setNumber);
+    if (!set || set.state === state) return false;
+
+    const change = {
+      from: set.state || null,
+      to: state,
+      at: options.at || new Date().toISOString(),
+      source: options.source || "user",
+      reason: options.reason || null,
+    };
+    set.state = state;
+    set.stateChangedAt = change.at;
+    set.stateSource = change.source;
+    set.stateHistory = (set.stateHistory || []).concat(change);
+    return true;
+  }
+
+  /**
+   * Get all sets in a lifecycle state
+   * @param {string} state - One of LIFECYCLE_STATES
+   * @returns {Array<Object>} Array of sets in that state
+   */
+  getSetsByState(state) {
+    return this.getAllSets().filter((set) => set.state === state);
+  }
+
+  /**
+   * Remember when a set's detail page was last fetched
+   * @param {string} setNumber - Set number
+   * @param {string} fetchedAt - ISO date of the fetch
+   */
+  recordFetch(setNumber, fetchedAt) {
+    const set = this.sets.get(setNumber);
+    if (set) set.lastFetched = fetchedAt;
+  }
+
+  /**
+   * Attach tags to a set (tags are compared case-insensitively)
+   * @param {string} setNumber - Set number
+   * @param {Array<string>} tags - Tags to add
+   * @returns {Array<string>} The set's tags after the change
+   */
+  addTags(setNumber, tags) {
+    const set = this.sets.get(setNumber);
+    if (!set) return [];
+    const current = set.tags || [];
+    for (const tag of tags) {
+      if (!current.some((t) => t.toLowerCase() === tag.toLowerCase())) {
+        current.push(tag);
+      }
+    }
+    set.tags = current;
+    return current;
+  }
+
+  /**
+   * Remove tags from a set
+   * @param {string} setNumber - Set number
+   * @param {Array<string>} tags - Tags to remove
+   * @returns {Array<string>} The set's tags after the change
+   */
+  removeTags(setNumber, tags) {
+    const set = this.sets.get(setNumber);
+    if (!set) return [];
+    const removing = tags.map((tag) => tag.toLowerCase());
+    set.tags = (set.tags || []).filter(
+      (t) => !removing.includes(t.toLowerCase())
+    );
+    return set.tags;
+  }
+
+  /**
+   * Set or clear a set's free-form note
+   * @param {string} setNumber - Set number
+   * @param {string} note - Note text (empty to clear)
+   */
+  setNote(setNumber, note) {
+    const set = this.sets.get(setNumber);
+    if (!set) return;
+    if (note) {
+      set.note = note;
+    } else {
+      delete set.note;
+    }
+  }
+
+  /**
+   * Get all sets carrying a tag (case-insensitive)
+   * @param {string} tag - Tag
+   * @returns {Array<Object>} Array of sets with that tag
+   */
+  getSetsByTag(tag) {
+    const name = tag.toLowerCase();
+    return this.getAllSets().filter((set) =>
+      (set.tags || []).some((t) => t.toLowerCase() === name)
+    );
   }
 }
 
+SetRegistry.LIFECYCLE_STATES = LIFECYCLE_STATES;
+
 module.exports = SetRegistry;
@@ -1,252 +1,417 @@
 const fs = require("fs");
-const path = require("path");
+const { getAllSnapshots, getSourceObservations } = require("./snapshots");
+const {
+  DEFAULT_CURRENCY,
+  formatMoney,
+  formatRetirementWindow,
+} = require("./schema");
+const { retirementCountdown } = require("./retirement");
+const HoldingsLedger = require("./HoldingsLedger");
+const ExchangeRates = require("./ExchangeRates");
+const AlertState = require("./AlertState");
+const { parseArgs } = require("./utils");
+const {
+  DEFAULT_CONFIG_PATH,
+  loadConfig,
+  getReportingCurrency,
+} = require("./config");
+const { createChannels, notifyAll } = require("./notifier");
+const { openDatabase, recordAlerts } = require("./database");
+const {
+  DEFAULT_RULES_PATH,
+  loadRules,
+  resolveRules,
+  isAlertEnabled,
+  alertPriority,
+} = require("./alertRules");
+const { dataPath, applyDataOptions, getExchangeRatesPath } = require("./paths");
+const { PAGE_HISTORY_SOURCE } = require("./pageHistory");
+const {
+  compareSources,
+  sourcesAgree,
+  formatSourcePrice,
+} = require("./priceSources");
+
+// Alerts without exchange rates show every amount in its own currency only
+const NO_EXCHANGE = { rates: null, reporting: DEFAULT_CURRENCY };
 
 /**
- * Load analysis data from a specific timestamp
- * @param {string} timestamp - Timestamp directory name
- * @returns {Object|null} Analysis data or null if not found
+ * Format an amount for alert details, followed by what it comes to in the
+ * reporting currency
+ * @param {number} amount - Amount
+ * @param {string} currency - Currency of the amount
+ * @param {Object} exchange - {rates, reporting}
+ * @param {Date} date - Date of the amount
+ * @returns {string} e.g. "£505.00 (≈ $641.35)"
  */
-function loadAnalysisData(timestamp) {
-  const filePath = path.join(
-    __dirname,
-    "data",
-    "set-analysis",
-    timestamp,
-    "analysis-data.json"
-  );
-
-  if (!fs.existsSync(filePath)) {
-    return null;
-  }
+function formatAmount(amount, currency, exchange, date) {
+  return exchange.rates
+    ? exchange.rates.format(amount, currency, exchange.reporting, date)
+    : formatMoney(amount, "", currency);
+}
 
-  try {
-    const data = JSON.parse(fs.readFileSync(filePath, "utf8"));
-    return data;
-  } catch (error) {
-    console.error(`Error loading ${filePath}:`, error.message);
-    return null;
-  }
+/**
+ * Price paid per unit of a holdings lot, in a set's currency
+ * Lots bought in another currency are converted at the rate of their
+ * purchase date
+ * @param {Object} lot - Holdings lot
+ * @param {string} currency - Currency to measure the cost in
+ * @param {Object} exchange - {rates, reporting}
+ * @returns {number|null} Unit cost, or null if there is no rate
+ */
+function lotUnitCost(lot, currency, exchange) {
+  const from = lot.currency || DEFAULT_CURRENCY;
+  if (from === currency) return lot.pricePaid;
+  return exchange.rates
+    ? exchange.rates.convert(lot.pricePaid, from, currency, lot.date)
+    : null;
 }
 
 /**
- * Get all available analysis snapshots sorted by date
- * @returns {Array} Array of {timestamp, date, data} objects
+ * Current value of one unit of a lot: used lots are worth the used price,
+ * sealed lots the given (sealed) market price
+ * @param {Object} lot - Holdings lot
+ * @param {Object} set - Set data from the snapshot (currentValue)
+ * @param {number} marketPrice - Current sealed market price
+ * @returns {number|null} Value in the set's currency, or null if the page
+ *   shows no used price
  */
-function getAllSnapshots() {
-  const analysisDir = path.join(__dirname, "data", "set-analysis");
+function lotMarketPrice(lot, set, marketPrice) {
+  if (lot.condition !== "used") return marketPrice;
+  const used = set.currentValue ? set.currentValue.used : null;
+  return used || null;
+}
 
-  if (!fs.existsSync(analysisDir)) {
-    console.error("No analysis data found. Run analyzeSetDetails.js first.");
-    return [];
+/**
+ * Get the cost bases to measure a set's ROI against
+ * Uses each open holdings lot; falls back to MSRP when the set is not held.
+ * Lots whose cost cannot be converted to the set's currency, and used lots
+ * when the page shows no used price, are left out.
+ * @param {HoldingsLedger|null} ledger - Holdings ledger
+ * @param {Object} set - Set data from the snapshot (setNumber, currency,
+ *   marketPrice, currentValue)
+ * @param {number} msrp - Set MSRP
+ * @param {Object} exchange - {rates, reporting} (optional)
+ * @returns {Array<{lotId: number|null, unitCost: number, marketPrice: number,
+ *   quantity: number, label: string}>} Cost bases, each with the current
+ *   price of its condition
+ */
+function getCostBases(ledger, set, msrp, exchange = NO_EXCHANGE) {
+  const lots = ledger ? ledger.getOpenLots(set.setNumber) : [];
+
+  if (lots.length === 0) {
+    return [
+      {
+        lotId: null,
+        unitCost: msrp,
+        marketPrice: set.marketPrice,
+        quantity: 1,
+        label: "MSRP",
+      },
+    ];
   }
 
-  const snapshots = [];
-  const dirs = fs.readdirSync(analysisDir);
+  return lots
+    .map((lot) => ({
+      lotId: lot.id,
+      unitCost: lotUnitCost(lot, set.currency, exchange),
+      marketPrice: lotMarketPrice(lot, set, set.marketPrice),
+      quantity: ledger.remainingQuantity(lot),
+      label: `Lot ${lot.id} (${lot.condition}, ${lot.date})`,
+    }))
+    .filter((basis) => basis.unitCost !== null && basis.marketPrice !== null);
+}
 
-  for (const dir of dirs) {
-    const data = loadAnalysisData(dir);
-    if (data && data.analysisDate) {
-      snapshots.push({
-        timestamp: dir,
-        date: new Date(data.analysisDate),
-        data: data,
-      });
-    }
-  }
+/**
+ * Summarize the open holdings of a set at a given market price
+ * Used lots are valued at the used price instead; when the page shows none
+ * they are left out of the figures and counted in unvaluedUnits
+ * @param {HoldingsLedger|null} ledger - Holdings ledger
+ * @param {Object} set - Set data from the snapshot (setNumber, currency,
+ *   currentValue)
+ * @param {number} marketPrice - Current sealed market price
+ * @param {Object} exchange - {rates, reporting} (optional)
+ * @returns {Object|null} {units, averageCost, profit, roi, unvaluedUnits}
+ *   in the set's currency (units is 0 when no lot can be valued), or null
+ *   if not held (or no lot's cost can be converted)
+ */
+function summarizeHoldings(ledger, set, marketPrice, exchange = NO_EXCHANGE) {
+  const lots = (ledger ? ledger.getOpenLots(set.setNumber) : []).filter(
+    (lot) => lotUnitCost(lot, set.currency, exchange) !== null
+  );
+  if (lots.length === 0) return null;
+  const valued = lots.filter(
+    (lot) => lotMarketPrice(lot, set, marketPrice) !== null
+  );
 
-  // Sort by date (oldest first)
-  snapshots.sort((a, b) => a.date - b.date);
+  let units = 0;
+  let cost = 0;
+  let value = 0;
+  for (const lot of valued) {
+    const remaining = ledger.remainingQuantity(lot);
+    units += remaining;
+    cost += remaining * lotUnitCost(lot, set.currency, exchange);
+    value += remaining * lotMarketPrice(lot, set, marketPrice);
+  }
 
-  return snapshots;
+  const profit = value - cost;
+  return {
+    units,
+    lotIds: valued.map((lot) => lot.id),
+    averageCost: units > 0 ? cost / units : null,
+    profit,
+    roi: cost > 0 ? (profit / cost) * 100 : 0,
+    unvaluedUnits: lots
+      .filter((lot) => !valued.includes(lot))
+      .reduce((sum, lot) => sum + ledger.remainingQuantity(lot), 0),
+  };
 }
 
 /**
- * Parse price string to number (handles $XXX.XX format)
- * @param {string} priceStr - Price string like "$349.99"
- * @returns {number} Numeric value
+ * Add holdings-based profit details to an alert's details
+ * @param {Object} details - Alert details object (mutated)
+ * @param {Object|null} holdings - Result of summarizeHoldings
+ * @param {Function} money - Formats an amount in the set's currency
  */
-function parsePrice(priceStr) {
-  if (!priceStr) return 0;
-  return parseFloat(priceStr.replace(/[$,]/g, "")) || 0;
+function addHoldingsDetails(details, holdings, money) {
+  if (!holdings) return;
+  if (holdings.units > 0) {
+    details.held = `${holdings.units} unit(s) in lot(s) ${holdings.lotIds.join(
+      ", "
+    )}`;
+    details.averageCost = money(holdings.averageCost);
+    details.profitOnCost = `${holdings.profit >= 0 ? "+" : ""}${money(
+      holdings.profit
+    )} (${holdings.roi >= 0 ? "+" : ""}${holdings.roi.toFixed(2)}%)`;
+  }
+  if (holdings.unvaluedUnits > 0) {
+    details.notValued = `${holdings.unvaluedUnits} used unit(s) - no used price on the page`;
+  }
 }
 
 /**
- * Parse percentage string to number (handles +X.X% format)
- * @param {string} percentStr - Percentage string like "+7.0%"
- * @returns {number} Numeric value
+ * Compare a set's market price with the imported price sources, when its
+ * rule requires them to agree
+ * @param {Object} set - Set data from the snapshot
+ * @param {Object} rule - Result of resolveRules (uses sourceAgreementPercent
+ *   and sourceMaxAgeDays)
+ * @param {Object} snapshot - Snapshot {timestamp, date, data} being evaluated
+ * @param {Array} observations - Imported source observations
+ * @param {Object} exchange - {rates, reporting}, to compare prices recorded
+ *   in another currency (optional)
+ * @returns {Object|null} compareSources result with {tolerance, agrees}, or
+ *   null when the rule does not require agreement
  */
-function parsePercent(percentStr) {
-  if (!percentStr) return 0;
-  return parseFloat(percentStr.replace(/[+%]/g, "")) || 0;
+function checkSourceAgreement(
+  set,
+  rule,
+  snapshot,
+  observations,
+  exchange = NO_EXCHANGE
+) {
+  const tolerance = rule.sourceAgreementPercent;
+  if (tolerance === null || tolerance === undefined) return null;
+
+  const comparison = compareSources(
+    set,
+    observations,
+    snapshot.date,
+    rule.sourceMaxAgeDays === undefined ? null : rule.sourceMaxAgeDays,
+    exchange.rates
+  );
+  return {
+    ...comparison,
+    tolerance,
+    agrees: sourcesAgree(comparison, tolerance),
+  };
 }
 
 /**
- * Extract retirement estimate timeframe (e.g., "Early 2026")
- * @param {string} retirementStr - Full retirement string
- * @returns {string} Timeframe portion
+ * Hold back a price alert until the other sources confirm the price
+ * The alert stays armed, so it fires once they agree
+ * @param {Object} condition - Condition from priceCondition (mutated)
+ * @param {Object|null} agreement - Result of checkSourceAgreement
+ * @returns {Object} The condition
  */
-function extractRetirementTimeframe(retirementStr) {
-  if (!retirementStr) return "";
-  // Extract everything before the percentage
-  const match = retirementStr.match(/^(.+?)\s+\d+\.\d+%/);
-  return match ? match[1].trim() : retirementStr;
+function requireAgreement(condition, agreement) {
+  if (agreement && !agreement.agrees) condition.active = false;
+  return condition;
 }
 
 /**
- * Check if a set is approaching retirement (within next 3 months)
- * @param {string} retirementEstimate - Retirement estimate string
- * @returns {boolean} True if approaching retirement soon
+ * Add the prices that confirmed an alert to its details
+ * @param {Object} details - Alert details object (mutated)
+ * @param {Object|null} agreement - Result of checkSourceAgreement
  */
-function isApproachingRetirement(retirementEstimate) {
-  if (!retirementEstimate) return false;
-
-  const now = new Date();
-  const currentYear = now.getFullYear();
-  const currentMonth = now.getMonth(); // 0-11 (0=January, 11=December)
-
-  const estimate = retirementEstimate.toLowerCase();
-
-  // Check for current year AND current or next quarter
-  if (estimate.includes(currentYear.toString())) {
-    // Retiring this year - always approaching
-    return true;
-  }
+function addSourceDetails(details, agreement) {
+  if (!agreement) return;
+  details.confirmedBy = agreement.sources
+    .filter((entry) => entry.condition === "sealed")
+    .map((entry) => formatSourcePrice(entry, agreement.currency))
+    .join("; ");
+  details.sourceAgreement = `within ${agreement.tolerance}%`;
+}
 
-  // For next year, only alert if we're close
-  const nextYear = currentYear + 1;
-  if (estimate.includes(nextYear.toString())) {
-    // Only alert for "early next year" if we're in Q4 (Oct-Dec)
-    if (estimate.includes("early") || estimate.includes("q1")) {
-      return currentMonth >= 9; // October or later
-    }
-    // Only alert for "mid next year" if we're in Q1 next year (Jan-Mar)
-    // Since we're checking current year, this won't trigger for mid/late next year
-    return false;
-  }
+const { priceCondition } = AlertState;
 
-  return false;
+/**
+ * Check whether a set is marked as retired in a snapshot
+ * @param {Object} set - Set data from a snapshot
+ * @returns {boolean} True if the set has a retired date
+ */
+function isRetired(set) {
+  return Boolean(set.retired);
 }
 
 /**
- * Detect retirement events by comparing snapshots
- * @param {Object} previous - Previous snapshot data
- * @param {Object} current - Current snapshot data
- * @returns {Array} Array of retirement alerts
+ * Check if a set is approaching retirement
+ * A set already inside its window counts; one whose window has passed
+ * without it retiring (overdue) does not
+ * @param {Object|null} window - Retirement window from the snapshot
+ * @param {number} maxDays - How many days ahead counts as "approaching" (default 90)
+ * @returns {boolean} True if approaching retirement soon
  */
-function detectRetirementEvents(previous, current) {
-  const alerts = [];
-
-  const prevSets = new Map(previous.sets.map((s) => [s.setNumber, s]));
-
-  for (const currentSet of current.sets) {
-    const prevSet = prevSets.get(currentSet.setNumber);
-
-    if (!prevSet) continue; // New set, skip
-
-    // Check if set just retired
-    const wasNotRetired = !prevSet.retired || prevSet.retired === "";
-    const isNowRetired = currentSet.retired && currentSet.retired !== "";
-
-    if (wasNotRetired && isNowRetired) {
-      const msrp = parsePrice(currentSet.retailPrice);
-      const currentPrice = parsePrice(currentSet.marketPrice);
-      const roi =
-        msrp > 0 ? (((currentPrice - msrp) / msrp) * 100).toFixed(2) : "N/A";
-
-      alerts.push({
-        type: "RETIREMENT",
-        priority: "HIGH",
-        setNumber: currentSet.setNumber,
-        name: currentSet.name,
-        message: `Set ${currentSet.setNumber} (${currentSet.name}) has RETIRED!`,
-        details: {
-          retiredDate: currentSet.retired,
-          previousAvailability: prevSet.availability,
-          currentPrice: `$${currentPrice.toFixed(2)}`,
-          msrp: `$${msrp.toFixed(2)}`,
-          currentROI: `${roi}%`,
-          predictedPop: currentSet.retirementPop,
-        },
-      });
-    }
-  }
-
-  return alerts;
+function isApproachingRetirement(window, maxDays = 90) {
+  const countdown = retirementCountdown(window);
+  if (!countdown) return false;
+  if (countdown.phase === "upcoming") return countdown.daysToStart <= maxDays;
+  return countdown.phase === "in window";
 }
 
 /**
  * Check if retirement pop has been achieved
- * @param {Object} previous - Previous snapshot data
- * @param {Object} current - Current snapshot data
+ * Pop is measured against MSRP; profit is measured against holdings cost basis
+ * @param {Object} snapshot - Snapshot {timestamp, data} being evaluated
+ * @param {AlertState} state - Alert state store
+ * @param {Object} rules - Alert rules from loadRules
+ * @param {HoldingsLedger|null} ledger - Holdings ledger (optional)
+ * @param {Array} observations - Imported source observations (optional)
+ * @param {Object} exchange - {rates, reporting} (optional)
  * @returns {Array} Array of pop achievement alerts
  */
-function checkRetirementPopAchievement(previous, current) {
+function checkRetirementPopAchievement(
+  snapshot,
+  state,
+  rules,
+  ledger = null,
+  observations = [],
+  exchange = NO_EXCHANGE
+) {
   const alerts = [];
 
-  const prevSets = new Map(previous.sets.map((s) => [s.setNumber, s]));
+  for (const currentSet of snapshot.data.sets) {
+    // Only check retired sets
+    if (!isRetired(currentSet)) continue;
 
-  for (const currentSet of current.sets) {
-    const prevSet = prevSets.get(currentSet.setNumber);
+    const rule = resolveRules(rules, currentSet);
 
-    if (!prevSet) continue;
+    const msrp = currentSet.retailPrice;
+    const currentPrice = currentSet.marketPrice;
+    const predictedPop = currentSet.retirementPop;
+    const oneYearValue = currentSet.oneYearRetiredValue;
 
-    // Only check retired sets
-    if (!currentSet.retired || currentSet.retired === "") continue;
+    if (!msrp || !currentPrice) continue;
 
-    const msrp = parsePrice(currentSet.retailPrice);
-    const currentPrice = parsePrice(currentSet.marketPrice);
-    const prevPrice = parsePrice(prevSet.marketPrice);
-    const predictedPop = parsePercent(currentSet.retirementPop);
-    const oneYearValue = parsePrice(currentSet.oneYearRetiredValue);
-
-    if (msrp === 0) continue;
+    const money = (amount) =>
+      formatAmount(amount, currentSet.currency, exchange, snapshot.date);
+    const holdings = summarizeHoldings(
+      ledger,
+      currentSet,
+      currentPrice,
+      exchange
+    );
+    const agreement = checkSourceAgreement(
+      currentSet,
+      rule,
+      snapshot,
+      observations,
+      exchange
+    );
 
     // Calculate actual change from MSRP
     const actualChange = ((currentPrice - msrp) / msrp) * 100;
 
     // Check if predicted pop has been exceeded
-    if (actualChange >= predictedPop && prevPrice < currentPrice) {
+    const popFired =
+      predictedPop !== null &&
+      isAlertEnabled(rule, "POP_ACHIEVED") &&
+      state.evaluate(
+        AlertState.key(currentSet.setNumber, "POP_ACHIEVED"),
+        requireAgreement(
+          priceCondition(currentPrice, msrp * (1 + predictedPop / 100)),
+          agreement
+        ),
+        snapshot.timestamp
+      );
+    if (popFired) {
       const exceeded = actualChange - predictedPop;
+      const details = {
+        predictedPop: `+${predictedPop.toFixed(2)}%`,
+        actualChange: `+${actualChange.toFixed(2)}%`,
+        exceededBy: `+${exceeded.toFixed(2)}%`,
+        currentPrice: money(currentPrice),
+        msrp: money(msrp),
+      };
+      if (holdings) {
+        addHoldingsDetails(details, holdings, money);
+      } else {
+        details.profit = `${money(currentPrice - msrp)} (vs MSRP)`;
+      }
+      addSourceDetails(details, agreement);
 
       alerts.push({
         type: "POP_ACHIEVED",
-        priority: "HIGH",
+        priority: alertPriority(rule, "POP_ACHIEVED", "HIGH"),
         setNumber: currentSet.setNumber,
         name: currentSet.name,
+        snapshot: snapshot.timestamp,
         message: `Set ${currentSet.setNumber} (${currentSet.name}) has exceeded its predicted retirement pop!`,
-        details: {
-          predictedPop: `+${predictedPop.toFixed(2)}%`,
-          actualChange: `+${actualChange.toFixed(2)}%`,
-          exceededBy: `+${exceeded.toFixed(2)}%`,
-          currentPrice: `$${currentPrice.toFixed(2)}`,
-          msrp: `$${msrp.toFixed(2)}`,
-          profit: `$${(currentPrice - msrp).toFixed(2)}`,
-        },
+        details,
       });
     }
 
     // Check if 1-year target value has been reached
-    if (
+    const targetFired =
       oneYearValue > 0 &&
-      currentPrice >= oneYearValue &&
-      prevPrice < oneYearValue
-    ) {
-      const roi = ((currentPrice - msrp) / msrp) * 100;
+      isAlertEnabled(rule, "TARGET_REACHED") &&
+      state.evaluate(
+        AlertState.key(currentSet.setNumber, "TARGET_REACHED"),
+        requireAgreement(priceCondition(currentPrice, oneYearValue), agreement),
+        snapshot.timestamp
+      );
+    if (targetFired) {
+      const details = {
+        targetValue: money(oneYearValue),
+        currentPrice: money(currentPrice),
+        msrp: money(msrp),
+      };
+      if (holdings) {
+        addHoldingsDetails(details, holdings, money);
+        if (holdings.units === 0) {
+          details.recommendation =
+            "Target achieved - no used price to value your lots";
+        } else {
+          details.recommendation =
+            holdings.profit > 0
+              ? "Consider selling - target achieved"
+              : "Target reached but below your cost basis - hold";
+        }
+      } else {
+        const roi = ((currentPrice - msrp) / msrp) * 100;
+        details.roi = `+${roi.toFixed(2)}% (vs MSRP)`;
+        details.profit = `${money(currentPrice - msrp)} (vs MSRP)`;
+        details.recommendation = "Target achieved - not held";
+      }
+      addSourceDetails(details, agreement);
 
       alerts.push({
         type: "TARGET_REACHED",
-        priority: "HIGH",
+        priority: alertPriority(rule, "TARGET_REACHED", "HIGH"),
         setNumber: currentSet.setNumber,
         name: currentSet.name,
+        snapshot: snapshot.timestamp,
         message: `Set ${currentSet.setNumber} (${currentSet.name}) has reached its 1-year target value!`,
-        details: {
-          targetValue: `$${oneYearValue.toFixed(2)}`,
-          currentPrice: `$${currentPrice.toFixed(2)}`,
-          msrp: `$${msrp.toFixed(2)}`,
-          roi: `+${roi.toFixed(2)}%`,
-          profit: `$${(currentPrice - msrp).toFixed(2)}`,
-          recommendation: "Consider selling - target achieved",
-        },
+        details,
       });
     }
   }
@@ -256,53 +421,108 @@ function checkRetirementPopAchievement(previous, current) {
 
 /**
  * Check for buying opportunities (price drops below MSRP)
- * @param {Object} previous - Previous snapshot data
- * @param {Object} current - Current snapshot data
+ * The rule's discountPercent sets how far below MSRP counts; its
+ * maxDaysToRetirement and minPredictedPop narrow which sets qualify
+ * @param {Object} snapshot - Snapshot {timestamp, data} being evaluated
+ * @param {AlertState} state - Alert state store
+ * @param {Object} rules - Alert rules from loadRules
+ * @param {HoldingsLedger|null} ledger - Holdings ledger (optional)
+ * @param {Array} observations - Imported source observations (optional)
+ * @param {Object} exchange - {rates, reporting} (optional)
  * @returns {Array} Array of buying opportunity alerts
  */
-function checkBuyingOpportunities(previous, current) {
+function checkBuyingOpportunities(
+  snapshot,
+  state,
+  rules,
+  ledger = null,
+  observations = [],
+  exchange = NO_EXCHANGE
+) {
   const alerts = [];
 
-  const prevSets = new Map(previous.sets.map((s) => [s.setNumber, s]));
-
-  for (const currentSet of current.sets) {
-    const prevSet = prevSets.get(currentSet.setNumber);
+  for (const currentSet of snapshot.data.sets) {
+    // Skip retired sets
+    if (isRetired(currentSet)) continue;
 
-    if (!prevSet) continue;
+    const rule = resolveRules(rules, currentSet);
+    if (!isAlertEnabled(rule, "BUYING_OPPORTUNITY")) continue;
 
-    // Skip retired sets
-    if (currentSet.retired && currentSet.retired !== "") continue;
+    const msrp = currentSet.retailPrice;
+    const currentPrice = currentSet.marketPrice;
+    const predictedPop = currentSet.retirementPop;
 
-    const msrp = parsePrice(currentSet.retailPrice);
-    const currentPrice = parsePrice(currentSet.marketPrice);
-    const prevPrice = parsePrice(prevSet.marketPrice);
+    if (!msrp || !currentPrice) continue;
 
-    if (msrp === 0) continue;
+    // Check if price dropped far enough below MSRP
+    const buyPrice = msrp * (1 - (rule.discountPercent || 0) / 100);
+    const condition = priceCondition(currentPrice, buyPrice, "below");
+    if (
+      rule.maxDaysToRetirement !== null &&
+      rule.maxDaysToRetirement !== undefined &&
+      !isApproachingRetirement(
+        currentSet.retirementEstimate,
+        rule.maxDaysToRetirement
+      )
+    ) {
+      condition.active = false;
+    }
+    if (
+      rule.minPredictedPop !== null &&
+      rule.minPredictedPop !== undefined &&
+      (predictedPop === null || predictedPop < rule.minPredictedPop)
+    ) {
+      condition.active = false;
+    }
+    const agreement = checkSourceAgreement(
+      currentSet,
+      rule,
+      snapshot,
+      observations,
+      exchange
+    );
+    requireAgreement(condition, agreement);
 
-    // Check if price just dropped below MSRP
-    const wasAboveMSRP = prevPrice >= msrp;
-    const isBelowMSRP = currentPrice < msrp;
+    const fired = state.evaluate(
+      AlertState.key(currentSet.setNumber, "BUYING_OPPORTUNITY"),
+      condition,
+      snapshot.timestamp
+    );
 
-    if (wasAboveMSRP && isBelowMSRP) {
+    if (fired) {
+      const money = (amount) =>
+        formatAmount(amount, currentSet.currency, exchange, snapshot.date);
       const discount = ((msrp - currentPrice) / msrp) * 100;
-      const predictedPop = parsePercent(currentSet.retirementPop);
-      const potentialProfit = msrp * (1 + predictedPop / 100) - currentPrice;
+      const details = {
+        currentPrice: money(currentPrice),
+        msrp: money(msrp),
+        discount: `-${discount.toFixed(2)}%`,
+        savings: money(msrp - currentPrice),
+      };
+      if (predictedPop !== null) {
+        const potentialProfit = msrp * (1 + predictedPop / 100) - currentPrice;
+        details.predictedPop = `+${predictedPop.toFixed(2)}%`;
+        details.potentialProfit = money(potentialProfit);
+      }
+      details.retirementEstimate = formatRetirementWindow(
+        currentSet.retirementEstimate,
+        "unknown"
+      );
+      addHoldingsDetails(
+        details,
+        summarizeHoldings(ledger, currentSet, currentPrice, exchange),
+        money
+      );
+      addSourceDetails(details, agreement);
 
       alerts.push({
         type: "BUYING_OPPORTUNITY",
-        priority: "MEDIUM",
+        priority: alertPriority(rule, "BUYING_OPPORTUNITY", "MEDIUM"),
         setNumber: currentSet.setNumber,
         name: currentSet.name,
+        snapshot: snapshot.timestamp,
         message: `Set ${currentSet.setNumber} (${currentSet.name}) is now below MSRP - Buying opportunity!`,
-        details: {
-          currentPrice: `$${currentPrice.toFixed(2)}`,
-          msrp: `$${msrp.toFixed(2)}`,
-          discount: `-${discount.toFixed(2)}%`,
-          savings: `$${(msrp - currentPrice).toFixed(2)}`,
-          predictedPop: `+${predictedPop.toFixed(2)}%`,
-          potentialProfit: `$${potentialProfit.toFixed(2)}`,
-          retirementEstimate: currentSet.retirementEstimate,
-        },
+        details,
       });
     }
   }
@@ -312,40 +532,46 @@ function checkBuyingOpportunities(previous, current) {
 
 /**
  * Check for newly retired sets (moved from available to retired)
- * @param {Object} previous - Previous snapshot data
- * @param {Object} current - Current snapshot data
+ * Fires once per set, the first time it is seen retired
+ * @param {Object} snapshot - Snapshot {timestamp, data} being evaluated
+ * @param {AlertState} state - Alert state store
+ * @param {Object} rules - Alert rules from loadRules
+ * @param {Object} exchange - {rates, reporting} (optional)
  * @returns {Array} Array of newly retired set alerts
  */
-function checkNewlyRetiredSets(previous, current) {
+function checkNewlyRetiredSets(snapshot, state, rules, exchange = NO_EXCHANGE) {
   const alerts = [];
 
-  const prevSets = new Map(previous.sets.map((s) => [s.setNumber, s]));
-
-  for (const currentSet of current.sets) {
-    const prevSet = prevSets.get(currentSet.setNumber);
-
-    if (!prevSet) continue;
+  for (const currentSet of snapshot.data.sets) {
+    const rule = resolveRules(rules, currentSet);
+    if (!isAlertEnabled(rule, "RETIREMENT")) continue;
 
-    // Check if set just became retired
-    const wasNotRetired = !prevSet.retired || prevSet.retired === "";
-    const isNowRetired = currentSet.retired && currentSet.retired !== "";
+    // Check if set became retired
+    const fired = state.evaluate(
+      AlertState.key(currentSet.setNumber, "RETIREMENT"),
+      { active: isRetired(currentSet), rearm: false },
+      snapshot.timestamp
+    );
 
-    if (wasNotRetired && isNowRetired) {
-      const msrp = parsePrice(currentSet.retailPrice);
-      const currentPrice = parsePrice(currentSet.marketPrice);
-      const predictedPop = parsePercent(currentSet.retirementPop);
-      const priceChange = ((currentPrice - msrp) / msrp) * 100;
+    if (fired) {
+      const msrp = currentSet.retailPrice || 0;
+      const currentPrice = currentSet.marketPrice || 0;
+      const predictedPop = currentSet.retirementPop || 0;
+      const priceChange = msrp > 0 ? ((currentPrice - msrp) / msrp) * 100 : 0;
+      const money = (amount) =>
+        formatAmount(amount, currentSet.currency, exchange, snapshot.date);
 
       alerts.push({
-        type: "NEWLY_RETIRED",
-        priority: "HIGH",
+        type: "RETIREMENT",
+        priority: alertPriority(rule, "RETIREMENT", "HIGH"),
         setNumber: currentSet.setNumber,
         name: currentSet.name,
+        snapshot: snapshot.timestamp,
         message: `Set ${currentSet.setNumber} (${currentSet.name}) has just retired!`,
         details: {
           retiredDate: currentSet.retired,
-          msrp: `$${msrp.toFixed(2)}`,
-          currentPrice: `$${currentPrice.toFixed(2)}`,
+          msrp: money(msrp),
+          currentPrice: money(currentPrice),
           priceChange: `${priceChange >= 0 ? "+" : ""}${priceChange.toFixed(
             2
           )}%`,
@@ -364,49 +590,189 @@ function checkNewlyRetiredSets(previous, current) {
 
 /**
  * Check for ROI targets reached (configurable threshold)
- * @param {Object} previous - Previous snapshot data
- * @param {Object} current - Current snapshot data
- * @param {number} targetROI - Target ROI percentage (default 20%)
+ * ROI is measured per holdings lot against the price actually paid;
+ * sets that are not held fall back to MSRP
+ * @param {Object} snapshot - Snapshot {timestamp, data} being evaluated
+ * @param {AlertState} state - Alert state store
+ * @param {Object} rules - Alert rules from loadRules (uses roiPercent)
+ * @param {HoldingsLedger|null} ledger - Holdings ledger (optional)
+ * @param {Array} observations - Imported source observations (optional)
+ * @param {Object} exchange - {rates, reporting} (optional)
  * @returns {Array} Array of ROI target alerts
  */
-function checkROITargets(previous, current, targetROI = 20) {
+function checkROITargets(
+  snapshot,
+  state,
+  rules,
+  ledger = null,
+  observations = [],
+  exchange = NO_EXCHANGE
+) {
   const alerts = [];
 
-  const prevSets = new Map(previous.sets.map((s) => [s.setNumber, s]));
+  for (const currentSet of snapshot.data.sets) {
+    const rule = resolveRules(rules, currentSet);
+    const targetROI = rule.roiPercent;
+    if (targetROI === null || !isAlertEnabled(rule, "ROI_TARGET")) continue;
 
-  for (const currentSet of current.sets) {
-    const prevSet = prevSets.get(currentSet.setNumber);
+    const msrp = currentSet.retailPrice || 0;
+    const currentPrice = currentSet.marketPrice;
 
-    if (!prevSet) continue;
+    if (!currentPrice) continue;
 
-    const msrp = parsePrice(currentSet.retailPrice);
-    const currentPrice = parsePrice(currentSet.marketPrice);
-    const prevPrice = parsePrice(prevSet.marketPrice);
+    const money = (amount) =>
+      formatAmount(amount, currentSet.currency, exchange, snapshot.date);
+    const agreement = checkSourceAgreement(
+      currentSet,
+      rule,
+      snapshot,
+      observations,
+      exchange
+    );
+    for (const basis of getCostBases(ledger, currentSet, msrp, exchange)) {
+      if (basis.unitCost === 0) continue;
+
+      // Used lots are measured against the used price
+      const lotPrice = basis.marketPrice;
+      const currentROI = ((lotPrice - basis.unitCost) / basis.unitCost) * 100;
+
+      // Check if the target ROI threshold has been crossed
+      const fired = state.evaluate(
+        AlertState.key(currentSet.setNumber, "ROI_TARGET", basis.lotId),
+        requireAgreement(
+          priceCondition(lotPrice, basis.unitCost * (1 + targetROI / 100)),
+          agreement
+        ),
+        snapshot.timestamp
+      );
+
+      if (fired) {
+        const profit = lotPrice - basis.unitCost;
+        const details = {
+          targetROI: `${targetROI}%`,
+          currentROI: `+${currentROI.toFixed(2)}%`,
+          costBasis: basis.label,
+          purchasePrice: money(basis.unitCost),
+          currentPrice: money(lotPrice),
+          profit: money(profit),
+        };
+        if (basis.lotId !== null) {
+          details.quantity = basis.quantity;
+          details.totalProfit = money(profit * basis.quantity);
+        }
+        details.isRetired = isRetired(currentSet);
+        details.recommendation =
+          basis.lotId !== null
+            ? "Target ROI reached - consider selling"
+            : "Target ROI reached vs MSRP - not held";
+        addSourceDetails(details, agreement);
+
+        alerts.push({
+          type: "ROI_TARGET",
+          priority: alertPriority(rule, "ROI_TARGET", "HIGH"),
+          setNumber: currentSet.setNumber,
+          name: currentSet.name,
+          lotId: basis.lotId,
+          snapshot: snapshot.timestamp,
+          message: `Set ${currentSet.setNumber} (${
+            currentSet.name
+          }) has reached ${targetROI}% ROI target${
+            basis.lotId !== null ? ` on lot ${basis.lotId}` : ""
+          }!`,
+          details,
+        });
+      }
+    }
+  }
 
-    if (msrp === 0) continue;
+  return alerts;
+}
 
-    const currentROI = ((currentPrice - msrp) / msrp) * 100;
-    const prevROI = ((prevPrice - msrp) / msrp) * 100;
+/**
+ * Check for absolute price targets reached (priceTarget rule)
+ * Targets are in the reporting currency; sets priced in another currency are
+ * compared at the rate of the snapshot's date
+ * @param {Object} snapshot - Snapshot {timestamp, data} being evaluated
+ * @param {AlertState} state - Alert state store
+ * @param {Object} rules - Alert rules from loadRules (uses priceTarget)
+ * @param {HoldingsLedger|null} ledger - Holdings ledger (optional)
+ * @param {Array} observations - Imported source observations (optional)
+ * @param {Object} exchange - {rates, reporting} (optional)
+ * @returns {Array} Array of price target alerts
+ */
+function checkPriceTargets(
+  snapshot,
+  state,
+  rules,
+  ledger = null,
+  observations = [],
+  exchange = NO_EXCHANGE
+) {
+  const alerts = [];
 
-    // Check if just crossed the target ROI threshold
-    if (currentROI >= targetROI && prevROI < targetROI) {
-      const profit = currentPrice - msrp;
+  for (const currentSet of snapshot.data.sets) {
+    const rule = resolveRules(rules, currentSet);
+    const target = rule.priceTarget;
+    if (!target || !isAlertEnabled(rule, "PRICE_TARGET")) continue;
+
+    const currentPrice = currentSet.marketPrice;
+    if (!currentPrice) continue;
+
+    const currency = currentSet.currency;
+    let setTarget = target;
+    if (currency !== exchange.reporting) {
+      setTarget = exchange.rates
+        ? exchange.rates.convert(
+            target,
+            exchange.reporting,
+            currency,
+            snapshot.date
+          )
+        : null;
+      if (setTarget === null) continue;
+    }
+
+    const money = (amount) =>
+      formatAmount(amount, currency, exchange, snapshot.date);
+    const agreement = checkSourceAgreement(
+      currentSet,
+      rule,
+      snapshot,
+      observations,
+      exchange
+    );
+    const fired = state.evaluate(
+      AlertState.key(currentSet.setNumber, "PRICE_TARGET"),
+      requireAgreement(priceCondition(currentPrice, setTarget), agreement),
+      snapshot.timestamp
+    );
+
+    if (fired) {
+      const details = {
+        targetPrice: formatMoney(target, "", exchange.reporting),
+        currentPrice: money(currentPrice),
+      };
+      addHoldingsDetails(
+        details,
+        summarizeHoldings(ledger, currentSet, currentPrice, exchange),
+        money
+      );
+      addSourceDetails(details, agreement);
 
       alerts.push({
-        type: "ROI_TARGET",
-        priority: "HIGH",
+        type: "PRICE_TARGET",
+        priority: alertPriority(rule, "PRICE_TARGET", "HIGH"),
         setNumber: currentSet.setNumber,
         name: currentSet.name,
-        message: `Set ${currentSet.setNumber} (${currentSet.name}) has reached ${targetROI}% ROI target!`,
-        details: {
-          targetROI: `${targetROI}%`,
-          currentROI: `+${currentROI.toFixed(2)}%`,
-          purchasePrice: `$${msrp.toFixed(2)}`,
-          currentPrice: `$${currentPrice.toFixed(2)}`,
-          profit: `$${profit.toFixed(2)}`,
-          isRetired: currentSet.retired !== "" && currentSet.retired !== null,
-          recommendation: "Target ROI reached - consider selling",
-        },
+        snapshot: snapshot.timestamp,
+        message: `Set ${currentSet.setNumber} (${
+          currentSet.name
+        }) has reached its ${formatMoney(
+          target,
+          "",
+          exchange.reporting
+        )} price target!`,
+        details,
       });
     }
   }
@@ -429,6 +795,9 @@ function displayAlerts(alerts, category) {
   for (const alert of alerts) {
     console.log(`\n[${alert.priority}] ${alert.message}`);
     console.log("-".repeat(70));
+    if (alert.snapshot) {
+      console.log(`  Snapshot: ${alert.snapshot}`);
+    }
 
     for (const [key, value] of Object.entries(alert.details)) {
       const label = key
@@ -468,57 +837,358 @@ function generateSummary(allAlerts) {
   return summary;
 }
 
-// Main execution
-async function main() {
+/**
+ * Run every alert check against one snapshot
+ * Sets seen for the first time are only recorded, never alerted on
+ * @param {Object} snapshot - Snapshot {timestamp, data}
+ * @param {AlertState} state - Alert state store
+ * @param {Object} rules - Alert rules from loadRules
+ * @param {HoldingsLedger|null} ledger - Holdings ledger
+ * @param {Array} observations - Imported source observations
+ * @param {Object} exchange - {rates, reporting}: exchange rates and the
+ *   reporting currency amounts are also shown in (optional)
+ * @returns {Object} Object mapping category name to alert arrays
+ */
+function runAllChecks(
+  snapshot,
+  state,
+  rules,
+  ledger,
+  observations = [],
+  exchange = NO_EXCHANGE
+) {
+  const knownSets = snapshot.data.sets.filter((set) =>
+    state.isKnownSet(set.setNumber)
+  );
+  const newSets = snapshot.data.sets.filter(
+    (set) => !state.isKnownSet(set.setNumber)
+  );
+
+  const runChecks = (sets) => {
+    const view = { ...snapshot, data: { ...snapshot.data, sets } };
+    return {
+      "Newly Retired Sets": checkNewlyRetiredSets(view, state, rules, exchange),
+      "Retirement Pop Achieved": checkRetirementPopAchievement(
+        view,
+        state,
+        rules,
+        ledger,
+        observations,
+        exchange
+      ),
+      "Buying Opportunities": checkBuyingOpportunities(
+        view,
+        state,
+        rules,
+        ledger,
+        observations,
+        exchange
+      ),
+      "ROI Targets": checkROITargets(
+        view,
+        state,
+        rules,
+        ledger,
+        observations,
+        exchange
+      ),
+      "Price Targets": checkPriceTargets(
+        view,
+        state,
+        rules,
+        ledger,
+        observations,
+        exchange
+      ),
+    };
+  };
+
+  // Record the current condition of new sets without alerting
+  const wasSeeding = state.seeding;
+  state.seeding = true;
+  runChecks(newSets);
+  state.seeding = wasSeeding;
+  newSets.forEach((set) => state.addKnownSet(set.setNumber));
+
+  return runChecks(knownSets);
+}
+
+/**
+ * Deliver alerts, first retrying the deliveries that failed on earlier runs
+ * Failed deliveries are left in state.pendingDeliveries, so they are retried
+ * on the next run instead of being lost with the alert already disarmed
+ * @param {AlertState} state - Alert state store (pendingDeliveries updated)
+ * @param {Object} allAlerts - Object mapping category name to alert arrays
+ * @param {Array<Object>} channels - Channels from createChannels
+ * @param {Object} config - Loaded configuration (notifications options)
+ * @returns {Promise<Array<Object>>} The deliveries that failed
+ */
+async function deliverAlerts(state, allAlerts, channels, config) {
+  const results = [];
+
+  for (const delivery of state.pendingDeliveries) {
+    const channel = channels.find((c) => c.name === delivery.channel);
+    if (!channel) {
+      console.warn(
+        `  Dropping ${delivery.alerts.length} undelivered "${delivery.category}" alert(s) for channel "${delivery.channel}", which is no longer configured`
+      );
+      continue;
+    }
+    console.log(
+      `  Retrying ${delivery.alerts.length} undelivered "${delivery.category}" alert(s) to ${channel.name}`
+    );
+    results.push(
+      ...(await notifyAll(
+        { [delivery.category]: delivery.alerts },
+        [channel],
+        config.notifications
+      ))
+    );
+  }
+
+  const fresh = await notifyAll(allAlerts, channels, config.notifications);
+  if (fresh.length === 0 && state.pendingDeliveries.length === 0) {
+    console.log("  No alerts matched any channel.");
+  }
+  results.push(...fresh);
+
+  const failed = results.filter((r) => !r.ok);
+  state.pendingDeliveries = failed.map((r) => ({
+    channel: r.channel,
+    category: r.category,
+    alerts: r.alerts,
+  }));
+  return failed;
+}
+
+/**
+ * Send a sample alert through every configured channel
+ * @param {Array<Object>} channels - Channels from createChannels
+ * @param {Object} options - Retry options from the notifications config
+ * @returns {Promise<Array<Object>>} Delivery results from notifyAll
+ */
+async function sendTestNotification(channels, options) {
+  const testAlert = {
+    type: "TEST",
+    priority: "HIGH",
+    setNumber: "00000",
+    name: "Test Set",
+    message: "This is a test alert from the LEGO Set Alert Monitor",
+    details: { sentAt: new Date().toISOString() },
+  };
+
+  console.log(`Sending test alert to ${channels.length} channel(s)...`);
+  const results = await notifyAll(
+    { "Test Notification": [testAlert] },
+    channels.map((channel) => ({ ...channel, categories: null })),
+    options
+  );
+
+  return results;
+}
+
+/**
+ * Check every unprocessed snapshot for alerts and deliver them
+ * @param {Object} flags - Parsed flags: config, rules, no-notify, test-notify,
+ *   reset-state, dry-run
+ * @returns {Promise<Object>} {snapshotsChecked, alerts, failedDeliveries, partial}
+ *   where partial is true when any notification could not be delivered
+ */
+async function run(flags = {}) {
+  applyDataOptions(flags);
+  const dryRun = Boolean(flags["dry-run"]);
+  const config = loadConfig(flags.config || DEFAULT_CONFIG_PATH);
+  const channels = createChannels(config.notifications);
+  const rules = loadRules(flags.rules || DEFAULT_RULES_PATH);
+
+  if (flags["test-notify"]) {
+    const results = await sendTestNotification(channels, config.notifications);
+    const failedDeliveries = results.filter((r) => !r.ok).length;
+    return {
+      snapshotsChecked: 0,
+      alerts: [],
+      failedDeliveries,
+      partial: failedDeliveries > 0,
+    };
+  }
+
   console.log("LEGO Set Alert Monitor");
   console.log("=".repeat(70));
   console.log("Checking for important events...\n");
 
   const snapshots = getAllSnapshots();
+  const statePath = dataPath("alert-state.json");
+  if (flags["reset-state"] && fs.existsSync(statePath)) {
+    if (dryRun) {
+      console.log("Dry run - alert state not reset.");
+    } else {
+      fs.unlinkSync(statePath);
+      console.log("Alert state reset.");
+    }
+  }
+  const state = new AlertState(statePath);
+  const nothingChecked = {
+    snapshotsChecked: 0,
+    alerts: [],
+    failedDeliveries: 0,
+    partial: false,
+  };
+
+  let pending = state.getUnprocessedSnapshots(snapshots);
+
+  // Load holdings so profit alerts use the real cost basis
+  const ledger = new HoldingsLedger(dataPath("holdings.json"));
 
-  if (snapshots.length < 2) {
-    console.log("Need at least 2 snapshots to compare.");
-    console.log("Current snapshots:", snapshots.length);
+  // Imported prices from other sources, for rules that require agreement
+  const observations = getSourceObservations().filter(
+    (o) => o.source !== PAGE_HISTORY_SOURCE
+  );
+
+  // Amounts are shown in each set's currency and in the reporting currency
+  const exchange = {
+    rates: new ExchangeRates(getExchangeRatesPath()),
+    reporting: getReportingCurrency(config),
+  };
+
+  if (!state.lastProcessedSnapshot) {
+    // First run: use the second-to-last snapshot as the baseline
+    if (snapshots.length < 2) {
+      console.log("Need at least 2 snapshots to compare.");
+      console.log("Current snapshots:", snapshots.length);
+      console.log(
+        "\nRun the monitoring workflow again to generate comparison data:"
+      );
+      console.log("  node getRetiringSoon.js");
+      console.log("  node fetchSetDetails.js");
+      console.log("  node analyzeSetDetails.js");
+      return nothingChecked;
+    }
+    const baseline = snapshots[snapshots.length - 2];
     console.log(
-      "\nRun the monitoring workflow again to generate comparison data:"
+      `No alert state found - using ${baseline.timestamp} as the baseline`
     );
-    console.log("  node getRetiringSoon.js");
-    console.log("  node fetchSetDetails.js");
-    console.log("  node analyzeSetDetails.js");
-    return;
+    state.seeding = true;
+    runAllChecks(baseline, state, rules, ledger, observations, exchange);
+    state.seeding = false;
+    state.markProcessed(baseline.timestamp);
+    pending = snapshots.slice(-1);
   }
 
-  const previous = snapshots[snapshots.length - 2].data;
-  const current = snapshots[snapshots.length - 1].data;
+  if (pending.length === 0) {
+    console.log(
+      `No new snapshots since ${state.lastProcessedSnapshot}. Nothing to check.`
+    );
+    if (
+      state.pendingDeliveries.length > 0 &&
+      channels.length > 0 &&
+      !flags["no-notify"] &&
+      !dryRun
+    ) {
+      const failed = await deliverAlerts(state, {}, channels, config);
+      state.save();
+      return {
+        ...nothingChecked,
+        failedDeliveries: failed.length,
+        partial: failed.length > 0,
+      };
+    }
+    return nothingChecked;
+  }
 
-  console.log(`Comparing snapshots:`);
-  console.log(
-    `  Previous: ${new Date(previous.analysisDate).toLocaleString()}`
-  );
-  console.log(`  Current:  ${new Date(current.analysisDate).toLocaleString()}`);
-
-  // Run all alert checks
-  const allAlerts = {
-    "Newly Retired Sets": checkNewlyRetiredSets(previous, current),
-    "Retirement Pop Achieved": checkRetirementPopAchievement(previous, current),
-    "Buying Opportunities": checkBuyingOpportunities(previous, current),
-    "ROI Targets (20%)": checkROITargets(previous, current, 20),
-  };
+  console.log(`Processing ${pending.length} new snapshot(s):`);
+  pending.forEach((snapshot) => {
+    console.log(`  ${snapshot.date.toLocaleString()} (${snapshot.timestamp})`);
+  });
+
+  // Run all alert checks on every unprocessed snapshot, oldest first,
+  // so events between missed runs are still caught exactly once
+  const allAlerts = {};
+  for (const snapshot of pending) {
+    const snapshotAlerts = runAllChecks(
+      snapshot,
+      state,
+      rules,
+      ledger,
+      observations,
+      exchange
+    );
+    for (const [category, alerts] of Object.entries(snapshotAlerts)) {
+      allAlerts[category] = (allAlerts[category] || []).concat(alerts);
+    }
+    state.markProcessed(snapshot.timestamp);
+  }
 
   // Display summary first
   console.log(generateSummary(allAlerts));
+  const missingRates = exchange.rates.describeMissing();
+  if (missingRates) console.warn(`\nWarning: ${missingRates}`);
 
   // Display detailed alerts
   for (const [category, alerts] of Object.entries(allAlerts)) {
     displayAlerts(alerts, category);
   }
 
+  // Deliver alerts to configured channels
+  let failedDeliveries = 0;
+  if (dryRun) {
+    console.log(
+      "\nDry run - no notifications sent, alert state and history not saved."
+    );
+    return {
+      snapshotsChecked: pending.length,
+      alerts: Object.values(allAlerts).flat(),
+      failedDeliveries,
+      partial: false,
+    };
+  }
+  if (channels.length > 0 && !flags["no-notify"]) {
+    console.log("\n" + "=".repeat(70));
+    console.log("NOTIFICATIONS");
+    console.log("=".repeat(70));
+    const failed = await deliverAlerts(state, allAlerts, channels, config);
+    if (failed.length > 0) {
+      console.log(
+        `  ${failed.length} delivery(ies) failed - kept to retry on the next run`
+      );
+    }
+    failedDeliveries = failed.length;
+  }
+
+  // Only now that delivery has been attempted (and failures are kept as
+  // pending), persist the state and keep a history of fired alerts
+  state.save();
+  const db = openDatabase();
+  recordAlerts(db, Object.values(allAlerts).flat());
+  db.close();
+
   console.log("\n" + "=".repeat(70));
   console.log("Alert monitoring complete.");
   console.log("=".repeat(70) + "\n");
+
+  return {
+    snapshotsChecked: pending.length,
+    alerts: Object.values(allAlerts).flat(),
+    failedDeliveries,
+    partial: failedDeliveries > 0,
+  };
 }
 
-main().catch((error) => {
-  console.error("Error:", error);
-  process.exit(1);
-});
+module.exports = { deliverAlerts, run };
+
+if (require.main === module) {
+  run(
+    parseArgs(process.argv.slice(2), [
+      "no-notify",
+      "test-notify",
+      "reset-state",
+      "dry-run",
+    ]).flags
+  )
+    .then((result) => {
+      if (result.partial) process.exitCode = 1;
+    })
+    .catch((error) => {
+      console.error("Error:", error.message);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,278 @@
+const fs = require("fs");
+const path = require("path");
+const { ALERT_TYPES } = require("./AlertState");
+
+const DEFAULT_RULES_PATH = path.join(__dirname, "alert-rules.json");
+
+const PRIORITIES = ["LOW", "MEDIUM", "HIGH"];
+
+/**
+ * Threshold settings a rule level may set, with their validators
+ * A value of null switches the threshold off
+ */
+const THRESHOLDS = {
+  // ROI_TARGET fires when ROI over cost basis reaches this percentage
+  roiPercent: { min: 0 },
+  // PRICE_TARGET fires when the market price reaches this amount
+  priceTarget: { min: 0 },
+  // BUYING_OPPORTUNITY fires when the price is this far below MSRP
+  discountPercent: { min: 0, max: 100 },
+  // BUYING_OPPORTUNITY only for sets expected to retire within this many days
+  maxDaysToRetirement: { min: 0 },
+  // BUYING_OPPORTUNITY only for sets with at least this predicted pop
+  minPredictedPop: {},
+  // Price alerts wait until every imported source has a sealed price within
+  // this percentage of the market price
+  sourceAgreementPercent: { min: 0 },
+  // Imported prices older than this many days do not count toward agreement
+  sourceMaxAgeDays: { min: 0 },
+};
+
+/**
+ * Rules used when no rules file exists (matches the original behavior)
+ */
+const DEFAULT_RULES = {
+  defaults: {
+    roiPercent: 20,
+    priceTarget: null,
+    discountPercent: 0,
+    maxDaysToRetirement: null,
+    minPredictedPop: null,
+    sourceAgreementPercent: null,
+    sourceMaxAgeDays: 30,
+    alerts: {},
+  },
+  themes: {},
+  sets: {},
+};
+
+/**
+ * Validate one rule level (defaults, a theme or a set)
+ * @param {Object} level - Rule level
+ * @param {string} where - Location used in error messages
+ * @returns {Array<string>} Error messages
+ */
+function validateRuleLevel(level, where) {
+  const errors = [];
+
+  if (!level || typeof level !== "object" || Array.isArray(level)) {
+    return [`${where} must be an object`];
+  }
+
+  for (const [key, value] of Object.entries(level)) {
+    if (key === "alerts") {
+      errors.push(...validateAlertSettings(value, `${where}.alerts`));
+      continue;
+    }
+
+    const limits = THRESHOLDS[key];
+    if (!limits) {
+      errors.push(
+        `${where}.${key} is not a known setting (expected one of: ${Object.keys(
+          THRESHOLDS
+        ).join(", ")}, alerts)`
+      );
+      continue;
+    }
+
+    if (value === null) continue;
+    if (typeof value !== "number" || !Number.isFinite(value)) {
+      errors.push(`${where}.${key} must be a number or null`);
+    } else if (limits.min !== undefined && value < limits.min) {
+      errors.push(`${where}.${key} must be at least ${limits.min}`);
+    } else if (limits.max !== undefined && value > limits.max) {
+      errors.push(`${where}.${key} must be at most ${limits.max}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate per-alert-type settings: {TYPE: {enabled, priority}}
+ * @param {Object} alerts - Alert settings
+ * @param {string} where - Location used in error messages
+ * @returns {Array<string>} Error messages
+ */
+function validateAlertSettings(alerts, where) {
+  const errors = [];
+
+  if (!alerts || typeof alerts !== "object" || Array.isArray(alerts)) {
+    return [`${where} must be an object`];
+  }
+
+  for (const [type, settings] of Object.entries(alerts)) {
+    if (!ALERT_TYPES.includes(type)) {
+      errors.push(
+        `${where}.${type} is not an alert type (expected one of: ${ALERT_TYPES.join(
+          ", "
+        )})`
+      );
+      continue;
+    }
+    if (!settings || typeof settings !== "object") {
+      errors.push(`${where}.${type} must be an object`);
+      continue;
+    }
+    for (const [key, value] of Object.entries(settings)) {
+      if (key === "enabled") {
+        if (typeof value !== "boolean") {
+          errors.push(`${where}.${type}.enabled must be true or false`);
+        }
+      } else if (key === "priority") {
+        if (!PRIORITIES.includes(value)) {
+          errors.push(
+            `${where}.${type}.priority must be one of: ${PRIORITIES.join(", ")}`
+          );
+        }
+      } else {
+        errors.push(
+          `${where}.${type}.${key} is not a known setting (expected enabled, priority)`
+        );
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a rules document
+ * @param {Object} rules - Parsed rules file
+ * @returns {Array<string>} Error messages (empty if valid)
+ */
+function validateRules(rules) {
+  const errors = [];
+
+  if (!rules || typeof rules !== "object" || Array.isArray(rules)) {
+    return ["rules file must contain a JSON object"];
+  }
+
+  for (const key of Object.keys(rules)) {
+    if (!["defaults", "themes", "sets"].includes(key)) {
+      errors.push(
+        `"${key}" is not a known section (expected defaults, themes, sets)`
+      );
+    }
+  }
+
+  if (rules.defaults !== undefined) {
+    errors.push(...validateRuleLevel(rules.defaults, "defaults"));
+  }
+
+  for (const section of ["themes", "sets"]) {
+    if (rules[section] === undefined) continue;
+    if (typeof rules[section] !== "object" || Array.isArray(rules[section])) {
+      errors.push(`${section} must be an object`);
+      continue;
+    }
+    for (const [name, level] of Object.entries(rules[section])) {
+      errors.push(...validateRuleLevel(level, `${section}["${name}"]`));
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Load and validate the alert rules file
+ * @param {string} rulesPath - Path to the rules file (optional)
+ * @returns {Object} Rules merged over the defaults
+ * @throws {Error} If the file cannot be parsed or fails validation
+ */
+function loadRules(rulesPath = DEFAULT_RULES_PATH) {
+  if (!fs.existsSync(rulesPath)) {
+    return JSON.parse(JSON.stringify(DEFAULT_RULES));
+  }
+
+  let rules;
+  try {
+    rules = JSON.parse(fs.readFileSync(rulesPath, "utf8"));
+  } catch (error) {
+    throw new Error(`Invalid rules file ${rulesPath}: ${error.message}`);
+  }
+
+  const errors = validateRules(rules);
+  if (errors.length > 0) {
+    throw new Error(
+      `Invalid rules file ${rulesPath}:\n` +
+        errors.map((error) => `  - ${error}`).join("\n")
+    );
+  }
+
+  return {
+    defaults: {
+      ...DEFAULT_RULES.defaults,
+      ...(rules.defaults || {}),
+      alerts: { ...((rules.defaults && rules.defaults.alerts) || {}) },
+    },
+    themes: rules.themes || {},
+    sets: rules.sets || {},
+  };
+}
+
+/**
+ * Resolve the effective rule for a set: defaults, then theme, then set
+ * @param {Object} rules - Rules from loadRules
+ * @param {Object} set - Set data (uses setNumber and theme)
+ * @returns {Object} Effective thresholds and per-type alert settings
+ */
+function resolveRules(rules, set) {
+  const theme = (set.theme || "").toLowerCase();
+  const themeKey = Object.keys(rules.themes).find(
+    (name) => name.toLowerCase() === theme
+  );
+  const levels = [
+    rules.defaults,
+    themeKey ? rules.themes[themeKey] : {},
+    rules.sets[set.setNumber] || {},
+  ];
+
+  const resolved = { alerts: {} };
+  for (const level of levels) {
+    for (const [key, value] of Object.entries(level)) {
+      if (key === "alerts") {
+        for (const [type, settings] of Object.entries(value)) {
+          resolved.alerts[type] = { ...resolved.alerts[type], ...settings };
+        }
+      } else {
+        resolved[key] = value;
+      }
+    }
+  }
+
+  return resolved;
+}
+
+/**
+ * Check whether an alert type is enabled for a resolved rule
+ * @param {Object} rule - Result of resolveRules
+ * @param {string} type - Alert type
+ * @returns {boolean} True unless the type is disabled
+ */
+function isAlertEnabled(rule, type) {
+  const settings = rule.alerts[type];
+  return !settings || settings.enabled !== false;
+}
+
+/**
+ * Get the priority for an alert type, falling back to the built-in one
+ * @param {Object} rule - Result of resolveRules
+ * @param {string} type - Alert type
+ * @param {string} fallback - Built-in priority
+ * @returns {string} Priority
+ */
+function alertPriority(rule, type, fallback) {
+  const settings = rule.alerts[type];
+  return (settings && settings.priority) || fallback;
+}
+
+module.exports = {
+  DEFAULT_RULES_PATH,
+  DEFAULT_RULES,
+  validateRules,
+  loadRules,
+  resolveRules,
+  isAlertEnabled,
+  alertPriority,
+};
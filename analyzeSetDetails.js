@@ -4,15 +4,80 @@ const cheerio = require("cheerio");
 const {
   saveFile,
   getTimestamp,
+  parseTimestamp,
   findMostRecentFile,
   ensureDirectoryExists,
+  parseArgs,
 } = require("./utils");
+const {
+  assessSetHealth,
+  detectLayoutDrift,
+  formatHealthReport,
+} = require("./parseHealth");
+const {
+  openDatabase,
+  recordSnapshot,
+  recordSourceObservations,
+} = require("./database");
+const FetchManifest = require("./FetchManifest");
+const { loadAnalysisData } = require("./snapshots");
+const { calculateSpread, formatSpread } = require("./priceHistory");
+const {
+  SCHEMA_VERSION,
+  MONEY_PATTERN,
+  normalizeSet,
+  formatMoney,
+  formatPercent,
+  formatRetirementWindow,
+} = require("./schema");
+const { dataPath, applyDataOptions } = require("./paths");
+const { extractPageHistory, toObservations } = require("./pageHistory");
+
+/**
+ * Version of the extraction logic below. Bump it whenever extractSetDetails
+ * changes what it extracts, so snapshots record which parser produced them
+ * (re-analyze older fetches with --all to bring them up to date).
+ */
+const PARSER_VERSION = 3;
+
+// Name of a fetched set page, as written by fetchSetDetails.js
+const SET_PAGE_FILE = /^set-(\d+)\.html$/;
+
+/**
+ * Read a "New/Sealed" or "Used" value block: a "Value" row with the current
+ * value and, on some pages, a "Range" row with the low and high of recent sales
+ * @param {CheerioAPI} $ - Loaded page
+ * @param {string} heading - Heading of the block
+ * @returns {{value: string, range: string}} Display strings ("" if missing)
+ */
+function extractValueBlock($, heading) {
+  const block = { value: "", range: "" };
+  const box = $(`h4:contains('${heading}')`).parent().next();
+
+  box.find(".row.rowlist").each((i, elem) => {
+    const label = $(elem).find(".text-muted").first().text().trim();
+    const amounts =
+      $(elem)
+        .find(".col-xs-7")
+        .first()
+        .text()
+        .match(new RegExp(MONEY_PATTERN.source, "g")) || [];
+
+    if (label.includes("Value") && amounts.length > 0) {
+      block.value = amounts[0];
+    } else if (label.includes("Range") && amounts.length >= 2) {
+      block.range = `${amounts[0]} - ${amounts[1]}`;
+    }
+  });
+
+  return block;
+}
 
 /**
  * Extract set details from HTML content
  * @param {string} html - HTML content
  * @param {string} setNumber - Set number
- * @returns {Object} Extracted set details
+ * @returns {Object} Extracted set details in the current schema (see schema.js)
  */
 function extractSetDetails(html, setNumber) {
   const $ = cheerio.load(html);
@@ -44,10 +109,14 @@ function extractSetDetails(html, setNumber) {
     rating: "",
     reviewCount: "",
   };
+  const missingAnchors = [];
 
   try {
     // Extract from "Set Details" section
     const setDetailsBox = $("h4:contains('Set Details')").parent().next();
+    if (setDetailsBox.find(".row.rowlist").length === 0) {
+      missingAnchors.push("Set Details");
+    }
     setDetailsBox.find(".row.rowlist").each((i, elem) => {
       const label = $(elem).find(".text-muted").first().text().trim();
       const value = $(elem).find(".col-xs-7").first().text().trim();
@@ -66,19 +135,26 @@ function extractSetDetails(html, setNumber) {
         const piecesText = value;
         const piecesNum = piecesText.match(/^([\d,]+)/);
         if (piecesNum) details.pieces = piecesNum[1];
-        const pppMatch = piecesText.match(/PPP \$(\d+\.\d+)/);
-        if (pppMatch) details.pricePerPiece = `$${pppMatch[1]}`;
+        const pppMatch = piecesText.match(
+          new RegExp(`PPP\\s*(${MONEY_PATTERN.source})`)
+        );
+        if (pppMatch) details.pricePerPiece = pppMatch[1];
       } else if (label.includes("Minifigs")) {
         const minifigsText = value;
         const minifigsNum = minifigsText.match(/^(\d+)/);
         if (minifigsNum) details.minifigs = minifigsNum[1];
-        const valueMatch = minifigsText.match(/Value \$(\d+\.\d+)/);
-        if (valueMatch) details.minifigsValue = `$${valueMatch[1]}`;
+        const valueMatch = minifigsText.match(
+          new RegExp(`Value\\s*(${MONEY_PATTERN.source})`)
+        );
+        if (valueMatch) details.minifigsValue = valueMatch[1];
       }
     });
 
     // Extract from "Set Pricing" section
     const setPricingBox = $("h4:contains('Set Pricing')").parent().next();
+    if (setPricingBox.find(".row.rowlist").length === 0) {
+      missingAnchors.push("Set Pricing");
+    }
     setPricingBox.find(".row.rowlist").each((i, elem) => {
       const label = $(elem).find(".text-muted").first().text().trim();
       const value = $(elem).find(".col-xs-7").first();
@@ -87,7 +163,7 @@ function extractSetDetails(html, setNumber) {
         details.retailPrice = value.text().trim();
       } else if (label.includes("Market price")) {
         const marketText = value.text().trim();
-        const priceMatch = marketText.match(/\$[\d,]+\.?\d*/);
+        const priceMatch = marketText.match(MONEY_PATTERN);
         if (priceMatch) details.marketPrice = priceMatch[0];
         const changeMatch = marketText.match(/([-+]?\d+\.?\d*%)/);
         if (changeMatch) details.marketPriceChange = changeMatch[1];
@@ -98,6 +174,9 @@ function extractSetDetails(html, setNumber) {
     const setPredictionsBox = $("h4:contains('Set Predictions')")
       .parent()
       .next();
+    if (setPredictionsBox.find(".row.rowlist").length === 0) {
+      missingAnchors.push("Set Predictions");
+    }
     setPredictionsBox.find(".row.rowlist").each((i, elem) => {
       const label = $(elem).find(".text-muted").first().text().trim();
       const value = $(elem).find(".col-xs-7").first();
@@ -122,6 +201,16 @@ function extractSetDetails(html, setNumber) {
       }
     });
 
+    // Extract the new/sealed and used values (optional: older pages and
+    // sets without used sales have neither block)
+    const newSealed = extractValueBlock($, "New/Sealed");
+    const used = extractValueBlock($, "Used");
+    details.currentValue = {
+      newSealed: newSealed.value,
+      used: used.value,
+      usedRange: used.range,
+    };
+
     // Extract rating from JSON-LD if available
     const jsonLdScript = $('script[type="application/ld+json"]').first();
     if (jsonLdScript.length) {
@@ -137,7 +226,19 @@ function extractSetDetails(html, setNumber) {
     console.error(`Error parsing set ${setNumber}: ${error.message}`);
   }
 
-  return details;
+  const set = normalizeSet(details);
+  set.parseHealth = assessSetHealth(set, missingAnchors);
+
+  return set;
+}
+
+/**
+ * Show a possibly missing value in a text report
+ * @param {*} value - Value from a typed set record
+ * @returns {string} The value, or an empty string if it is null
+ */
+function show(value) {
+  return value === null || value === undefined ? "" : String(value);
 }
 
 /**
@@ -146,6 +247,7 @@ function extractSetDetails(html, setNumber) {
  * @returns {string} Formatted text
  */
 function formatSetDetailsAsText(details) {
+  const money = (value) => formatMoney(value, "", details.currency);
   let text = `LEGO Set ${details.setNumber} - Analysis Report\n`;
   text += "=".repeat(70) + "\n\n";
 
@@ -153,167 +255,453 @@ function formatSetDetailsAsText(details) {
   text += "-".repeat(70) + "\n";
   text += `Set Number: ${details.setNumber}\n`;
   text += `Name: ${details.name}\n`;
-  text += `Theme: ${details.theme}\n`;
-  text += `Pieces: ${details.pieces}\n`;
-  text += `Minifigures: ${details.minifigs}${
-    details.minifigsValue ? ` (Value: ${details.minifigsValue})` : ""
+  text += `Theme: ${show(details.theme)}\n`;
+  text += `Pieces: ${show(details.pieces)}\n`;
+  text += `Minifigures: ${show(details.minifigs)}${
+    details.minifigsValue !== null
+      ? ` (Value: ${money(details.minifigsValue)})`
+      : ""
   }\n`;
-  text += `Price Per Piece: ${details.pricePerPiece}\n`;
-  text += `Rating: ${details.rating}${
+  text += `Price Per Piece: ${money(details.pricePerPiece)}\n`;
+  text += `Rating: ${show(details.rating)}${
     details.reviewCount ? ` (${details.reviewCount} reviews)` : ""
   }\n`;
-  text += `Availability: ${details.availability}\n`;
-  text += `Retired: ${details.retired}\n`;
+  text += `Availability: ${show(details.availability)}\n`;
+  text += `Retired: ${show(details.retired)}\n`;
   text += "\n";
 
   text += "PRICING INFORMATION\n";
   text += "-".repeat(70) + "\n";
-  text += `Retail Price (MSRP): ${details.retailPrice}\n`;
-  text += `Current Market Price: ${details.marketPrice}`;
-  if (details.marketPriceChange) {
-    text += ` (${details.marketPriceChange})`;
+  text += `Currency: ${details.currency}\n`;
+  text += `Retail Price (MSRP): ${money(details.retailPrice)}\n`;
+  text += `Current Market Price: ${money(details.marketPrice)}`;
+  if (details.marketPriceChange !== null) {
+    text += ` (${formatPercent(details.marketPriceChange)})`;
   }
   text += "\n";
-  if (details.currentValue.newSealed) {
-    text += `Current Value (New/Sealed): ${details.currentValue.newSealed}\n`;
+  if (details.currentValue.newSealed !== null) {
+    text += `Current Value (New/Sealed): ${money(
+      details.currentValue.newSealed
+    )}\n`;
   }
-  if (details.currentValue.used) {
-    text += `Current Value (Used): ${details.currentValue.used}`;
+  if (details.currentValue.used !== null) {
+    text += `Current Value (Used): ${money(details.currentValue.used)}`;
     if (details.currentValue.usedRange) {
-      text += ` ${details.currentValue.usedRange}`;
+      text += ` (${money(details.currentValue.usedRange.low)} - ${money(
+        details.currentValue.usedRange.high
+      )})`;
     }
     text += "\n";
   }
+  const spread = calculateSpread(
+    details.currentValue.newSealed,
+    details.currentValue.used
+  );
+  if (spread) {
+    text += `Sealed/Used Spread: ${formatSpread(spread, details.currency)}\n`;
+  }
   text += "\n";
 
   text += "RETIREMENT & PREDICTIONS\n";
   text += "-".repeat(70) + "\n";
-  text += `Retirement Estimate: ${details.retirementEstimate}\n`;
-  text += `Retirement Pop: ${details.retirementPop}\n`;
-  text += `Annual Growth (First Year): ${details.annualGrowthFirstYear}\n`;
-  text += `Annual Growth (Second Year): ${details.annualGrowthSecondYear}\n`;
-  text += `1 Year Retired Value: ${details.oneYearRetiredValue}\n`;
-  text += `5 Years Retired Value: ${details.fiveYearsRetiredValue}\n`;
+  text += `Retirement Estimate: ${formatRetirementWindow(
+    details.retirementEstimate
+  )}\n`;
+  text += `Retirement Pop: ${formatPercent(details.retirementPop)}\n`;
+  text += `Annual Growth (First Year): ${formatPercent(
+    details.annualGrowthFirstYear
+  )}\n`;
+  text += `Annual Growth (Second Year): ${formatPercent(
+    details.annualGrowthSecondYear
+  )}\n`;
+  text += `1 Year Retired Value: ${money(details.oneYearRetiredValue)}\n`;
+  text += `5 Years Retired Value: ${money(details.fiveYearsRetiredValue)}\n`;
   text += "\n";
 
+  if (details.parseHealth) {
+    const health = details.parseHealth;
+    text += "PARSE HEALTH\n";
+    text += "-".repeat(70) + "\n";
+    text += `Completeness: ${health.score}%\n`;
+    if (health.missingFields.length > 0) {
+      text += `Missing Fields: ${health.missingFields.join(", ")}\n`;
+    }
+    if (health.missingAnchors.length > 0) {
+      text += `Missing Sections: ${health.missingAnchors.join(", ")}\n`;
+    }
+    if (!health.passed) {
+      text += `QUARANTINED: missing required ${health.missingRequired.join(
+        ", "
+      )}\n`;
+    }
+    text += "\n";
+  }
+
   text += "-".repeat(70) + "\n";
   text += `Report generated: ${new Date().toLocaleString()}\n`;
 
   return text;
 }
 
-(async () => {
-  try {
-    // Find the most recent set-details directory
-    const setDetailsBaseDir = path.join(__dirname, "data", "set-details");
+/**
+ * List the fetch directories in data/set-details, oldest first
+ * @returns {Array<string>} Fetch timestamps (directory names)
+ */
+function listFetchDirectories() {
+  const detailsDir = dataPath("set-details");
+  if (!fs.existsSync(detailsDir)) return [];
+  return fs
+    .readdirSync(detailsDir)
+    .filter((f) => fs.statSync(path.join(detailsDir, f)).isDirectory())
+    .sort();
+}
 
-    if (!fs.existsSync(setDetailsBaseDir)) {
-      console.error("Error: set-details directory not found!");
-      console.log("Please run fetchSetDetails.js first.");
-      process.exit(1);
+/**
+ * Pick the fetch directories to analyze from the CLI flags
+ * Without a backfill flag only the most recent fetch is analyzed
+ * @param {Array<string>} dirs - All fetch timestamps, oldest first
+ * @param {Object} flags - Parsed CLI flags (all, since, timestamp)
+ * @returns {Array<string>} Fetch timestamps to analyze, oldest first
+ * @throws {Error} If a flag value is invalid
+ */
+function selectFetchDirectories(dirs, flags) {
+  if (flags.timestamp) {
+    if (!dirs.includes(flags.timestamp)) {
+      throw new Error(
+        `No fetch directory data/set-details/${flags.timestamp} found`
+      );
     }
+    return [flags.timestamp];
+  }
 
-    const dirs = fs
-      .readdirSync(setDetailsBaseDir)
-      .filter((f) => fs.statSync(path.join(setDetailsBaseDir, f)).isDirectory())
-      .sort()
-      .reverse();
+  if (flags.since) {
+    const since = new Date(flags.since);
+    if (flags.since === true || isNaN(since)) {
+      throw new Error(
+        `--since expects a date like 2025-11-01 (got "${flags.since}")`
+      );
+    }
+    return dirs.filter((dir) => {
+      const fetchedAt = parseTimestamp(dir);
+      return fetchedAt && fetchedAt >= since;
+    });
+  }
 
-    if (dirs.length === 0) {
-      console.error("Error: No set-details subdirectories found!");
-      process.exit(1);
+  if (flags.all) return dirs;
+
+  return dirs.slice(-1);
+}
+
+/**
+ * Analyze one fetch directory and (re)write its set-analysis outputs
+ * Re-running over the same directory replaces the earlier outputs
+ * @param {string} fetchTimestamp - Fetch directory name
+ * @param {Database|null} db - Database handle to record the snapshot in (null on a dry run)
+ * @param {Object} options - {backfill, previous, dryRun}: backfill is true when
+ *   re-analyzing older fetches, previous is the existing analysis data (if any),
+ *   dryRun analyzes without writing any files or database rows
+ * @returns {Object|null} Analysis data, or null if the directory has no HTML files
+ */
+function analyzeFetchDirectory(fetchTimestamp, db, options = {}) {
+  const fetchDir = dataPath("set-details", fetchTimestamp);
+
+  console.log(`Analyzing sets from: data/set-details/${fetchTimestamp}\n`);
+
+  // Warn when the fetch run did not complete
+  const manifest = new FetchManifest(fetchDir, fetchTimestamp);
+  if (manifest.exists()) {
+    const fetchSummary = manifest.getSummary();
+    if (fetchSummary.failed + fetchSummary.skipped > 0) {
+      console.log(
+        `⚠️  Fetch run is incomplete: ${fetchSummary.failed} failed, ${fetchSummary.skipped} skipped`
+      );
+      console.log(
+        `   Run "node fetchSetDetails.js --resume ${fetchTimestamp}" to fill in the missing sets\n`
+      );
     }
+  }
 
-    const latestDir = path.join(setDetailsBaseDir, dirs[0]);
-    const fetchTimestamp = dirs[0]; // Use the directory name as timestamp
+  // Get the fetched set pages; other files in the directory are not set pages
+  const files = fs.readdirSync(fetchDir).filter((f) => SET_PAGE_FILE.test(f));
 
-    console.log(`Analyzing sets from: data/set-details/${fetchTimestamp}\n`);
+  if (files.length === 0) {
+    console.error("Error: No set pages found in the directory!");
+    return null;
+  }
 
-    // Get all HTML files
-    const files = fs.readdirSync(latestDir).filter((f) => f.endsWith(".html"));
+  console.log(`Found ${files.length} set(s) to analyze:\n`);
 
-    if (files.length === 0) {
-      console.error("Error: No HTML files found in the directory!");
-      process.exit(1);
-    }
+  // Create output directory matching the fetch timestamp
+  const outputDir = dataPath("set-analysis", fetchTimestamp);
+  if (!options.dryRun) ensureDirectoryExists(outputDir);
 
-    console.log(`Found ${files.length} set(s) to analyze:\n`);
+  // Keep the original analysis date so re-analysis does not reorder history;
+  // fetches analyzed for the first time by a backfill are dated by their fetch
+  const previous = options.previous;
+  let analysisDate = new Date().toISOString();
+  if (previous && previous.analysisDate) {
+    analysisDate = previous.analysisDate;
+  } else if (options.backfill && parseTimestamp(fetchTimestamp)) {
+    analysisDate = parseTimestamp(fetchTimestamp).toISOString();
+  }
 
-    // Create output directory matching the fetch timestamp
-    const outputDir = path.join(
-      __dirname,
-      "data",
-      "set-analysis",
-      fetchTimestamp
-    );
-    ensureDirectoryExists(outputDir);
+  // Process each file
+  const allSetsData = [];
+  const fetchedAt = parseTimestamp(fetchTimestamp) || new Date(analysisDate);
+  const pageObservations = [];
+  for (let i = 0; i < files.length; i++) {
+    const file = files[i];
+    const setNumber = file.match(SET_PAGE_FILE)[1];
 
-    // Process each file
-    const allSetsData = [];
-    for (let i = 0; i < files.length; i++) {
-      const file = files[i];
-      const setNumber = file.match(/set-(\d+)\.html/)[1];
+    console.log(`[${i + 1}/${files.length}] Analyzing set ${setNumber}...`);
 
-      console.log(`[${i + 1}/${files.length}] Analyzing set ${setNumber}...`);
+    const htmlPath = path.join(fetchDir, file);
+    const html = fs.readFileSync(htmlPath, "utf8");
 
-      const htmlPath = path.join(latestDir, file);
-      const html = fs.readFileSync(htmlPath, "utf8");
+    const details = extractSetDetails(html, setNumber);
+    allSetsData.push(details);
 
-      const details = extractSetDetails(html, setNumber);
-      allSetsData.push(details);
+    // The value history behind the page's charts, kept as backdated prices
+    const pageHistory = toObservations(
+      setNumber,
+      extractPageHistory(html, fetchedAt),
+      fetchTimestamp,
+      details.currency
+    );
+    pageObservations.push(...pageHistory);
+    if (pageHistory.length > 0) {
+      console.log(`  ✓ Found ${pageHistory.length} point(s) of page history`);
+    }
+    if (!details.parseHealth.passed) {
+      console.log(
+        `  ⚠️  Missing required fields: ${details.parseHealth.missingRequired.join(
+          ", "
+        )}`
+      );
+    }
 
-      // Save individual set analysis
+    // Save individual set analysis
+    if (!options.dryRun) {
       const txtContent = formatSetDetailsAsText(details);
       const txtFilename = `set-${setNumber}-analysis.txt`;
       saveFile(txtFilename, txtContent, outputDir);
 
       console.log(`  ✓ Saved analysis to ${txtFilename}`);
     }
+  }
 
-    // Create summary file
-    console.log(`\nCreating summary report...`);
-    let summary = "LEGO Sets Analysis Summary\n";
-    summary += "=".repeat(70) + "\n\n";
-    summary += `Total Sets Analyzed: ${allSetsData.length}\n`;
-    summary += `Fetch Timestamp: ${fetchTimestamp}\n`;
-    summary += `Analysis Date: ${new Date().toLocaleString()}\n\n`;
-    summary += "=".repeat(70) + "\n\n";
-
-    allSetsData.forEach((details, index) => {
-      summary += `${index + 1}. Set ${details.setNumber}: ${details.name}\n`;
-      summary += `   Theme: ${details.theme}\n`;
-      summary += `   Retail: ${details.retailPrice} | Market: ${details.marketPrice}\n`;
-      summary += `   Availability: ${details.availability}\n`;
-      summary += `   Retired: ${details.retired}\n`;
-      summary += `   Retirement Estimate: ${details.retirementEstimate}\n`;
-      summary += `   Annual Growth (1Y): ${details.annualGrowthFirstYear}\n`;
-      summary += `   5 Years Retired Value: ${details.fiveYearsRetiredValue}\n`;
-      summary += "\n";
-    });
+  // Check parser health across the run
+  const healthySets = allSetsData.filter((d) => d.parseHealth.passed);
+  const quarantined = allSetsData.filter((d) => !d.parseHealth.passed);
+  const drift = detectLayoutDrift(allSetsData);
+  const healthReport = formatHealthReport(allSetsData, quarantined, drift);
+
+  console.log("\n" + healthReport);
+
+  // Save JSON data for historical tracking (quarantined sets excluded)
+  const averageScore =
+    allSetsData.reduce((sum, d) => sum + d.parseHealth.score, 0) /
+    allSetsData.length;
+  const jsonData = {
+    schemaVersion: SCHEMA_VERSION,
+    fetchTimestamp,
+    analysisDate,
+    parserVersion: PARSER_VERSION,
+    setCount: healthySets.length,
+    health: {
+      averageScore: Math.round(averageScore * 10) / 10,
+      quarantined: quarantined.map((d) => d.setNumber),
+      drift,
+    },
+    sets: healthySets,
+  };
+  if (previous && previous.analysisDate) {
+    jsonData.reanalyzedAt = new Date().toISOString();
+  }
 
-    saveFile("_summary.txt", summary, outputDir);
-    console.log(`✓ Saved summary to _summary.txt`);
+  if (options.dryRun) {
+    console.log(
+      `Dry run - nothing written to data/set-analysis/${fetchTimestamp} or the database`
+    );
+    return jsonData;
+  }
 
-    // Save JSON data for historical tracking
-    const jsonData = {
-      fetchTimestamp,
-      analysisDate: new Date().toISOString(),
-      setCount: allSetsData.length,
-      sets: allSetsData,
-    };
+  // Create summary file
+  console.log(`Creating summary report...`);
+  let summary = "LEGO Sets Analysis Summary\n";
+  summary += "=".repeat(70) + "\n\n";
+  summary += `Total Sets Analyzed: ${allSetsData.length}\n`;
+  summary += `Fetch Timestamp: ${fetchTimestamp}\n`;
+  summary += `Analysis Date: ${new Date(analysisDate).toLocaleString()}\n`;
+  summary += `Parser Version: ${PARSER_VERSION}\n\n`;
+  summary += "=".repeat(70) + "\n\n";
+  summary += healthReport + "\n";
+  summary += "=".repeat(70) + "\n\n";
+
+  healthySets.forEach((details, index) => {
+    const money = (value) => formatMoney(value, "", details.currency);
+    summary += `${index + 1}. Set ${details.setNumber}: ${details.name}\n`;
+    summary += `   Theme: ${show(details.theme)}\n`;
+    summary += `   Retail: ${money(details.retailPrice)} | Market: ${money(
+      details.marketPrice
+    )}\n`;
+    summary += `   Availability: ${show(details.availability)}\n`;
+    summary += `   Retired: ${show(details.retired)}\n`;
+    summary += `   Retirement Estimate: ${formatRetirementWindow(
+      details.retirementEstimate
+    )}\n`;
+    summary += `   Annual Growth (1Y): ${formatPercent(
+      details.annualGrowthFirstYear
+    )}\n`;
+    summary += `   5 Years Retired Value: ${money(
+      details.fiveYearsRetiredValue
+    )}\n`;
+    summary += "\n";
+  });
+
+  saveFile("_summary.txt", summary, outputDir);
+  console.log(`✓ Saved summary to _summary.txt`);
+
+  saveFile("analysis-data.json", JSON.stringify(jsonData, null, 2), outputDir);
+  console.log(`✓ Saved JSON data to analysis-data.json`);
+
+  // Record the snapshot in the time-series database
+  recordSnapshot(db, jsonData);
+  console.log(`✓ Recorded snapshot in ${db.name}`);
+  if (pageObservations.length > 0) {
+    recordSourceObservations(db, pageObservations);
+    console.log(
+      `✓ Recorded ${pageObservations.length} backdated price(s) from the page histories`
+    );
+  }
+
+  const quarantinePath = path.join(outputDir, "quarantine.json");
+  if (quarantined.length > 0) {
     saveFile(
-      "analysis-data.json",
-      JSON.stringify(jsonData, null, 2),
+      "quarantine.json",
+      JSON.stringify(
+        {
+          schemaVersion: SCHEMA_VERSION,
+          fetchTimestamp,
+          setCount: quarantined.length,
+          sets: quarantined,
+        },
+        null,
+        2
+      ),
       outputDir
     );
-    console.log(`✓ Saved JSON data to analysis-data.json`);
+    console.log(
+      `⚠️  Quarantined ${quarantined.length} set(s) to quarantine.json`
+    );
+  } else if (fs.existsSync(quarantinePath)) {
+    // Left over from an earlier analysis of this fetch
+    fs.unlinkSync(quarantinePath);
+  }
+
+  console.log(
+    `\n✓ Complete! Analysis saved to: data/set-analysis/${fetchTimestamp}`
+  );
+
+  return jsonData;
+}
+
+/**
+ * Analyze the most recent fetch, or older fetches when backfilling
+ * @param {Object} flags - Parsed flags: all, since, timestamp, dry-run
+ * @returns {Promise<Object>} {fetches: [{fetchTimestamp, setCount, quarantined}], partial}
+ *   where partial is true when any set was quarantined
+ * @throws {Error} If there is nothing to analyze
+ */
+async function run(flags = {}) {
+  applyDataOptions(flags);
+  const dryRun = Boolean(flags["dry-run"]);
+
+  if (!fs.existsSync(dataPath("set-details"))) {
+    throw new Error(
+      "set-details directory not found! Run fetchSetDetails.js first."
+    );
+  }
+
+  const dirs = listFetchDirectories();
 
+  if (dirs.length === 0) {
+    throw new Error("No set-details subdirectories found!");
+  }
+
+  const backfill = Boolean(flags.all || flags.since || flags.timestamp);
+  const selected = selectFetchDirectories(dirs, flags);
+
+  if (backfill) {
     console.log(
-      `\n✓ Complete! Analysis saved to: data/set-analysis/${fetchTimestamp}`
+      `Re-analyzing ${selected.length} fetch(es) with parser version ${PARSER_VERSION}\n`
     );
-  } catch (error) {
-    console.error(`Fatal error: ${error.message}`);
-    console.error(error.stack);
-    process.exit(1);
   }
-})();
+
+  const db = dryRun ? null : openDatabase();
+  const results = [];
+  try {
+    for (const fetchTimestamp of selected) {
+      if (backfill) console.log("=".repeat(70));
+      const previous = loadAnalysisData(fetchTimestamp);
+      const analysis = analyzeFetchDirectory(fetchTimestamp, db, {
+        backfill,
+        previous,
+        dryRun,
+      });
+      results.push({ fetchTimestamp, analysis, previous });
+    }
+  } finally {
+    if (db) db.close();
+  }
+
+  if (!backfill && !results[0].analysis) {
+    throw new Error(`Nothing to analyze in data/set-details/${selected[0]}`);
+  }
+
+  const analyzed = results.filter((result) => result.analysis);
+  const summary = {
+    fetches: analyzed.map(({ fetchTimestamp, analysis }) => ({
+      fetchTimestamp,
+      setCount: analysis.setCount,
+      quarantined: analysis.health.quarantined,
+    })),
+    partial: analyzed.some(
+      ({ analysis }) => analysis.health.quarantined.length > 0
+    ),
+  };
+
+  if (!backfill) return summary;
+
+  console.log("\n" + "=".repeat(70));
+  console.log(`Backfill complete: ${selected.length} fetch(es)\n`);
+  for (const { fetchTimestamp, analysis, previous } of results) {
+    if (!analysis) {
+      console.log(`  - ${fetchTimestamp}: skipped (no HTML files)`);
+      continue;
+    }
+    let was = "first analysis";
+    if (previous) {
+      was = previous.parserVersion
+        ? `was v${previous.parserVersion}`
+        : "previously unversioned";
+    }
+    console.log(
+      `  ✓ ${fetchTimestamp}: ${analysis.setCount} set(s), ${analysis.health.quarantined.length} quarantined (${was})`
+    );
+  }
+
+  return summary;
+}
+
+module.exports = { extractSetDetails, analyzeFetchDirectory, run };
+
+if (require.main === module) {
+  run(parseArgs(process.argv.slice(2), ["all", "dry-run"]).flags).catch(
+    (error) => {
+      console.error(`Fatal error: ${error.message}`);
+      console.error(error.stack);
+      process.exit(1);
+    }
+  );
+}
@@ -0,0 +1,281 @@
+/**
+ * Self-contained SVG line charts and HTML pages for price histories
+ * Everything is inlined (no scripts, fonts or CDN assets), so the output
+ * works offline and can be attached to reports as-is.
+ */
+
+const CHART_DEFAULTS = {
+  width: 860,
+  height: 380,
+  margin: { top: 36, right: 170, bottom: 44, left: 70 },
+};
+
+/**
+ * Colors assigned to series in order
+ */
+const PALETTE = [
+  "#1f77b4",
+  "#d62728",
+  "#2ca02c",
+  "#ff7f0e",
+  "#9467bd",
+  "#8c564b",
+  "#e377c2",
+  "#17becf",
+  "#7f7f7f",
+  "#bcbd22",
+];
+
+const REFERENCE_COLOR = "#555555";
+const MARKER_COLOR = "#b8860b";
+
+/**
+ * Escape text for use in SVG/HTML
+ * @param {*} value - Text
+ * @returns {string} Escaped text
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Pick evenly spaced, round tick values spanning a range
+ * @param {number} min - Lowest value
+ * @param {number} max - Highest value
+ * @param {number} count - Roughly how many ticks to show
+ * @returns {Array<number>} Tick values
+ */
+function niceTicks(min, max, count = 5) {
+  const rawStep = (max - min) / count || 1;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(rawStep)));
+  const step =
+    [1, 2, 2.5, 5, 10].map((m) => m * magnitude).find((s) => s >= rawStep) ||
+    10 * magnitude;
+
+  // Start and end on a tick so the axis is labelled at both edges
+  const ticks = [];
+  const last = Math.ceil(max / step) * step;
+  for (
+    let v = Math.floor(min / step) * step;
+    v <= last + step / 1e6;
+    v += step
+  ) {
+    ticks.push(Number(v.toFixed(10)));
+  }
+  return ticks;
+}
+
+/**
+ * Format a date as YYYY-MM-DD
+ * @param {Date} date - Date
+ * @returns {string} ISO date
+ */
+function isoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Render a line chart of values over time as an SVG document
+ * @param {Object} chart - Chart contents:
+ *   title - Heading drawn above the plot
+ *   series - [{label, points: [{date: Date, value: number}], color}]
+ *   referenceLines - [{label, value}] horizontal dashed lines (e.g. MSRP)
+ *   markers - [{label, date: Date}] vertical dashed lines (e.g. retirement)
+ *   formatValue - Formats axis and tooltip values (default: the number)
+ * @param {Object} options - {width, height, margin} overrides
+ * @returns {string} SVG markup
+ */
+function renderLineChart(chart, options = {}) {
+  const { width, height, margin } = { ...CHART_DEFAULTS, ...options };
+  const format = chart.formatValue || ((v) => String(v));
+  const series = (chart.series || []).filter((s) => s.points.length > 0);
+  const referenceLines = (chart.referenceLines || []).filter(
+    (line) => line.value !== null && line.value !== undefined
+  );
+  const markers = (chart.markers || []).filter((m) => m.date);
+
+  const plotWidth = width - margin.left - margin.right;
+  const plotHeight = height - margin.top - margin.bottom;
+
+  let svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="Helvetica, Arial, sans-serif" font-size="12">\n`;
+  svg += `<rect width="${width}" height="${height}" fill="#ffffff"/>\n`;
+  if (chart.title) {
+    svg += `<text x="${
+      margin.left
+    }" y="20" font-size="15" font-weight="bold">${escapeXml(
+      chart.title
+    )}</text>\n`;
+  }
+
+  if (series.length === 0) {
+    svg += `<text x="${width / 2}" y="${
+      height / 2
+    }" text-anchor="middle" fill="#888">No price data</text>\n</svg>`;
+    return svg;
+  }
+
+  // Scales cover every point, reference line and marker
+  const times = series
+    .flatMap((s) => s.points.map((p) => p.date.getTime()))
+    .concat(markers.map((m) => m.date.getTime()));
+  let minTime = Math.min(...times);
+  let maxTime = Math.max(...times);
+  if (minTime === maxTime) {
+    minTime -= 86400000;
+    maxTime += 86400000;
+  }
+
+  const values = series
+    .flatMap((s) => s.points.map((p) => p.value))
+    .concat(referenceLines.map((line) => line.value));
+  let minValue = Math.min(...values);
+  let maxValue = Math.max(...values);
+  const padding = (maxValue - minValue) * 0.08 || Math.abs(maxValue) * 0.1 || 1;
+  minValue -= padding;
+  maxValue += padding;
+  const yTicks = niceTicks(minValue, maxValue);
+  minValue = yTicks[0];
+  maxValue = yTicks[yTicks.length - 1];
+
+  const x = (time) =>
+    margin.left + ((time - minTime) / (maxTime - minTime)) * plotWidth;
+  const y = (value) =>
+    margin.top + (1 - (value - minValue) / (maxValue - minValue)) * plotHeight;
+  const round = (n) => n.toFixed(1);
+
+  // Grid and axes
+  svg += `<g stroke="#e5e5e5">\n`;
+  for (const tick of yTicks) {
+    svg += `<line x1="${margin.left}" x2="${
+      margin.left + plotWidth
+    }" y1="${round(y(tick))}" y2="${round(y(tick))}"/>\n`;
+  }
+  svg += `</g>\n`;
+  svg += `<g fill="#444" text-anchor="end">\n`;
+  for (const tick of yTicks) {
+    svg += `<text x="${margin.left - 8}" y="${round(y(tick) + 4)}">${escapeXml(
+      format(tick)
+    )}</text>\n`;
+  }
+  svg += `</g>\n`;
+
+  const xTickCount = Math.min(6, Math.max(2, Math.floor(plotWidth / 120)));
+  svg += `<g fill="#444" text-anchor="middle">\n`;
+  for (let i = 0; i <= xTickCount; i++) {
+    const time = minTime + ((maxTime - minTime) * i) / xTickCount;
+    svg += `<text x="${round(x(time))}" y="${
+      margin.top + plotHeight + 18
+    }">${isoDate(new Date(time))}</text>\n`;
+  }
+  svg += `</g>\n`;
+  svg += `<rect x="${margin.left}" y="${margin.top}" width="${plotWidth}" height="${plotHeight}" fill="none" stroke="#999"/>\n`;
+
+  // Reference lines
+  for (const line of referenceLines) {
+    const ly = round(y(line.value));
+    svg += `<line x1="${margin.left}" x2="${
+      margin.left + plotWidth
+    }" y1="${ly}" y2="${ly}" stroke="${
+      line.color || REFERENCE_COLOR
+    }" stroke-dasharray="6 4"/>\n`;
+    svg += `<text x="${margin.left + plotWidth + 6}" y="${round(
+      y(line.value) + 4
+    )}" fill="${line.color || REFERENCE_COLOR}">${escapeXml(
+      `${line.label} ${format(line.value)}`
+    )}</text>\n`;
+  }
+
+  // Markers
+  for (const marker of markers) {
+    const mx = round(x(marker.date.getTime()));
+    svg += `<line x1="${mx}" x2="${mx}" y1="${margin.top}" y2="${
+      margin.top + plotHeight
+    }" stroke="${marker.color || MARKER_COLOR}" stroke-dasharray="3 3"/>\n`;
+    svg += `<text x="${mx}" y="${margin.top - 6}" text-anchor="middle" fill="${
+      marker.color || MARKER_COLOR
+    }">${escapeXml(marker.label)}</text>\n`;
+  }
+
+  // Series
+  series.forEach((s, index) => {
+    const color = s.color || PALETTE[index % PALETTE.length];
+    const points = s.points
+      .map((p) => `${round(x(p.date.getTime()))},${round(y(p.value))}`)
+      .join(" ");
+    svg += `<polyline points="${points}" fill="none" stroke="${color}" stroke-width="2"/>\n`;
+    for (const p of s.points) {
+      svg += `<circle cx="${round(x(p.date.getTime()))}" cy="${round(
+        y(p.value)
+      )}" r="3" fill="${color}"><title>${escapeXml(
+        `${s.label}: ${format(p.value)} on ${isoDate(p.date)}`
+      )}</title></circle>\n`;
+    }
+  });
+
+  // Legend (only useful with more than one series)
+  if (series.length > 1) {
+    const legendX = margin.left + plotWidth + 10;
+    let legendY = margin.top + referenceLines.length * 18 + 12;
+    series.forEach((s, index) => {
+      const color = s.color || PALETTE[index % PALETTE.length];
+      svg += `<rect x="${legendX}" y="${
+        legendY - 9
+      }" width="10" height="10" fill="${color}"/>\n`;
+      svg += `<text x="${legendX + 16}" y="${legendY}">${escapeXml(
+        s.label.length > 22 ? `${s.label.slice(0, 21)}…` : s.label
+      )}</text>\n`;
+      legendY += 18;
+    });
+  }
+
+  svg += `</svg>`;
+  return svg;
+}
+
+/**
+ * Wrap charts in a standalone HTML page
+ * @param {string} title - Page title
+ * @param {Array<{heading: string, svg: string, notes: Array<string>}>} sections - Charts with optional notes
+ * @returns {string} HTML document
+ */
+function renderChartPage(title, sections) {
+  let html = "<!DOCTYPE html>\n";
+  html += `<html lang="en">\n<head>\n<meta charset="utf-8">\n`;
+  html += `<title>${escapeXml(title)}</title>\n`;
+  html += `<style>
+body { font-family: Helvetica, Arial, sans-serif; margin: 24px; color: #222; }
+h1 { font-size: 20px; }
+h2 { font-size: 16px; margin-top: 32px; }
+ul { padding-left: 20px; color: #444; }
+svg { max-width: 100%; height: auto; border: 1px solid #ddd; }
+footer { margin-top: 32px; font-size: 12px; color: #888; }
+</style>\n</head>\n<body>\n`;
+  html += `<h1>${escapeXml(title)}</h1>\n`;
+
+  for (const section of sections) {
+    if (section.heading) html += `<h2>${escapeXml(section.heading)}</h2>\n`;
+    html += `${section.svg}\n`;
+    if (section.notes && section.notes.length > 0) {
+      html += `<ul>\n${section.notes
+        .map((note) => `<li>${escapeXml(note)}</li>`)
+        .join("\n")}\n</ul>\n`;
+    }
+  }
+
+  html += `<footer>Generated ${escapeXml(
+    new Date().toLocaleString()
+  )} by lego-monitor</footer>\n`;
+  html += "</body>\n</html>\n";
+  return html;
+}
+
+module.exports = {
+  PALETTE,
+  escapeXml,
+  renderLineChart,
+  renderChartPage,
+};
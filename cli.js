@@ -0,0 +1,298 @@
+#!/usr/bin/env node
+const { parseArgs } = require("./utils");
+const {
+  getDataRoot,
+  getProfileDir,
+  getDataDir,
+  getProfile,
+  applyDataOptions,
+  listProfiles,
+} = require("./paths");
+
+/**
+ * Process exit codes, so cron and CI can tell a partial run from a failure
+ */
+const EXIT_CODES = {
+  OK: 0,
+  FAILURE: 1,
+  PARTIAL: 2,
+  USAGE: 64,
+};
+
+const GLOBAL_BOOLEANS = ["quiet", "json", "dry-run", "help"];
+
+const GLOBAL_OPTIONS = `Global options:
+  --data-dir <dir>   data root to use instead of ./data (or set LEGO_MONITOR_DATA_DIR)
+  --profile <name>   use a separate watchlist: its own registry, snapshots,
+                     alert state and config overrides (or set LEGO_MONITOR_PROFILE)
+  --quiet            only print warnings and errors
+  --json             print the command's result as JSON instead of the report
+  --dry-run          do everything except writing files, the database or notifications
+  --config <file>    config file (default lego-monitor.config.json)
+  --help             show help (also: lego-monitor help <command>)`;
+
+/**
+ * Subcommands: the module that implements each one (loaded on demand, after
+ * --data-dir and --profile are applied), its boolean flags and help text
+ */
+const COMMANDS = {
+  discover: {
+    module: "./getRetiringSoon",
+    booleans: ["all-themes"],
+    summary: "Fetch the retiring soon page and update the set registry",
+    usage:
+      "lego-monitor discover [--themes <a,b>] [--all-themes] [--backend <name>]",
+  },
+  fetch: {
+    module: "./fetchSetDetails",
+    booleans: ["monitored", "ignore-cadence"],
+    summary: "Fetch the detail page of every set in the registry",
+    usage:
+      "lego-monitor fetch [--monitored] [--tag <tag>] [--ignore-cadence] [--resume [timestamp]] [--concurrency <n>] [--retries <n>] [--backend <name>]",
+  },
+  analyze: {
+    module: "./analyzeSetDetails",
+    booleans: ["all"],
+    summary: "Analyze fetched pages into a snapshot",
+    usage: "lego-monitor analyze [--all | --since <date> | --timestamp <ts>]",
+  },
+  track: {
+    module: "./priceTracker",
+    booleans: [],
+    summary: "Price tracking report, or one set's history",
+    usage: "lego-monitor track [setNumber]",
+  },
+  alerts: {
+    module: "./alertMonitor",
+    booleans: ["no-notify", "test-notify", "reset-state"],
+    summary: "Check new snapshots for alerts and send notifications",
+    usage:
+      "lego-monitor alerts [--no-notify] [--test-notify] [--reset-state] [--rules <file>]",
+  },
+  registry: {
+    module: "./registry",
+    booleans: ["monitored"],
+    summary: "List, add, remove, tag, monitor and archive registry sets",
+    usage: `lego-monitor registry list [--category <name>] [--tag <tag>] [--state <state>] [--monitored]
+  lego-monitor registry show <setNumber>
+  lego-monitor registry add <setNumber> --url <detail page url> [--name <name>] [--category <name>]
+  lego-monitor registry remove <setNumber>
+  lego-monitor registry monitor|unmonitor <setNumber...>
+  lego-monitor registry archive|restore <setNumber...>
+  lego-monitor registry lifecycle
+  lego-monitor registry tag|untag <setNumber> <tag...>
+  lego-monitor registry note <setNumber> [text]`,
+  },
+  "list-history": {
+    module: "./listHistory",
+    booleans: ["rebuild-registry", "force"],
+    summary:
+      "When sets joined and left the retiring soon list, from saved pages",
+    usage: `lego-monitor list-history [--set <setNumber>] [--category <name>]
+  lego-monitor list-history --rebuild-registry [--force] [--themes <a,b>] [--all-themes]`,
+  },
+  "import-prices": {
+    module: "./importPrices",
+    booleans: [],
+    summary:
+      "Import BrickLink or CSV price exports to compare with BrickEconomy",
+    usage:
+      "lego-monitor import-prices <file...> [--format bricklink|csv] [--source <name>] [--date <YYYY-MM-DD>] [--currency <code>]",
+  },
+  rates: {
+    module: "./rates",
+    booleans: [],
+    summary: "List, set and remove the exchange rates used to convert prices",
+    usage: `lego-monitor rates list
+  lego-monitor rates set <FROM> <TO> <rate> [--date <YYYY-MM-DD>]
+  lego-monitor rates remove <FROM> <TO> [--date <YYYY-MM-DD>]
+  lego-monitor rates convert <amount> <FROM> [TO] [--date <YYYY-MM-DD>]`,
+  },
+  profiles: {
+    module: null,
+    booleans: [],
+    summary: "List the profiles under the data root",
+    usage: "lego-monitor profiles [--data-dir <dir>]",
+  },
+  "run-all": {
+    module: null,
+    booleans: ["all-themes"],
+    summary: "discover, fetch, analyze, track and alerts in one go",
+    usage: "lego-monitor run-all [options of the individual commands]",
+  },
+};
+
+/**
+ * Commands run by run-all, in order
+ */
+const PIPELINE = ["discover", "fetch", "analyze", "track", "alerts"];
+
+/**
+ * Build the help text for the CLI or one command
+ * @param {string} name - Command name (omit for the overview)
+ * @returns {string} Help text
+ */
+function helpText(name) {
+  if (name && COMMANDS[name]) {
+    return `${COMMANDS[name].summary}\n\nUsage:\n  ${COMMANDS[name].usage}\n\n${GLOBAL_OPTIONS}`;
+  }
+
+  let text = "Usage: lego-monitor <command> [options]\n\nCommands:\n";
+  for (const [command, { summary }] of Object.entries(COMMANDS)) {
+    text += `  ${command.padEnd(14)} ${summary}\n`;
+  }
+  text += `\n${GLOBAL_OPTIONS}\n\n`;
+  text += `Exit codes: ${EXIT_CODES.OK} success, ${EXIT_CODES.FAILURE} failure, ${EXIT_CODES.PARTIAL} partial failure (some sets or notifications failed), ${EXIT_CODES.USAGE} usage error`;
+  return text;
+}
+
+/**
+ * Run one command
+ * @param {string} name - Command name
+ * @param {Object} flags - Parsed flags
+ * @param {Array<string>} args - Command arguments
+ * @returns {Promise<Object>} Result of the command's run()
+ */
+function runCommand(name, flags, args) {
+  return require(COMMANDS[name].module).run(flags, args);
+}
+
+/**
+ * List the profiles that have data under the data root
+ * @returns {Object} {dataRoot, current, profiles: [{name, dataDir}], partial}
+ */
+function runProfiles() {
+  const profiles = listProfiles().map((name) => ({
+    name,
+    dataDir: getProfileDir(name),
+  }));
+  console.log(`Data root: ${getDataRoot()}`);
+  console.log(
+    `Current profile: ${getProfile() || "(default)"} - ${getDataDir()}\n`
+  );
+  if (profiles.length === 0) {
+    console.log("No named profiles yet. Start one with --profile <name>.");
+  }
+  for (const profile of profiles) {
+    console.log(`  ${profile.name.padEnd(20)} ${profile.dataDir}`);
+  }
+  return {
+    dataRoot: getDataRoot(),
+    current: getProfile(),
+    profiles,
+    partial: false,
+  };
+}
+
+/**
+ * Run every pipeline step in order, stopping at the first failure
+ * @param {Object} flags - Parsed flags, shared by every step
+ * @returns {Promise<Object>} {steps: [{command, ok, partial, error}], partial, failed}
+ */
+async function runAll(flags) {
+  const steps = [];
+
+  for (const command of PIPELINE) {
+    console.log(`\n${"#".repeat(70)}\n# ${command}\n${"#".repeat(70)}\n`);
+    try {
+      const result = await runCommand(command, flags, []);
+      steps.push({
+        command,
+        ok: !result.failed,
+        partial: Boolean(result.partial),
+      });
+      if (result.failed) {
+        console.error(`${command} failed`);
+        break;
+      }
+    } catch (error) {
+      console.error(`${command} failed: ${error.message}`);
+      steps.push({ command, ok: false, partial: false, error: error.message });
+      break;
+    }
+  }
+
+  return {
+    steps,
+    partial: steps.some((step) => step.partial),
+    failed: steps.some((step) => !step.ok),
+  };
+}
+
+// Main execution
+async function main() {
+  const argv = process.argv
+    .slice(2)
+    .map((arg) => (arg === "-h" ? "--help" : arg));
+  const allBooleans = Object.values(COMMANDS).flatMap((c) => c.booleans);
+  const { _: positional, flags } = parseArgs(
+    argv,
+    GLOBAL_BOOLEANS.concat(allBooleans)
+  );
+  const [name, ...args] = positional;
+
+  if (name === "help") {
+    console.log(helpText(args[0]));
+    return args[0] && !COMMANDS[args[0]] ? EXIT_CODES.USAGE : EXIT_CODES.OK;
+  }
+  if (!name || flags.help) {
+    console.log(helpText(name));
+    return name && !COMMANDS[name] ? EXIT_CODES.USAGE : EXIT_CODES.OK;
+  }
+  if (!COMMANDS[name]) {
+    console.error(`Unknown command "${name}"\n`);
+    console.error(helpText());
+    return EXIT_CODES.USAGE;
+  }
+
+  try {
+    applyDataOptions(flags);
+  } catch (error) {
+    console.error("Error:", error.message);
+    return EXIT_CODES.USAGE;
+  }
+
+  // Reports go to stdout through console.log; --quiet and --json silence them
+  const print = console.log;
+  if (flags.quiet || flags.json) {
+    console.log = () => {};
+  }
+
+  let result;
+  let status = EXIT_CODES.OK;
+  try {
+    if (name === "run-all") {
+      result = await runAll(flags);
+    } else if (name === "profiles") {
+      result = runProfiles();
+    } else {
+      result = await runCommand(name, flags, args);
+    }
+    if (result.failed) {
+      status = EXIT_CODES.FAILURE;
+    } else if (result.partial) {
+      status = EXIT_CODES.PARTIAL;
+    }
+  } catch (error) {
+    console.error("Error:", error.message);
+    result = { error: error.message };
+    status = error.usage ? EXIT_CODES.USAGE : EXIT_CODES.FAILURE;
+  } finally {
+    console.log = print;
+  }
+
+  if (flags.json) {
+    console.log(JSON.stringify({ command: name, status, ...result }, null, 2));
+  }
+  return status;
+}
+
+main().then(
+  (status) => {
+    process.exitCode = status;
+  },
+  (error) => {
+    console.error("Error:", error.message);
+    process.exit(EXIT_CODES.FAILURE);
+  }
+);
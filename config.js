@@ -0,0 +1,191 @@
+const fs = require("fs");
+const path = require("path");
+const { getProfile } = require("./paths");
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, "lego-monitor.config.json");
+
+/**
+ * Default configuration used when no config file is present
+ */
+const DEFAULT_CONFIG = {
+  themes: {
+    include: ["Star Wars", "Marvel Super Heroes"],
+    exclude: [],
+    all: false,
+  },
+  notifications: {
+    retries: 2,
+    retryDelayMs: 1000,
+    channels: [],
+  },
+  fetch: {
+    backend: "auto",
+    retries: 3,
+    retryDelayMs: 2000,
+    concurrency: 3,
+    requestsPerMinute: 30,
+    burst: 3,
+    timeoutMs: 30000,
+  },
+  server: {
+    host: "127.0.0.1",
+    port: 8080,
+  },
+  currency: {
+    reporting: "USD",
+  },
+  lifecycle: {
+    staleAfterDays: 45,
+    archiveRetiredAfterDays: 730,
+    fetchEveryDays: {
+      candidate: 1,
+      monitored: 1,
+      retired: 7,
+    },
+  },
+};
+
+/**
+ * Merge the lifecycle section over another, including the per-state cadences
+ * @param {Object} base - Lifecycle settings to start from
+ * @param {Object} lifecycle - lifecycle section of the config file
+ * @returns {Object} Lifecycle settings
+ */
+function mergeLifecycle(base, lifecycle) {
+  return {
+    ...base,
+    ...lifecycle,
+    fetchEveryDays: {
+      ...base.fetchEveryDays,
+      ...(lifecycle.fetchEveryDays || {}),
+    },
+  };
+}
+
+/**
+ * Merge config file settings over a base configuration, section by section
+ * @param {Object} base - Configuration to start from
+ * @param {Object} overrides - Settings from the config file (or a profile)
+ * @returns {Object} Configuration object
+ */
+function mergeConfig(base, overrides) {
+  return {
+    ...base,
+    ...overrides,
+    themes: { ...base.themes, ...(overrides.themes || {}) },
+    notifications: {
+      ...base.notifications,
+      ...(overrides.notifications || {}),
+    },
+    fetch: { ...base.fetch, ...(overrides.fetch || {}) },
+    server: { ...base.server, ...(overrides.server || {}) },
+    currency: { ...base.currency, ...(overrides.currency || {}) },
+    lifecycle: mergeLifecycle(base.lifecycle, overrides.lifecycle || {}),
+  };
+}
+
+/**
+ * Load the monitor configuration, merged over the defaults
+ * A profile's section under "profiles" is merged over the rest of the file,
+ * so each profile can have its own themes, notifications and so on
+ * @param {string} configPath - Path to the config file (optional)
+ * @param {string|null} profile - Profile name (default: the selected profile)
+ * @returns {Object} Configuration object
+ */
+function loadConfig(configPath = DEFAULT_CONFIG_PATH, profile = getProfile()) {
+  if (!fs.existsSync(configPath)) {
+    return JSON.parse(JSON.stringify(DEFAULT_CONFIG));
+  }
+
+  let fileConfig;
+  try {
+    fileConfig = JSON.parse(fs.readFileSync(configPath, "utf8"));
+  } catch (error) {
+    throw new Error(`Invalid config file ${configPath}: ${error.message}`);
+  }
+
+  const { profiles = {}, ...shared } = fileConfig;
+  const config = mergeConfig(DEFAULT_CONFIG, shared);
+  return profile && profiles[profile]
+    ? mergeConfig(config, profiles[profile])
+    : config;
+}
+
+/**
+ * Split a comma-separated CLI value into a list of trimmed names
+ * @param {string} value - Comma-separated list like "Icons,Technic"
+ * @returns {Array<string>} List of names
+ */
+function splitList(value) {
+  if (!value || value === true) return [];
+  return String(value)
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Resolve the theme filter from config and CLI flags (flags win)
+ * @param {Object} config - Loaded configuration
+ * @param {Object} flags - Parsed CLI flags
+ * @returns {{include: Array<string>, exclude: Array<string>, all: boolean}} Theme filter
+ */
+function resolveThemeFilter(config, flags = {}) {
+  const filter = {
+    include: [...(config.themes.include || [])],
+    exclude: [...(config.themes.exclude || [])],
+    all: Boolean(config.themes.all),
+  };
+
+  if (flags.themes) {
+    filter.include = splitList(flags.themes);
+    filter.all = false;
+  }
+  if (flags["exclude-themes"]) {
+    filter.exclude = splitList(flags["exclude-themes"]);
+  }
+  if (flags["all-themes"]) {
+    filter.all = true;
+  }
+
+  return filter;
+}
+
+/**
+ * Check whether a category passes the theme filter (case-insensitive)
+ * @param {string} category - Category name from the retiring soon page
+ * @param {Object} filter - Theme filter from resolveThemeFilter
+ * @returns {boolean} True if the category should be collected
+ */
+function matchesThemeFilter(category, filter) {
+  const name = category.trim().toLowerCase();
+  const has = (list) => list.some((item) => item.toLowerCase() === name);
+
+  if (has(filter.exclude)) return false;
+  return filter.all || has(filter.include);
+}
+
+/**
+ * Get the currency that reports and alerts convert prices to
+ * @param {Object} config - Loaded configuration
+ * @returns {string} ISO 4217 code, e.g. "USD"
+ * @throws {Error} If currency.reporting is not a 3-letter code
+ */
+function getReportingCurrency(config) {
+  const code = String(config.currency.reporting).toUpperCase();
+  if (!/^[A-Z]{3}$/.test(code)) {
+    throw new Error(
+      `currency.reporting must be a 3-letter code like USD or GBP, got "${config.currency.reporting}"`
+    );
+  }
+  return code;
+}
+
+module.exports = {
+  DEFAULT_CONFIG_PATH,
+  loadConfig,
+  getReportingCurrency,
+  splitList,
+  resolveThemeFilter,
+  matchesThemeFilter,
+};
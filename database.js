@@ -0,0 +1,490 @@
+const path = require("path");
+const Database = require("better-sqlite3");
+const { ensureDirectoryExists } = require("./utils");
+const {
+  SCHEMA_VERSION,
+  DEFAULT_CURRENCY,
+  migrateSnapshot,
+} = require("./schema");
+const { dataPath } = require("./paths");
+
+/**
+ * Path of the database in the selected profile's data directory
+ * @returns {string} Absolute path
+ */
+function getDefaultDbPath() {
+  return dataPath("lego-monitor.db");
+}
+
+/**
+ * Schema migrations, applied in order. PRAGMA user_version records how many
+ * have run, so new migrations must only ever be appended.
+ */
+const MIGRATIONS = [
+  `
+  CREATE TABLE sets (
+    set_number TEXT PRIMARY KEY,
+    name TEXT,
+    theme TEXT,
+    year TEXT,
+    first_snapshot TEXT,
+    last_snapshot TEXT
+  );
+
+  CREATE TABLE snapshots (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    timestamp TEXT NOT NULL UNIQUE,
+    analysis_date TEXT NOT NULL,
+    set_count INTEGER NOT NULL,
+    health_json TEXT
+  );
+
+  CREATE TABLE observations (
+    snapshot_id INTEGER NOT NULL REFERENCES snapshots(id) ON DELETE CASCADE,
+    set_number TEXT NOT NULL,
+    observed_at TEXT NOT NULL,
+    source TEXT NOT NULL DEFAULT 'brickeconomy',
+    market_price REAL,
+    retail_price REAL,
+    retired TEXT,
+    data_json TEXT NOT NULL,
+    PRIMARY KEY (snapshot_id, set_number, source)
+  );
+
+  CREATE INDEX idx_observations_set ON observations (set_number, observed_at);
+
+  CREATE TABLE alerts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    set_number TEXT NOT NULL,
+    type TEXT NOT NULL,
+    priority TEXT NOT NULL,
+    snapshot_timestamp TEXT,
+    message TEXT NOT NULL,
+    details_json TEXT,
+    created_at TEXT NOT NULL
+  );
+
+  CREATE INDEX idx_alerts_created ON alerts (created_at);
+  `,
+  `
+  ALTER TABLE snapshots ADD COLUMN parser_version INTEGER;
+  `,
+  `
+  ALTER TABLE snapshots ADD COLUMN schema_version INTEGER;
+  `,
+  `
+  CREATE TABLE source_observations (
+    set_number TEXT NOT NULL,
+    source TEXT NOT NULL,
+    condition TEXT NOT NULL,
+    observed_at TEXT NOT NULL,
+    price REAL NOT NULL,
+    recorded_from TEXT,
+    recorded_at TEXT NOT NULL,
+    PRIMARY KEY (set_number, source, condition, observed_at)
+  );
+  `,
+  `
+  ALTER TABLE observations ADD COLUMN currency TEXT NOT NULL DEFAULT 'USD';
+  ALTER TABLE source_observations ADD COLUMN currency TEXT NOT NULL DEFAULT 'USD';
+  `,
+  `
+  CREATE INDEX idx_alerts_set ON alerts (set_number, created_at);
+  `,
+];
+
+/**
+ * Open (and create or migrate) the monitor database
+ * @param {string} dbPath - Path to the SQLite file
+ * @returns {Database} better-sqlite3 database handle
+ */
+function openDatabase(dbPath = getDefaultDbPath()) {
+  ensureDirectoryExists(path.dirname(dbPath));
+  const db = new Database(dbPath);
+  db.pragma("journal_mode = WAL");
+  db.pragma("foreign_keys = ON");
+
+  const version = db.pragma("user_version", { simple: true });
+  for (let i = version; i < MIGRATIONS.length; i++) {
+    db.transaction(() => {
+      db.exec(MIGRATIONS[i]);
+      db.pragma(`user_version = ${i + 1}`);
+    })();
+  }
+
+  return db;
+}
+
+/**
+ * Write an analysis snapshot (the analysis-data.json document) to the database
+ * Older schema versions are upgraded first; re-recording the same snapshot
+ * timestamp replaces its observations
+ * @param {Database} db - Database handle
+ * @param {Object} analysis - Analysis data {fetchTimestamp, analysisDate, parserVersion, sets, health}
+ * @returns {number} Snapshot id
+ */
+function recordSnapshot(db, snapshot) {
+  const analysis = migrateSnapshot(snapshot);
+  const upsertSnapshot = db.prepare(`
+    INSERT INTO snapshots
+      (timestamp, analysis_date, set_count, health_json, parser_version, schema_version)
+    VALUES (@timestamp, @analysisDate, @setCount, @health, @parserVersion, @schemaVersion)
+    ON CONFLICT (timestamp) DO UPDATE SET
+      analysis_date = excluded.analysis_date,
+      set_count = excluded.set_count,
+      health_json = excluded.health_json,
+      parser_version = excluded.parser_version,
+      schema_version = excluded.schema_version
+  `);
+  const getSnapshotId = db.prepare(
+    "SELECT id FROM snapshots WHERE timestamp = ?"
+  );
+  const clearObservations = db.prepare(
+    "DELETE FROM observations WHERE snapshot_id = ? AND source = 'brickeconomy'"
+  );
+  const insertObservation = db.prepare(`
+    INSERT INTO observations
+      (snapshot_id, set_number, observed_at, source, market_price, retail_price, currency, retired, data_json)
+    VALUES
+      (@snapshotId, @setNumber, @observedAt, 'brickeconomy', @marketPrice, @retailPrice, @currency, @retired, @data)
+  `);
+  const upsertSet = db.prepare(`
+    INSERT INTO sets (set_number, name, theme, year, first_snapshot, last_snapshot)
+    VALUES (@setNumber, @name, @theme, @year, @timestamp, @timestamp)
+    ON CONFLICT (set_number) DO UPDATE SET
+      name = COALESCE(NULLIF(excluded.name, ''), sets.name),
+      theme = COALESCE(NULLIF(excluded.theme, ''), sets.theme),
+      year = COALESCE(NULLIF(excluded.year, ''), sets.year),
+      first_snapshot = MIN(sets.first_snapshot, excluded.first_snapshot),
+      last_snapshot = MAX(sets.last_snapshot, excluded.last_snapshot)
+  `);
+
+  return db.transaction(() => {
+    upsertSnapshot.run({
+      timestamp: analysis.fetchTimestamp,
+      analysisDate: analysis.analysisDate,
+      setCount: analysis.sets.length,
+      health: analysis.health ? JSON.stringify(analysis.health) : null,
+      parserVersion: analysis.parserVersion || null,
+      schemaVersion: analysis.schemaVersion,
+    });
+    const snapshotId = getSnapshotId.get(analysis.fetchTimestamp).id;
+
+    clearObservations.run(snapshotId);
+    for (const set of analysis.sets) {
+      insertObservation.run({
+        snapshotId,
+        setNumber: set.setNumber,
+        observedAt: analysis.analysisDate,
+        marketPrice: set.marketPrice,
+        retailPrice: set.retailPrice,
+        currency: set.currency,
+        retired: set.retired || null,
+        data: JSON.stringify(set),
+      });
+      upsertSet.run({
+        setNumber: set.setNumber,
+        name: set.name || "",
+        theme: set.theme || "",
+        year: set.year || "",
+        timestamp: analysis.fetchTimestamp,
+      });
+    }
+
+    return snapshotId;
+  })();
+}
+
+/**
+ * Load snapshots with their set data in the current schema, oldest first
+ * @param {Database} db - Database handle
+ * @param {string} snapshotFilter - SQL condition on the snapshots table (s)
+ * @param {string} observationFilter - SQL condition on the observations (o)
+ * @param {Object} params - Named parameters for the conditions
+ * @returns {Array} Array of {timestamp, date, data} objects
+ */
+function loadSnapshots(
+  db,
+  snapshotFilter = "1 = 1",
+  observationFilter = "1 = 1",
+  params = {}
+) {
+  const rows = db
+    .prepare(
+      `
+      SELECT s.id, s.timestamp, s.analysis_date, s.health_json, s.parser_version,
+        s.schema_version, o.data_json
+      FROM snapshots s
+      LEFT JOIN observations o
+        ON o.snapshot_id = s.id AND o.source = 'brickeconomy'
+        AND ${observationFilter}
+      WHERE ${snapshotFilter}
+      ORDER BY s.analysis_date, s.id
+    `
+    )
+    .all(params);
+
+  const snapshots = [];
+  const byId = new Map();
+
+  for (const row of rows) {
+    let snapshot = byId.get(row.id);
+    if (!snapshot) {
+      snapshot = {
+        timestamp: row.timestamp,
+        date: new Date(row.analysis_date),
+        data: {
+          schemaVersion: row.schema_version || 1,
+          fetchTimestamp: row.timestamp,
+          analysisDate: row.analysis_date,
+          parserVersion: row.parser_version,
+          setCount: 0,
+          health: row.health_json ? JSON.parse(row.health_json) : undefined,
+          sets: [],
+        },
+      };
+      byId.set(row.id, snapshot);
+      snapshots.push(snapshot);
+    }
+    if (row.data_json) {
+      snapshot.data.sets.push(JSON.parse(row.data_json));
+      snapshot.data.setCount++;
+    }
+  }
+
+  // Snapshots recorded before the current schema are upgraded on read
+  for (const snapshot of snapshots) {
+    snapshot.data = migrateSnapshot(snapshot.data);
+  }
+
+  return snapshots;
+}
+
+/**
+ * Load every snapshot with its set data in the current schema, oldest first
+ * @param {Database} db - Database handle
+ * @returns {Array} Array of {timestamp, date, data} objects
+ */
+function getAllSnapshots(db) {
+  return loadSnapshots(db);
+}
+
+/**
+ * Load the most recent snapshot with its set data
+ * @param {Database} db - Database handle
+ * @returns {Object|null} Snapshot {timestamp, date, data}, or null if there
+ *   are none
+ */
+function getLatestSnapshot(db) {
+  const [latest] = loadSnapshots(
+    db,
+    `s.id = (SELECT id FROM snapshots ORDER BY analysis_date DESC, id DESC LIMIT 1)`
+  );
+  return latest || null;
+}
+
+/**
+ * Load the snapshots that include a set, holding only that set's data
+ * (setCount is the number of sets kept, not the size of the snapshot)
+ * @param {Database} db - Database handle
+ * @param {string} setNumber - Set number
+ * @returns {Array} Array of {timestamp, date, data} objects, oldest first
+ */
+function getSnapshotsForSet(db, setNumber) {
+  return loadSnapshots(
+    db,
+    "o.set_number IS NOT NULL",
+    "o.set_number = @setNumber",
+    { setNumber }
+  );
+}
+
+/**
+ * List the timestamps of the snapshots stored in the database
+ * @param {Database} db - Database handle
+ * @returns {Set<string>} Snapshot timestamps
+ */
+function getSnapshotTimestamps(db) {
+  return new Set(
+    db
+      .prepare("SELECT timestamp FROM snapshots")
+      .all()
+      .map((row) => row.timestamp)
+  );
+}
+
+/**
+ * Rewrite snapshots stored under an older schema version in the current one
+ * @param {Database} db - Database handle
+ * @returns {number} Number of snapshots upgraded
+ */
+function upgradeSnapshots(db) {
+  const outdated = new Set(
+    db
+      .prepare(
+        "SELECT timestamp FROM snapshots WHERE schema_version IS NULL OR schema_version < ?"
+      )
+      .all(SCHEMA_VERSION)
+      .map((row) => row.timestamp)
+  );
+  if (outdated.size === 0) return 0;
+
+  for (const snapshot of getAllSnapshots(db)) {
+    if (outdated.has(snapshot.timestamp)) recordSnapshot(db, snapshot.data);
+  }
+  return outdated.size;
+}
+
+/**
+ * Count the snapshots stored in the database
+ * @param {Database} db - Database handle
+ * @returns {number} Number of snapshots
+ */
+function countSnapshots(db) {
+  return db.prepare("SELECT COUNT(*) AS n FROM snapshots").get().n;
+}
+
+/**
+ * Record dated prices that did not come from one of our own snapshots, such
+ * as the value history embedded in a set page. A price already recorded for
+ * the same set, source, condition and date is replaced.
+ * @param {Database} db - Database handle
+ * @param {Array<Object>} observations - {setNumber, source, condition,
+ *   observedAt, price, currency, recordedFrom}; currency defaults to US
+ *   dollars
+ * @returns {number} Number of observations written
+ */
+function recordSourceObservations(db, observations) {
+  const upsert = db.prepare(`
+    INSERT INTO source_observations
+      (set_number, source, condition, observed_at, price, currency, recorded_from, recorded_at)
+    VALUES
+      (@setNumber, @source, @condition, @observedAt, @price, @currency, @recordedFrom, @recordedAt)
+    ON CONFLICT (set_number, source, condition, observed_at) DO UPDATE SET
+      price = excluded.price,
+      currency = excluded.currency,
+      recorded_from = excluded.recorded_from,
+      recorded_at = excluded.recorded_at
+  `);
+  const recordedAt = new Date().toISOString();
+
+  db.transaction(() => {
+    for (const observation of observations) {
+      upsert.run({
+        ...observation,
+        currency: observation.currency || DEFAULT_CURRENCY,
+        recordedFrom: observation.recordedFrom || null,
+        recordedAt,
+      });
+    }
+  })();
+  return observations.length;
+}
+
+/**
+ * Load recorded source observations, oldest first
+ * @param {Database} db - Database handle
+ * @param {Object} filter - {setNumber, source}, both optional
+ * @returns {Array<Object>} {setNumber, source, condition, observedAt, date,
+ *   price, currency, recordedFrom}
+ */
+function getSourceObservations(db, filter = {}) {
+  return db
+    .prepare(
+      `
+      SELECT * FROM source_observations
+      WHERE (@setNumber IS NULL OR set_number = @setNumber)
+        AND (@source IS NULL OR source = @source)
+      ORDER BY set_number, observed_at, condition
+    `
+    )
+    .all({
+      setNumber: filter.setNumber || null,
+      source: filter.source || null,
+    })
+    .map((row) => ({
+      setNumber: row.set_number,
+      source: row.source,
+      condition: row.condition,
+      observedAt: row.observed_at,
+      date: new Date(row.observed_at),
+      price: row.price,
+      currency: row.currency,
+      recordedFrom: row.recorded_from,
+    }));
+}
+
+/**
+ * Record fired alerts
+ * @param {Database} db - Database handle
+ * @param {Array} alerts - Alert objects
+ */
+function recordAlerts(db, alerts) {
+  const insert = db.prepare(`
+    INSERT INTO alerts
+      (set_number, type, priority, snapshot_timestamp, message, details_json, created_at)
+    VALUES
+      (@setNumber, @type, @priority, @snapshot, @message, @details, @createdAt)
+  `);
+  const createdAt = new Date().toISOString();
+
+  db.transaction(() => {
+    for (const alert of alerts) {
+      insert.run({
+        setNumber: alert.setNumber,
+        type: alert.type,
+        priority: alert.priority,
+        snapshot: alert.snapshot || null,
+        message: alert.message,
+        details: JSON.stringify(alert.details || {}),
+        createdAt,
+      });
+    }
+  })();
+}
+
+/**
+ * Get the most recent alerts, newest first
+ * @param {Database} db - Database handle
+ * @param {number} limit - Maximum number of alerts
+ * @param {Object} filter - {setNumber}, optional
+ * @returns {Array<Object>} Alert objects
+ */
+function getRecentAlerts(db, limit = 50, filter = {}) {
+  return db
+    .prepare(
+      `
+      SELECT * FROM alerts
+      WHERE (@setNumber IS NULL OR set_number = @setNumber)
+      ORDER BY created_at DESC, id DESC
+      LIMIT @limit
+    `
+    )
+    .all({ setNumber: filter.setNumber || null, limit })
+    .map((row) => ({
+      id: row.id,
+      setNumber: row.set_number,
+      type: row.type,
+      priority: row.priority,
+      snapshot: row.snapshot_timestamp,
+      message: row.message,
+      details: row.details_json ? JSON.parse(row.details_json) : {},
+      createdAt: row.created_at,
+    }));
+}
+
+module.exports = {
+  getDefaultDbPath,
+  openDatabase,
+  recordSnapshot,
+  getAllSnapshots,
+  getLatestSnapshot,
+  getSnapshotsForSet,
+  getSnapshotTimestamps,
+  upgradeSnapshots,
+  countSnapshots,
+  recordSourceObservations,
+  getSourceObservations,
+  recordAlerts,
+  getRecentAlerts,
+};
@@ -0,0 +1,393 @@
+const http = require("http");
+const https = require("https");
+const zlib = require("zlib");
+const { fetchPageContent } = require("./utils");
+const PagePool = require("./PagePool");
+
+/**
+ * Headers sent by the HTTP backend so responses match what a browser gets
+ */
+const DEFAULT_HEADERS = {
+  "User-Agent":
+    "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/142.0.0.0 Safari/537.36",
+  Accept: "text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8",
+  "Accept-Language": "en-US,en;q=0.9",
+  "Accept-Encoding": "gzip, deflate, br",
+};
+
+const MAX_REDIRECTS = 5;
+
+/**
+ * Text that only appears on bot-check / challenge interstitials
+ */
+const CHALLENGE_MARKERS = [
+  "cf-browser-verification",
+  "cf_chl_",
+  "challenge-platform",
+  "<title>Just a moment...</title>",
+  "Attention Required! | Cloudflare",
+  "Enable JavaScript and cookies to continue",
+];
+
+/**
+ * HTTP statuses for which the browser will not do any better
+ */
+const NO_FALLBACK_STATUSES = [404, 410];
+
+/**
+ * After this many challenged HTTP responses in a row, the auto backend stops
+ * trying HTTP for the rest of the run
+ */
+const STICKY_FALLBACK_AFTER = 3;
+
+/**
+ * Check whether a page is a bot-check interstitial instead of real content
+ * @param {string} html - Page HTML
+ * @returns {boolean} True if the page looks like a challenge
+ */
+function looksLikeChallenge(html) {
+  return CHALLENGE_MARKERS.some((marker) => html.includes(marker));
+}
+
+/**
+ * Check a fetched page with the caller's expect callback
+ * @param {string} html - Page HTML
+ * @param {string} url - URL the page was fetched from
+ * @param {Object} fetchOptions - {expect}: returns true if the page has the
+ *   content the caller needs
+ * @throws {Error} If expect rejects the page (error.missingContent)
+ */
+function checkExpected(html, url, fetchOptions) {
+  if (fetchOptions.expect && !fetchOptions.expect(html)) {
+    const error = new Error(`Expected content missing from ${url}`);
+    error.missingContent = true;
+    throw error;
+  }
+}
+
+/**
+ * Minimal cookie jar keyed by domain (enough to carry session cookies
+ * between requests to the same site)
+ */
+function createCookieJar() {
+  const cookies = new Map();
+
+  return {
+    /**
+     * Store cookies from a response's Set-Cookie headers
+     * @param {URL} url - Request URL
+     * @param {Array<string>} setCookie - Set-Cookie header values
+     */
+    store(url, setCookie = []) {
+      for (const header of setCookie) {
+        const [pair, ...attributes] = header.split(";");
+        const eqIndex = pair.indexOf("=");
+        if (eqIndex === -1) continue;
+
+        const domainAttr = attributes
+          .map((attr) => attr.trim())
+          .find((attr) => attr.toLowerCase().startsWith("domain="));
+        const domain = domainAttr
+          ? domainAttr.slice(7).replace(/^\./, "").toLowerCase()
+          : url.hostname;
+
+        if (!cookies.has(domain)) cookies.set(domain, new Map());
+        cookies
+          .get(domain)
+          .set(pair.slice(0, eqIndex).trim(), pair.slice(eqIndex + 1).trim());
+      }
+    },
+
+    /**
+     * Build the Cookie header for a request
+     * @param {URL} url - Request URL
+     * @returns {string} Cookie header value (empty if none)
+     */
+    header(url) {
+      const pairs = [];
+      for (const [domain, values] of cookies) {
+        if (url.hostname === domain || url.hostname.endsWith(`.${domain}`)) {
+          for (const [name, value] of values) pairs.push(`${name}=${value}`);
+        }
+      }
+      return pairs.join("; ");
+    },
+  };
+}
+
+/**
+ * Decompress a response body according to its Content-Encoding
+ * @param {IncomingMessage} res - HTTP response
+ * @returns {Stream} Readable stream of the decoded body
+ */
+function decodeBody(res) {
+  const encoding = (res.headers["content-encoding"] || "").toLowerCase();
+  if (encoding === "gzip") return res.pipe(zlib.createGunzip());
+  if (encoding === "deflate") return res.pipe(zlib.createInflate());
+  if (encoding === "br") return res.pipe(zlib.createBrotliDecompress());
+  return res;
+}
+
+/**
+ * Create a backend that fetches pages with plain HTTP GET requests
+ * @param {Object} options - {limiter, timeoutMs, headers}
+ * @returns {Object} Backend: {name, fetch(url, fetchOptions), close()}
+ */
+function createHttpBackend(options = {}) {
+  const jar = createCookieJar();
+  const headers = { ...DEFAULT_HEADERS, ...(options.headers || {}) };
+
+  /**
+   * GET a URL, following redirects
+   * @param {string} url - URL to fetch
+   * @param {number} timeoutMs - Request timeout in milliseconds
+   * @param {number} redirects - Redirects followed so far
+   * @returns {Promise<string>} Response body
+   */
+  const get = (url, timeoutMs, redirects = 0) => {
+    const target = new URL(url);
+    const client = target.protocol === "https:" ? https : http;
+    const cookie = jar.header(target);
+
+    return new Promise((resolve, reject) => {
+      const req = client.get(
+        target,
+        {
+          headers: cookie ? { ...headers, Cookie: cookie } : headers,
+          timeout: timeoutMs,
+        },
+        (res) => {
+          jar.store(target, res.headers["set-cookie"]);
+
+          if (res.statusCode >= 300 && res.statusCode < 400) {
+            res.resume();
+            if (!res.headers.location) {
+              reject(new Error(`HTTP ${res.statusCode} without a location`));
+            } else if (redirects >= MAX_REDIRECTS) {
+              reject(new Error(`Too many redirects fetching ${url}`));
+            } else {
+              const location = new URL(res.headers.location, target).href;
+              resolve(get(location, timeoutMs, redirects + 1));
+            }
+            return;
+          }
+
+          const chunks = [];
+          const body = decodeBody(res);
+          body.on("data", (chunk) => chunks.push(chunk));
+          body.on("error", reject);
+          body.on("end", () => {
+            const html = Buffer.concat(chunks).toString("utf8");
+            if (res.statusCode >= 200 && res.statusCode < 300) {
+              resolve(html);
+            } else {
+              const error = new Error(`HTTP ${res.statusCode} for ${url}`);
+              error.status = res.statusCode;
+              error.body = html;
+              reject(error);
+            }
+          });
+        }
+      );
+
+      req.on("timeout", () => {
+        req.destroy(new Error(`Request timed out after ${timeoutMs}ms`));
+      });
+      req.on("error", reject);
+    });
+  };
+
+  return {
+    name: "http",
+
+    /**
+     * Fetch a page's HTML
+     * @param {string} url - URL to fetch
+     * @param {Object} fetchOptions - {timeoutMs, expect}
+     * @returns {Promise<string>} HTML content
+     * @throws {Error} On HTTP errors, timeouts, challenge pages (error.challenge)
+     *   and pages without the expected content (error.missingContent)
+     */
+    async fetch(url, fetchOptions = {}) {
+      if (options.limiter) await options.limiter.acquire();
+
+      let html;
+      try {
+        html = await get(
+          url,
+          fetchOptions.timeoutMs || options.timeoutMs || 30000
+        );
+      } catch (error) {
+        error.challenge = Boolean(error.body && looksLikeChallenge(error.body));
+        throw error;
+      }
+
+      if (looksLikeChallenge(html)) {
+        const error = new Error(`Challenge page served for ${url}`);
+        error.challenge = true;
+        throw error;
+      }
+      checkExpected(html, url, fetchOptions);
+      return html;
+    },
+
+    async close() {},
+  };
+}
+
+/**
+ * Create a backend that loads pages in headless Chromium (puppeteer-extra)
+ * @param {Object} options - {concurrency, limiter, timeoutMs}
+ * @returns {Object} Backend: {name, fetch(url, fetchOptions), close()}
+ */
+function createBrowserBackend(options = {}) {
+  const pool = new PagePool(options.concurrency || 1);
+
+  return {
+    name: "browser",
+
+    /**
+     * Fetch a page's HTML after it has rendered
+     * @param {string} url - URL to fetch
+     * @param {Object} fetchOptions - {timeoutMs, expect}
+     * @returns {Promise<string>} HTML content
+     * @throws {Error} If the browser was served a challenge page, or a page
+     *   without the expected content (error.missingContent)
+     */
+    async fetch(url, fetchOptions = {}) {
+      if (options.limiter) await options.limiter.acquire();
+      const page = await pool.acquire();
+      let html;
+      try {
+        html = await fetchPageContent(
+          page,
+          url,
+          fetchOptions.timeoutMs || options.timeoutMs
+        );
+      } catch (error) {
+        // A page that timed out or crashed may be stuck, so replace it
+        await pool.release(page, true);
+        throw error;
+      }
+      await pool.release(page);
+
+      if (looksLikeChallenge(html)) {
+        throw new Error(`Browser was served a challenge page for ${url}`);
+      }
+      checkExpected(html, url, fetchOptions);
+      return html;
+    },
+
+    async close() {
+      await pool.close();
+    },
+  };
+}
+
+/**
+ * Create a backend that tries HTTP first and falls back to the browser when
+ * the response is a challenge page, lacks the expected content, or fails
+ * The browser is only launched the first time it is needed
+ * @param {Object} options - {concurrency, limiter, timeoutMs, headers}
+ * @returns {Object} Backend: {name, fetch(url, fetchOptions), close(), stats}
+ */
+function createAutoBackend(options = {}) {
+  const httpBackend = createHttpBackend(options);
+  let browserBackend = null;
+  let challengedInARow = 0;
+  const stats = { http: 0, browser: 0 };
+
+  const browserFetch = async (url, fetchOptions) => {
+    if (!browserBackend) browserBackend = createBrowserBackend(options);
+    const html = await browserBackend.fetch(url, fetchOptions);
+    stats.browser++;
+    return html;
+  };
+
+  const noteChallenge = () => {
+    challengedInARow++;
+    if (challengedInARow === STICKY_FALLBACK_AFTER) {
+      console.log(
+        `  ↪ ${STICKY_FALLBACK_AFTER} challenge pages in a row, using the browser for the rest of the run`
+      );
+    }
+  };
+
+  return {
+    name: "auto",
+    stats,
+
+    /**
+     * Fetch a page's HTML, over HTTP when possible
+     * @param {string} url - URL to fetch
+     * @param {Object} fetchOptions - {timeoutMs, expect, label}
+     * @returns {Promise<string>} HTML content
+     * @throws {Error} If the browser also fails, or its page lacks the
+     *   expected content
+     */
+    async fetch(url, fetchOptions = {}) {
+      if (challengedInARow >= STICKY_FALLBACK_AFTER) {
+        return browserFetch(url, fetchOptions);
+      }
+
+      let html;
+      let reason = null;
+      try {
+        html = await httpBackend.fetch(url, fetchOptions);
+      } catch (error) {
+        if (NO_FALLBACK_STATUSES.includes(error.status)) throw error;
+        if (error.challenge) noteChallenge();
+        if (error.challenge) reason = "challenge page";
+        else if (error.missingContent) reason = "expected content missing";
+        else reason = error.message;
+      }
+
+      if (!reason) {
+        challengedInARow = 0;
+        stats.http++;
+        return html;
+      }
+
+      console.log(`  ↪ ${fetchOptions.label || url}: ${reason}, using browser`);
+      return browserFetch(url, fetchOptions);
+    },
+
+    async close() {
+      if (browserBackend) await browserBackend.close();
+    },
+  };
+}
+
+const BACKEND_FACTORIES = {
+  auto: createAutoBackend,
+  http: createHttpBackend,
+  browser: createBrowserBackend,
+};
+
+/**
+ * Create a fetch backend by name
+ * @param {string} name - "auto", "http" or "browser"
+ * @param {Object} options - {concurrency, limiter, timeoutMs, headers}
+ * @returns {Object} Backend: {name, fetch(url, fetchOptions), close()}
+ * @throws {Error} If the backend name is unknown
+ */
+function createBackend(name = "auto", options = {}) {
+  const factory = BACKEND_FACTORIES[name];
+  if (!factory) {
+    throw new Error(
+      `Unknown fetch backend "${name}" (expected ${Object.keys(
+        BACKEND_FACTORIES
+      ).join(", ")})`
+    );
+  }
+  return factory(options);
+}
+
+module.exports = {
+  BACKENDS: Object.keys(BACKEND_FACTORIES),
+  looksLikeChallenge,
+  createHttpBackend,
+  createBrowserBackend,
+  createAutoBackend,
+  createBackend,
+};
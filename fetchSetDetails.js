@@ -1,82 +1,424 @@
 const fs = require("fs");
 const path = require("path");
+const cheerio = require("cheerio");
 const {
-  initBrowser,
-  fetchPageContent,
   saveFile,
   getTimestamp,
+  parseArgs,
+  withRetry,
+  ensureDirectoryExists,
 } = require("./utils");
 const SetRegistry = require("./SetRegistry");
+const FetchManifest = require("./FetchManifest");
+const RateLimiter = require("./RateLimiter");
+const { createBackend } = require("./fetchBackends");
+const { DEFAULT_CONFIG_PATH, loadConfig } = require("./config");
+const { getAllSnapshots } = require("./snapshots");
+const { applyLifecycleRules, isFetchDue } = require("./lifecycle");
+const { dataPath, applyDataOptions } = require("./paths");
 
-(async () => {
+/**
+ * Find the fetch directory to resume
+ * @param {string|boolean} resume - Timestamp to resume, or true for the latest run
+ * @returns {string} Timestamp (directory name) of the run
+ * @throws {Error} If the directory does not exist
+ */
+function resolveResumeTimestamp(resume) {
+  if (resume !== true) {
+    if (!fs.existsSync(dataPath("set-details", resume))) {
+      throw new Error(`No fetch run found at data/set-details/${resume}`);
+    }
+    return resume;
+  }
+
+  const detailsDir = dataPath("set-details");
+  const dirs = fs.existsSync(detailsDir)
+    ? fs
+        .readdirSync(detailsDir)
+        .filter((f) => fs.statSync(path.join(detailsDir, f)).isDirectory())
+        .sort()
+    : [];
+  if (dirs.length === 0) {
+    throw new Error("No fetch runs found to resume");
+  }
+  return dirs[dirs.length - 1];
+}
+
+/**
+ * Pick the registry sets to fetch: every set, or only the monitored and/or
+ * tagged ones
+ * @param {SetRegistry} registry - Set registry
+ * @param {Object} flags - Parsed CLI flags (monitored, tag)
+ * @returns {Array<Object>} Registry entries to fetch
+ */
+function selectRegistrySets(registry, flags) {
+  let sets = flags.monitored
+    ? registry.getMonitoredSets()
+    : registry.getAllSets();
+  if (flags.tag) {
+    const tagged = new Set(
+      registry.getSetsByTag(String(flags.tag)).map((set) => set.setNumber)
+    );
+    sets = sets.filter((set) => tagged.has(set.setNumber));
+  }
+  return sets;
+}
+
+/**
+ * Describe which registry sets selectRegistrySets picks
+ * @param {Object} flags - Parsed CLI flags (monitored, tag)
+ * @returns {string} e.g. "monitored sets tagged \"fund\""
+ */
+function describeSelection(flags) {
+  let text = flags.monitored ? "monitored sets" : "sets";
+  if (flags.tag) text += ` tagged "${flags.tag}"`;
+  return text;
+}
+
+/**
+ * Check that a page is a set detail page (has the "Set Details" section)
+ * @param {string} html - Page HTML
+ * @returns {boolean} True if the expected content is present
+ */
+function isSetDetailPage(html) {
+  return cheerio.load(html)("h4:contains('Set Details')").length > 0;
+}
+
+/**
+ * Fetch one set's detail page, retrying failures with backoff
+ * @param {Object} set - Registry entry {setNumber, name, url}
+ * @param {Object} context - {backend, retries, retryDelayMs, timeoutMs}
+ * @returns {Promise<{content: string, attempts: number}>} Page HTML and attempts used
+ * @throws {Error} The last error (with error.attempts) when every attempt failed
+ */
+async function fetchSet(set, context) {
+  let attempts = 0;
   try {
-    // Load the registry
-    const registryPath = path.join(__dirname, "data", "set-registry.json");
+    const content = await withRetry(
+      () => {
+        attempts++;
+        return context.backend.fetch(set.url, {
+          timeoutMs: context.timeoutMs,
+          expect: isSetDetailPage,
+          label: set.setNumber,
+        });
+      },
+      context.retries,
+      context.retryDelayMs,
+      set.setNumber
+    );
+    return { content, attempts };
+  } catch (error) {
+    error.attempts = attempts;
+    throw error;
+  }
+}
 
-    if (!fs.existsSync(registryPath)) {
-      console.error("Error: Set registry not found!");
-      console.log("Please run getRetiringSoon.js first to build the registry.");
-      process.exit(1);
+/**
+ * Read a whole-number option like --retries
+ * @param {string|boolean} value - Value given on the command line
+ * @param {string} name - Option name, for the error message
+ * @param {number} min - Smallest allowed value
+ * @returns {number} The value
+ * @throws {Error} Usage error if the value is not an integer of at least min
+ */
+function parseCountFlag(value, name, min) {
+  const count = /^\d+$/.test(String(value)) ? Number(value) : NaN;
+  if (!(count >= min)) {
+    const error = new Error(
+      `--${name} expects an integer of at least ${min}, got "${value}"`
+    );
+    error.usage = true;
+    throw error;
+  }
+  return count;
+}
+
+/**
+ * Fetch the detail page of every registry set into a timestamped directory
+ * @param {Object} flags - Parsed flags: config, backend, retries, concurrency,
+ *   resume, monitored, tag, ignore-cadence, dry-run
+ * @returns {Promise<Object>} {timestamp, total, pending, success, failedSets,
+ *   skipped, partial, failed}; failed is true when no set could be fetched
+ * @throws {Error} If there is no registry or it is empty, or a usage error if
+ *   --retries is not a non-negative integer or --concurrency not a positive one
+ */
+async function run(flags = {}) {
+  applyDataOptions(flags);
+  const dryRun = Boolean(flags["dry-run"]);
+  const config = loadConfig(flags.config || DEFAULT_CONFIG_PATH);
+  const retries =
+    flags.retries !== undefined
+      ? parseCountFlag(flags.retries, "retries", 0)
+      : config.fetch.retries;
+  const concurrency =
+    flags.concurrency !== undefined
+      ? parseCountFlag(flags.concurrency, "concurrency", 1)
+      : Math.max(1, config.fetch.concurrency);
+
+  // Resume an earlier run, or create a timestamped directory for this fetch
+  const resuming = Boolean(flags.resume);
+  const timestamp = resuming
+    ? resolveResumeTimestamp(flags.resume)
+    : getTimestamp();
+  const outputDir = dataPath("set-details", timestamp);
+  const manifest = new FetchManifest(outputDir, timestamp);
+
+  // Load the registry
+  const registryPath = dataPath("set-registry.json");
+  const registry = fs.existsSync(registryPath)
+    ? new SetRegistry(registryPath)
+    : null;
+
+  let sets;
+  if (resuming && manifest.exists()) {
+    // Resume the set list the run started with, so the snapshot stays consistent
+    sets = Object.entries(manifest.sets).map(([setNumber, entry]) => ({
+      setNumber,
+      name: entry.name,
+      url: entry.url,
+    }));
+  } else {
+    if (!registry) {
+      throw new Error(
+        "Set registry not found! Run getRetiringSoon.js first to build the registry."
+      );
+    }
+
+    // Bring lifecycle states up to date before deciding what to fetch
+    const changes = applyLifecycleRules(
+      registry,
+      getAllSnapshots(),
+      config.lifecycle
+    );
+    if (changes.length > 0) {
+      console.log(`Lifecycle changes:`);
+      for (const change of changes) {
+        console.log(
+          `  - ${change.setNumber}: ${change.from} → ${change.to} (${change.reason})`
+        );
+      }
+      console.log("");
+      if (!dryRun) registry.save();
+    }
+
+    const selected = selectRegistrySets(registry, flags);
+    if (selected.length === 0) {
+      throw new Error(`No ${describeSelection(flags)} found in registry!`);
     }
 
-    const registry = new SetRegistry(registryPath);
-    const sets = registry.getAllSets();
+    const active = selected.filter((set) => set.state !== "archived");
+    sets = flags["ignore-cadence"]
+      ? active
+      : active.filter((set) => isFetchDue(set, config.lifecycle));
+
+    const archived = selected.length - active.length;
+    const notDue = active.length - sets.length;
+    if (archived > 0) {
+      console.log(`Skipping ${archived} archived set(s)`);
+    }
+    if (notDue > 0) {
+      console.log(
+        `Skipping ${notDue} set(s) not due yet under their state's fetch cadence (--ignore-cadence fetches them anyway)`
+      );
+    }
 
     if (sets.length === 0) {
-      console.error("Error: No sets found in registry!");
-      process.exit(1);
+      console.log("\nNo sets are due to be fetched.");
+      return {
+        timestamp: null,
+        total: 0,
+        pending: 0,
+        success: 0,
+        failedSets: 0,
+        skipped: 0,
+        partial: false,
+      };
+    }
+  }
+
+  const pending = resuming
+    ? sets.filter((set) => !manifest.isComplete(set.setNumber))
+    : sets;
+
+  if (resuming) {
+    console.log(
+      `Resuming data/set-details/${timestamp}: ${pending.length} of ${sets.length} sets still missing\n`
+    );
+  } else {
+    console.log(
+      `Found ${sets.length} ${describeSelection(flags)} in registry to fetch:\n`
+    );
+  }
+  pending.forEach((set, index) => {
+    console.log(`  ${index + 1}. ${set.name} (${set.setNumber})`);
+  });
+  console.log("");
+  console.log(`Output directory: data/set-details/${timestamp}\n`);
+
+  if (dryRun) {
+    console.log("Dry run - nothing fetched or written.");
+    return {
+      timestamp,
+      total: sets.length,
+      pending: pending.length,
+      success: 0,
+      failedSets: 0,
+      skipped: 0,
+      partial: false,
+    };
+  }
+
+  // Sets that were already fetched before manifests existed
+  if (resuming) {
+    for (const set of sets) {
+      if (!manifest.sets[set.setNumber] && manifest.isComplete(set.setNumber)) {
+        manifest.record(set, "success", {
+          file: `set-${set.setNumber}.html`,
+        });
+      }
     }
+  }
 
-    console.log(`Found ${sets.length} sets in registry to fetch:\n`);
-    sets.forEach((set, index) => {
-      console.log(`  ${index + 1}. ${set.name} (${set.setNumber})`);
-    });
-    console.log("");
+  // The manifest lists every set up front, so a crash still leaves a record
+  for (const set of pending) {
+    if (!manifest.sets[set.setNumber]) {
+      manifest.record(set, "skipped", { reason: "not fetched yet" });
+    }
+  }
+  manifest.startRun(resuming);
+  ensureDirectoryExists(outputDir);
+  manifest.save();
 
-    // Create a timestamped directory for this fetch
-    const timestamp = getTimestamp();
-    const outputDir = path.join(__dirname, "data", "set-details", timestamp);
-    console.log(`Output directory: data/set-details/${timestamp}\n`);
+  if (pending.length === 0) {
+    console.log("Nothing to fetch - every set in this run is complete.");
+  }
 
-    // Initialize browser
-    const browser = await initBrowser();
-    const page = await browser.newPage();
+  const backendName = flags.backend || config.fetch.backend;
+  const limiter = new RateLimiter({
+    requestsPerMinute: config.fetch.requestsPerMinute,
+    burst: config.fetch.burst,
+  });
+  const backend = createBackend(backendName, {
+    concurrency,
+    limiter,
+    timeoutMs: config.fetch.timeoutMs,
+  });
+  const context = {
+    backend,
+    retries,
+    retryDelayMs: config.fetch.retryDelayMs,
+    timeoutMs: config.fetch.timeoutMs,
+  };
 
-    // Fetch each set's detail page
-    let successCount = 0;
-    let errorCount = 0;
+  console.log(
+    `Fetching with the ${backendName} backend, ${concurrency} at a time, at most ${
+      config.fetch.requestsPerMinute || "unlimited"
+    } requests/minute\n`
+  );
 
-    for (let i = 0; i < sets.length; i++) {
-      const set = sets[i];
-      console.log(
-        `[${i + 1}/${sets.length}] Fetching ${set.setNumber}: ${set.name}...`
-      );
+  // Each worker takes the next pending set until none are left
+  let next = 0;
+  let done = 0;
+  const progress = () => `[${++done}/${pending.length}]`;
+
+  const worker = async () => {
+    while (next < pending.length) {
+      const set = pending[next++];
+
+      if (!set.url) {
+        console.log(
+          `${progress()} - ${set.setNumber}: skipped (no URL in registry)`
+        );
+        manifest.record(set, "skipped", { reason: "no URL in registry" });
+        manifest.save();
+        continue;
+      }
 
       try {
-        const content = await fetchPageContent(page, set.url);
+        const { content, attempts } = await fetchSet(set, context);
         const filename = `set-${set.setNumber}.html`;
         saveFile(filename, content, outputDir);
-        console.log(`  ✓ Saved to ${filename}`);
-        successCount++;
-
-        // Add a small delay to be respectful to the server
-        if (i < sets.length - 1) {
-          await new Promise((resolve) => setTimeout(resolve, 1000));
+        if (registry) {
+          registry.recordFetch(set.setNumber, new Date().toISOString());
         }
+        console.log(`${progress()} ✓ ${set.setNumber}: ${set.name}`);
+        manifest.record(set, "success", { attempts, file: filename });
       } catch (error) {
-        console.error(`  ✗ Error fetching ${set.setNumber}: ${error.message}`);
-        errorCount++;
+        console.error(
+          `${progress()} ✗ ${set.setNumber}: ${set.name} - failed after ${
+            error.attempts
+          } attempt(s): ${error.message}`
+        );
+        manifest.record(set, "failed", {
+          attempts: error.attempts,
+          error: error.message,
+        });
       }
+      manifest.save();
     }
+  };
 
-    await browser.close();
+  try {
+    await Promise.all(
+      Array.from({ length: Math.min(concurrency, pending.length) }, worker)
+    );
+  } finally {
+    await backend.close();
+  }
+  if (backend.stats) {
+    console.log(
+      `\nFetched ${backend.stats.http} page(s) over HTTP, ${backend.stats.browser} with the browser`
+    );
+  }
+  manifest.finishRun();
+  manifest.save();
+  if (registry) registry.save();
 
-    console.log(`\n✓ Complete!`);
-    console.log(`  - Successfully fetched: ${successCount} sets`);
-    console.log(`  - Errors: ${errorCount} sets`);
-    console.log(`  - Saved to: data/set-details/${timestamp}`);
-  } catch (error) {
-    console.error(`Fatal error: ${error.message}`);
-    process.exit(1);
+  const summary = manifest.getSummary();
+  console.log(`\n✓ Complete!`);
+  console.log(`  - Successfully fetched: ${summary.success} sets`);
+  console.log(`  - Failed: ${summary.failed} sets`);
+  console.log(`  - Skipped: ${summary.skipped} sets`);
+  console.log(`  - Saved to: data/set-details/${timestamp}`);
+  console.log(
+    `  - Manifest: data/set-details/${timestamp}/${FetchManifest.MANIFEST_FILENAME}`
+  );
+
+  if (summary.failed > 0) {
+    console.log(`\nFailed sets:`);
+    for (const entry of manifest.getSetsByStatus("failed")) {
+      console.log(`  - ${entry.setNumber}: ${entry.error}`);
+    }
+    console.log(
+      `\nTo fetch only the missing sets, run:\n  node fetchSetDetails.js --resume ${timestamp}`
+    );
   }
-})();
+
+  return {
+    timestamp,
+    total: sets.length,
+    pending: pending.length,
+    success: summary.success,
+    failedSets: summary.failed,
+    skipped: summary.skipped,
+    partial: summary.failed > 0,
+    failed: summary.success === 0 && summary.failed > 0,
+  };
+}
+
+module.exports = { isSetDetailPage, run };
+
+if (require.main === module) {
+  run(
+    parseArgs(process.argv.slice(2), ["monitored", "ignore-cadence", "dry-run"])
+      .flags
+  )
+    .then((result) => {
+      if (result.partial) process.exitCode = 1;
+    })
+    .catch((error) => {
+      console.error(`Fatal error: ${error.message}`);
+      process.exit(1);
+    });
+}
@@ -1,100 +1,169 @@
 const path = require("path");
-const {
-  initBrowser,
-  fetchPageContent,
-  saveFile,
-  getTimestamp,
-} = require("./utils");
+const cheerio = require("cheerio");
+const { saveFile, getTimestamp, parseArgs, withRetry } = require("./utils");
 const SetRegistry = require("./SetRegistry");
+const RateLimiter = require("./RateLimiter");
+const { createBackend } = require("./fetchBackends");
+const {
+  DEFAULT_CONFIG_PATH,
+  loadConfig,
+  resolveThemeFilter,
+  matchesThemeFilter,
+} = require("./config");
+const { dataPath, applyDataOptions } = require("./paths");
+
+const RETIRING_SOON_URL = "https://www.brickeconomy.com/sets/retiring-soon";
+
+// Each category on the page starts with one of these headers
+const CATEGORY_HEADER = "h3.mt-30.mb-10";
+
+/**
+ * Extract the sets listed under every category of the retiring soon page
+ * @param {string} html - Retiring soon page HTML
+ * @returns {Array<{setNumber: string, setName: string, category: string, url: string}>} Sets found
+ */
+function extractRetiringSets(html) {
+  const $ = cheerio.load(html);
+  const results = [];
+
+  // Find all h3 headers
+  $(CATEGORY_HEADER).each((_, header) => {
+    const categoryName = $(header).text().trim();
+
+    // Navigate up to the parent row, then get all following rows until the next category header
+    let currentRow = $(header).closest("tr");
+    if (currentRow.length === 0) return;
+
+    // Move to the next sibling row
+    currentRow = currentRow.next();
+
+    // Iterate through rows until we hit another category header or end
+    while (currentRow.length > 0) {
+      // Check if this row contains a new category header
+      if (currentRow.find(CATEGORY_HEADER).length > 0) {
+        break; // Stop at the next category
+      }
 
-(async () => {
-  const browser = await initBrowser();
-  const page = await browser.newPage();
-
-  // Fetch the retiring soon page
-  const content = await fetchPageContent(
-    page,
-    "https://www.brickeconomy.com/sets/retiring-soon"
-  );
-
-  // Extract LEGO set numbers from specific categories
-  const setNumbers = await page.evaluate(() => {
-    const results = [];
-    const targetCategories = ["Star Wars", "Marvel Super Heroes"];
-
-    // Find all h3 headers
-    const headers = document.querySelectorAll("h3.mt-30.mb-10");
+      // Look for set links in this row
+      const row = currentRow;
+      row.find('a[href^="/set/"]').each((_, link) => {
+        const href = $(link).attr("href");
+        // Extract set number from href pattern: /set/{NUMBER}-{VARIANT}/...
+        const match = href.match(/\/set\/(\d+)-/);
+        if (match) {
+          const setNumber = match[1];
+          // Get the set name from the h4 link
+          const h4Link = row.find('h4 a[href^="/set/"]').first();
+          const setName =
+            h4Link.length > 0 ? h4Link.text().trim() : $(link).text().trim();
+
+          // Avoid duplicates within a category
+          if (
+            !results.find(
+              (r) => r.setNumber === setNumber && r.category === categoryName
+            )
+          ) {
+            results.push({
+              setNumber: setNumber,
+              setName: setName,
+              category: categoryName,
+              url: `https://www.brickeconomy.com${href}`,
+            });
+          }
+        }
+      });
 
-    headers.forEach((header) => {
-      const categoryName = header.textContent.trim();
+      currentRow = currentRow.next();
+    }
+  });
 
-      // Check if this is one of our target categories
-      if (targetCategories.includes(categoryName)) {
-        // Navigate up to the parent row, then get all following rows until the next category header
-        let currentRow = header.closest("tr");
-        if (!currentRow) return;
+  return results;
+}
+
+/**
+ * Keep the sets in categories selected by the theme filter, listing a set
+ * found under several categories once (under the first)
+ * @param {Array<Object>} allSets - Result of extractRetiringSets
+ * @param {Object} themeFilter - Result of resolveThemeFilter
+ * @returns {Array<Object>} Selected sets
+ */
+function selectRetiringSets(allSets, themeFilter) {
+  const selected = [];
+  allSets.forEach((set) => {
+    if (!matchesThemeFilter(set.category, themeFilter)) return;
+    if (selected.find((s) => s.setNumber === set.setNumber)) return;
+    selected.push(set);
+  });
+  return selected;
+}
+
+/**
+ * Discover retiring sets and add them to the registry
+ * @param {Object} flags - Parsed flags: config, backend, themes, all-themes, dry-run
+ * @returns {Promise<Object>} {found, newSets, updatedSets, registrySize, sets, partial}
+ */
+async function run(flags = {}) {
+  applyDataOptions(flags);
+  const dryRun = Boolean(flags["dry-run"]);
+
+  // Resolve which themes to collect from config file and CLI flags
+  const config = loadConfig(flags.config || DEFAULT_CONFIG_PATH);
+  const themeFilter = resolveThemeFilter(config, flags);
+
+  if (themeFilter.all) {
+    console.log("Collecting sets from all themes");
+  } else {
+    console.log(`Collecting sets from: ${themeFilter.include.join(", ")}`);
+  }
+  if (themeFilter.exclude.length > 0) {
+    console.log(`Excluding: ${themeFilter.exclude.join(", ")}`);
+  }
 
-        // Move to the next sibling row
-        currentRow = currentRow.nextElementSibling;
+  const limiter = new RateLimiter({
+    requestsPerMinute: config.fetch.requestsPerMinute,
+    burst: config.fetch.burst,
+  });
+  const backend = createBackend(flags.backend || config.fetch.backend, {
+    limiter,
+    timeoutMs: config.fetch.timeoutMs,
+  });
 
-        // Iterate through rows until we hit another category header or end
-        while (currentRow) {
-          // Check if this row contains a new category header
-          const nextHeader = currentRow.querySelector("h3.mt-30.mb-10");
-          if (nextHeader) {
-            break; // Stop at the next category
-          }
+  // Fetch the retiring soon page
+  const content = await withRetry(
+    () =>
+      backend.fetch(RETIRING_SOON_URL, {
+        expect: (html) => cheerio.load(html)(CATEGORY_HEADER).length > 0,
+        label: "retiring-soon",
+      }),
+    config.fetch.retries,
+    config.fetch.retryDelayMs
+  );
+  await backend.close();
 
-          // Look for set links in this row
-          const links = currentRow.querySelectorAll('a[href^="/set/"]');
-          links.forEach((link) => {
-            const href = link.getAttribute("href");
-            // Extract set number from href pattern: /set/{NUMBER}-{VARIANT}/...
-            const match = href.match(/\/set\/(\d+)-/);
-            if (match) {
-              const setNumber = match[1];
-              // Get the set name from the h4 link
-              const h4Link = currentRow.querySelector('h4 a[href^="/set/"]');
-              const setName = h4Link
-                ? h4Link.textContent.trim()
-                : link.textContent.trim();
-
-              // Avoid duplicates
-              if (!results.find((r) => r.setNumber === setNumber)) {
-                results.push({
-                  setNumber: setNumber,
-                  setName: setName,
-                  category: categoryName,
-                  url: `https://www.brickeconomy.com${href}`,
-                });
-              }
-            }
-          });
-
-          currentRow = currentRow.nextElementSibling;
-        }
-      }
-    });
+  // Extract LEGO set numbers from every category on the page
+  const allSets = extractRetiringSets(content);
 
-    return results;
-  });
+  // Keep only the categories selected by the theme filter
+  const setNumbers = selectRetiringSets(allSets, themeFilter);
 
   // Create output filename with timestamp
   const timestamp = getTimestamp();
 
   // Define output directories
-  const htmlDir = path.join(__dirname, "data", "retiring-soon-pages");
-  const registryPath = path.join(__dirname, "data", "set-registry.json");
+  const htmlDir = dataPath("retiring-soon-pages");
+  const registryPath = dataPath("set-registry.json");
 
   // Save HTML content
   const htmlFilename = `retiring-soon-${timestamp}.html`;
-  saveFile(htmlFilename, content, htmlDir);
-  console.log(
-    `HTML content saved to: ${path.join(
-      "data/retiring-soon-pages",
-      htmlFilename
-    )}`
-  );
+  if (!dryRun) {
+    saveFile(htmlFilename, content, htmlDir);
+    console.log(
+      `HTML content saved to: ${path.join(
+        "data/retiring-soon-pages",
+        htmlFilename
+      )}`
+    );
+  }
 
   // Update registry with discovered sets
   const registry = new SetRegistry(registryPath);
@@ -107,6 +176,7 @@ const SetRegistry = require("./SetRegistry");
     registry.addSet(set.setNumber, {
       name: set.setName,
       url: set.url,
+      category: set.category,
     });
     if (wasNew) {
       newSets++;
@@ -115,9 +185,11 @@ const SetRegistry = require("./SetRegistry");
     }
   });
 
-  registry.save();
+  if (!dryRun) registry.save();
 
-  console.log(`\nRegistry updated:`);
+  console.log(
+    dryRun ? `\nRegistry changes (dry run, not saved):` : `\nRegistry updated:`
+  );
   console.log(`  - Total sets in registry: ${registry.count()}`);
   console.log(`  - New sets found: ${newSets}`);
   console.log(`  - Existing sets updated: ${updatedSets}`);
@@ -125,22 +197,40 @@ const SetRegistry = require("./SetRegistry");
   console.log(`\nRetiring sets found by category:`);
 
   // Group sets by category for display
-  const starWars = setNumbers.filter((s) => s.category === "Star Wars");
-  const marvel = setNumbers.filter((s) => s.category === "Marvel Super Heroes");
+  const byCategory = new Map();
+  setNumbers.forEach((set) => {
+    if (!byCategory.has(set.category)) byCategory.set(set.category, []);
+    byCategory.get(set.category).push(set);
+  });
 
-  if (starWars.length > 0) {
-    console.log(`\n  Star Wars (${starWars.length} sets):`);
-    starWars.forEach((set) => {
-      console.log(`    - ${set.setNumber}: ${set.setName}`);
-    });
+  if (byCategory.size === 0) {
+    console.log(`\n  No sets matched the theme filter.`);
   }
 
-  if (marvel.length > 0) {
-    console.log(`\n  Marvel Super Heroes (${marvel.length} sets):`);
-    marvel.forEach((set) => {
+  for (const [category, sets] of byCategory) {
+    console.log(`\n  ${category} (${sets.length} sets):`);
+    sets.forEach((set) => {
       console.log(`    - ${set.setNumber}: ${set.setName}`);
     });
   }
 
-  await browser.close();
-})();
+  return {
+    found: setNumbers.length,
+    newSets,
+    updatedSets,
+    registrySize: registry.count(),
+    sets: setNumbers,
+    partial: false,
+  };
+}
+
+module.exports = { extractRetiringSets, selectRetiringSets, run };
+
+if (require.main === module) {
+  run(parseArgs(process.argv.slice(2), ["all-themes", "dry-run"]).flags).catch(
+    (error) => {
+      console.error("Error:", error.message);
+      process.exit(1);
+    }
+  );
+}
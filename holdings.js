@@ -0,0 +1,280 @@
+const path = require("path");
+const { parseArgs, ensureDirectoryExists } = require("./utils");
+const { getLatestSnapshot } = require("./snapshots");
+const HoldingsLedger = require("./HoldingsLedger");
+const ExchangeRates = require("./ExchangeRates");
+const { DEFAULT_CURRENCY, formatMoney } = require("./schema");
+const {
+  DEFAULT_CONFIG_PATH,
+  loadConfig,
+  getReportingCurrency,
+} = require("./config");
+const {
+  getDataDir,
+  applyDataOptions,
+  getExchangeRatesPath,
+} = require("./paths");
+
+const USAGE = `Usage:
+  node holdings.js add <setNumber> --qty <n> --price <paid> [--date YYYY-MM-DD] [--condition sealed|used] [--source <where>] [--currency <code>]
+  node holdings.js sell <lotId> --qty <n> --price <sold> [--date YYYY-MM-DD]
+  node holdings.js remove <lotId>
+  node holdings.js list [setNumber]
+  node holdings.js report
+
+Prices are in the lot's currency (--currency, default: the reporting currency).`;
+
+/**
+ * Format a signed money amount
+ * @param {number} amount - Amount
+ * @param {string} currency - Currency of the amount
+ * @returns {string} Formatted amount like "+$12.50" or "-£3.00"
+ */
+function formatGain(amount, currency = DEFAULT_CURRENCY) {
+  return `${amount >= 0 ? "+" : "-"}${formatMoney(
+    Math.abs(amount),
+    "",
+    currency
+  )}`;
+}
+
+/**
+ * Build a map of set number to latest market prices and name
+ * @returns {Map<string, {name: string, marketPrice: number,
+ *   usedPrice: number|null, currency: string, date: Date}>} Latest prices;
+ *   marketPrice is the sealed price
+ */
+function getLatestPrices() {
+  const prices = new Map();
+  const latest = getLatestSnapshot();
+  if (!latest) return prices;
+
+  for (const set of latest.data.sets) {
+    prices.set(set.setNumber, {
+      name: set.name,
+      marketPrice: set.marketPrice || 0,
+      usedPrice: set.currentValue.used || null,
+      currency: set.currency,
+      date: latest.date,
+    });
+  }
+  return prices;
+}
+
+/**
+ * Generate a portfolio report with realized and unrealized gains per lot
+ * Each lot is reported in its own currency, with market prices converted to
+ * it; the totals are in the reporting currency. Used lots are valued at the
+ * used price.
+ * @param {HoldingsLedger} ledger - Holdings ledger
+ * @param {Map} prices - Latest prices from getLatestPrices
+ * @param {ExchangeRates} rates - Exchange rates
+ * @param {string} reporting - Reporting currency
+ * @returns {string} Formatted report
+ */
+function generatePortfolioReport(ledger, prices, rates, reporting) {
+  const lots = ledger.getLots();
+
+  if (lots.length === 0) {
+    return "No holdings recorded. Add a purchase with: node holdings.js add <setNumber> --qty 1 --price 99.99";
+  }
+
+  let report = "";
+  report += "LEGO PORTFOLIO REPORT\n";
+  report += "=".repeat(70) + "\n\n";
+
+  const totals = {
+    costBasis: 0,
+    openCost: 0,
+    marketValue: 0,
+    realized: 0,
+    unrealized: 0,
+  };
+  // Lots that cannot be converted to the reporting currency
+  const untotalled = [];
+
+  for (const lot of lots) {
+    const money = (amount) => formatMoney(amount, "", lot.currency);
+    const price = prices.get(lot.setNumber);
+    const used = lot.condition === "used";
+    // Used lots are worth the used price, sealed lots the market price
+    let nativePrice = null;
+    if (price) nativePrice = used ? price.usedPrice : price.marketPrice;
+    const converted =
+      nativePrice &&
+      rates.convert(nativePrice, price.currency, lot.currency, price.date);
+    const marketPrice = converted || 0;
+    const gains = ledger.getLotGains(lot, marketPrice);
+
+    const rate = rates.findRate(lot.currency, reporting);
+    if (rate) {
+      for (const key of Object.keys(totals)) {
+        totals[key] += gains[key] * rate.rate;
+      }
+    } else {
+      rates.missing.add(`${lot.currency}→${reporting}`);
+      untotalled.push(lot.id);
+    }
+
+    report += `Lot ${lot.id} - Set ${lot.setNumber}${
+      price ? `: ${price.name}` : ""
+    }\n`;
+    report += `  Bought: ${lot.quantity} x ${money(lot.pricePaid)} on ${
+      lot.date
+    } (${lot.condition}${lot.source ? `, ${lot.source}` : ""})\n`;
+    report += `  Held: ${gains.remaining} | Sold: ${gains.soldQuantity}\n`;
+
+    if (gains.soldQuantity > 0) {
+      report += `  Realized: ${formatGain(
+        gains.realized,
+        lot.currency
+      )} on ${money(gains.proceeds)} proceeds\n`;
+    }
+
+    if (gains.remaining > 0) {
+      const label = used ? "Market (used)" : "Market";
+      const native = price && formatMoney(nativePrice, "", price.currency);
+      if (marketPrice) {
+        report += `  ${label}: ${native}${
+          price.currency !== lot.currency ? ` (≈ ${money(marketPrice)})` : ""
+        } each | Unrealized: ${formatGain(
+          gains.unrealized,
+          lot.currency
+        )} (${gains.unrealizedPercent.toFixed(2)}%)\n`;
+      } else if (nativePrice) {
+        report += `  ${label}: ${native} each (no ${price.currency}→${lot.currency} rate)\n`;
+      } else if (price && used) {
+        report += `  Market (used): no used price in latest snapshot\n`;
+      } else {
+        report += `  Market: no price in latest snapshot\n`;
+      }
+    }
+    report += "\n";
+  }
+
+  report += `TOTALS (${reporting}, at today's rates)\n`;
+  report += "-".repeat(70) + "\n";
+  report += `Total Invested: ${formatMoney(totals.costBasis, "", reporting)}\n`;
+  report += `Open Cost Basis: ${formatMoney(totals.openCost, "", reporting)}\n`;
+  report += `Open Market Value: ${formatMoney(
+    totals.marketValue,
+    "",
+    reporting
+  )}\n`;
+  report += `Realized Gains: ${formatGain(totals.realized, reporting)}\n`;
+  report += `Unrealized Gains: ${formatGain(totals.unrealized, reporting)}\n`;
+  report += `Total Gains: ${formatGain(
+    totals.realized + totals.unrealized,
+    reporting
+  )}\n`;
+  if (untotalled.length > 0) {
+    report += `Not in totals (no exchange rate): lot(s) ${untotalled.join(
+      ", "
+    )}\n`;
+  }
+
+  return report;
+}
+
+/**
+ * Format a one-line description of a lot
+ * @param {HoldingsLedger} ledger - Holdings ledger
+ * @param {Object} lot - Lot
+ * @returns {string} Lot summary
+ */
+function formatLot(ledger, lot) {
+  return `Lot ${lot.id}: Set ${lot.setNumber} - ${ledger.remainingQuantity(
+    lot
+  )}/${lot.quantity} held @ ${formatMoney(lot.pricePaid, "", lot.currency)} (${
+    lot.date
+  }, ${lot.condition}${lot.source ? `, ${lot.source}` : ""})`;
+}
+
+// Main execution
+async function main() {
+  const { _: args, flags } = parseArgs(process.argv.slice(2));
+  applyDataOptions(flags);
+  const [command, target] = args;
+
+  const dataDir = getDataDir();
+  ensureDirectoryExists(dataDir);
+  const ledger = new HoldingsLedger(path.join(dataDir, "holdings.json"));
+
+  switch (command) {
+    case "add": {
+      if (!target || flags.qty === undefined || flags.price === undefined) {
+        console.log(USAGE);
+        process.exit(1);
+      }
+      const lot = ledger.addLot(target, {
+        quantity: flags.qty,
+        pricePaid: flags.price,
+        date: flags.date,
+        condition: flags.condition,
+        source: flags.source,
+        currency:
+          flags.currency ||
+          getReportingCurrency(loadConfig(flags.config || DEFAULT_CONFIG_PATH)),
+      });
+      ledger.save();
+      console.log(`✓ Added ${formatLot(ledger, lot)}`);
+      break;
+    }
+
+    case "sell": {
+      if (!target || flags.qty === undefined || flags.price === undefined) {
+        console.log(USAGE);
+        process.exit(1);
+      }
+      const lot = ledger.recordSale(target, {
+        quantity: flags.qty,
+        price: flags.price,
+        date: flags.date,
+      });
+      ledger.save();
+      console.log(`✓ Recorded sale. ${formatLot(ledger, lot)}`);
+      break;
+    }
+
+    case "remove": {
+      if (!ledger.removeLot(target)) {
+        console.error(`Lot ${target} not found`);
+        process.exit(1);
+      }
+      ledger.save();
+      console.log(`✓ Removed lot ${target}`);
+      break;
+    }
+
+    case "list": {
+      const lots = ledger.getLots(target);
+      if (lots.length === 0) {
+        console.log("No lots found.");
+      }
+      lots.forEach((lot) => console.log(formatLot(ledger, lot)));
+      break;
+    }
+
+    case "report": {
+      const rates = new ExchangeRates(getExchangeRatesPath());
+      const reporting = getReportingCurrency(
+        loadConfig(flags.config || DEFAULT_CONFIG_PATH)
+      );
+      console.log(
+        generatePortfolioReport(ledger, getLatestPrices(), rates, reporting)
+      );
+      const missingRates = rates.describeMissing();
+      if (missingRates) console.warn(`\nWarning: ${missingRates}`);
+      break;
+    }
+
+    default:
+      console.log(USAGE);
+      if (command) process.exit(1);
+  }
+}
+
+main().catch((error) => {
+  console.error("Error:", error.message);
+  process.exit(1);
+});
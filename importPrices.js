@@ -0,0 +1,174 @@
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("./utils");
+const { openDatabase, recordSourceObservations } = require("./database");
+const {
+  PRICE_SOURCE_FORMATS,
+  detectFormat,
+  validateSourceName,
+} = require("./priceSources");
+const { applyDataOptions } = require("./paths");
+
+const USAGE = `Usage:
+  node importPrices.js <file...> [--format bricklink|csv] [--source <name>] [--date <YYYY-MM-DD>] [--currency <code>]
+
+Formats:
+${Object.entries(PRICE_SOURCE_FORMATS)
+  .map(([name, format]) => `  ${name.padEnd(10)} ${format.description}`)
+  .join("\n")}
+
+--source names the prices in reports (default: the format name)
+--date is used for rows without a date column (default: today)
+--currency is used for rows without a currency column or symbol (default: USD)`;
+
+// How many rejected rows to list per file
+const MAX_REJECTED_SHOWN = 10;
+
+/**
+ * Build an error for a malformed command, carrying the usage text
+ * @param {string} message - What was wrong
+ * @returns {Error} Error with usage set, so the CLI exits with its usage code
+ */
+function usageError(message) {
+  const error = new Error(`${message}\n${USAGE}`);
+  error.usage = true;
+  return error;
+}
+
+/**
+ * Import price exports from other sources as observations next to the
+ * scraped prices
+ * @param {Object} flags - Parsed flags: format, source, date, currency,
+ *   dry-run
+ * @param {Array<string>} args - Files to import
+ * @returns {Promise<Object>} {files: [{file, format, source, observations,
+ *   ignored, rejected, error}], imported, partial} where partial is true when
+ *   a file could not be read or had rows that were rejected
+ */
+async function run(flags = {}, args = []) {
+  applyDataOptions(flags);
+  if (args.length === 0) throw usageError("No files to import");
+  if (flags.format !== undefined && !PRICE_SOURCE_FORMATS[flags.format]) {
+    throw usageError(`Unknown format "${flags.format}"`);
+  }
+  if (flags.source !== undefined) {
+    const problem =
+      flags.source === true
+        ? "--source expects a name"
+        : validateSourceName(flags.source);
+    if (problem) throw usageError(problem);
+  }
+  let date = new Date().toISOString().slice(0, 10);
+  if (flags.date !== undefined) {
+    if (
+      !/^\d{4}-\d{2}-\d{2}$/.test(flags.date) ||
+      isNaN(new Date(flags.date))
+    ) {
+      throw usageError(`--date expects YYYY-MM-DD, got "${flags.date}"`);
+    }
+    date = flags.date;
+  }
+  let currency;
+  if (flags.currency !== undefined) {
+    if (!/^[A-Za-z]{3}$/.test(flags.currency)) {
+      throw usageError(
+        `--currency expects a 3-letter code like GBP, got "${flags.currency}"`
+      );
+    }
+    currency = flags.currency.toUpperCase();
+  }
+
+  const dryRun = Boolean(flags["dry-run"]);
+  const db = dryRun ? null : openDatabase();
+  const files = [];
+  let imported = 0;
+
+  try {
+    for (const file of args) {
+      let content;
+      try {
+        content = fs.readFileSync(file, "utf8");
+      } catch (error) {
+        console.log(`  ✗ ${file}: ${error.message}`);
+        files.push({ file, error: error.message });
+        continue;
+      }
+
+      const format = flags.format || detectFormat(file, content);
+      const source = flags.source || format;
+      const result = PRICE_SOURCE_FORMATS[format].parse(content, {
+        source,
+        date,
+        currency,
+        recordedFrom: path.basename(file),
+      });
+      const sets = new Set(result.observations.map((o) => o.setNumber));
+      const currencies = new Set(result.observations.map((o) => o.currency));
+
+      console.log(
+        `  ${result.observations.length > 0 ? "✓" : "✗"} ${file} (${format}): ${
+          result.observations.length
+        } price(s) for ${sets.size} set(s) as "${source}"${
+          currencies.size > 0 ? ` in ${Array.from(currencies).join("/")}` : ""
+        }${
+          result.ignored > 0 ? `, ${result.ignored} non-set row(s) ignored` : ""
+        }`
+      );
+      for (const { line, reason } of result.rejected.slice(
+        0,
+        MAX_REJECTED_SHOWN
+      )) {
+        console.log(`      rejected row at line ${line}: ${reason}`);
+      }
+      if (result.rejected.length > MAX_REJECTED_SHOWN) {
+        console.log(
+          `      ... and ${
+            result.rejected.length - MAX_REJECTED_SHOWN
+          } more rejected row(s)`
+        );
+      }
+
+      if (db) recordSourceObservations(db, result.observations);
+      imported += result.observations.length;
+      files.push({
+        file,
+        format,
+        source,
+        observations: result.observations.length,
+        ignored: result.ignored,
+        rejected: result.rejected,
+        error: null,
+      });
+    }
+  } finally {
+    if (db) db.close();
+  }
+
+  if (dryRun) {
+    console.log(`\nDry run - ${imported} price(s) not saved.`);
+  } else {
+    console.log(`\n✓ Imported ${imported} price(s)`);
+  }
+
+  return {
+    files,
+    imported,
+    partial: files.some(
+      (file) => file.error || (file.rejected && file.rejected.length > 0)
+    ),
+  };
+}
+
+module.exports = { run };
+
+if (require.main === module) {
+  const { _: args, flags } = parseArgs(process.argv.slice(2), ["dry-run"]);
+  run(flags, args)
+    .then((result) => {
+      if (result.partial) process.exitCode = 1;
+    })
+    .catch((error) => {
+      console.error("Error:", error.message);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,61 @@
+const fs = require("fs");
+const path = require("path");
+const { loadAnalysisData } = require("./snapshots");
+const {
+  getDefaultDbPath,
+  openDatabase,
+  recordSnapshot,
+  countSnapshots,
+} = require("./database");
+const { parseArgs } = require("./utils");
+const { dataPath, applyDataOptions } = require("./paths");
+
+// Main execution
+async function main() {
+  applyDataOptions(parseArgs(process.argv.slice(2)).flags);
+  const analysisDir = dataPath("set-analysis");
+
+  if (!fs.existsSync(analysisDir)) {
+    console.error("No analysis data found. Run analyzeSetDetails.js first.");
+    process.exit(1);
+  }
+
+  const dirs = fs
+    .readdirSync(analysisDir)
+    .filter((f) => fs.statSync(path.join(analysisDir, f)).isDirectory())
+    .sort();
+
+  const dbPath = getDefaultDbPath();
+  console.log(`Importing ${dirs.length} snapshot(s) into ${dbPath}\n`);
+
+  const db = openDatabase(dbPath);
+  let imported = 0;
+  let skipped = 0;
+
+  for (const dir of dirs) {
+    const data = loadAnalysisData(dir);
+
+    if (!data || !data.analysisDate || !Array.isArray(data.sets)) {
+      console.log(`  - Skipped ${dir} (no valid analysis-data.json)`);
+      skipped++;
+      continue;
+    }
+
+    // Older snapshots may not record their fetch timestamp
+    recordSnapshot(db, { ...data, fetchTimestamp: data.fetchTimestamp || dir });
+    console.log(`  ✓ ${dir} (${data.sets.length} sets)`);
+    imported++;
+  }
+
+  console.log(`\n✓ Complete!`);
+  console.log(`  - Imported: ${imported} snapshot(s)`);
+  console.log(`  - Skipped: ${skipped}`);
+  console.log(`  - Snapshots in database: ${countSnapshots(db)}`);
+
+  db.close();
+}
+
+main().catch((error) => {
+  console.error("Error:", error.message);
+  process.exit(1);
+});
@@ -0,0 +1,213 @@
+/**
+ * Lifecycle rules for registry sets: which state each set should be in and
+ * whether it is due to be fetched again. States are stored by SetRegistry.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Scheduled runs drift by a few minutes, so a set fetched "a day ago" is due
+const CADENCE_TOLERANCE_MS = 2 * 60 * 60 * 1000;
+
+/**
+ * Find whether each set had retired as of its most recent snapshot
+ * @param {Array} snapshots - Snapshots sorted oldest first
+ * @returns {Map<string, {retired: string, date: Date}>} Retired sets, with the
+ *   page's retirement date and the snapshot that first showed it
+ */
+function findRetiredSets(snapshots) {
+  const retired = new Map();
+  for (const snapshot of snapshots) {
+    for (const set of snapshot.data.sets) {
+      if (set.retired) {
+        if (!retired.has(set.setNumber)) {
+          retired.set(set.setNumber, {
+            retired: set.retired,
+            date: snapshot.date,
+          });
+        }
+      } else {
+        // Back on sale in a later snapshot
+        retired.delete(set.setNumber);
+      }
+    }
+  }
+  return retired;
+}
+
+/**
+ * Find the sets whose most recent snapshot shows them on sale
+ * @param {Array} snapshots - Snapshots sorted oldest first
+ * @returns {Map<string, Date>} Set number to the date of that snapshot
+ */
+function findOnSaleSets(snapshots) {
+  const onSale = new Map();
+  for (const snapshot of snapshots) {
+    for (const set of snapshot.data.sets) {
+      if (set.retired) onSale.delete(set.setNumber);
+      else onSale.set(set.setNumber, snapshot.date);
+    }
+  }
+  return onSale;
+}
+
+/**
+ * State a set was in before it last moved to a state
+ * @param {Object} set - Registry entry
+ * @param {string} state - State it moved to
+ * @returns {string|null} Previous state, or null if there is no record
+ */
+function stateBefore(set, state) {
+  const change = (set.stateHistory || [])
+    .filter((entry) => entry.to === state)
+    .pop();
+  return change ? change.from : null;
+}
+
+/**
+ * Whole days between two dates
+ * @param {string|Date} from - Earlier date
+ * @param {Date} now - Later date
+ * @returns {number} Days elapsed
+ */
+function daysSince(from, now) {
+  return Math.floor((now - new Date(from)) / DAY_MS);
+}
+
+/**
+ * Move registry sets between lifecycle states:
+ * - any set the latest analysis shows as retired becomes retired, unless the
+ *   user has put it in another state since that snapshot
+ * - a set retired automatically that a later snapshot shows back on sale
+ *   returns to the state it was in before
+ * - candidates missing from the retiring soon page for staleAfterDays are
+ *   archived (sets added by hand never went through the page, so they stay;
+ *   restoring a set by hand starts the period again)
+ * - retired sets are archived archiveRetiredAfterDays after retiring (0 = never),
+ *   unless the user put them in that state
+ * Archived sets are left alone; a set archived for going stale becomes a
+ * candidate again when discovery sees it (see SetRegistry.addSet)
+ * @param {SetRegistry} registry - Set registry (changed in place)
+ * @param {Array} snapshots - Snapshots sorted oldest first
+ * @param {Object} settings - lifecycle section of the config
+ * @param {Date} now - Reference date
+ * @returns {Array<{setNumber, name, from, to, reason}>} State changes made
+ */
+function applyLifecycleRules(registry, snapshots, settings, now = new Date()) {
+  const retiredSets = findRetiredSets(snapshots);
+  const onSaleSets = findOnSaleSets(snapshots);
+  const changes = [];
+
+  const move = (set, state, reason) => {
+    if (
+      registry.setState(set.setNumber, state, {
+        reason,
+        source: "auto",
+        at: now.toISOString(),
+      })
+    ) {
+      changes.push({
+        setNumber: set.setNumber,
+        name: set.name,
+        from: set.state,
+        to: state,
+        reason,
+      });
+    }
+  };
+
+  for (const set of registry.getAllSets()) {
+    if (set.state === "archived") continue;
+
+    const retired = retiredSets.get(set.setNumber);
+    const userChoseState =
+      set.stateSource === "user" &&
+      retired &&
+      new Date(set.stateChangedAt) >= retired.date;
+    if (retired && set.state !== "retired" && !userChoseState) {
+      move(
+        set,
+        "retired",
+        `retired on ${retired.retired}, per the ${retired.date
+          .toISOString()
+          .slice(0, 10)} snapshot`
+      );
+      continue;
+    }
+
+    const backOnSale = onSaleSets.get(set.setNumber);
+    if (set.state === "retired" && set.stateSource === "auto" && backOnSale) {
+      move(
+        set,
+        stateBefore(set, "retired") || "candidate",
+        `back on sale, per the ${backOnSale
+          .toISOString()
+          .slice(0, 10)} snapshot`
+      );
+      continue;
+    }
+
+    // A set restored or unmonitored by hand gets a fresh staleness period
+    const activeSince = [set.lastSeen, set.stateChangedAt]
+      .filter(Boolean)
+      .sort()
+      .pop();
+    if (
+      set.state === "candidate" &&
+      set.source !== "manual" &&
+      settings.staleAfterDays > 0 &&
+      activeSince &&
+      daysSince(activeSince, now) >= settings.staleAfterDays
+    ) {
+      move(
+        set,
+        "archived",
+        `not on the retiring soon page for ${daysSince(
+          set.lastSeen || activeSince,
+          now
+        )} days`
+      );
+      continue;
+    }
+
+    if (
+      set.state === "retired" &&
+      set.stateSource === "auto" &&
+      settings.archiveRetiredAfterDays > 0 &&
+      set.stateChangedAt &&
+      daysSince(set.stateChangedAt, now) >= settings.archiveRetiredAfterDays
+    ) {
+      move(
+        set,
+        "archived",
+        `retired ${daysSince(set.stateChangedAt, now)} days ago`
+      );
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Check whether a set is due to be fetched under its state's cadence
+ * @param {Object} set - Registry entry
+ * @param {Object} settings - lifecycle section of the config
+ * @param {Date} now - Reference date
+ * @returns {boolean} True if the set should be fetched now
+ */
+function isFetchDue(set, settings, now = new Date()) {
+  if (set.state === "archived") return false;
+  if (!set.lastFetched) return true;
+
+  const everyDays = settings.fetchEveryDays[set.state || "candidate"];
+  if (everyDays === undefined || everyDays === null) return true;
+  return (
+    now - new Date(set.lastFetched) >= everyDays * DAY_MS - CADENCE_TOLERANCE_MS
+  );
+}
+
+module.exports = {
+  findRetiredSets,
+  findOnSaleSets,
+  applyLifecycleRules,
+  isFetchDue,
+};
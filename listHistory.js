@@ -0,0 +1,294 @@
+const fs = require("fs");
+const path = require("path");
+const { parseArgs, parseTimestamp, ensureDirectoryExists } = require("./utils");
+const SetRegistry = require("./SetRegistry");
+const {
+  extractRetiringSets,
+  selectRetiringSets,
+} = require("./getRetiringSoon");
+const {
+  DEFAULT_CONFIG_PATH,
+  loadConfig,
+  resolveThemeFilter,
+} = require("./config");
+const { dataPath, applyDataOptions } = require("./paths");
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+/**
+ * Load and parse every saved retiring soon page, oldest first
+ * @returns {Array<{timestamp, date, sets}>} Pages with the sets listed on them
+ */
+function loadListPages() {
+  const pagesDir = dataPath("retiring-soon-pages");
+  if (!fs.existsSync(pagesDir)) return [];
+
+  return fs
+    .readdirSync(pagesDir)
+    .map((file) => {
+      const match = file.match(/^retiring-soon-(.+)\.html$/);
+      const date = match && parseTimestamp(match[1]);
+      if (!date) return null;
+      return {
+        timestamp: match[1],
+        date,
+        sets: extractRetiringSets(
+          fs.readFileSync(path.join(pagesDir, file), "utf8")
+        ),
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.date - b.date);
+}
+
+/**
+ * Follow each set through the saved pages and record every stretch of time
+ * it spent listed under a category
+ * @param {Array} pages - Result of loadListPages
+ * @returns {Object} {stints, events}: stints are {setNumber, name, category,
+ *   joined, left, lastListed, pages, fromFirstPage} (left is the first page
+ *   without the set, null while it is still listed; fromFirstPage means it
+ *   may have joined before the first saved page), events are
+ *   {date, type: "joined"|"left", setNumber, name, category}, oldest first
+ */
+function buildListTimeline(pages) {
+  const stints = [];
+  const events = [];
+  let open = new Map();
+
+  pages.forEach((page, index) => {
+    const listed = new Map();
+    for (const set of page.sets) {
+      const key = `${set.setNumber}|${set.category}`;
+      let stint = open.get(key);
+      if (!stint) {
+        stint = {
+          setNumber: set.setNumber,
+          name: set.setName,
+          category: set.category,
+          joined: page.date,
+          left: null,
+          lastListed: page.date,
+          pages: 0,
+          fromFirstPage: index === 0,
+        };
+        stints.push(stint);
+        if (index > 0) {
+          events.push({ date: page.date, type: "joined", ...describe(stint) });
+        }
+      }
+      stint.name = set.setName || stint.name;
+      stint.lastListed = page.date;
+      stint.pages++;
+      listed.set(key, stint);
+    }
+
+    for (const [key, stint] of open) {
+      if (!listed.has(key)) {
+        stint.left = page.date;
+        events.push({ date: page.date, type: "left", ...describe(stint) });
+      }
+    }
+    open = listed;
+  });
+
+  return { stints, events };
+}
+
+/**
+ * Pick the fields of a stint that identify it in an event
+ * @param {Object} stint - Stint from buildListTimeline
+ * @returns {Object} {setNumber, name, category}
+ */
+function describe(stint) {
+  return {
+    setNumber: stint.setNumber,
+    name: stint.name,
+    category: stint.category,
+  };
+}
+
+/**
+ * Days a stint lasted: until the page that no longer listed the set, or
+ * until the last saved page while it is still listed
+ * @param {Object} stint - Stint from buildListTimeline
+ * @param {Date} lastPage - Date of the last saved page
+ * @returns {number} Whole days
+ */
+function stintDays(stint, lastPage) {
+  return Math.floor(((stint.left || lastPage) - stint.joined) / DAY_MS);
+}
+
+/**
+ * Generate the list movement report
+ * @param {Array} pages - Result of loadListPages
+ * @param {Object} timeline - Result of buildListTimeline
+ * @returns {string} Formatted report
+ */
+function generateTimelineReport(pages, timeline) {
+  const lastPage = pages[pages.length - 1].date;
+  let report = "";
+  report += "RETIRING SOON LIST MOVEMENTS\n";
+  report += "=".repeat(70) + "\n\n";
+  report += `Saved pages: ${
+    pages.length
+  } (${pages[0].date.toLocaleDateString()} to ${lastPage.toLocaleDateString()})\n`;
+  report += `Sets: ${new Set(timeline.stints.map((s) => s.setNumber)).size}\n`;
+  report += `Still listed: ${
+    timeline.stints.filter((s) => !s.left).length
+  }, dropped off: ${timeline.stints.filter((s) => s.left).length}\n\n`;
+
+  report += "TIMELINE\n";
+  report += "-".repeat(70) + "\n";
+  if (timeline.events.length === 0) {
+    report += "No sets joined or left the list between the saved pages.\n";
+  }
+  for (const event of timeline.events) {
+    report += `[${event.date.toLocaleDateString()}] ${
+      event.type === "joined" ? "+" : "-"
+    } ${event.setNumber} ${event.name} ${event.type} ${event.category}\n`;
+  }
+
+  report += "\nTIME ON THE LIST\n";
+  report += "-".repeat(70) + "\n";
+  const sorted = [...timeline.stints].sort(
+    (a, b) =>
+      a.category.localeCompare(b.category) ||
+      a.setNumber.localeCompare(b.setNumber) ||
+      a.joined - b.joined
+  );
+  let category = null;
+  for (const stint of sorted) {
+    if (stint.category !== category) {
+      category = stint.category;
+      report += `\n${category}\n`;
+    }
+    const days = stintDays(stint, lastPage);
+    report += `  ${stint.setNumber.padEnd(7)}${stint.name}: ${
+      stint.fromFirstPage ? "on or before " : ""
+    }${stint.joined.toLocaleDateString()} - ${
+      stint.left ? stint.left.toLocaleDateString() : "still listed"
+    } (${stint.fromFirstPage ? "at least " : ""}${days} days, ${
+      stint.pages
+    } page(s))\n`;
+  }
+
+  return report;
+}
+
+/**
+ * Rebuild a registry by replaying the saved pages in order, as if discovery
+ * had run on each of them
+ * @param {SetRegistry} registry - Registry to fill (cleared first)
+ * @param {Array} pages - Result of loadListPages
+ * @param {Object} themeFilter - Result of resolveThemeFilter
+ * @returns {number} Number of sets in the rebuilt registry
+ */
+function rebuildRegistry(registry, pages, themeFilter) {
+  registry.clear();
+  for (const page of pages) {
+    for (const set of selectRetiringSets(page.sets, themeFilter)) {
+      registry.addSet(
+        set.setNumber,
+        { name: set.setName, url: set.url, category: set.category },
+        page.date.toISOString()
+      );
+    }
+  }
+  return registry.count();
+}
+
+/**
+ * Report how sets moved on and off the retiring soon list, or rebuild the
+ * registry from the saved pages
+ * @param {Object} flags - Parsed flags: set, category, rebuild-registry,
+ *   force, config, themes, all-themes, dry-run
+ * @returns {Promise<Object>} {pages, stints, events, rebuilt, partial}
+ * @throws {Error} If no pages are saved, or the registry exists and --force is not given
+ */
+async function run(flags = {}) {
+  applyDataOptions(flags);
+  const pages = loadListPages();
+  if (pages.length === 0) {
+    throw new Error(
+      "No saved pages in data/retiring-soon-pages. Run getRetiringSoon.js first."
+    );
+  }
+  console.log(`Read ${pages.length} saved retiring soon page(s)\n`);
+
+  if (flags["rebuild-registry"]) {
+    const registryPath = dataPath("set-registry.json");
+    const exists = fs.existsSync(registryPath);
+    if (exists && !flags.force) {
+      throw new Error(
+        "set-registry.json already exists. Use --force to replace it (a backup is kept)."
+      );
+    }
+
+    const config = loadConfig(flags.config || DEFAULT_CONFIG_PATH);
+    const registry = new SetRegistry(registryPath);
+    const count = rebuildRegistry(
+      registry,
+      pages,
+      resolveThemeFilter(config, flags)
+    );
+
+    if (flags["dry-run"]) {
+      console.log(`Dry run - rebuilt registry of ${count} set(s) not saved.`);
+    } else {
+      if (exists) {
+        const backupPath = `${registryPath}.bak`;
+        fs.copyFileSync(registryPath, backupPath);
+        console.log(`Kept the old registry as ${backupPath}`);
+      }
+      ensureDirectoryExists(path.dirname(registryPath));
+      registry.save();
+      console.log(`✓ Rebuilt set-registry.json with ${count} set(s)`);
+    }
+    console.log(
+      "Monitored sets, tags and notes cannot be recovered from the pages; every set starts as a candidate."
+    );
+    return {
+      pages: pages.length,
+      stints: [],
+      events: [],
+      rebuilt: count,
+      partial: false,
+    };
+  }
+
+  const timeline = buildListTimeline(pages);
+  const keep = (item) =>
+    (!flags.set || item.setNumber === String(flags.set)) &&
+    (!flags.category ||
+      item.category.toLowerCase() === String(flags.category).toLowerCase());
+  const filtered = {
+    stints: timeline.stints.filter(keep),
+    events: timeline.events.filter(keep),
+  };
+
+  console.log(generateTimelineReport(pages, filtered));
+
+  return {
+    pages: pages.length,
+    ...filtered,
+    rebuilt: null,
+    partial: false,
+  };
+}
+
+module.exports = { loadListPages, buildListTimeline, rebuildRegistry, run };
+
+if (require.main === module) {
+  run(
+    parseArgs(process.argv.slice(2), [
+      "rebuild-registry",
+      "force",
+      "all-themes",
+      "dry-run",
+    ]).flags
+  ).catch((error) => {
+    console.error("Error:", error.message);
+    process.exit(1);
+  });
+}
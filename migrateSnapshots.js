@@ -0,0 +1,105 @@
+const fs = require("fs");
+const path = require("path");
+const { saveFile, parseArgs } = require("./utils");
+const { SCHEMA_VERSION, migrateSnapshot } = require("./schema");
+const {
+  getDefaultDbPath,
+  openDatabase,
+  upgradeSnapshots,
+} = require("./database");
+const { dataPath, applyDataOptions } = require("./paths");
+
+// Snapshot documents that hold set records
+const SNAPSHOT_FILES = ["analysis-data.json", "quarantine.json"];
+
+/**
+ * Upgrade one snapshot document on disk, keeping the original next to it
+ * @param {string} dir - Analysis directory
+ * @param {string} filename - Document filename
+ * @param {boolean} dryRun - Report what would change without writing
+ * @returns {number|null} The version it was upgraded from, or null if already current
+ */
+function migrateFile(dir, filename, dryRun) {
+  const filePath = path.join(dir, filename);
+  const data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  const version = data.schemaVersion || 1;
+
+  if (version >= SCHEMA_VERSION) return null;
+
+  const migrated = migrateSnapshot(data);
+  if (!dryRun) {
+    const backup = filename.replace(/\.json$/, `.v${version}.json`);
+    fs.copyFileSync(filePath, path.join(dir, backup));
+    saveFile(filename, JSON.stringify(migrated, null, 2), dir);
+  }
+  return version;
+}
+
+// Main execution
+async function main() {
+  const { flags } = parseArgs(process.argv.slice(2), ["dry-run"]);
+  applyDataOptions(flags);
+  const dryRun = Boolean(flags["dry-run"]);
+  const analysisDir = dataPath("set-analysis");
+
+  if (!fs.existsSync(analysisDir)) {
+    console.error("No analysis data found. Run analyzeSetDetails.js first.");
+    process.exit(1);
+  }
+
+  console.log(
+    `Upgrading snapshots to schema version ${SCHEMA_VERSION}${
+      dryRun ? " (dry run)" : ""
+    }\n`
+  );
+
+  const dirs = fs
+    .readdirSync(analysisDir)
+    .filter((f) => fs.statSync(path.join(analysisDir, f)).isDirectory())
+    .sort();
+
+  let upgraded = 0;
+  let current = 0;
+  let failed = 0;
+
+  for (const dir of dirs) {
+    for (const filename of SNAPSHOT_FILES) {
+      if (!fs.existsSync(path.join(analysisDir, dir, filename))) continue;
+
+      try {
+        const from = migrateFile(path.join(analysisDir, dir), filename, dryRun);
+        if (from === null) {
+          current++;
+        } else {
+          console.log(`  ✓ ${dir}/${filename}: v${from} → v${SCHEMA_VERSION}`);
+          upgraded++;
+        }
+      } catch (error) {
+        console.error(`  ✗ ${dir}/${filename}: ${error.message}`);
+        failed++;
+      }
+    }
+  }
+
+  let dbUpgraded = 0;
+  if (!dryRun && fs.existsSync(getDefaultDbPath())) {
+    const db = openDatabase();
+    dbUpgraded = upgradeSnapshots(db);
+    db.close();
+  }
+
+  console.log(`\n✓ Complete!`);
+  console.log(`  - Files upgraded: ${upgraded} (originals kept alongside)`);
+  console.log(`  - Files already current: ${current}`);
+  console.log(`  - Files that failed: ${failed}`);
+  if (!dryRun) {
+    console.log(`  - Database snapshots upgraded: ${dbUpgraded}`);
+  }
+
+  if (failed > 0) process.exitCode = 1;
+}
+
+main().catch((error) => {
+  console.error("Error:", error.message);
+  process.exit(1);
+});
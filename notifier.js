@@ -0,0 +1,308 @@
+const fs = require("fs");
+const path = require("path");
+const http = require("http");
+const https = require("https");
+const nodemailer = require("nodemailer");
+const { ensureDirectoryExists, withRetry } = require("./utils");
+const { dataPath } = require("./paths");
+
+/**
+ * Alert priorities, lowest first
+ */
+const PRIORITY_LEVELS = ["LOW", "MEDIUM", "HIGH"];
+
+/**
+ * Discord rejects message content longer than this
+ */
+const DISCORD_MAX_LENGTH = 2000;
+
+/**
+ * Check whether an alert meets a channel's priority threshold
+ * @param {Object} alert - Alert object
+ * @param {string} minPriority - Lowest priority the channel accepts
+ * @returns {boolean} True if the alert should be sent
+ */
+function meetsPriority(alert, minPriority = "LOW") {
+  return (
+    PRIORITY_LEVELS.indexOf(alert.priority) >=
+    PRIORITY_LEVELS.indexOf(minPriority)
+  );
+}
+
+/**
+ * Format alerts as plain text (used for chat messages and email bodies)
+ * @param {Array} alerts - Array of alert objects
+ * @param {string} category - Alert category name
+ * @returns {string} Formatted text
+ */
+function formatAlertsText(alerts, category) {
+  let text = `${category.toUpperCase()} (${alerts.length})\n`;
+
+  for (const alert of alerts) {
+    text += `\n[${alert.priority}] ${alert.message}\n`;
+    for (const [key, value] of Object.entries(alert.details)) {
+      const label = key
+        .replace(/([A-Z])/g, " $1")
+        .replace(/^./, (str) => str.toUpperCase());
+      text += `  ${label}: ${value}\n`;
+    }
+  }
+
+  return text;
+}
+
+/**
+ * POST a JSON payload to a URL
+ * @param {string} url - Destination URL (http or https)
+ * @param {Object} payload - JSON payload
+ * @param {number} timeoutMs - Request timeout in milliseconds
+ * @returns {Promise<number>} HTTP status code
+ */
+function postJson(url, payload, timeoutMs = 10000) {
+  const body = JSON.stringify(payload);
+  const client = url.startsWith("https:") ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const req = client.request(
+      url,
+      {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "Content-Length": Buffer.byteLength(body),
+        },
+        timeout: timeoutMs,
+      },
+      (res) => {
+        res.resume();
+        res.on("end", () => {
+          if (res.statusCode >= 200 && res.statusCode < 300) {
+            resolve(res.statusCode);
+          } else {
+            reject(new Error(`Webhook responded with HTTP ${res.statusCode}`));
+          }
+        });
+      }
+    );
+
+    req.on("timeout", () => {
+      req.destroy(new Error(`Webhook timed out after ${timeoutMs}ms`));
+    });
+    req.on("error", reject);
+    req.end(body);
+  });
+}
+
+/**
+ * Build a webhook payload in the channel's format
+ * @param {string} format - "json", "slack" or "discord"
+ * @param {Array} alerts - Array of alert objects
+ * @param {string} category - Alert category name
+ * @returns {Object} Payload
+ */
+function buildWebhookPayload(format, alerts, category) {
+  const text = formatAlertsText(alerts, category);
+
+  if (format === "slack") {
+    return { text };
+  }
+  if (format === "discord") {
+    return {
+      content:
+        text.length > DISCORD_MAX_LENGTH
+          ? text.slice(0, DISCORD_MAX_LENGTH - 3) + "..."
+          : text,
+    };
+  }
+  return {
+    category,
+    sentAt: new Date().toISOString(),
+    text,
+    alerts,
+  };
+}
+
+/**
+ * Create a generic JSON webhook channel (Slack/Discord compatible)
+ * @param {Object} options - {url, format, timeoutMs}
+ * @returns {Function} Send function (alerts, category) => Promise
+ */
+function createWebhookSender(options) {
+  if (!options.url) {
+    throw new Error("Webhook channel requires a url");
+  }
+  const format = options.format || "json";
+  if (!["json", "slack", "discord"].includes(format)) {
+    throw new Error(`Unknown webhook format "${format}"`);
+  }
+
+  return (alerts, category) =>
+    postJson(
+      options.url,
+      buildWebhookPayload(format, alerts, category),
+      options.timeoutMs
+    );
+}
+
+/**
+ * Create an SMTP email channel
+ * @param {Object} options - {host, port, secure, auth, from, to, subjectPrefix}
+ * @returns {Function} Send function (alerts, category) => Promise
+ */
+function createEmailSender(options) {
+  if (!options.host || !options.from || !options.to) {
+    throw new Error("Email channel requires host, from and to");
+  }
+
+  const transport = nodemailer.createTransport({
+    host: options.host,
+    port: options.port || 587,
+    secure: Boolean(options.secure),
+    auth: options.auth,
+    ignoreTLS: Boolean(options.ignoreTLS),
+  });
+  const prefix = options.subjectPrefix || "[LEGO Monitor]";
+
+  return (alerts, category) =>
+    transport.sendMail({
+      from: options.from,
+      to: Array.isArray(options.to) ? options.to.join(", ") : options.to,
+      subject: `${prefix} ${category}: ${alerts.length} alert(s)`,
+      text: formatAlertsText(alerts, category),
+    });
+}
+
+/**
+ * Create an append-only JSONL file channel (one alert per line)
+ * @param {Object} options - {path}; a relative path is inside the selected
+ *   profile's data directory
+ * @returns {Function} Send function (alerts, category) => Promise
+ */
+function createFileSender(options) {
+  if (!options.path) {
+    throw new Error("File channel requires a path");
+  }
+  const filePath = path.isAbsolute(options.path)
+    ? options.path
+    : dataPath(options.path);
+
+  return async (alerts, category) => {
+    ensureDirectoryExists(path.dirname(filePath));
+    const sentAt = new Date().toISOString();
+    const lines = alerts
+      .map((alert) => JSON.stringify({ sentAt, category, ...alert }) + "\n")
+      .join("");
+    fs.appendFileSync(filePath, lines, "utf8");
+  };
+}
+
+const SENDER_FACTORIES = {
+  webhook: createWebhookSender,
+  email: createEmailSender,
+  file: createFileSender,
+};
+
+/**
+ * Create notification channels from the "notifications" config section
+ * @param {Object} notificationsConfig - {channels: [...], retries, retryDelayMs}
+ * @returns {Array<Object>} Channels: {name, type, minPriority, categories, send}
+ */
+function createChannels(notificationsConfig = {}) {
+  const channels = notificationsConfig.channels || [];
+
+  return channels.map((channelConfig, index) => {
+    const factory = SENDER_FACTORIES[channelConfig.type];
+    if (!factory) {
+      throw new Error(
+        `Notification channel ${index + 1}: unknown type "${
+          channelConfig.type
+        }" (expected ${Object.keys(SENDER_FACTORIES).join(", ")})`
+      );
+    }
+    const minPriority = channelConfig.minPriority || "LOW";
+    if (!PRIORITY_LEVELS.includes(minPriority)) {
+      throw new Error(
+        `Notification channel ${
+          index + 1
+        }: minPriority must be one of ${PRIORITY_LEVELS.join(", ")}`
+      );
+    }
+
+    return {
+      name: channelConfig.name || `${channelConfig.type}-${index + 1}`,
+      type: channelConfig.type,
+      minPriority,
+      categories: channelConfig.categories || null,
+      send: factory(channelConfig),
+    };
+  });
+}
+
+/**
+ * Deliver every alert category to each channel that wants it
+ * Failures are retried and logged; they never stop the other deliveries
+ * @param {Object} allAlerts - Object mapping category name to alert arrays
+ * @param {Array<Object>} channels - Channels from createChannels
+ * @param {Object} options - {retries, retryDelayMs}
+ * @returns {Promise<Array<Object>>} Delivery results: {channel, category,
+ *   count, ok, error}, plus the undelivered alerts on failures
+ */
+async function notifyAll(allAlerts, channels, options = {}) {
+  const results = [];
+  const retries = options.retries !== undefined ? options.retries : 2;
+  const retryDelayMs =
+    options.retryDelayMs !== undefined ? options.retryDelayMs : 1000;
+
+  for (const channel of channels) {
+    for (const [category, alerts] of Object.entries(allAlerts)) {
+      if (channel.categories && !channel.categories.includes(category)) {
+        continue;
+      }
+
+      const selected = alerts.filter((alert) =>
+        meetsPriority(alert, channel.minPriority)
+      );
+      if (selected.length === 0) continue;
+
+      try {
+        await withRetry(
+          () => channel.send(selected, category),
+          retries,
+          retryDelayMs
+        );
+        console.log(
+          `  ✓ ${channel.name}: sent ${selected.length} "${category}" alert(s)`
+        );
+        results.push({
+          channel: channel.name,
+          category,
+          count: selected.length,
+          ok: true,
+        });
+      } catch (error) {
+        console.error(
+          `  ✗ ${channel.name}: failed to send "${category}": ${error.message}`
+        );
+        results.push({
+          channel: channel.name,
+          category,
+          count: selected.length,
+          ok: false,
+          error: error.message,
+          alerts: selected,
+        });
+      }
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  PRIORITY_LEVELS,
+  meetsPriority,
+  formatAlertsText,
+  buildWebhookPayload,
+  createChannels,
+  notifyAll,
+};
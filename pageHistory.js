@@ -0,0 +1,239 @@
+const cheerio = require("cheerio");
+
+/**
+ * Source name of observations taken from the value charts embedded in saved
+ * set detail pages
+ */
+const PAGE_HISTORY_SOURCE = "brickeconomy-chart";
+
+// Dates in chart rows are written as new Date(2021, 9, 1) or
+// Date.UTC(2021, 9, 1), with a zero-based month
+const DATE_CALL =
+  /^(?:new Date|Date\.UTC)\(\s*(\d{4})\s*,\s*(\d{1,2})\s*(?:,\s*(\d{1,2}))?/;
+
+// One value in a chart row: a date call, a quoted string, null or a number
+const ROW_TOKEN =
+  /(?:new Date|Date\.UTC)\([^)]*\)|'(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*"|\bnull\b|-?\d+(?:\.\d+)?/g;
+
+/**
+ * Work out which condition a chart column holds from its label
+ * @param {string} label - Column label, e.g. "New/Sealed" or "Used"
+ * @returns {string|null} "sealed", "used", or null for columns that are not
+ *   a value history (retail price lines, forecasts, unlabelled columns)
+ */
+function conditionOf(label) {
+  if (/retail|msrp|forecast|predict/i.test(label)) return null;
+  if (/used/i.test(label)) return "used";
+  if (/new|sealed|value|price/i.test(label)) return "sealed";
+  return null;
+}
+
+/**
+ * Read the bracketed array that starts at a position, skipping brackets
+ * inside strings
+ * @param {string} text - Script source
+ * @param {number} start - Index of the opening "["
+ * @returns {string|null} The array source including its brackets, or null if
+ *   it is not closed
+ */
+function readArray(text, start) {
+  let depth = 0;
+  let quote = null;
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === "\\") i++;
+      else if (char === quote) quote = null;
+    } else if (char === "'" || char === '"') {
+      quote = char;
+    } else if (char === "[") {
+      depth++;
+    } else if (char === "]") {
+      depth--;
+      if (depth === 0) return text.slice(start, i + 1);
+    }
+  }
+  return null;
+}
+
+/**
+ * Split a chart's data array into rows of values
+ * @param {string} source - Array source, e.g. "[[new Date(2021, 9, 1), 129.99], ...]"
+ * @returns {Array<Array<string>>} Row tokens
+ */
+function readRows(source) {
+  const rows = [];
+  let quote = null;
+  for (let i = 1; i < source.length - 1; i++) {
+    const char = source[i];
+    if (quote) {
+      if (char === "\\") i++;
+      else if (char === quote) quote = null;
+    } else if (char === "'" || char === '"') {
+      quote = char;
+    } else if (char === "[") {
+      const row = readArray(source, i);
+      if (!row) break;
+      rows.push(row.match(ROW_TOKEN) || []);
+      i += row.length - 1;
+    }
+  }
+  return rows;
+}
+
+/**
+ * Parse the column declarations of a Google Charts DataTable
+ * @param {string} text - Script source between the DataTable and its rows
+ * @returns {Array<{type, label, role}>} Columns in order
+ */
+function readColumns(text) {
+  const columns = [];
+  const pattern =
+    /addColumn\(\s*(?:\{([^}]*)\}|(['"])(\w+)\2\s*(?:,\s*(['"])([^'"]*)\4)?)/g;
+  let match;
+  while ((match = pattern.exec(text))) {
+    if (match[1] !== undefined) {
+      const field = (name) => {
+        const found = match[1].match(
+          new RegExp(`${name}\\s*:\\s*(['"])([^'"]*)\\1`)
+        );
+        return found ? found[2] : null;
+      };
+      columns.push({
+        type: field("type"),
+        label: field("label") || "",
+        role: field("role"),
+      });
+    } else {
+      columns.push({ type: match[3], label: match[5] || "", role: null });
+    }
+  }
+  return columns;
+}
+
+/**
+ * Convert a date call from a chart row to an ISO date
+ * @param {string} token - e.g. "new Date(2021, 9, 1)"
+ * @returns {string|null} e.g. "2021-10-01", or null if it is not a date
+ */
+function parseChartDate(token) {
+  const match = token.match(DATE_CALL);
+  if (!match) return null;
+  const date = new Date(
+    Date.UTC(
+      parseInt(match[1], 10),
+      parseInt(match[2], 10),
+      match[3] ? parseInt(match[3], 10) : 1
+    )
+  );
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Find the chart tables in a page's scripts: DataTables filled with addRows
+ * and tables built with arrayToDataTable, whose first row holds the labels
+ * @param {string} script - Script source
+ * @returns {Array<{columns, rows}>} Tables with their columns and row tokens
+ */
+function findChartTables(script) {
+  const tables = [];
+  const pattern = /(addRows|arrayToDataTable)\(\s*\[/g;
+  let columnsFrom = 0;
+  let match;
+
+  while ((match = pattern.exec(script))) {
+    const source = readArray(script, pattern.lastIndex - 1);
+    if (!source) break;
+
+    const rows = readRows(source);
+    let columns;
+    if (match[1] === "addRows") {
+      columns = readColumns(script.slice(columnsFrom, match.index));
+    } else {
+      const header = rows.shift() || [];
+      columns = header.map((token, index) => ({
+        type: index === 0 ? "date" : "number",
+        label: token.replace(/^['"]|['"]$/g, ""),
+        role: null,
+      }));
+    }
+
+    tables.push({ columns, rows });
+    columnsFrom = pattern.lastIndex + source.length - 1;
+    pattern.lastIndex = columnsFrom;
+  }
+
+  return tables;
+}
+
+/**
+ * Extract the value history embedded in a saved set detail page, from the
+ * chart data in its scripts
+ * @param {string} html - Saved page
+ * @param {Date} asOf - When the page was fetched: later points are forecasts
+ *   and are dropped
+ * @returns {{sealed: Array<{date, value}>, used: Array<{date, value}>}}
+ *   Points with ISO dates, oldest first (empty if the page has no chart)
+ */
+function extractPageHistory(html, asOf = new Date()) {
+  const $ = cheerio.load(html);
+  const limit = asOf.toISOString().slice(0, 10);
+  const series = { sealed: new Map(), used: new Map() };
+
+  $("script").each((i, elem) => {
+    for (const table of findChartTables($(elem).html() || "")) {
+      for (const row of table.rows) {
+        const date = parseChartDate(row[0] || "");
+        if (!date || date > limit) continue;
+
+        table.columns.forEach((column, index) => {
+          if (index === 0 || column.role || column.type !== "number") return;
+          const condition = conditionOf(column.label);
+          const value = parseFloat(row[index]);
+          // The first chart with a point on a date wins
+          if (
+            condition &&
+            Number.isFinite(value) &&
+            !series[condition].has(date)
+          ) {
+            series[condition].set(date, value);
+          }
+        });
+      }
+    }
+  });
+
+  const toPoints = (points) =>
+    Array.from(points, ([date, value]) => ({ date, value })).sort((a, b) =>
+      a.date.localeCompare(b.date)
+    );
+  return { sealed: toPoints(series.sealed), used: toPoints(series.used) };
+}
+
+/**
+ * Turn a page's value history into observations for the database
+ * @param {string} setNumber - Set number
+ * @param {Object} history - Result of extractPageHistory
+ * @param {string} fetchTimestamp - Fetch the page came from
+ * @param {string} currency - Currency of the page's prices
+ * @returns {Array<Object>} Observations for recordSourceObservations
+ */
+function toObservations(setNumber, history, fetchTimestamp, currency) {
+  return ["sealed", "used"].flatMap((condition) =>
+    history[condition].map((point) => ({
+      setNumber,
+      source: PAGE_HISTORY_SOURCE,
+      condition,
+      observedAt: point.date,
+      price: point.value,
+      currency,
+      recordedFrom: fetchTimestamp,
+    }))
+  );
+}
+
+module.exports = {
+  PAGE_HISTORY_SOURCE,
+  extractPageHistory,
+  toObservations,
+};
@@ -0,0 +1,164 @@
+/**
+ * Fields every parsed set is expected to have, with the section they come from
+ */
+const EXPECTED_FIELDS = {
+  name: "Set Details",
+  theme: "Set Details",
+  year: "Set Details",
+  pieces: "Set Details",
+  availability: "Set Details",
+  retailPrice: "Set Pricing",
+  marketPrice: "Set Pricing",
+  annualGrowthFirstYear: "Set Predictions",
+  oneYearRetiredValue: "Set Predictions",
+  fiveYearsRetiredValue: "Set Predictions",
+};
+
+/**
+ * Fields a set must have to be written to analysis-data.json
+ */
+const REQUIRED_FIELDS = ["name", "retailPrice", "marketPrice"];
+
+/**
+ * Share of sets that must lose the same field before it counts as drift
+ */
+const DRIFT_THRESHOLD = 0.5;
+
+/**
+ * Minimum number of affected sets before drift is reported
+ */
+const DRIFT_MIN_SETS = 2;
+
+/**
+ * Score how completely a set was parsed
+ * @param {Object} details - Set details from extractSetDetails
+ * @param {Array<string>} missingAnchors - Section headings not found on the page
+ * @returns {Object} Health record with score, found/missing fields and anchors
+ */
+function assessSetHealth(details, missingAnchors = []) {
+  const foundFields = [];
+  const missingFields = [];
+
+  for (const field of Object.keys(EXPECTED_FIELDS)) {
+    const value = details[field];
+    if (value !== "" && value !== null && value !== undefined) {
+      foundFields.push(field);
+    } else {
+      missingFields.push(field);
+    }
+  }
+
+  const missingRequired = REQUIRED_FIELDS.filter((field) =>
+    missingFields.includes(field)
+  );
+
+  return {
+    score: Math.round(
+      (foundFields.length / Object.keys(EXPECTED_FIELDS).length) * 100
+    ),
+    foundFields,
+    missingFields,
+    missingAnchors,
+    missingRequired,
+    passed: missingRequired.length === 0,
+  };
+}
+
+/**
+ * Look for fields or anchors that went missing across many sets in one run
+ * @param {Array<Object>} allDetails - Parsed sets, each with a parseHealth record
+ * @param {number} threshold - Share of sets (0-1) that triggers a drift warning
+ * @returns {Array<Object>} Drift warnings: {kind, name, missingCount, total, ratio}
+ */
+function detectLayoutDrift(allDetails, threshold = DRIFT_THRESHOLD) {
+  const total = allDetails.length;
+  if (total === 0) return [];
+
+  const fieldCounts = new Map();
+  const anchorCounts = new Map();
+
+  for (const details of allDetails) {
+    for (const field of details.parseHealth.missingFields) {
+      fieldCounts.set(field, (fieldCounts.get(field) || 0) + 1);
+    }
+    for (const anchor of details.parseHealth.missingAnchors) {
+      anchorCounts.set(anchor, (anchorCounts.get(anchor) || 0) + 1);
+    }
+  }
+
+  const warnings = [];
+  const collect = (kind, counts) => {
+    for (const [name, missingCount] of counts) {
+      const ratio = missingCount / total;
+      if (
+        ratio >= threshold &&
+        missingCount >= Math.min(DRIFT_MIN_SETS, total)
+      ) {
+        warnings.push({ kind, name, missingCount, total, ratio });
+      }
+    }
+  };
+
+  collect("anchor", anchorCounts);
+  collect("field", fieldCounts);
+
+  return warnings.sort((a, b) => b.ratio - a.ratio);
+}
+
+/**
+ * Format a parse health report for a run
+ * @param {Array<Object>} allDetails - Parsed sets, each with a parseHealth record
+ * @param {Array<Object>} quarantined - Sets that failed required fields
+ * @param {Array<Object>} drift - Warnings from detectLayoutDrift
+ * @returns {string} Formatted report
+ */
+function formatHealthReport(allDetails, quarantined, drift) {
+  const scores = allDetails.map((d) => d.parseHealth.score);
+  const average =
+    scores.length > 0 ? scores.reduce((a, b) => a + b, 0) / scores.length : 0;
+
+  let text = "PARSER HEALTH\n";
+  text += "-".repeat(70) + "\n";
+  text += `Sets Parsed: ${allDetails.length}\n`;
+  text += `Average Completeness: ${average.toFixed(1)}%\n`;
+  text += `Quarantined: ${quarantined.length}\n`;
+
+  if (drift.length > 0) {
+    text += "\n⚠️  PROBABLE LAYOUT DRIFT\n";
+    for (const warning of drift) {
+      const label =
+        warning.kind === "anchor"
+          ? `Section "${warning.name}" not found`
+          : `Field "${warning.name}" missing`;
+      text += `  ${label} in ${warning.missingCount}/${warning.total} sets (${(
+        warning.ratio * 100
+      ).toFixed(0)}%)\n`;
+    }
+  }
+
+  if (quarantined.length > 0) {
+    text += "\nQUARANTINED SETS (not written to analysis-data.json)\n";
+    for (const details of quarantined) {
+      text += `  Set ${
+        details.setNumber
+      }: missing ${details.parseHealth.missingRequired.join(", ")}`;
+      if (details.parseHealth.missingAnchors.length > 0) {
+        text += ` (sections not found: ${details.parseHealth.missingAnchors.join(
+          ", "
+        )})`;
+      }
+      text += "\n";
+    }
+  }
+
+  return text;
+}
+
+module.exports = {
+  EXPECTED_FIELDS,
+  REQUIRED_FIELDS,
+  DRIFT_THRESHOLD,
+  assessSetHealth,
+  detectLayoutDrift,
+  formatHealthReport,
+};
@@ -0,0 +1,129 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Environment variable that moves the data root (set by `--data-dir`)
+ */
+const DATA_DIR_ENV = "LEGO_MONITOR_DATA_DIR";
+
+/**
+ * Environment variable that selects a profile (set by `--profile`)
+ */
+const PROFILE_ENV = "LEGO_MONITOR_PROFILE";
+
+// Profiles become directory names, so keep them to safe characters
+const PROFILE_NAME = /^[A-Za-z0-9][A-Za-z0-9_-]*$/;
+
+/**
+ * Get the data root: data/ next to the scripts unless moved
+ * @returns {string} Absolute path
+ */
+function getDataRoot() {
+  return process.env[DATA_DIR_ENV]
+    ? path.resolve(process.env[DATA_DIR_ENV])
+    : path.join(__dirname, "data");
+}
+
+/**
+ * Get the selected profile
+ * @returns {string|null} Profile name, or null for the default profile
+ */
+function getProfile() {
+  return process.env[PROFILE_ENV] || null;
+}
+
+/**
+ * Get the directory that holds a profile's data: the data root itself for
+ * the default profile, or profiles/<name> below it
+ * @param {string|null} profile - Profile name
+ * @returns {string} Absolute path
+ */
+function getProfileDir(profile) {
+  return profile
+    ? path.join(getDataRoot(), "profiles", profile)
+    : getDataRoot();
+}
+
+/**
+ * Get the directory that holds the selected profile's data
+ * @returns {string} Absolute path
+ */
+function getDataDir() {
+  return getProfileDir(getProfile());
+}
+
+/**
+ * Build a path inside the selected profile's data directory
+ * @param {...string} parts - Path segments below the data directory
+ * @returns {string} Absolute path
+ */
+function dataPath(...parts) {
+  return path.join(getDataDir(), ...parts);
+}
+
+/**
+ * Path of the exchange-rate table, kept at the data root so every profile
+ * converts with the same rates
+ * @returns {string} Absolute path
+ */
+function getExchangeRatesPath() {
+  return path.join(getDataRoot(), "exchange-rates.json");
+}
+
+/**
+ * Apply the --data-dir and --profile flags for the rest of the process
+ * Scripts call this before touching any data
+ * @param {Object} flags - Parsed CLI flags
+ * @throws {Error} If a flag has no value or the profile name is invalid
+ */
+function applyDataOptions(flags) {
+  if (flags["data-dir"] !== undefined) {
+    if (flags["data-dir"] === true) {
+      throw new Error("--data-dir expects a directory");
+    }
+    process.env[DATA_DIR_ENV] = path.resolve(flags["data-dir"]);
+  }
+  if (flags.profile !== undefined) {
+    if (flags.profile === true) {
+      throw new Error("--profile expects a name");
+    }
+    process.env[PROFILE_ENV] = flags.profile;
+  }
+
+  const profile = getProfile();
+  if (profile && !PROFILE_NAME.test(profile)) {
+    throw new Error(
+      `Invalid profile name "${profile}" (use letters, digits, "-" and "_")`
+    );
+  }
+}
+
+/**
+ * List the named profiles that have data under the data root
+ * @returns {Array<string>} Profile names, sorted
+ */
+function listProfiles() {
+  const dir = path.join(getDataRoot(), "profiles");
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir)
+    .filter(
+      (name) =>
+        PROFILE_NAME.test(name) &&
+        fs.statSync(path.join(dir, name)).isDirectory()
+    )
+    .sort();
+}
+
+module.exports = {
+  DATA_DIR_ENV,
+  PROFILE_ENV,
+  getDataRoot,
+  getProfile,
+  getProfileDir,
+  getDataDir,
+  dataPath,
+  getExchangeRatesPath,
+  applyDataOptions,
+  listProfiles,
+};
@@ -0,0 +1,426 @@
+const { getAllSnapshots, findSetInSnapshot } = require("./snapshots");
+const { formatMoney, formatPercent } = require("./schema");
+const { parseArgs } = require("./utils");
+const { applyDataOptions } = require("./paths");
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+/**
+ * The retirement pop is the price reached within this many days of retiring
+ */
+const POP_WINDOW_DAYS = 90;
+
+/**
+ * First-year growth is only scored once prices span at least this many days,
+ * so a couple of early snapshots are not annualized into wild numbers
+ */
+const MIN_GROWTH_SPAN_DAYS = 90;
+
+/**
+ * The 1-year value is compared with the price observed closest to one year
+ * after retirement, within this many days either side
+ */
+const ONE_YEAR_TOLERANCE_DAYS = 45;
+
+/**
+ * MSRP bands the errors are grouped by (upper bound exclusive)
+ */
+const PRICE_BANDS = [
+  { label: "Under $50", max: 50 },
+  { label: "$50-$100", max: 100 },
+  { label: "$100-$200", max: 200 },
+  { label: "$200-$500", max: 500 },
+  { label: "$500+", max: Infinity },
+];
+
+/**
+ * Prediction fields that are scored, with how their error is measured
+ */
+const PREDICTION_FIELDS = {
+  retirementPop: {
+    title: "RETIREMENT POP",
+    unit: "pts",
+    description: `percentage points; actual = last price within ${POP_WINDOW_DAYS} days of retiring vs MSRP`,
+  },
+  annualGrowthFirstYear: {
+    title: "ANNUAL GROWTH (FIRST YEAR)",
+    unit: "pts",
+    description:
+      "percentage points; actual = annualized growth from the first retired price over the first year",
+  },
+  oneYearRetiredValue: {
+    title: "1 YEAR RETIRED VALUE",
+    unit: "%",
+    description:
+      "% of the predicted value; actual = price about a year after retiring",
+  },
+};
+
+/**
+ * Find the MSRP band for a price
+ * @param {number|null} msrp - Retail price
+ * @returns {string} Band label, or "Unknown MSRP"
+ */
+function priceBand(msrp) {
+  if (!msrp) return "Unknown MSRP";
+  return PRICE_BANDS.find((band) => msrp < band.max).label;
+}
+
+/**
+ * Gather what we know about a retired set: the predictions captured in the
+ * last snapshot before it retired and the prices observed afterwards
+ * @param {string} setNumber - Set number
+ * @param {Array} snapshots - Snapshots sorted oldest first
+ * @returns {Object|null} Prediction record, or null if the set has not
+ *   retired or was never seen before retiring
+ */
+function buildPredictionRecord(setNumber, snapshots) {
+  const seen = snapshots
+    .map((snapshot) => ({
+      date: snapshot.date,
+      set: findSetInSnapshot(snapshot, setNumber),
+    }))
+    .filter((point) => point.set);
+
+  const firstRetired = seen.find((point) => point.set.retired);
+  if (!firstRetired) return null;
+
+  // Prefer the retired date from the page; fall back to when we first saw it
+  const pageDate = Date.parse(firstRetired.set.retired);
+  const retiredOn = new Date(
+    isNaN(pageDate)
+      ? firstRetired.date.getTime()
+      : Math.min(pageDate, firstRetired.date.getTime())
+  );
+
+  const before = seen.filter(
+    (point) => !point.set.retired && point.date < retiredOn
+  );
+  if (before.length === 0) return null;
+  const captured = before[before.length - 1];
+
+  // Only prices in the currency the predictions were made in are comparable
+  const observations = seen
+    .filter(
+      (point) =>
+        point.date >= retiredOn &&
+        point.set.marketPrice &&
+        point.set.currency === captured.set.currency
+    )
+    .map((point) => ({
+      date: point.date,
+      price: point.set.marketPrice,
+      daysAfter: Math.floor((point.date - retiredOn) / DAY_MS),
+    }));
+
+  const latest = seen[seen.length - 1].set;
+  return {
+    setNumber,
+    name: latest.name,
+    theme: latest.theme || "Unknown theme",
+    msrp: captured.set.retailPrice || latest.retailPrice,
+    currency: captured.set.currency,
+    retiredOn,
+    predictedOn: captured.date,
+    predictions: {
+      retirementPop: captured.set.retirementPop,
+      annualGrowthFirstYear: captured.set.annualGrowthFirstYear,
+      oneYearRetiredValue: captured.set.oneYearRetiredValue,
+    },
+    observations,
+  };
+}
+
+/**
+ * Score each prediction of a set against the prices observed after it retired
+ * Predictions that cannot be scored yet (missing value, not enough history)
+ * are left null
+ * @param {Object} record - Result of buildPredictionRecord
+ * @returns {Object} Map of field to {predicted, actual, error} or null
+ */
+function scorePredictions(record) {
+  const { predictions, observations, msrp } = record;
+  const scores = {
+    retirementPop: null,
+    annualGrowthFirstYear: null,
+    oneYearRetiredValue: null,
+  };
+
+  const inPopWindow = observations.filter(
+    (o) => o.daysAfter <= POP_WINDOW_DAYS
+  );
+  if (predictions.retirementPop !== null && msrp && inPopWindow.length > 0) {
+    const price = inPopWindow[inPopWindow.length - 1].price;
+    const actual = ((price - msrp) / msrp) * 100;
+    scores.retirementPop = {
+      predicted: predictions.retirementPop,
+      actual,
+      error: actual - predictions.retirementPop,
+    };
+  }
+
+  const firstYear = observations.filter((o) => o.daysAfter <= 365);
+  if (predictions.annualGrowthFirstYear !== null && firstYear.length > 1) {
+    const start = firstYear[0];
+    const end = firstYear[firstYear.length - 1];
+    const span = end.daysAfter - start.daysAfter;
+    if (span >= MIN_GROWTH_SPAN_DAYS) {
+      const actual = (Math.pow(end.price / start.price, 365 / span) - 1) * 100;
+      scores.annualGrowthFirstYear = {
+        predicted: predictions.annualGrowthFirstYear,
+        actual,
+        error: actual - predictions.annualGrowthFirstYear,
+      };
+    }
+  }
+
+  const aroundOneYear = observations
+    .filter((o) => Math.abs(o.daysAfter - 365) <= ONE_YEAR_TOLERANCE_DAYS)
+    .sort((a, b) => Math.abs(a.daysAfter - 365) - Math.abs(b.daysAfter - 365));
+  if (predictions.oneYearRetiredValue && aroundOneYear.length > 0) {
+    const actual = aroundOneYear[0].price;
+    scores.oneYearRetiredValue = {
+      predicted: predictions.oneYearRetiredValue,
+      actual,
+      error:
+        ((actual - predictions.oneYearRetiredValue) /
+          predictions.oneYearRetiredValue) *
+        100,
+    };
+  }
+
+  return scores;
+}
+
+/**
+ * Get a percentile of sorted values (linear interpolation)
+ * @param {Array<number>} sorted - Values sorted ascending
+ * @param {number} p - Percentile (0-100)
+ * @returns {number} Percentile value
+ */
+function percentile(sorted, p) {
+  const position = ((sorted.length - 1) * p) / 100;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Describe the distribution of a list of errors
+ * @param {Array<number>} errors - Errors (actual minus predicted)
+ * @returns {Object} {count, bias, meanAbsolute, median, p10, p90, within10}
+ *   where within10 is the share (%) of errors within ±10
+ */
+function summarizeErrors(errors) {
+  const sorted = [...errors].sort((a, b) => a - b);
+  const sum = (values) => values.reduce((total, v) => total + v, 0);
+
+  return {
+    count: sorted.length,
+    bias: sum(sorted) / sorted.length,
+    meanAbsolute: sum(sorted.map(Math.abs)) / sorted.length,
+    median: percentile(sorted, 50),
+    p10: percentile(sorted, 10),
+    p90: percentile(sorted, 90),
+    within10:
+      (sorted.filter((e) => Math.abs(e) <= 10).length / sorted.length) * 100,
+  };
+}
+
+/**
+ * Group scored sets and summarize the errors of one prediction field
+ * @param {Array<Object>} scored - Records with their scores
+ * @param {string} field - Prediction field
+ * @param {Function} groupOf - Returns the group label for a record
+ * @returns {Array<Object>} [{group, ...summarizeErrors}] largest group first
+ */
+function summarizeByGroup(scored, field, groupOf) {
+  const groups = new Map();
+  for (const record of scored) {
+    const score = record.scores[field];
+    if (!score) continue;
+    const group = groupOf(record);
+    if (!groups.has(group)) groups.set(group, []);
+    groups.get(group).push(score.error);
+  }
+
+  return Array.from(groups.entries())
+    .map(([group, errors]) => ({ group, ...summarizeErrors(errors) }))
+    .sort((a, b) => b.count - a.count || a.group.localeCompare(b.group));
+}
+
+/**
+ * Build the scorecard for every retired set in the snapshots
+ * @param {Array} snapshots - Snapshots sorted oldest first
+ * @returns {Object} {retiredCount, scored, fields}
+ */
+function buildScorecard(snapshots) {
+  const setNumbers = new Set();
+  snapshots.forEach((snapshot) =>
+    snapshot.data.sets.forEach((set) => setNumbers.add(set.setNumber))
+  );
+
+  let retiredCount = 0;
+  const scored = [];
+  for (const setNumber of setNumbers) {
+    const record = buildPredictionRecord(setNumber, snapshots);
+    const retired = snapshots.some((snapshot) => {
+      const set = findSetInSnapshot(snapshot, setNumber);
+      return set && set.retired;
+    });
+    if (retired) retiredCount++;
+    if (!record) continue;
+    scored.push({ ...record, scores: scorePredictions(record) });
+  }
+  scored.sort((a, b) => a.retiredOn - b.retiredOn);
+
+  const fields = {};
+  for (const field of Object.keys(PREDICTION_FIELDS)) {
+    fields[field] = {
+      overall: summarizeByGroup(scored, field, () => "All sets"),
+      byTheme: summarizeByGroup(scored, field, (record) => record.theme),
+      byPriceBand: summarizeByGroup(scored, field, (record) =>
+        priceBand(record.msrp)
+      ),
+    };
+  }
+
+  return { retiredCount, scored, fields };
+}
+
+/**
+ * Format one row of an error distribution table
+ * @param {Object} row - Row from summarizeByGroup
+ * @param {string} unit - "pts" or "%"
+ * @returns {string} Table row
+ */
+function formatErrorRow(row, unit) {
+  const value = (v) => `${v >= 0 ? "+" : ""}${v.toFixed(1)}`.padStart(7);
+  return (
+    `  ${row.group.padEnd(22).slice(0, 22)}${String(row.count).padStart(4)}` +
+    `${value(row.bias)}${row.meanAbsolute.toFixed(1).padStart(7)}${value(
+      row.median
+    )}  ${value(row.p10)} to${value(row.p90)}` +
+    `${`${row.within10.toFixed(0)}%`.padStart(8)}  ${unit}\n`
+  );
+}
+
+/**
+ * Generate the prediction accuracy report
+ * @param {Object} scorecard - Result of buildScorecard
+ * @returns {string} Formatted report
+ */
+function generateScorecardReport(scorecard) {
+  let report = "";
+  report += "PREDICTION ACCURACY SCORECARD\n";
+  report += "=".repeat(70) + "\n\n";
+  report += `Retired sets: ${scorecard.retiredCount}\n`;
+  report += `With a prediction captured before retiring: ${scorecard.scored.length}\n`;
+  report +=
+    "Error = actual - predicted (positive means the set did better than predicted)\n";
+
+  if (scorecard.scored.length === 0) {
+    report +=
+      "\nNo sets have been tracked through retirement yet. Keep running the monitoring workflow.\n";
+    return report;
+  }
+
+  const header =
+    `  ${"Group".padEnd(22)}${"n".padStart(4)}${"Bias".padStart(7)}` +
+    `${"MAE".padStart(7)}${"Median".padStart(7)}  ${"P10 to P90".padStart(
+      17
+    )}${"±10".padStart(8)}\n`;
+
+  for (const [field, info] of Object.entries(PREDICTION_FIELDS)) {
+    const summary = scorecard.fields[field];
+    report += `\n${info.title}\n`;
+    report += "-".repeat(70) + "\n";
+    report += `Error in ${info.description}\n\n`;
+
+    if (summary.overall.length === 0) {
+      report += "  Not enough post-retirement prices to score yet.\n";
+      continue;
+    }
+
+    report += header;
+    summary.overall.forEach(
+      (row) => (report += formatErrorRow(row, info.unit))
+    );
+    report += "\n  By theme:\n";
+    summary.byTheme.forEach(
+      (row) => (report += formatErrorRow(row, info.unit))
+    );
+    report += "\n  By price band (MSRP):\n";
+    summary.byPriceBand.forEach(
+      (row) => (report += formatErrorRow(row, info.unit))
+    );
+  }
+
+  report += "\n\nSCORED SETS\n";
+  report += "-".repeat(70) + "\n";
+  for (const record of scorecard.scored) {
+    const { scores } = record;
+    report += `\nSet ${record.setNumber}: ${record.name} (${record.theme})\n`;
+    report += `  MSRP: ${formatMoney(
+      record.msrp,
+      "unknown",
+      record.currency
+    )} | Retired: ${record.retiredOn.toLocaleDateString()} | Predicted: ${record.predictedOn.toLocaleDateString()}\n`;
+    report += `  Pop: ${
+      scores.retirementPop
+        ? `${formatPercent(
+            scores.retirementPop.predicted
+          )} predicted, ${formatPercent(scores.retirementPop.actual)} actual`
+        : "not scored"
+    }\n`;
+    report += `  1st Year Growth: ${
+      scores.annualGrowthFirstYear
+        ? `${formatPercent(
+            scores.annualGrowthFirstYear.predicted
+          )} predicted, ${formatPercent(
+            scores.annualGrowthFirstYear.actual
+          )} actual`
+        : "not scored"
+    }\n`;
+    report += `  1 Year Value: ${
+      scores.oneYearRetiredValue
+        ? `${formatMoney(
+            scores.oneYearRetiredValue.predicted,
+            "",
+            record.currency
+          )} predicted, ${formatMoney(
+            scores.oneYearRetiredValue.actual,
+            "",
+            record.currency
+          )} actual`
+        : "not scored"
+    }\n`;
+  }
+
+  return report;
+}
+
+// Main execution
+async function main() {
+  const { flags } = parseArgs(process.argv.slice(2), ["json"]);
+  applyDataOptions(flags);
+  const snapshots = getAllSnapshots();
+
+  if (snapshots.length === 0) {
+    console.log("No snapshots found. Run analyzeSetDetails.js first.");
+    return;
+  }
+
+  const scorecard = buildScorecard(snapshots);
+
+  if (flags.json) {
+    console.log(JSON.stringify(scorecard, null, 2));
+  } else {
+    console.log(generateScorecardReport(scorecard));
+  }
+}
+
+main().catch((error) => {
+  console.error("Error:", error.message);
+  process.exit(1);
+});
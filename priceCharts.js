@@ -0,0 +1,384 @@
+const path = require("path");
+const {
+  getAllSnapshots,
+  getSourceObservations,
+  findSetInSnapshot,
+} = require("./snapshots");
+const { DEFAULT_CURRENCY, formatMoney } = require("./schema");
+const { renderLineChart, renderChartPage } = require("./charts");
+const { saveFile, parseArgs } = require("./utils");
+const {
+  DEFAULT_CONFIG_PATH,
+  loadConfig,
+  getReportingCurrency,
+} = require("./config");
+const ExchangeRates = require("./ExchangeRates");
+const { dataPath, applyDataOptions, getExchangeRatesPath } = require("./paths");
+const { PAGE_HISTORY_SOURCE } = require("./pageHistory");
+
+/**
+ * Collect a set's market price, sealed and used value histories and
+ * reference values
+ * @param {string} setNumber - Set number
+ * @param {Array} snapshots - Snapshots sorted oldest first
+ * @param {Array} backdated - Page history observations (optional); those
+ *   from before the set's first snapshot become the pageHistory points
+ * @param {ExchangeRates|null} rates - Exchange rates (optional)
+ * @param {string|null} currency - Currency to chart in (default: the currency
+ *   of the set's latest snapshot); amounts that cannot be converted to it
+ *   are left out
+ * @returns {Object} {setNumber, name, theme, currency, msrp, oneYearValue,
+ *   retiredOn, points, sealedPoints, usedPoints, pageHistory: {sealed, used}}
+ */
+function buildPriceSeries(
+  setNumber,
+  snapshots,
+  backdated = [],
+  rates = null,
+  currency = null
+) {
+  const latest = snapshots
+    .map((snapshot) => findSetInSnapshot(snapshot, setNumber))
+    .filter(Boolean)
+    .pop();
+  const series = {
+    setNumber,
+    name: null,
+    theme: null,
+    currency: currency || (latest ? latest.currency : DEFAULT_CURRENCY),
+    msrp: null,
+    oneYearValue: null,
+    retiredOn: null,
+    points: [],
+    sealedPoints: [],
+    usedPoints: [],
+    pageHistory: { sealed: [], used: [] },
+  };
+  let firstSeen = null;
+
+  const convert = (amount, from, date) => {
+    if (amount === null || amount === undefined) return null;
+    if (from === series.currency) return amount;
+    return rates ? rates.convert(amount, from, series.currency, date) : null;
+  };
+
+  for (const snapshot of snapshots) {
+    const set = findSetInSnapshot(snapshot, setNumber);
+    if (!set) continue;
+
+    const money = (amount) => convert(amount, set.currency, snapshot.date);
+    if (!firstSeen) firstSeen = snapshot.date;
+    series.name = set.name;
+    series.theme = set.theme;
+    if (set.retailPrice) series.msrp = money(set.retailPrice);
+    // Keep the last prediction made before the set retired
+    if (set.oneYearRetiredValue && (!set.retired || !series.oneYearValue)) {
+      series.oneYearValue = money(set.oneYearRetiredValue);
+    }
+    if (set.retired && !series.retiredOn) {
+      const pageDate = Date.parse(set.retired);
+      series.retiredOn = isNaN(pageDate) ? snapshot.date : new Date(pageDate);
+    }
+    const marketPrice = money(set.marketPrice);
+    if (marketPrice !== null) {
+      series.points.push({ date: snapshot.date, value: marketPrice });
+    }
+    const newSealed = money(set.currentValue.newSealed);
+    if (newSealed !== null) {
+      series.sealedPoints.push({ date: snapshot.date, value: newSealed });
+    }
+    const used = money(set.currentValue.used);
+    if (used !== null) {
+      series.usedPoints.push({ date: snapshot.date, value: used });
+    }
+  }
+
+  for (const observation of backdated) {
+    if (
+      observation.setNumber === setNumber &&
+      firstSeen &&
+      observation.date < firstSeen
+    ) {
+      const value = convert(
+        observation.price,
+        observation.currency,
+        observation.date
+      );
+      if (value === null) continue;
+      series.pageHistory[observation.condition].push({
+        date: observation.date,
+        value,
+      });
+    }
+  }
+
+  return series;
+}
+
+/**
+ * Format the most recent value of a series
+ * @param {Array<{date, value}>} points - Series points, oldest first
+ * @param {string} currency - Currency of the points
+ * @returns {string} e.g. "$640.12 (11/9/2025)", or "unknown"
+ */
+function latestValue(points, currency) {
+  const latest = points[points.length - 1];
+  return latest
+    ? `${formatMoney(
+        latest.value,
+        "",
+        currency
+      )} (${latest.date.toLocaleDateString()})`
+    : "unknown";
+}
+
+/**
+ * Build the chart page for a single set
+ * @param {Object} series - Result of buildPriceSeries
+ * @returns {string} HTML document
+ */
+function renderSetChart(series) {
+  const title = `Set ${series.setNumber}: ${series.name}`;
+  const money = (value, missing = "") =>
+    formatMoney(value, missing, series.currency);
+
+  const svg = renderLineChart({
+    title,
+    series: [
+      { label: "Market price", points: series.points },
+      { label: "Sealed", points: series.sealedPoints },
+      { label: "Used", points: series.usedPoints },
+      { label: "Sealed (page history)", points: series.pageHistory.sealed },
+      { label: "Used (page history)", points: series.pageHistory.used },
+    ],
+    referenceLines: [
+      { label: "MSRP", value: series.msrp },
+      { label: "1Y value", value: series.oneYearValue, color: "#2ca02c" },
+    ],
+    markers: series.retiredOn
+      ? [{ label: "Retired", date: series.retiredOn }]
+      : [],
+    formatValue: (v) => money(v),
+  });
+
+  const notes = [
+    `Theme: ${series.theme || "unknown"}`,
+    `Currency: ${series.currency}`,
+    `MSRP: ${money(series.msrp, "unknown")}`,
+    `Latest market price: ${latestValue(series.points, series.currency)}`,
+    `Predicted 1-year retired value: ${money(series.oneYearValue, "unknown")}`,
+    `Retired: ${
+      series.retiredOn ? series.retiredOn.toLocaleDateString() : "not yet"
+    }`,
+    `Latest sealed / used value: ${latestValue(
+      series.sealedPoints,
+      series.currency
+    )} / ${latestValue(series.usedPoints, series.currency)}`,
+    `Snapshots with a price: ${series.points.length}`,
+    `Page history: ${
+      series.pageHistory.sealed.length > 0
+        ? `sealed value back to ${series.pageHistory.sealed[0].date.toLocaleDateString()}`
+        : "none"
+    }`,
+  ];
+
+  return renderChartPage(title, [{ svg, notes }]);
+}
+
+/**
+ * Build an overlay chart page comparing several sets
+ * @param {string} title - Page title
+ * @param {Array<Object>} allSeries - Results of buildPriceSeries, all in the
+ *   same currency
+ * @param {boolean} relative - Plot prices as a percentage of MSRP
+ * @returns {string} HTML document
+ */
+function renderOverlayChart(title, allSeries, relative) {
+  const currency = allSeries.length ? allSeries[0].currency : DEFAULT_CURRENCY;
+  const plotted = allSeries
+    .filter((series) => !relative || series.msrp)
+    .map((series) => ({
+      label: `${series.setNumber} ${series.name}`,
+      points: series.points.map((p) => ({
+        date: p.date,
+        value: relative ? (p.value / series.msrp) * 100 : p.value,
+      })),
+      series,
+    }));
+
+  const svg = renderLineChart({
+    title,
+    series: plotted,
+    referenceLines: relative ? [{ label: "MSRP", value: 100 }] : [],
+    markers: plotted
+      .filter((p) => p.series.retiredOn)
+      .map((p) => ({
+        label: `${p.series.setNumber} retired`,
+        date: p.series.retiredOn,
+      })),
+    formatValue: relative
+      ? (v) => `${v.toFixed(0)}%`
+      : (v) => formatMoney(v, "", currency),
+  });
+
+  const notes = plotted.map(
+    (p) =>
+      `${p.label}: MSRP ${formatMoney(p.series.msrp, "unknown", currency)}, ${
+        p.series.points.length
+      } price point(s)${
+        p.series.retiredOn
+          ? `, retired ${p.series.retiredOn.toLocaleDateString()}`
+          : ""
+      }`
+  );
+  const skipped = allSeries.length - plotted.length;
+  if (skipped > 0) {
+    notes.push(`${skipped} set(s) without an MSRP left out`);
+  }
+  if (relative) {
+    notes.unshift("Prices are shown as a percentage of each set's MSRP");
+  } else {
+    notes.unshift(`Prices are shown in ${currency}`);
+  }
+
+  return renderChartPage(title, [{ svg, notes }]);
+}
+
+/**
+ * Turn text into a filename-safe slug
+ * @param {string} text - Text
+ * @returns {string} Lowercase slug
+ */
+function slugify(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+}
+
+// Main execution
+async function main() {
+  const { _: setNumbers, flags } = parseArgs(process.argv.slice(2), [
+    "compare",
+    "relative",
+  ]);
+  applyDataOptions(flags);
+  const outputDir = flags.out ? path.resolve(flags.out) : dataPath("charts");
+
+  if (setNumbers.length === 0 && !flags.theme) {
+    console.log("Usage:");
+    console.log(
+      "  node priceCharts.js <setNumber> [setNumber...]     one chart per set"
+    );
+    console.log(
+      "  node priceCharts.js <setNumber...> --compare       overlay the sets on one chart"
+    );
+    console.log(
+      '  node priceCharts.js --theme "Star Wars"            overlay every set in a theme'
+    );
+    console.log("Options:");
+    console.log(
+      "  --relative     overlay prices as a percentage of MSRP (compare/theme)"
+    );
+    console.log("  --out <dir>    output directory (default data/charts)");
+    return;
+  }
+
+  const snapshots = getAllSnapshots();
+  if (snapshots.length === 0) {
+    console.log("No snapshots found. Run analyzeSetDetails.js first.");
+    return;
+  }
+
+  const backdated = getSourceObservations({ source: PAGE_HISTORY_SOURCE });
+  const rates = new ExchangeRates(getExchangeRatesPath());
+  // Overlays put several sets on one axis, so they are all in one currency
+  const reporting = getReportingCurrency(
+    loadConfig(flags.config || DEFAULT_CONFIG_PATH)
+  );
+  const saved = [];
+
+  if (flags.theme) {
+    const theme = String(flags.theme).toLowerCase();
+    const themeSets = new Set();
+    snapshots.forEach((snapshot) =>
+      snapshot.data.sets
+        .filter((set) => set.theme && set.theme.toLowerCase() === theme)
+        .forEach((set) => themeSets.add(set.setNumber))
+    );
+    if (themeSets.size === 0) {
+      throw new Error(`No sets found in theme "${flags.theme}"`);
+    }
+
+    const allSeries = Array.from(themeSets)
+      .sort()
+      .map((setNumber) =>
+        buildPriceSeries(setNumber, snapshots, [], rates, reporting)
+      );
+    const filename = `theme-${slugify(flags.theme)}.html`;
+    saveFile(
+      filename,
+      renderOverlayChart(
+        `${allSeries[0].theme} price history`,
+        allSeries,
+        Boolean(flags.relative)
+      ),
+      outputDir
+    );
+    saved.push(filename);
+  } else if (flags.compare) {
+    const allSeries = setNumbers.map((setNumber) =>
+      buildPriceSeries(String(setNumber), snapshots, [], rates, reporting)
+    );
+    const missing = allSeries.filter((series) => series.name === null);
+    if (missing.length > 0) {
+      throw new Error(
+        `No data found for set(s) ${missing
+          .map((series) => series.setNumber)
+          .join(", ")}`
+      );
+    }
+
+    const filename = `compare-${allSeries
+      .map((series) => series.setNumber)
+      .join("-")}.html`;
+    saveFile(
+      filename,
+      renderOverlayChart(
+        "Price comparison",
+        allSeries,
+        Boolean(flags.relative)
+      ),
+      outputDir
+    );
+    saved.push(filename);
+  } else {
+    for (const setNumber of setNumbers) {
+      const series = buildPriceSeries(
+        String(setNumber),
+        snapshots,
+        backdated,
+        rates
+      );
+      if (series.name === null) {
+        console.error(`No data found for set ${setNumber}`);
+        process.exitCode = 1;
+        continue;
+      }
+      const filename = `set-${series.setNumber}.html`;
+      saveFile(filename, renderSetChart(series), outputDir);
+      saved.push(filename);
+    }
+  }
+
+  for (const filename of saved) {
+    console.log(`✓ Saved ${path.join(outputDir, filename)}`);
+  }
+  const missingRates = rates.describeMissing();
+  if (missingRates) console.warn(`Warning: ${missingRates}`);
+}
+
+main().catch((error) => {
+  console.error("Error:", error.message);
+  process.exit(1);
+});
@@ -0,0 +1,226 @@
+const { findSetInSnapshot } = require("./snapshots");
+const { DEFAULT_CURRENCY, formatMoney } = require("./schema");
+
+/**
+ * Calculate price change between two values
+ * @param {number} oldPrice - Previous price
+ * @param {number} newPrice - Current price
+ * @returns {Object} Change amount and percentage
+ */
+function calculateChange(oldPrice, newPrice) {
+  if (!oldPrice || !newPrice) {
+    return { amount: 0, percent: 0 };
+  }
+
+  const amount = newPrice - oldPrice;
+  const percent = (amount / oldPrice) * 100;
+
+  return {
+    amount: amount,
+    percent: percent,
+  };
+}
+
+/**
+ * Calculate the spread between a set's new/sealed and used values
+ * @param {number|null} newSealed - New/sealed value
+ * @param {number|null} used - Used value
+ * @returns {Object|null} {amount, percent} where percent is the used discount
+ *   as a share of the sealed value, or null unless both values are known
+ */
+function calculateSpread(newSealed, used) {
+  if (!newSealed || !used) return null;
+
+  const amount = newSealed - used;
+  return {
+    amount: amount,
+    percent: (amount / newSealed) * 100,
+  };
+}
+
+/**
+ * Format a sealed/used spread
+ * @param {Object} spread - Result of calculateSpread
+ * @param {string} currency - Currency of the amount
+ * @returns {string} e.g. "$190.12 (used 29.7% below sealed)", or "above
+ *   sealed" when used copies sell for more
+ */
+function formatSpread(spread, currency) {
+  const side = spread.percent < 0 ? "above" : "below";
+  return `${formatMoney(
+    Math.abs(spread.amount),
+    "",
+    currency
+  )} (used ${Math.abs(spread.percent).toFixed(1)}% ${side} sealed)`;
+}
+
+/**
+ * Summarize how one price field changed across a set's data points
+ * Data points where the field is missing don't count for the change
+ * @param {Array<Object>} dataPoints - Data points from trackSetPrices
+ * @param {string} field - Price field, e.g. "marketPrice"
+ * @returns {Object|null} {initial, current, amount, percent}, or null if the
+ *   field was never known
+ */
+function summarizeChange(dataPoints, field) {
+  const priced = dataPoints.filter((p) => p[field] !== null);
+  if (priced.length === 0) return null;
+
+  const initial = priced[0][field];
+  const current = priced[priced.length - 1][field];
+  const change = calculateChange(initial, current);
+  return {
+    initial,
+    current,
+    amount: change.amount,
+    percent: change.percent,
+  };
+}
+
+/**
+ * Track price history for a specific set
+ * @param {string} setNumber - Set number to track
+ * @param {Array} snapshots - Array of snapshot objects
+ * @param {Array} backdated - Source observations from the set's page history
+ *   (see pageHistory.js); only those from before the set's first snapshot
+ *   are kept
+ * @param {ExchangeRates|null} rates - Exchange rates (optional)
+ * @returns {Object} Price history data, in the currency of the set's latest
+ *   snapshot: amounts recorded in another currency are converted with the
+ *   rate of their date, and are null when there are no rates to do so
+ */
+function trackSetPrices(setNumber, snapshots, backdated = [], rates = null) {
+  const latest = snapshots
+    .map((snapshot) => findSetInSnapshot(snapshot, setNumber))
+    .filter(Boolean)
+    .pop();
+  const history = {
+    setNumber: setNumber,
+    name: null,
+    theme: null,
+    msrp: null,
+    currency: latest ? latest.currency : DEFAULT_CURRENCY,
+    dataPoints: [],
+    backdated: [],
+  };
+
+  const convert = (amount, currency, date) => {
+    if (amount === null || amount === undefined) return null;
+    if (currency === history.currency) return amount;
+    return rates
+      ? rates.convert(amount, currency, history.currency, date)
+      : null;
+  };
+
+  for (const snapshot of snapshots) {
+    const setData = findSetInSnapshot(snapshot, setNumber);
+
+    if (setData) {
+      const money = (amount) =>
+        convert(amount, setData.currency, snapshot.date);
+
+      // Store basic info (from first occurrence)
+      if (!history.name) {
+        history.name = setData.name;
+        history.theme = setData.theme;
+        history.msrp = money(setData.retailPrice);
+      }
+
+      const newSealed = money(setData.currentValue.newSealed);
+      const used = money(setData.currentValue.used);
+      const range = setData.currentValue.usedRange;
+      const usedRange = range && {
+        low: money(range.low),
+        high: money(range.high),
+      };
+      history.dataPoints.push({
+        date: snapshot.date,
+        timestamp: snapshot.timestamp,
+        currency: setData.currency,
+        marketPrice: money(setData.marketPrice),
+        newSealedValue: newSealed,
+        usedValue: used,
+        usedRange:
+          usedRange && usedRange.low !== null && usedRange.high !== null
+            ? usedRange
+            : null,
+        spread: calculateSpread(newSealed, used),
+        availability: setData.availability,
+        retired: setData.retired,
+        retirementEstimate: setData.retirementEstimate,
+        retirementPop: setData.retirementPop,
+        firstYearGrowth: setData.annualGrowthFirstYear,
+        oneYearValue: money(setData.oneYearRetiredValue),
+      });
+    }
+  }
+
+  if (history.dataPoints.length > 0) {
+    const firstDate = history.dataPoints[0].date;
+    history.backdated = backdated
+      .filter((o) => o.setNumber === setNumber && o.date < firstDate)
+      .map((o) => ({ ...o, price: convert(o.price, o.currency, o.date) }))
+      .filter((o) => o.price !== null);
+  }
+
+  // Change in the sealed value since the start of the page history
+  const backdatedSealed = history.backdated.filter(
+    (o) => o.condition === "sealed"
+  );
+  const current = summarizeChange(history.dataPoints, "newSealedValue");
+  if (backdatedSealed.length > 0 && current) {
+    const change = calculateChange(backdatedSealed[0].price, current.current);
+    history.backdatedChange = {
+      since: backdatedSealed[0].date,
+      initial: backdatedSealed[0].price,
+      current: current.current,
+      amount: change.amount,
+      percent: change.percent,
+    };
+  }
+
+  // Calculate changes over time
+  if (history.dataPoints.length > 1) {
+    const first = history.dataPoints[0];
+    const last = history.dataPoints[history.dataPoints.length - 1];
+
+    const spreads = history.dataPoints.filter((p) => p.spread);
+
+    history.summary = {
+      firstSeen: first.date,
+      lastSeen: last.date,
+      daysTracked: Math.floor((last.date - first.date) / (1000 * 60 * 60 * 24)),
+      snapshotCount: history.dataPoints.length,
+      priceChange: summarizeChange(history.dataPoints, "marketPrice") || {
+        initial: 0,
+        current: 0,
+        amount: 0,
+        percent: 0,
+      },
+      newSealedChange: summarizeChange(history.dataPoints, "newSealedValue"),
+      usedChange: summarizeChange(history.dataPoints, "usedValue"),
+      spread:
+        spreads.length > 0
+          ? {
+              initial: spreads[0].spread,
+              current: spreads[spreads.length - 1].spread,
+            }
+          : null,
+      retirementStatus: {
+        initial: first.availability,
+        current: last.availability,
+        hasRetired: Boolean(last.retired),
+        retiredDate: last.retired,
+      },
+    };
+  }
+
+  return history;
+}
+
+module.exports = {
+  calculateChange,
+  calculateSpread,
+  formatSpread,
+  trackSetPrices,
+};
@@ -0,0 +1,448 @@
+const cheerio = require("cheerio");
+const {
+  DEFAULT_CURRENCY,
+  parseMoney,
+  formatMoney,
+  formatPercent,
+  detectCurrency,
+} = require("./schema");
+const { PAGE_HISTORY_SOURCE } = require("./pageHistory");
+
+/**
+ * Source name of the prices scraped into snapshots
+ */
+const SCRAPED_SOURCE = "brickeconomy";
+
+// Imported sources become database keys, so keep them to safe characters
+const SOURCE_NAME = /^[a-z0-9][a-z0-9_-]*$/;
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+/**
+ * Column names (lowercased, letters and digits only) each field is read from,
+ * per import format; for price the first column with a value wins
+ */
+const FIELD_ALIASES = {
+  bricklink: {
+    itemType: ["itemtype", "type"],
+    setNumber: ["itemid", "itemno", "no", "item"],
+    condition: ["neworused", "condition"],
+    price: ["qtyavgprice", "avgprice", "price"],
+    currency: ["currencycode", "currency"],
+    date: ["date"],
+  },
+  csv: {
+    setNumber: ["setnumber", "set", "setno", "number", "item"],
+    condition: ["condition"],
+    price: ["price", "value"],
+    currency: ["currency"],
+    date: ["date", "observedat"],
+  },
+};
+
+/**
+ * Reduce a column or tag name to lowercase letters and digits
+ * @param {string} name - e.g. "QTY_AVG_PRICE" or "Set Number"
+ * @returns {string} e.g. "qtyavgprice" or "setnumber"
+ */
+function normalizeName(name) {
+  return String(name)
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+}
+
+/**
+ * Normalize a set number, dropping the variant suffix BrickLink adds
+ * @param {string} value - e.g. "75331-1" or "75331"
+ * @returns {string|null} e.g. "75331", or null if it is not a set number
+ */
+function normalizeSetNumber(value) {
+  const match = String(value || "")
+    .trim()
+    .match(/^(\d{3,7})(?:-\d+)?$/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Map a condition as written in an export to "sealed" or "used"
+ * @param {string} value - e.g. "N", "U", "New", "Used", "Sealed"
+ * @returns {string|null} Condition, "sealed" when blank, or null if unknown
+ */
+function normalizeCondition(value) {
+  const text = String(value || "")
+    .trim()
+    .toLowerCase();
+  if (text === "") return "sealed";
+  if (/^(n|new|sealed|misb|nisb|new\/sealed)$/.test(text)) return "sealed";
+  if (/^(u|used)$/.test(text)) return "used";
+  return null;
+}
+
+/**
+ * Normalize a date from an export to an ISO date
+ * @param {string} value - e.g. "2025-09-28" or "9/28/2025"
+ * @returns {string|null} e.g. "2025-09-28", or null if unparseable
+ */
+function normalizeDate(value) {
+  const text = String(value || "").trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) return text;
+  const date = new Date(text);
+  if (text === "" || isNaN(date)) return null;
+  return new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()))
+    .toISOString()
+    .slice(0, 10);
+}
+
+/**
+ * Split delimited text into rows of fields, honouring quoted fields
+ * The delimiter (comma, tab or semicolon) is taken from the header line
+ * @param {string} text - File content
+ * @returns {Array<Array<string>>} Rows, blank lines dropped
+ */
+function parseDelimited(text) {
+  const content = text.replace(/^\uFEFF/, "");
+  const header = content.split(/\r?\n/, 1)[0];
+  const delimiter = ["\t", ";", ","]
+    .map((char) => [char, header.split(char).length])
+    .sort((a, b) => b[1] - a[1])[0][0];
+
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === "") {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && content[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  row.push(field);
+  rows.push(row);
+
+  return rows.filter((fields) => fields.some((value) => value.trim() !== ""));
+}
+
+/**
+ * Read delimited text into records keyed by normalized column name
+ * @param {string} text - File content with a header line
+ * @returns {Array<{line: number, record: Object}>} Records with their line
+ */
+function readDelimitedRecords(text) {
+  const [header, ...rows] = parseDelimited(text);
+  if (!header) return [];
+  const columns = header.map(normalizeName);
+  return rows.map((fields, index) => ({
+    line: index + 2,
+    record: Object.fromEntries(
+      columns.map((column, i) => [column, (fields[i] || "").trim()])
+    ),
+  }));
+}
+
+/**
+ * Read the <ITEM> elements of a BrickLink XML export into records keyed by
+ * normalized tag name
+ * @param {string} xml - File content
+ * @returns {Array<{line: number, record: Object}>} Records, numbered by item
+ */
+function readXmlRecords(xml) {
+  const $ = cheerio.load(xml, { xmlMode: true });
+  return $("ITEM, item")
+    .toArray()
+    .map((item, index) => {
+      const record = {};
+      $(item)
+        .children()
+        .each((i, child) => {
+          record[normalizeName(child.tagName)] = $(child).text().trim();
+        });
+      return { line: index + 1, record };
+    });
+}
+
+/**
+ * Pick a field from a record using the format's aliases
+ * @param {Object} record - Record keyed by normalized column name
+ * @param {Array<string>} aliases - Column names to try, in order
+ * @returns {string|undefined} First non-blank value
+ */
+function pickField(record, aliases = []) {
+  for (const alias of aliases) {
+    if (record[alias] !== undefined && record[alias] !== "") {
+      return record[alias];
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Turn parsed records into observations
+ * @param {Array} records - Result of readDelimitedRecords or readXmlRecords
+ * @param {Object} aliases - The format's FIELD_ALIASES entry
+ * @param {Object} options - {source, date, recordedFrom}
+ * @returns {Object} {observations, ignored, rejected: [{line, reason}]};
+ *   ignored counts rows for items other than sets (minifigs, parts)
+ */
+function toObservations(records, aliases, options) {
+  const observations = [];
+  const rejected = [];
+  let ignored = 0;
+
+  for (const { line, record } of records) {
+    const itemType = pickField(record, aliases.itemType);
+    if (itemType !== undefined && !/^(s|set)$/i.test(itemType)) {
+      ignored++;
+      continue;
+    }
+
+    const rawNumber = pickField(record, aliases.setNumber);
+    const setNumber = normalizeSetNumber(rawNumber);
+    const condition = normalizeCondition(pickField(record, aliases.condition));
+    const rawPrice = pickField(record, aliases.price);
+    const rawCurrency = pickField(record, aliases.currency);
+    const currency = rawCurrency
+      ? rawCurrency.trim().toUpperCase()
+      : detectCurrency(rawPrice) || options.currency || DEFAULT_CURRENCY;
+    const price = parseMoney(rawPrice, currency);
+    const rawDate = pickField(record, aliases.date);
+    const observedAt =
+      rawDate === undefined ? options.date : normalizeDate(rawDate);
+
+    let reason = null;
+    if (!setNumber) reason = `"${rawNumber || ""}" is not a set number`;
+    else if (!condition) reason = "unknown condition";
+    else if (price === null || price <= 0) reason = "no price";
+    else if (!/^[A-Z]{3}$/.test(currency)) {
+      reason = `"${rawCurrency}" is not a currency code`;
+    } else if (!observedAt) reason = `"${rawDate}" is not a date`;
+    if (reason) {
+      rejected.push({ line, reason });
+      continue;
+    }
+
+    observations.push({
+      setNumber,
+      source: options.source,
+      condition,
+      observedAt,
+      price,
+      currency,
+      recordedFrom: options.recordedFrom || null,
+    });
+  }
+
+  return { observations, ignored, rejected };
+}
+
+/**
+ * Import formats: each reads a file's content into observations
+ */
+const PRICE_SOURCE_FORMATS = {
+  bricklink: {
+    description:
+      "BrickLink price guide export (XML, or CSV/tab-separated with BrickLink column names)",
+    parse: (content, options) =>
+      toObservations(
+        content.trim().startsWith("<")
+          ? readXmlRecords(content)
+          : readDelimitedRecords(content),
+        FIELD_ALIASES.bricklink,
+        options
+      ),
+  },
+  csv: {
+    description:
+      "CSV with set number, date, price, condition and (optionally) currency columns",
+    parse: (content, options) =>
+      toObservations(readDelimitedRecords(content), FIELD_ALIASES.csv, options),
+  },
+};
+
+/**
+ * Guess the import format of a file
+ * @param {string} filename - File name
+ * @param {string} content - File content
+ * @returns {string} "bricklink" for XML files and files with BrickLink
+ *   columns, "csv" otherwise
+ */
+function detectFormat(filename, content) {
+  if (/\.xml$/i.test(filename) || content.trim().startsWith("<")) {
+    return "bricklink";
+  }
+  const header = (parseDelimited(content.split(/\r?\n/, 1)[0])[0] || []).map(
+    normalizeName
+  );
+  return header.includes("itemid") || header.includes("neworused")
+    ? "bricklink"
+    : "csv";
+}
+
+/**
+ * Check that a source name can be used for imported prices
+ * @param {string} source - Source name
+ * @returns {string|null} Error message, or null if the name is usable
+ */
+function validateSourceName(source) {
+  if (!SOURCE_NAME.test(source)) {
+    return `Invalid source name "${source}" (use lowercase letters, digits, "-" and "_")`;
+  }
+  if (source === SCRAPED_SOURCE || source === PAGE_HISTORY_SOURCE) {
+    return `"${source}" is reserved for prices taken from BrickEconomy pages`;
+  }
+  return null;
+}
+
+/**
+ * Compare a set's scraped prices with the latest imported price of each
+ * other source
+ * @param {Object} set - Set data from a snapshot (marketPrice, currentValue)
+ * @param {Array} observations - Source observations from the database
+ * @param {Date} asOf - Date of the snapshot: later observations are ignored
+ * @param {number|null} maxAgeDays - Ignore observations older than this
+ *   (null for no limit)
+ * @param {ExchangeRates|null} rates - Exchange rates, to compare prices
+ *   recorded in another currency than the set's (optional)
+ * @returns {Object} {reference: {sealed, used}, currency, sources: [{source,
+ *   condition, price, currency, converted, observedAt, date,
+ *   differencePercent}]}, sources sorted by name; converted is the price in
+ *   the set's currency (null if there is no rate), and differencePercent is
+ *   against the reference price of the same condition
+ */
+function compareSources(
+  set,
+  observations,
+  asOf,
+  maxAgeDays = null,
+  rates = null
+) {
+  const currency = set.currency || DEFAULT_CURRENCY;
+  const reference = {
+    sealed: set.marketPrice || null,
+    used: (set.currentValue && set.currentValue.used) || null,
+  };
+  const limit = asOf.toISOString().slice(0, 10);
+
+  const latest = new Map();
+  for (const observation of observations) {
+    if (
+      observation.setNumber !== set.setNumber ||
+      observation.source === PAGE_HISTORY_SOURCE ||
+      observation.observedAt > limit ||
+      (maxAgeDays !== null && (asOf - observation.date) / DAY_MS > maxAgeDays)
+    ) {
+      continue;
+    }
+    const key = `${observation.source}|${observation.condition}`;
+    const current = latest.get(key);
+    if (!current || observation.observedAt > current.observedAt) {
+      latest.set(key, observation);
+    }
+  }
+
+  const sources = Array.from(latest.values())
+    .map((observation) => {
+      const base = reference[observation.condition];
+      const from = observation.currency || DEFAULT_CURRENCY;
+      let converted = observation.price;
+      if (from !== currency) {
+        converted = rates
+          ? rates.convert(observation.price, from, currency, observation.date)
+          : null;
+      }
+      return {
+        source: observation.source,
+        condition: observation.condition,
+        price: observation.price,
+        currency: from,
+        converted,
+        observedAt: observation.observedAt,
+        date: observation.date,
+        differencePercent:
+          base && converted !== null ? ((converted - base) / base) * 100 : null,
+      };
+    })
+    .sort(
+      (a, b) =>
+        a.source.localeCompare(b.source) ||
+        a.condition.localeCompare(b.condition)
+    );
+
+  return { reference, currency, sources };
+}
+
+/**
+ * Check whether the other sources back up the scraped sealed price
+ * @param {Object} comparison - Result of compareSources
+ * @param {number} tolerancePercent - Largest difference that still agrees
+ * @returns {boolean} True if at least one other source has a sealed price
+ *   and every one is within the tolerance
+ */
+function sourcesAgree(comparison, tolerancePercent) {
+  const sealed = comparison.sources.filter(
+    (entry) => entry.condition === "sealed" && entry.differencePercent !== null
+  );
+  return (
+    sealed.length > 0 &&
+    sealed.every(
+      (entry) => Math.abs(entry.differencePercent) <= tolerancePercent
+    )
+  );
+}
+
+/**
+ * Format one source's price from compareSources
+ * @param {Object} entry - Entry of compareSources().sources
+ * @param {string} currency - Currency the comparison is in (compareSources()
+ *   .currency), shown next to prices recorded in another currency
+ * @returns {string} e.g. "bricklink $602.00 on 9/28/2025 (-6.0%)", or
+ *   "bricklink $602.00 (≈ £474.02) on 9/28/2025 (-6.0%)"
+ */
+function formatSourcePrice(entry, currency = entry.currency) {
+  let price = formatMoney(entry.price, "", entry.currency);
+  if (entry.currency !== currency) {
+    price +=
+      entry.converted === null
+        ? ` (no ${entry.currency}→${currency} rate)`
+        : ` (≈ ${formatMoney(entry.converted, "", currency)})`;
+  }
+  return `${entry.source}${
+    entry.condition === "used" ? " (used)" : ""
+  } ${price} on ${entry.date.toLocaleDateString()}${
+    entry.differencePercent !== null
+      ? ` (${formatPercent(entry.differencePercent)})`
+      : ""
+  }`;
+}
+
+module.exports = {
+  SCRAPED_SOURCE,
+  FIELD_ALIASES,
+  PRICE_SOURCE_FORMATS,
+  parseDelimited,
+  toObservations,
+  detectFormat,
+  validateSourceName,
+  compareSources,
+  sourcesAgree,
+  formatSourcePrice,
+};
@@ -1,180 +1,141 @@
-const fs = require("fs");
-const path = require("path");
+const { getAllSnapshots, getSourceObservations } = require("./snapshots");
+const {
+  calculateChange,
+  formatSpread,
+  trackSetPrices,
+} = require("./priceHistory");
+const {
+  DEFAULT_CURRENCY,
+  formatMoney,
+  formatPercent,
+  formatRetirementWindow,
+} = require("./schema");
+const { trackRetirementEstimate } = require("./retirement");
+const { parseArgs } = require("./utils");
+const {
+  DEFAULT_CONFIG_PATH,
+  loadConfig,
+  getReportingCurrency,
+} = require("./config");
+const ExchangeRates = require("./ExchangeRates");
+const { applyDataOptions, getExchangeRatesPath } = require("./paths");
+const { PAGE_HISTORY_SOURCE } = require("./pageHistory");
+const {
+  SCRAPED_SOURCE,
+  compareSources,
+  formatSourcePrice,
+} = require("./priceSources");
+
+// Reports without exchange rates show every amount in its own currency only
+const NO_EXCHANGE = { rates: null, reporting: DEFAULT_CURRENCY };
 
 /**
- * Load analysis data from a specific timestamp
- * @param {string} timestamp - Timestamp directory name
- * @returns {Object|null} Analysis data or null if not found
+ * Format a change summarized by trackSetPrices
+ * @param {Object} change - {initial, current, percent}
+ * @param {string} currency - Currency of the amounts
+ * @returns {string} e.g. "$599.99 → $640.12 (+6.69%)"
  */
-function loadAnalysisData(timestamp) {
-  const filePath = path.join(
-    __dirname,
-    "data",
-    "set-analysis",
-    timestamp,
-    "analysis-data.json"
-  );
-
-  if (!fs.existsSync(filePath)) {
-    return null;
-  }
-
-  try {
-    const data = JSON.parse(fs.readFileSync(filePath, "utf8"));
-    return data;
-  } catch (error) {
-    console.error(`Error loading ${filePath}:`, error.message);
-    return null;
-  }
-}
-
-/**
- * Get all available analysis snapshots sorted by date
- * @returns {Array} Array of {timestamp, date, data} objects
- */
-function getAllSnapshots() {
-  const analysisDir = path.join(__dirname, "data", "set-analysis");
-
-  if (!fs.existsSync(analysisDir)) {
-    console.error("No analysis data found. Run analyzeSetDetails.js first.");
-    return [];
-  }
-
-  const snapshots = [];
-  const dirs = fs.readdirSync(analysisDir);
-
-  for (const dir of dirs) {
-    const data = loadAnalysisData(dir);
-    if (data && data.analysisDate) {
-      snapshots.push({
-        timestamp: dir,
-        date: new Date(data.analysisDate),
-        data: data,
-      });
-    }
-  }
-
-  // Sort by date (oldest first)
-  snapshots.sort((a, b) => a.date - b.date);
-
-  return snapshots;
-}
-
-/**
- * Parse price string to number (handles $XXX.XX format)
- * @param {string} priceStr - Price string like "$349.99"
- * @returns {number} Numeric value
- */
-function parsePrice(priceStr) {
-  if (!priceStr) return 0;
-  return parseFloat(priceStr.replace(/[$,]/g, "")) || 0;
+function formatChange(change, currency) {
+  return `${formatMoney(change.initial, "", currency)} → ${formatMoney(
+    change.current,
+    "",
+    currency
+  )} (${change.percent >= 0 ? "+" : ""}${change.percent.toFixed(2)}%)`;
 }
 
 /**
- * Parse percentage string to number (handles +X.X% format)
- * @param {string} percentStr - Percentage string like "+7.0%"
- * @returns {number} Numeric value
+ * Describe how far a spread moved between two snapshots
+ * @param {number} move - Change in the spread, in percentage points
+ * @returns {string} e.g. "widened 2.5 points", or "unchanged"
  */
-function parsePercent(percentStr) {
-  if (!percentStr) return 0;
-  return parseFloat(percentStr.replace(/[+%]/g, "")) || 0;
+function describeSpreadMove(move) {
+  const points = Math.abs(move).toFixed(1);
+  if (points === "0.0") return "unchanged";
+  return `${move > 0 ? "widened" : "narrowed"} ${points} points`;
 }
 
 /**
- * Calculate price change between two values
- * @param {number} oldPrice - Previous price
- * @param {number} newPrice - Current price
- * @returns {Object} Change amount and percentage
+ * Format an amount in its currency, followed by what it comes to in the
+ * reporting currency
+ * @param {number|null} amount - Amount
+ * @param {string} currency - Currency of the amount
+ * @param {Object} exchange - {rates, reporting}
+ * @param {Date} date - Date of the amount
+ * @param {string} missing - Text to show when the amount is missing
+ * @returns {string} e.g. "£499.99 (≈ $634.99)"
  */
-function calculateChange(oldPrice, newPrice) {
-  if (!oldPrice || !newPrice) {
-    return { amount: 0, percent: 0 };
-  }
-
-  const amount = newPrice - oldPrice;
-  const percent = (amount / oldPrice) * 100;
-
-  return {
-    amount: amount,
-    percent: percent,
-  };
+function formatDual(amount, currency, exchange, date, missing = "") {
+  return exchange.rates
+    ? exchange.rates.format(amount, currency, exchange.reporting, date, missing)
+    : formatMoney(amount, missing, currency);
 }
 
 /**
- * Track price history for a specific set
- * @param {string} setNumber - Set number to track
- * @param {Array} snapshots - Array of snapshot objects
- * @returns {Object} Price history data
+ * Lay out a set's prices from every source side by side, one row per date,
+ * in the currency it was recorded in
+ * @param {Array} dataPoints - Data points from trackSetPrices
+ * @param {string} currency - Currency of the data points
+ * @param {Array} imported - The set's imported source observations
+ * @param {string} condition - "sealed" or "used"
+ * @returns {string} Table, or "" if no other source has prices in this condition
  */
-function trackSetPrices(setNumber, snapshots) {
-  const history = {
-    setNumber: setNumber,
-    name: null,
-    theme: null,
-    msrp: null,
-    dataPoints: [],
+function formatSourceTable(dataPoints, currency, imported, condition) {
+  const observations = imported.filter((o) => o.condition === condition);
+  if (observations.length === 0) return "";
+
+  const sources = [
+    SCRAPED_SOURCE,
+    ...new Set(observations.map((o) => o.source).sort()),
+  ];
+  const rows = new Map();
+  const rowFor = (date) => {
+    const key = date.toISOString().slice(0, 10);
+    if (!rows.has(key)) rows.set(key, { date, prices: {} });
+    return rows.get(key);
   };
-
-  for (const snapshot of snapshots) {
-    const setData = snapshot.data.sets.find((s) => s.setNumber === setNumber);
-
-    if (setData) {
-      // Store basic info (from first occurrence)
-      if (!history.name) {
-        history.name = setData.name;
-        history.theme = setData.theme;
-        history.msrp = parsePrice(setData.retailPrice);
-      }
-
-      history.dataPoints.push({
-        date: snapshot.date,
-        timestamp: snapshot.timestamp,
-        marketPrice: parsePrice(setData.currentMarketPrice),
-        availability: setData.availability,
-        retired: setData.retired,
-        retirementEstimate: setData.retirementEstimate,
-        retirementPop: parsePercent(setData.retirementPop),
-        firstYearGrowth: parsePercent(setData.annualGrowthFirstYear),
-        oneYearValue: parsePrice(setData.oneYearRetiredValue),
-      });
+  for (const point of dataPoints) {
+    const price = condition === "sealed" ? point.marketPrice : point.usedValue;
+    if (price !== null) {
+      rowFor(point.date).prices[SCRAPED_SOURCE] = formatMoney(
+        price,
+        "",
+        currency
+      );
     }
   }
-
-  // Calculate changes over time
-  if (history.dataPoints.length > 1) {
-    const first = history.dataPoints[0];
-    const last = history.dataPoints[history.dataPoints.length - 1];
-    const change = calculateChange(first.marketPrice, last.marketPrice);
-
-    history.summary = {
-      firstSeen: first.date,
-      lastSeen: last.date,
-      daysTracked: Math.floor((last.date - first.date) / (1000 * 60 * 60 * 24)),
-      snapshotCount: history.dataPoints.length,
-      priceChange: {
-        initial: first.marketPrice,
-        current: last.marketPrice,
-        amount: change.amount,
-        percent: change.percent,
-      },
-      retirementStatus: {
-        initial: first.availability,
-        current: last.availability,
-        hasRetired: last.retired !== "" && last.retired !== null,
-        retiredDate: last.retired,
-      },
-    };
+  for (const observation of observations) {
+    rowFor(observation.date).prices[observation.source] = formatMoney(
+      observation.price,
+      "",
+      observation.currency
+    );
   }
 
-  return history;
+  const line = (cells) =>
+    cells
+      .map((cell) => cell.padEnd(14))
+      .join("")
+      .trimEnd() + "\n";
+  let table = line(["Date", ...sources]);
+  for (const key of Array.from(rows.keys()).sort()) {
+    const row = rows.get(key);
+    table += line([
+      row.date.toLocaleDateString(),
+      ...sources.map((source) => row.prices[source] || "-"),
+    ]);
+  }
+  return table;
 }
 
 /**
  * Generate a price tracking report for all sets
  * @param {Array} snapshots - Array of snapshot objects
+ * @param {Array} imported - Imported source observations (optional)
+ * @param {Object} exchange - {rates, reporting}: exchange rates and the
+ *   reporting currency amounts are also shown in (optional)
  * @returns {string} Formatted report
  */
-function generateReport(snapshots) {
+function generateReport(snapshots, imported = [], exchange = NO_EXCHANGE) {
   if (snapshots.length === 0) {
     return "No analysis data found. Run analyzeSetDetails.js first.";
   }
@@ -193,7 +154,9 @@ function generateReport(snapshots) {
 
   // Track each set
   const setHistories = Array.from(setNumbers)
-    .map((setNumber) => trackSetPrices(setNumber, snapshots))
+    .map((setNumber) =>
+      trackSetPrices(setNumber, snapshots, [], exchange.rates)
+    )
     .filter((h) => h.dataPoints.length > 0);
 
   // Sort by most significant price change
@@ -212,6 +175,7 @@ function generateReport(snapshots) {
   ].date.toLocaleDateString()}\n`;
   report += `Total Snapshots: ${snapshots.length}\n`;
   report += `Sets Tracked: ${setHistories.length}\n`;
+  report += `Reporting Currency: ${exchange.reporting}\n`;
   report += "\n";
 
   // Summary of biggest movers
@@ -223,14 +187,34 @@ function generateReport(snapshots) {
     if (!history.summary) continue;
 
     const s = history.summary;
-    const sign = s.priceChange.amount >= 0 ? "+" : "";
+    const last = history.dataPoints[history.dataPoints.length - 1];
 
     report += `\nSet ${history.setNumber}: ${history.name}\n`;
-    report += `  Price: $${s.priceChange.initial.toFixed(
-      2
-    )} → $${s.priceChange.current.toFixed(
-      2
-    )} (${sign}${s.priceChange.percent.toFixed(2)}%)\n`;
+    report += `  Price: ${formatChange(s.priceChange, history.currency)}${
+      exchange.rates
+        ? exchange.rates.formatConversion(
+            s.priceChange.current,
+            history.currency,
+            exchange.reporting,
+            last.date
+          )
+        : ""
+    }\n`;
+    if (s.newSealedChange) {
+      report += `  Sealed: ${formatChange(
+        s.newSealedChange,
+        history.currency
+      )}\n`;
+    }
+    if (s.usedChange) {
+      report += `  Used: ${formatChange(s.usedChange, history.currency)}\n`;
+    }
+    if (s.spread) {
+      report += `  Spread: ${formatSpread(
+        s.spread.current,
+        history.currency
+      )}\n`;
+    }
     report += `  Status: ${s.retirementStatus.initial} → ${s.retirementStatus.current}\n`;
     report += `  Tracked: ${s.daysTracked} days (${s.snapshotCount} snapshots)\n`;
 
@@ -239,6 +223,82 @@ function generateReport(snapshots) {
     }
   }
 
+  // Sealed vs used section: widest spread first
+  const withSpread = setHistories
+    .filter((h) => h.summary && h.summary.spread)
+    .sort(
+      (a, b) =>
+        b.summary.spread.current.percent - a.summary.spread.current.percent
+    );
+
+  if (withSpread.length > 0) {
+    report += "\n\n";
+    report += "SEALED VS USED\n";
+    report += "-".repeat(70) + "\n";
+
+    for (const history of withSpread.slice(0, 10)) {
+      const s = history.summary;
+      const move = s.spread.current.percent - s.spread.initial.percent;
+
+      report += `\nSet ${history.setNumber}: ${history.name}\n`;
+      report += `  Sealed: ${formatMoney(
+        s.newSealedChange.current,
+        "",
+        history.currency
+      )}  Used: ${formatMoney(s.usedChange.current, "", history.currency)}\n`;
+      report += `  Spread: ${formatSpread(
+        s.spread.current,
+        history.currency
+      )}, ${describeSpreadMove(move)} since ${formatSpread(
+        s.spread.initial,
+        history.currency
+      )}\n`;
+    }
+  }
+
+  // Price sources section: the sets where other sources disagree most first
+  const latest = snapshots[snapshots.length - 1];
+  const comparisons = latest.data.sets
+    .map((set) => ({
+      set,
+      comparison: compareSources(
+        set,
+        imported,
+        latest.date,
+        null,
+        exchange.rates
+      ),
+    }))
+    .filter(({ comparison }) => comparison.sources.length > 0);
+  const spreadOf = ({ comparison }) =>
+    Math.max(
+      0,
+      ...comparison.sources
+        .filter((entry) => entry.differencePercent !== null)
+        .map((entry) => Math.abs(entry.differencePercent))
+    );
+  comparisons.sort((a, b) => spreadOf(b) - spreadOf(a));
+
+  if (comparisons.length > 0) {
+    report += "\n\n";
+    report += "PRICE SOURCES (latest price from each source)\n";
+    report += "-".repeat(70) + "\n";
+
+    for (const { set, comparison } of comparisons) {
+      report += `\nSet ${set.setNumber}: ${set.name}\n`;
+      report += `  ${SCRAPED_SOURCE} ${formatDual(
+        set.marketPrice,
+        comparison.currency,
+        exchange,
+        latest.date,
+        "unknown"
+      )} on ${latest.date.toLocaleDateString()}\n`;
+      for (const entry of comparison.sources) {
+        report += `  ${formatSourcePrice(entry, comparison.currency)}\n`;
+      }
+    }
+  }
+
   // Retirement status section
   const retiredSets = setHistories.filter(
     (h) => h.summary && h.summary.retirementStatus.hasRetired
@@ -255,13 +315,27 @@ function generateReport(snapshots) {
       const lastData = history.dataPoints[history.dataPoints.length - 1];
 
       report += `\nSet ${history.setNumber}: ${history.name}\n`;
-      report += `  MSRP: $${history.msrp.toFixed(2)}\n`;
+      report += `  MSRP: ${formatDual(
+        history.msrp,
+        history.currency,
+        exchange,
+        lastData.date,
+        "unknown"
+      )}\n`;
       report += `  Retired: ${s.retirementStatus.retiredDate}\n`;
-      report += `  Predicted Pop: +${lastData.retirementPop.toFixed(2)}%\n`;
+      report += `  Predicted Pop: ${formatPercent(
+        lastData.retirementPop,
+        "unknown"
+      )}\n`;
       report += `  Actual Change: ${sign}${s.priceChange.percent.toFixed(
         2
       )}%\n`;
-      report += `  Current Market: $${s.priceChange.current.toFixed(2)}\n`;
+      report += `  Current Market: ${formatDual(
+        s.priceChange.current,
+        history.currency,
+        exchange,
+        lastData.date
+      )}\n`;
 
       if (history.msrp > 0) {
         const roi =
@@ -269,6 +343,9 @@ function generateReport(snapshots) {
         report += `  ROI from MSRP: ${roi >= 0 ? "+" : ""}${roi.toFixed(2)}%\n`;
       }
     }
+
+    report +=
+      "\nRun predictionScorecard.js to score these predictions against the prices seen after retirement.\n";
   }
 
   return report;
@@ -278,10 +355,25 @@ function generateReport(snapshots) {
  * Generate detailed history for a specific set
  * @param {string} setNumber - Set number to detail
  * @param {Array} snapshots - Array of snapshot objects
+ * @param {Array} backdated - Page history observations (optional)
+ * @param {Array} imported - Imported source observations (optional)
+ * @param {Object} exchange - {rates, reporting}: exchange rates and the
+ *   reporting currency amounts are also shown in (optional)
  * @returns {string} Formatted detailed report
  */
-function generateSetDetail(setNumber, snapshots) {
-  const history = trackSetPrices(setNumber, snapshots);
+function generateSetDetail(
+  setNumber,
+  snapshots,
+  backdated = [],
+  imported = [],
+  exchange = NO_EXCHANGE
+) {
+  const history = trackSetPrices(
+    setNumber,
+    snapshots,
+    backdated,
+    exchange.rates
+  );
 
   if (history.dataPoints.length === 0) {
     return `No data found for set ${setNumber}`;
@@ -290,19 +382,56 @@ function generateSetDetail(setNumber, snapshots) {
   let report = "";
   report += `PRICE HISTORY: Set ${setNumber} - ${history.name}\n`;
   report += "=".repeat(70) + "\n";
+  const last = history.dataPoints[history.dataPoints.length - 1];
+  const money = (amount, missing = "") =>
+    formatMoney(amount, missing, history.currency);
   report += `Theme: ${history.theme}\n`;
-  report += `MSRP: $${history.msrp.toFixed(2)}\n\n`;
+  report += `Currency: ${history.currency}${
+    history.currency !== exchange.reporting
+      ? ` (reporting currency ${exchange.reporting})`
+      : ""
+  }\n`;
+  report += `MSRP: ${formatDual(
+    history.msrp,
+    history.currency,
+    exchange,
+    last.date,
+    "unknown"
+  )}\n\n`;
 
   if (history.summary) {
     const s = history.summary;
     report += "SUMMARY\n";
     report += "-".repeat(70) + "\n";
     report += `Tracking Period: ${s.daysTracked} days (${s.snapshotCount} snapshots)\n`;
-    report += `Price Change: $${s.priceChange.initial.toFixed(
-      2
-    )} → $${s.priceChange.current.toFixed(2)} (${
-      s.priceChange.amount >= 0 ? "+" : ""
-    }${s.priceChange.percent.toFixed(2)}%)\n`;
+    report += `Price Change: ${formatChange(s.priceChange, history.currency)}${
+      exchange.rates
+        ? exchange.rates.formatConversion(
+            s.priceChange.current,
+            history.currency,
+            exchange.reporting,
+            last.date
+          )
+        : ""
+    }\n`;
+    if (s.newSealedChange) {
+      report += `Sealed Value Change: ${formatChange(
+        s.newSealedChange,
+        history.currency
+      )}\n`;
+    }
+    if (s.usedChange) {
+      report += `Used Value Change: ${formatChange(
+        s.usedChange,
+        history.currency
+      )}\n`;
+    }
+    if (s.spread) {
+      report += `Sealed/Used Spread: ${formatSpread(
+        s.spread.initial,
+        history.currency
+      )} → ${formatSpread(s.spread.current, history.currency)}\n`;
+    }
     report += `Status: ${s.retirementStatus.initial} → ${s.retirementStatus.current}\n`;
 
     if (s.retirementStatus.hasRetired) {
@@ -311,67 +440,210 @@ function generateSetDetail(setNumber, snapshots) {
     report += "\n";
   }
 
+  if (history.backdated.length > 0) {
+    report +=
+      "PAGE HISTORY (backdated, from the value chart on the set page)\n";
+    report += "-".repeat(70) + "\n";
+    if (history.backdatedChange) {
+      report += `Sealed Value Since ${history.backdatedChange.since.toLocaleDateString()}: ${formatChange(
+        history.backdatedChange,
+        history.currency
+      )}\n`;
+    }
+
+    const byDate = new Map();
+    for (const observation of history.backdated) {
+      const values = byDate.get(observation.observedAt) || {
+        date: observation.date,
+      };
+      values[observation.condition] = observation.price;
+      byDate.set(observation.observedAt, values);
+    }
+    for (const values of byDate.values()) {
+      report += `[${values.date.toLocaleDateString()}] Sealed: ${money(
+        values.sealed,
+        "-"
+      )}  Used: ${money(values.used, "-")}\n`;
+    }
+    report += "\n";
+  }
+
+  const setImported = imported.filter((o) => o.setNumber === setNumber);
+  if (setImported.length > 0) {
+    report += "PRICE SOURCES (side by side)\n";
+    report += "-".repeat(70) + "\n";
+    for (const condition of ["sealed", "used"]) {
+      const table = formatSourceTable(
+        history.dataPoints,
+        history.currency,
+        setImported,
+        condition
+      );
+      if (table) {
+        report += `${
+          condition === "sealed" ? "Sealed (BrickEconomy market price)" : "Used"
+        }:\n${table}`;
+      }
+    }
+    report += "\n";
+  }
+
+  const estimate = trackRetirementEstimate(setNumber, snapshots);
+  if (estimate.movements.length > 0) {
+    report += "RETIREMENT ESTIMATE MOVES\n";
+    report += "-".repeat(70) + "\n";
+    for (const move of estimate.movements) {
+      report += `[${move.date.toLocaleDateString()}] ${
+        move.from ? move.from.label : "none"
+      } → ${move.to ? move.to.label : "none"} (${move.direction}${
+        move.shiftDays !== null ? ` ${Math.abs(move.shiftDays)} days` : ""
+      })\n`;
+    }
+    report += "\n";
+  }
+
   report += "DETAILED HISTORY\n";
   report += "-".repeat(70) + "\n";
+  // Changes are measured from the last point that had a market price
+  let lastPriced = null;
 
   for (let i = 0; i < history.dataPoints.length; i++) {
     const point = history.dataPoints[i];
 
-    report += `\n[${point.date.toLocaleDateString()}]\n`;
-    report += `  Market Price: $${point.marketPrice.toFixed(2)}`;
-
-    if (i > 0) {
-      const prev = history.dataPoints[i - 1];
-      const change = calculateChange(prev.marketPrice, point.marketPrice);
-      const sign = change.amount >= 0 ? "+" : "";
-      report += ` (${sign}$${Math.abs(change.amount).toFixed(
-        2
-      )}, ${sign}${change.percent.toFixed(2)}%)`;
+    report += `\n[${point.date.toLocaleDateString()}]${
+      point.currency !== history.currency
+        ? ` (converted from ${point.currency})`
+        : ""
+    }\n`;
+    report += `  Market Price: ${formatDual(
+      point.marketPrice,
+      history.currency,
+      exchange,
+      point.date,
+      "unknown"
+    )}`;
+
+    if (lastPriced && point.marketPrice !== null) {
+      const change = calculateChange(lastPriced.marketPrice, point.marketPrice);
+      const sign = change.amount >= 0 ? "+" : "-";
+      report += ` (${sign}${money(Math.abs(change.amount))}, ${sign}${Math.abs(
+        change.percent
+      ).toFixed(2)}%${
+        lastPriced !== history.dataPoints[i - 1]
+          ? ` since ${lastPriced.date.toLocaleDateString()}`
+          : ""
+      })`;
     }
+    if (point.marketPrice !== null) lastPriced = point;
 
     report += "\n";
+    if (point.newSealedValue !== null) {
+      report += `  Sealed Value: ${money(point.newSealedValue)}\n`;
+    }
+    if (point.usedValue !== null) {
+      report += `  Used Value: ${money(point.usedValue)}${
+        point.usedRange
+          ? ` (${money(point.usedRange.low)} - ${money(point.usedRange.high)})`
+          : ""
+      }\n`;
+    }
+    if (point.spread) {
+      report += `  Spread: ${formatSpread(point.spread, history.currency)}\n`;
+    }
     report += `  Availability: ${point.availability}\n`;
 
     if (point.retired) {
       report += `  Retired: ${point.retired}\n`;
     }
 
-    report += `  Retirement Est: ${point.retirementEstimate}\n`;
-    report += `  Predicted Pop: +${point.retirementPop.toFixed(2)}%\n`;
-    report += `  1st Year Growth: +${point.firstYearGrowth.toFixed(2)}%\n`;
-    report += `  1 Year Value: $${point.oneYearValue.toFixed(2)}\n`;
+    report += `  Retirement Est: ${formatRetirementWindow(
+      point.retirementEstimate,
+      "unknown"
+    )}\n`;
+    report += `  Predicted Pop: ${formatPercent(
+      point.retirementPop,
+      "unknown"
+    )}\n`;
+    report += `  1st Year Growth: ${formatPercent(
+      point.firstYearGrowth,
+      "unknown"
+    )}\n`;
+    report += `  1 Year Value: ${money(point.oneYearValue, "unknown")}\n`;
   }
 
+  report += `\nChart this history with: node priceCharts.js ${setNumber}\n`;
+
   return report;
 }
 
-// Main execution
-async function main() {
+/**
+ * Print the price tracking report, or one set's detail view
+ * @param {Object} flags - Parsed flags: data-dir, profile, config
+ * @param {Array<string>} args - Optional set number for the detail view
+ * @returns {Promise<Object>} {snapshots, sets: price histories, partial}
+ */
+async function run(flags = {}, args = []) {
+  applyDataOptions(flags);
   console.log("Loading analysis snapshots...\n");
 
   const snapshots = getAllSnapshots();
 
   if (snapshots.length === 0) {
     console.log("No snapshots found. Run analyzeSetDetails.js first.");
-    return;
+    return { snapshots: 0, sets: [], partial: false };
   }
 
   console.log(`Found ${snapshots.length} snapshot(s)\n`);
 
-  // Check for command line arguments
-  const args = process.argv.slice(2);
+  const observations = getSourceObservations();
+  const backdated = observations.filter(
+    (o) => o.source === PAGE_HISTORY_SOURCE
+  );
+  const imported = observations.filter((o) => o.source !== PAGE_HISTORY_SOURCE);
+  const exchange = {
+    rates: new ExchangeRates(getExchangeRatesPath()),
+    reporting: getReportingCurrency(
+      loadConfig(flags.config || DEFAULT_CONFIG_PATH)
+    ),
+  };
 
+  let setNumbers;
   if (args.length > 0) {
     // Detail view for specific set
-    const setNumber = args[0];
-    console.log(generateSetDetail(setNumber, snapshots));
+    setNumbers = [String(args[0])];
+    console.log(
+      generateSetDetail(setNumbers[0], snapshots, backdated, imported, exchange)
+    );
   } else {
     // Summary view for all sets
-    console.log(generateReport(snapshots));
+    setNumbers = Array.from(
+      new Set(
+        snapshots.flatMap((snapshot) =>
+          snapshot.data.sets.map((set) => set.setNumber)
+        )
+      )
+    ).sort();
+    console.log(generateReport(snapshots, imported, exchange));
   }
+
+  const missingRates = exchange.rates.describeMissing();
+  if (missingRates) console.warn(`\nWarning: ${missingRates}`);
+
+  return {
+    snapshots: snapshots.length,
+    sets: setNumbers.map((setNumber) =>
+      trackSetPrices(setNumber, snapshots, backdated, exchange.rates)
+    ),
+    partial: false,
+  };
 }
 
-main().catch((error) => {
-  console.error("Error:", error);
-  process.exit(1);
-});
+module.exports = { generateReport, generateSetDetail, run };
+
+if (require.main === module) {
+  const { _: args, flags } = parseArgs(process.argv.slice(2));
+  run(flags, args).catch((error) => {
+    console.error("Error:", error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,142 @@
+const path = require("path");
+const { parseArgs, ensureDirectoryExists } = require("./utils");
+const ExchangeRates = require("./ExchangeRates");
+const {
+  DEFAULT_CONFIG_PATH,
+  loadConfig,
+  getReportingCurrency,
+} = require("./config");
+const { formatMoney } = require("./schema");
+const { getExchangeRatesPath, applyDataOptions } = require("./paths");
+
+const USAGE = `Usage:
+  node rates.js list
+  node rates.js set <FROM> <TO> <rate> [--date YYYY-MM-DD]   (1 FROM = rate TO)
+  node rates.js remove <FROM> <TO> [--date YYYY-MM-DD]       (no date removes every rate of the pair)
+  node rates.js convert <amount> <FROM> [TO] [--date YYYY-MM-DD]   (TO defaults to the reporting currency)`;
+
+/**
+ * Build an error for a malformed command, carrying the usage text
+ * @param {string} message - What was wrong
+ * @returns {Error} Error with usage set, so the CLI exits with its usage code
+ */
+function usageError(message) {
+  const error = new Error(`${message}\n${USAGE}`);
+  error.usage = true;
+  return error;
+}
+
+/**
+ * List, record, remove and try out exchange rates
+ * @param {Object} flags - Parsed flags: date, config, dry-run
+ * @param {Array<string>} args - Command and its arguments
+ * @returns {Promise<Object>} {command, rates, converted, partial}
+ */
+async function run(flags = {}, args = []) {
+  applyDataOptions(flags);
+  const [command = "list", ...rest] = args;
+  const rates = new ExchangeRates(getExchangeRatesPath());
+  const dryRun = Boolean(flags["dry-run"]);
+  const date = flags.date === undefined ? undefined : String(flags.date);
+  let converted = null;
+
+  const saveRates = () => {
+    if (dryRun) {
+      console.log("Dry run - exchange rates not saved.");
+    } else {
+      ensureDirectoryExists(path.dirname(rates.ratesPath));
+      rates.save();
+    }
+  };
+
+  switch (command) {
+    case "list": {
+      const reporting = getReportingCurrency(
+        loadConfig(flags.config || DEFAULT_CONFIG_PATH)
+      );
+      console.log(`Reporting currency: ${reporting}\n`);
+      if (rates.count() === 0) {
+        console.log(
+          "No exchange rates recorded. Add one with: node rates.js set GBP USD 1.27"
+        );
+      }
+      for (const entry of rates.getRates()) {
+        console.log(
+          `  ${entry.date}  1 ${entry.from} = ${entry.rate} ${entry.to}`
+        );
+      }
+      break;
+    }
+
+    case "set": {
+      const [from, to, rate] = rest;
+      if (!from || !to || rate === undefined) {
+        throw usageError('"set" needs two currencies and a rate');
+      }
+      const entry = rates.setRate(from, to, rate, date);
+      saveRates();
+      console.log(
+        `✓ ${entry.date}: 1 ${entry.from} = ${entry.rate} ${entry.to}`
+      );
+      break;
+    }
+
+    case "remove": {
+      const [from, to] = rest;
+      if (!from || !to) throw usageError('"remove" needs two currencies');
+      const removed = rates.removeRates(from, to, date);
+      if (removed === 0) {
+        throw new Error(
+          `No ${from}/${to} rate${date ? ` on ${date}` : ""} recorded`
+        );
+      }
+      saveRates();
+      console.log(`✓ Removed ${removed} rate(s)`);
+      break;
+    }
+
+    case "convert": {
+      const [amount, from, to] = rest;
+      if (amount === undefined || !from || !Number.isFinite(Number(amount))) {
+        throw usageError('"convert" needs an amount and a currency');
+      }
+      const source = from.toUpperCase();
+      const target = to
+        ? to.toUpperCase()
+        : getReportingCurrency(loadConfig(flags.config || DEFAULT_CONFIG_PATH));
+      const on = date || new Date().toISOString().slice(0, 10);
+      const found = rates.findRate(source, target, on);
+      if (!found) {
+        throw new Error(
+          `No exchange rate between ${source} and ${target}. Add one with: node rates.js set ${source} ${target} <rate>`
+        );
+      }
+      converted = Number(amount) * found.rate;
+      console.log(
+        `${formatMoney(Number(amount), "", source)} = ${formatMoney(
+          converted,
+          "",
+          target
+        )} (rate ${found.rate.toFixed(4)}${
+          found.date ? ` from ${found.date}` : ""
+        })`
+      );
+      break;
+    }
+
+    default:
+      throw usageError(`Unknown command "${command}"`);
+  }
+
+  return { command, rates: rates.getRates(), converted, partial: false };
+}
+
+module.exports = { run };
+
+if (require.main === module) {
+  const { _: args, flags } = parseArgs(process.argv.slice(2), ["dry-run"]);
+  run(flags, args).catch((error) => {
+    console.error("Error:", error.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,326 @@
+const fs = require("fs");
+const path = require("path");
+const { parseArgs, ensureDirectoryExists } = require("./utils");
+const SetRegistry = require("./SetRegistry");
+const { DEFAULT_CONFIG_PATH, loadConfig } = require("./config");
+const { getAllSnapshots } = require("./snapshots");
+const { applyLifecycleRules } = require("./lifecycle");
+const { dataPath, applyDataOptions } = require("./paths");
+
+const USAGE = `Usage:
+  node registry.js list [--category <name>] [--tag <tag>] [--state <state>] [--monitored]
+  node registry.js show <setNumber>
+  node registry.js add <setNumber> --url <detail page url> [--name <name>] [--category <name>]
+  node registry.js remove <setNumber>
+  node registry.js monitor <setNumber...>
+  node registry.js unmonitor <setNumber...>
+  node registry.js archive <setNumber...>      (stop fetching, keep history)
+  node registry.js restore <setNumber...>      (archived → candidate)
+  node registry.js lifecycle                   (apply the lifecycle rules now)
+  node registry.js tag <setNumber> <tag...>
+  node registry.js untag <setNumber> <tag...>
+  node registry.js note <setNumber> [text]     (no text clears the note)`;
+
+/**
+ * Build an error for a malformed command, carrying the usage text
+ * @param {string} message - What was wrong
+ * @returns {Error} Error with usage set, so the CLI exits with its usage code
+ */
+function usageError(message) {
+  const error = new Error(`${message}\n${USAGE}`);
+  error.usage = true;
+  return error;
+}
+
+/**
+ * Format one registry entry as a line of the listing
+ * @param {Object} set - Registry entry from getAllSets
+ * @returns {string} e.g. "75331  The Razor Crest (Star Wars) - seen 3 time(s), last 11/8/2025"
+ */
+function formatRegistryEntry(set) {
+  let line = `${set.setNumber.padEnd(7)}${set.name || "(unnamed)"}`;
+  if (set.category) line += ` (${set.category})`;
+  if (set.lastSeen) {
+    line += ` - seen ${set.timesFound || 1} time(s), last ${new Date(
+      set.lastSeen
+    ).toLocaleDateString()}`;
+  }
+  line += ` [${set.state}${set.source === "manual" ? ", manual" : ""}]`;
+  if (set.tags && set.tags.length > 0) line += ` #${set.tags.join(" #")}`;
+  return line;
+}
+
+/**
+ * Format every field of one registry entry
+ * @param {Object} set - Registry entry
+ * @returns {string} Multi-line description
+ */
+function formatRegistryDetail(set) {
+  const date = (value) =>
+    value ? new Date(value).toLocaleDateString() : "never";
+  let text = `Set ${set.setNumber}: ${set.name || "(unnamed)"}\n`;
+  text += `  Category: ${set.category || "none"}\n`;
+  text += `  URL: ${set.url || "none (fetchSetDetails.js will skip it)"}\n`;
+  text += `  Added: ${set.source === "manual" ? "manually" : "discovered"}\n`;
+  text += `  First seen: ${date(set.firstSeen)}, last seen: ${date(
+    set.lastSeen
+  )} (${set.timesFound || 1} time(s))\n`;
+  text += `  State: ${set.state}${
+    set.stateChangedAt ? ` since ${date(set.stateChangedAt)}` : ""
+  }\n`;
+  text += `  Last fetched: ${date(set.lastFetched)}\n`;
+  text += `  Tags: ${
+    set.tags && set.tags.length > 0 ? set.tags.join(", ") : "none"
+  }\n`;
+  if (set.note) text += `  Note: ${set.note}\n`;
+  if (set.stateHistory && set.stateHistory.length > 0) {
+    text += `  State history:\n`;
+    for (const change of set.stateHistory) {
+      text += `    ${date(change.at)}: ${change.from || "none"} → ${
+        change.to
+      } (${change.source === "auto" ? "automatic" : "by hand"}${
+        change.reason ? `, ${change.reason}` : ""
+      })\n`;
+    }
+  }
+  return text;
+}
+
+/**
+ * Run a registry command
+ * @param {Object} flags - Parsed flags: category, tag, state, monitored, url,
+ *   name, config, dry-run
+ * @param {Array<string>} args - Command and its arguments (default "list")
+ * @returns {Promise<Object>} {sets, changed, partial}
+ * @throws {Error} If the command is malformed or names a set not in the registry
+ */
+async function run(flags = {}, args = []) {
+  applyDataOptions(flags);
+  const [command = "list", target, ...rest] = args.map(String);
+  const dryRun = Boolean(flags["dry-run"]);
+  const registryPath = dataPath("set-registry.json");
+
+  if (command === "list" || command === "show") {
+    if (!fs.existsSync(registryPath)) {
+      console.log(
+        "No registry found. Run getRetiringSoon.js first to discover sets, or add one with: node registry.js add <setNumber> --url <url>"
+      );
+      return { sets: [], changed: [], partial: false };
+    }
+  }
+
+  const registry = new SetRegistry(registryPath);
+
+  // Commands that change an existing set
+  const requireSet = (setNumber) => {
+    if (!setNumber) throw usageError(`"${command}" needs a set number`);
+    const set = registry.getSet(setNumber);
+    if (!set) throw new Error(`Set ${setNumber} is not in the registry`);
+    return set;
+  };
+
+  let changed = [];
+
+  switch (command) {
+    case "list": {
+      let sets = flags.category
+        ? registry.getSetsByCategory(String(flags.category))
+        : registry.getAllSets();
+      if (flags.tag) {
+        const tagged = new Set(
+          registry.getSetsByTag(String(flags.tag)).map((set) => set.setNumber)
+        );
+        sets = sets.filter((set) => tagged.has(set.setNumber));
+      }
+      if (flags.state) {
+        if (!SetRegistry.LIFECYCLE_STATES.includes(flags.state)) {
+          throw usageError(
+            `--state expects one of ${SetRegistry.LIFECYCLE_STATES.join(", ")}`
+          );
+        }
+        sets = sets.filter((set) => set.state === flags.state);
+      }
+      if (flags.monitored)
+        sets = sets.filter((set) => set.state === "monitored");
+      sets.sort((a, b) => a.setNumber.localeCompare(b.setNumber));
+
+      console.log(`\n${sets.length} set(s):\n`);
+      sets.forEach((set) => console.log(`  ${formatRegistryEntry(set)}`));
+      return { sets, changed, partial: false };
+    }
+
+    case "show": {
+      const set = requireSet(target);
+      console.log(`\n${formatRegistryDetail({ setNumber: target, ...set })}`);
+      return { sets: [{ setNumber: target, ...set }], changed, partial: false };
+    }
+
+    case "add": {
+      if (!target) throw usageError('"add" needs a set number');
+      if (!/^\d+$/.test(target)) {
+        throw usageError(`"${target}" is not a set number`);
+      }
+      if (flags.url !== undefined && !/^https?:\/\//.test(flags.url)) {
+        throw usageError(`--url expects an http(s) URL, got "${flags.url}"`);
+      }
+      const existing = registry.getSet(target);
+      const info = {
+        ...(flags.url !== undefined && { url: flags.url }),
+        ...(flags.name !== undefined && { name: String(flags.name) }),
+        ...(flags.category !== undefined && {
+          category: String(flags.category),
+        }),
+      };
+      if (existing) {
+        registry.updateSet(target, info);
+      } else {
+        registry.addSet(target, { ...info, source: "manual" });
+      }
+      console.log(
+        `✓ ${existing ? "Updated" : "Added"} ${formatRegistryEntry({
+          setNumber: target,
+          ...registry.getSet(target),
+        })}`
+      );
+      if (!registry.getSet(target).url) {
+        console.log(
+          "  No --url given: fetchSetDetails.js skips sets without a detail page URL"
+        );
+      }
+      changed = [target];
+      break;
+    }
+
+    case "remove": {
+      requireSet(target);
+      registry.removeSet(target);
+      console.log(`✓ Removed set ${target} (its snapshots are kept)`);
+      changed = [target];
+      break;
+    }
+
+    case "monitor":
+    case "unmonitor": {
+      const setNumbers = [target, ...rest].filter(Boolean);
+      if (setNumbers.length === 0) {
+        throw usageError(`"${command}" needs at least one set number`);
+      }
+      setNumbers.forEach(requireSet);
+      for (const setNumber of setNumbers) {
+        if (command === "monitor") {
+          registry.markAsMonitored(setNumber);
+        } else {
+          registry.unmarkAsMonitored(setNumber);
+        }
+        console.log(
+          `✓ ${
+            command === "monitor" ? "Monitoring" : "Stopped monitoring"
+          } set ${setNumber}`
+        );
+      }
+      changed = setNumbers;
+      break;
+    }
+
+    case "archive":
+    case "restore": {
+      const setNumbers = [target, ...rest].filter(Boolean);
+      if (setNumbers.length === 0) {
+        throw usageError(`"${command}" needs at least one set number`);
+      }
+      setNumbers.forEach(requireSet);
+      for (const setNumber of setNumbers) {
+        const from = registry.getSet(setNumber).state;
+        const to = command === "archive" ? "archived" : "candidate";
+        if (command === "restore" && from !== "archived") {
+          console.log(`  Set ${setNumber} is not archived (${from})`);
+          continue;
+        }
+        registry.setState(setNumber, to, {
+          reason: command === "archive" ? "archived" : "restored",
+        });
+        console.log(`✓ Set ${setNumber}: ${from} → ${to}`);
+        changed.push(setNumber);
+      }
+      break;
+    }
+
+    case "lifecycle": {
+      const config = loadConfig(flags.config || DEFAULT_CONFIG_PATH);
+      const changes = applyLifecycleRules(
+        registry,
+        getAllSnapshots(),
+        config.lifecycle
+      );
+      if (changes.length === 0) {
+        console.log("No lifecycle changes - every set is in the right state.");
+      }
+      for (const change of changes) {
+        console.log(
+          `✓ Set ${change.setNumber}: ${change.from} → ${change.to} (${change.reason})`
+        );
+      }
+      changed = changes.map((change) => change.setNumber);
+      break;
+    }
+
+    case "tag":
+    case "untag": {
+      requireSet(target);
+      if (rest.length === 0) {
+        throw usageError(`"${command}" needs at least one tag`);
+      }
+      const tags =
+        command === "tag"
+          ? registry.addTags(target, rest)
+          : registry.removeTags(target, rest);
+      console.log(
+        `✓ Set ${target} tags: ${tags.length > 0 ? tags.join(", ") : "none"}`
+      );
+      changed = [target];
+      break;
+    }
+
+    case "note": {
+      requireSet(target);
+      const note = rest.join(" ").trim();
+      registry.setNote(target, note);
+      console.log(
+        note ? `✓ Set ${target} note: ${note}` : `✓ Cleared set ${target} note`
+      );
+      changed = [target];
+      break;
+    }
+
+    default:
+      throw usageError(`Unknown registry command "${command}"`);
+  }
+
+  if (dryRun) {
+    console.log("Dry run - registry not saved.");
+  } else {
+    ensureDirectoryExists(path.dirname(registryPath));
+    registry.save();
+  }
+
+  return {
+    sets: changed
+      .filter((setNumber) => registry.getSet(setNumber))
+      .map((setNumber) => ({ setNumber, ...registry.getSet(setNumber) })),
+    changed,
+    partial: false,
+  };
+}
+
+module.exports = { run };
+
+if (require.main === module) {
+  const { _: args, flags } = parseArgs(process.argv.slice(2), [
+    "monitored",
+    "dry-run",
+  ]);
+  run(flags, args).catch((error) => {
+    console.error("Error:", error.message);
+    process.exit(1);
+  });
+}
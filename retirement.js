@@ -0,0 +1,157 @@
+const { findSetInSnapshot } = require("./snapshots");
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+/**
+ * Count the days from a reference date until an ISO date
+ * @param {string} isoDate - Date like "2026-01-01"
+ * @param {Date} now - Reference date
+ * @returns {number} Whole days until the date (negative once it has passed)
+ */
+function daysUntil(isoDate, now) {
+  return Math.ceil((Date.parse(isoDate) - now.getTime()) / DAY_MS);
+}
+
+/**
+ * Estimate the number of days until a set enters its retirement window
+ * @param {Object|null} window - Retirement window from the snapshot (e.g. Early 2026)
+ * @param {Date} now - Reference date (defaults to today)
+ * @returns {number|null} Days until the window starts (negative once inside), or null if unknown
+ */
+function daysUntilRetirement(window, now = new Date()) {
+  if (!window || !window.start) return null;
+  return daysUntil(window.start, now);
+}
+
+/**
+ * Describe the countdown to a retirement window
+ * @param {Object|null} window - Retirement window from the snapshot
+ * @param {Date} now - Reference date (defaults to today)
+ * @returns {Object|null} {daysToStart, daysToEnd, phase} where phase is
+ *   "upcoming", "in window" or "overdue", or null if the window has no dates
+ */
+function retirementCountdown(window, now = new Date()) {
+  if (!window || !window.start) return null;
+
+  const daysToStart = daysUntil(window.start, now);
+  // The window runs to the end of its last day
+  const daysToEnd = daysUntil(window.end, now) + 1;
+  let phase = "in window";
+  if (daysToStart > 0) phase = "upcoming";
+  else if (daysToEnd <= 0) phase = "overdue";
+
+  return { daysToStart, daysToEnd, phase };
+}
+
+/**
+ * Describe how a retirement estimate moved
+ * @param {Object|null} from - Earlier window
+ * @param {Object|null} to - Later window
+ * @returns {string} "slipped", "pulled forward", "added", "removed" or "relabeled"
+ */
+function describeMovement(from, to) {
+  if (!from) return "added";
+  if (!to) return "removed";
+  if (!from.start || !to.start || from.start === to.start) return "relabeled";
+  return to.start > from.start ? "slipped" : "pulled forward";
+}
+
+/**
+ * Follow a set's retirement estimate through the snapshots and record each
+ * time the window changed (a change of likelihood alone is not a move)
+ * @param {string} setNumber - Set number
+ * @param {Array} snapshots - Snapshots sorted oldest first
+ * @returns {Object} {setNumber, name, theme, retired, current, firstEstimate,
+ *   movements: [{timestamp, date, from, to, direction, shiftDays}]}
+ */
+function trackRetirementEstimate(setNumber, snapshots) {
+  const history = {
+    setNumber,
+    name: null,
+    theme: null,
+    retired: null,
+    current: null,
+    firstEstimate: null,
+    movements: [],
+  };
+  let seen = false;
+
+  for (const snapshot of snapshots) {
+    const set = findSetInSnapshot(snapshot, setNumber);
+    if (!set) continue;
+
+    history.name = set.name;
+    history.theme = set.theme;
+    history.retired = set.retired;
+
+    const estimate = set.retirementEstimate;
+    if (!seen) {
+      history.firstEstimate = estimate;
+    } else {
+      const previous = history.current;
+      const previousLabel = previous ? previous.label : null;
+      const label = estimate ? estimate.label : null;
+      // A retired set no longer shows an estimate; that is not a move
+      if (label !== previousLabel && !(set.retired && !estimate)) {
+        history.movements.push({
+          timestamp: snapshot.timestamp,
+          date: snapshot.date,
+          from: previous,
+          to: estimate,
+          direction: describeMovement(previous, estimate),
+          shiftDays:
+            previous && estimate && previous.start && estimate.start
+              ? Math.round(
+                  (Date.parse(estimate.start) - Date.parse(previous.start)) /
+                    DAY_MS
+                )
+              : null,
+        });
+      }
+    }
+    if (estimate || !set.retired) history.current = estimate;
+    seen = true;
+  }
+
+  return history;
+}
+
+/**
+ * Build the retirement countdown for every set in the latest snapshot that
+ * has not retired, ordered by when its retirement window starts
+ * Sets without a dated estimate are listed last
+ * @param {Array} snapshots - Snapshots sorted oldest first
+ * @param {Date} now - Reference date (defaults to today)
+ * @returns {Array<Object>} Entries from trackRetirementEstimate plus countdown
+ */
+function buildRetirementCountdown(snapshots, now = new Date()) {
+  if (snapshots.length === 0) return [];
+  const latest = snapshots[snapshots.length - 1];
+
+  const entries = latest.data.sets
+    .filter((set) => !set.retired)
+    .map((set) => {
+      const history = trackRetirementEstimate(set.setNumber, snapshots);
+      return {
+        ...history,
+        countdown: retirementCountdown(history.current, now),
+      };
+    });
+
+  const startOf = (entry) =>
+    entry.current && entry.current.start ? entry.current.start : "9999";
+  entries.sort(
+    (a, b) =>
+      startOf(a).localeCompare(startOf(b)) ||
+      a.setNumber.localeCompare(b.setNumber)
+  );
+
+  return entries;
+}
+
+module.exports = {
+  daysUntilRetirement,
+  retirementCountdown,
+  trackRetirementEstimate,
+  buildRetirementCountdown,
+};
@@ -0,0 +1,121 @@
+const { getAllSnapshots } = require("./snapshots");
+const { formatRetirementWindow } = require("./schema");
+const { buildRetirementCountdown } = require("./retirement");
+const { parseArgs } = require("./utils");
+const { applyDataOptions } = require("./paths");
+
+/**
+ * Describe a countdown in words
+ * @param {Object|null} countdown - Result of retirementCountdown
+ * @returns {string} e.g. "73 days until the window opens"
+ */
+function describeCountdown(countdown) {
+  if (!countdown) return "no dated estimate";
+  if (countdown.phase === "upcoming") {
+    return `${countdown.daysToStart} days until the window opens`;
+  }
+  if (countdown.phase === "in window") {
+    return `in the window now, ${countdown.daysToEnd} days until it closes`;
+  }
+  return `window closed ${-countdown.daysToEnd} days ago without retiring`;
+}
+
+/**
+ * Describe one move of a retirement estimate
+ * @param {Object} movement - Movement from trackRetirementEstimate
+ * @returns {string} e.g. "Early 2026 → Mid 2026 on 11/8/2025 (slipped 120 days)"
+ */
+function describeMovement(movement) {
+  const from = movement.from ? movement.from.label : "none";
+  const to = movement.to ? movement.to.label : "none";
+  let text = `${from} → ${to} on ${movement.date.toLocaleDateString()}`;
+  if (movement.shiftDays !== null) {
+    text += ` (${movement.direction} ${Math.abs(movement.shiftDays)} days)`;
+  } else {
+    text += ` (${movement.direction})`;
+  }
+  return text;
+}
+
+/**
+ * Generate the retirement countdown report
+ * @param {Array<Object>} entries - Entries from buildRetirementCountdown
+ * @param {Date} now - Reference date
+ * @returns {string} Formatted report
+ */
+function generateCountdownReport(entries, now) {
+  let report = "";
+  report += "LEGO SET RETIREMENT COUNTDOWN\n";
+  report += "=".repeat(70) + "\n\n";
+  report += `As of: ${now.toLocaleDateString()}\n`;
+  report += `Sets: ${entries.length}\n`;
+
+  if (entries.length === 0) {
+    report += "\nNo sets awaiting retirement.\n";
+    return report;
+  }
+
+  entries.forEach((entry, index) => {
+    const window = entry.current;
+    report += `\n${index + 1}. Set ${entry.setNumber}: ${entry.name}`;
+    report += entry.theme ? ` (${entry.theme})\n` : "\n";
+    report += `   Estimate: ${formatRetirementWindow(window, "none")}`;
+    if (window && window.start) {
+      report += ` - ${window.start} to ${window.end}`;
+      if (window.confidence) report += `, ${window.confidence} confidence`;
+    }
+    report += "\n";
+    report += `   Countdown: ${describeCountdown(entry.countdown)}\n`;
+
+    for (const movement of entry.movements) {
+      report += `   Moved: ${describeMovement(movement)}\n`;
+    }
+  });
+
+  const moved = entries.filter((entry) => entry.movements.length > 0);
+  report += "\n" + "-".repeat(70) + "\n";
+  report += `${moved.length} of ${entries.length} set(s) had their estimate move since tracking began\n`;
+
+  return report;
+}
+
+// Main execution
+async function main() {
+  const { flags } = parseArgs(process.argv.slice(2));
+  applyDataOptions(flags);
+  const now = new Date();
+  const snapshots = getAllSnapshots();
+
+  if (snapshots.length === 0) {
+    console.log("No snapshots found. Run analyzeSetDetails.js first.");
+    return;
+  }
+
+  let entries = buildRetirementCountdown(snapshots, now);
+
+  if (flags.within !== undefined) {
+    const within = parseInt(flags.within, 10);
+    if (isNaN(within)) {
+      throw new Error(
+        `--within expects a number of days, got "${flags.within}"`
+      );
+    }
+    entries = entries.filter(
+      (entry) => entry.countdown && entry.countdown.daysToStart <= within
+    );
+  }
+
+  if (flags.theme) {
+    const theme = String(flags.theme).toLowerCase();
+    entries = entries.filter(
+      (entry) => entry.theme && entry.theme.toLowerCase() === theme
+    );
+  }
+
+  console.log(generateCountdownReport(entries, now));
+}
+
+main().catch((error) => {
+  console.error("Error:", error.message);
+  process.exit(1);
+});
@@ -0,0 +1,487 @@
+/**
+ * Current version of the analysis-data.json schema
+ *
+ * Version 1 (no schemaVersion field) stored every value as the display
+ * string scraped from the page ("$349.99", "+7.0%", "Early 2026 85.00%").
+ * Version 2 stores money and percentages as numbers, missing values as null,
+ * the retired date as an ISO 8601 date and the retirement estimate as a
+ * structured window.
+ * Version 3 adds the window's date range and confidence level.
+ * Version 4 adds the currency the set's money amounts are in.
+ */
+const SCHEMA_VERSION = 4;
+
+/**
+ * Currency assumed when a page or export does not show one (every snapshot
+ * before schema version 4 was in US dollars)
+ */
+const DEFAULT_CURRENCY = "USD";
+
+/**
+ * Symbol used to display each known currency
+ */
+const CURRENCY_SYMBOLS = {
+  USD: "$",
+  GBP: "£",
+  EUR: "€",
+  CAD: "CA$",
+  AUD: "AU$",
+};
+
+/**
+ * Currencies written with a decimal comma and a thousands dot ("€1.234,56")
+ */
+const DECIMAL_COMMA_CURRENCIES = ["EUR"];
+
+// Prefixes that identify a currency in scraped text, longest first so
+// "US $" and "CA$" win over a bare "$"
+const CURRENCY_PREFIXES = [
+  [/(?:^|[^A-Z])US ?\$/, "USD"],
+  [/(?:^|[^A-Z])(?:CA|C) ?\$/, "CAD"],
+  [/(?:^|[^A-Z])(?:AU|A) ?\$/, "AUD"],
+  [/£/, "GBP"],
+  [/€/, "EUR"],
+  [/\$/, "USD"],
+];
+
+/**
+ * Months (1-12, inclusive) covered by each retirement window period
+ * BrickEconomy uses in its estimates
+ */
+const RETIREMENT_PERIOD_MONTHS = {
+  early: [1, 4],
+  mid: [5, 8],
+  late: [9, 12],
+  q1: [1, 3],
+  q2: [4, 6],
+  q3: [7, 9],
+  q4: [10, 12],
+  h1: [1, 6],
+  h2: [7, 12],
+};
+
+/**
+ * Retirement window periods, as they appear in estimates
+ */
+const RETIREMENT_PERIODS = Object.keys(RETIREMENT_PERIOD_MONTHS);
+
+/**
+ * Lowest likelihood (%) for each confidence level, highest first
+ */
+const RETIREMENT_CONFIDENCE = [
+  { level: "high", minLikelihood: 75 },
+  { level: "medium", minLikelihood: 50 },
+  { level: "low", minLikelihood: 0 },
+];
+
+const MONTHS = [
+  "jan",
+  "feb",
+  "mar",
+  "apr",
+  "may",
+  "jun",
+  "jul",
+  "aug",
+  "sep",
+  "oct",
+  "nov",
+  "dec",
+];
+
+/**
+ * Check whether a scraped value is missing
+ * @param {*} value - Scraped value
+ * @returns {boolean} True for undefined, null and blank strings
+ */
+function isMissing(value) {
+  return (
+    value === undefined ||
+    value === null ||
+    (typeof value === "string" && value.trim() === "")
+  );
+}
+
+/**
+ * A money amount as shown on a page, in any of the currencies above, e.g.
+ * "$1,234.56", "US $12.00", "£99.99" or "12,99 €"
+ */
+const MONEY_PATTERN =
+  /(?:(?:US|CA|C|AU|A) ?)?[$£€]\s?\d(?:[\d.,]*\d)?|\d(?:[\d.,]*\d)?\s?[£€]/;
+
+/**
+ * Detect the currency of a money value like "£1,234.56" or "12,99 EUR"
+ * @param {string|number} value - Display string
+ * @returns {string|null} ISO 4217 code, or null if the value shows none
+ */
+function detectCurrency(value) {
+  if (typeof value !== "string") return null;
+  const code = value.match(/\b([A-Z]{3})\b/);
+  if (code && CURRENCY_SYMBOLS[code[1]]) return code[1];
+  const prefix = CURRENCY_PREFIXES.find(([pattern]) => pattern.test(value));
+  return prefix ? prefix[1] : null;
+}
+
+/**
+ * Parse a money value like "$1,234.56", "£1,234.56" or "€1.234,56"
+ * When both separators appear, the last one is the decimal point. Otherwise
+ * a comma followed by one or two final digits is a decimal comma, and in a
+ * decimal-comma currency a dot before groups of three digits ("€1.234") is
+ * a thousands separator.
+ * @param {string|number} value - Display string (or an already parsed number)
+ * @param {string} currency - Currency to assume when the value shows none
+ * @returns {number|null} Amount, or null if missing or unparseable
+ */
+function parseMoney(value, currency = null) {
+  if (typeof value === "number") return Number.isFinite(value) ? value : null;
+  if (isMissing(value)) return null;
+  const match = String(value).match(/-?\d[\d.,]*/);
+  if (!match) return null;
+
+  let digits = match[0].replace(/[.,]$/, "");
+  const commaIndex = digits.lastIndexOf(",");
+  const dotIndex = digits.lastIndexOf(".");
+  const thousandsDot =
+    commaIndex === -1 &&
+    DECIMAL_COMMA_CURRENCIES.includes(detectCurrency(value) || currency) &&
+    /^-?\d{1,3}(\.\d{3})+$/.test(digits);
+  const decimalComma =
+    commaIndex > dotIndex && (dotIndex !== -1 || /,\d{1,2}$/.test(digits));
+  digits =
+    decimalComma || thousandsDot
+      ? digits.replace(/\./g, "").replace(",", ".")
+      : digits.replace(/,/g, "");
+  const amount = parseFloat(digits);
+  return Number.isFinite(amount) ? amount : null;
+}
+
+/**
+ * Parse a percentage like "+7.0%" or "+9.1% first year"
+ * @param {string|number} value - Display string (or an already parsed number)
+ * @returns {number|null} Percentage points, or null if missing or unparseable
+ */
+function parsePercent(value) {
+  if (typeof value === "number") return Number.isFinite(value) ? value : null;
+  if (isMissing(value)) return null;
+  const match = String(value).match(/([-+]?\d+(\.\d+)?)\s*%/);
+  return match ? parseFloat(match[1]) : null;
+}
+
+/**
+ * Parse a plain number like "6,187" or "4.8"
+ * @param {string|number} value - Display string (or an already parsed number)
+ * @returns {number|null} Number, or null if missing or unparseable
+ */
+function parseNumber(value) {
+  if (typeof value === "number") return Number.isFinite(value) ? value : null;
+  if (isMissing(value)) return null;
+  const match = String(value)
+    .replace(/,/g, "")
+    .match(/-?\d+(\.\d+)?/);
+  return match ? parseFloat(match[0]) : null;
+}
+
+/**
+ * Normalize a text value
+ * @param {string} value - Scraped text
+ * @returns {string|null} Trimmed text, or null if blank
+ */
+function parseText(value) {
+  if (isMissing(value)) return null;
+  return String(value).trim();
+}
+
+/**
+ * Parse a date into an ISO 8601 date, keeping only the precision the page
+ * gave: "2024-12-31", "Dec 31, 2024", "December 2024" or "2024"
+ * @param {string} value - Scraped date
+ * @returns {string|null} "YYYY-MM-DD", "YYYY-MM" or "YYYY", or null if unparseable
+ */
+function parseIsoDate(value) {
+  if (isMissing(value)) return null;
+  const text = String(value).trim();
+  const pad = (n) => String(n).padStart(2, "0");
+
+  const iso = text.match(/^(\d{4})(-\d{2})?(-\d{2})?/);
+  if (iso) return iso[0];
+
+  const named = text
+    .toLowerCase()
+    .match(/^([a-z]{3})[a-z]*\.?\s+(?:(\d{1,2}),?\s+)?(\d{4})$/);
+  if (named && MONTHS.includes(named[1])) {
+    const month = pad(MONTHS.indexOf(named[1]) + 1);
+    return named[2]
+      ? `${named[3]}-${month}-${pad(named[2])}`
+      : `${named[3]}-${month}`;
+  }
+
+  const year = text.match(/^(\d{4})$/);
+  return year ? year[1] : null;
+}
+
+/**
+ * Parse the retired field of a set page
+ * Any text there means the set has retired, so text that is not a date we
+ * recognise (like "Retired 2023") is kept as it is rather than dropped
+ * @param {string} value - Scraped retired field
+ * @returns {string|null} ISO 8601 date from parseIsoDate, the trimmed text if
+ *   it is not a date, or null if missing
+ */
+function parseRetired(value) {
+  return parseIsoDate(value) || parseText(value);
+}
+
+/**
+ * Work out the dates a retirement window covers
+ * @param {string|null} period - Period from RETIREMENT_PERIODS or a month ("jan"), or null for the whole year
+ * @param {number} year - Year of the window
+ * @returns {{start: string, end: string}} ISO 8601 first and last day of the window
+ */
+function retirementWindowRange(period, year) {
+  const pad = (n) => String(n).padStart(2, "0");
+  let [first, last] = [1, 12];
+  if (RETIREMENT_PERIOD_MONTHS[period]) {
+    [first, last] = RETIREMENT_PERIOD_MONTHS[period];
+  } else if (MONTHS.includes(period)) {
+    first = last = MONTHS.indexOf(period) + 1;
+  }
+  // Day 0 of the following month is the last day of this one
+  const lastDay = new Date(Date.UTC(year, last, 0)).getUTCDate();
+
+  return {
+    start: `${year}-${pad(first)}-01`,
+    end: `${year}-${pad(last)}-${pad(lastDay)}`,
+  };
+}
+
+/**
+ * Grade how far a retirement estimate can be relied on
+ * @param {number|null} likelihood - Likelihood (%) BrickEconomy gives the window
+ * @returns {string|null} "high", "medium" or "low", or null if no likelihood was given
+ */
+function retirementConfidence(likelihood) {
+  if (likelihood === null || likelihood === undefined) return null;
+  return RETIREMENT_CONFIDENCE.find((c) => likelihood >= c.minLikelihood).level;
+}
+
+/**
+ * Parse a retirement estimate like "Early 2026 85.00%", "Q1 2026" or
+ * "Dec 2025" into a window with a date range
+ * @param {string|Object} value - Display string (or an already parsed window)
+ * @returns {Object|null} {label, period, year, likelihood, start, end, confidence},
+ *   or null if missing. start and end are null when the label has no year.
+ */
+function parseRetirementWindow(value) {
+  if (isMissing(value)) return null;
+
+  let label;
+  let likelihood;
+  if (typeof value === "object") {
+    // Re-derive the range from an earlier schema's window
+    label = value.label;
+    likelihood = value.likelihood === undefined ? null : value.likelihood;
+  } else {
+    const text = String(value).trim();
+    const likelihoodMatch = text.match(/\s+(\d+(\.\d+)?)%\s*$/);
+    label = likelihoodMatch
+      ? text.slice(0, likelihoodMatch.index).trim()
+      : text;
+    likelihood = likelihoodMatch ? parseFloat(likelihoodMatch[1]) : null;
+  }
+
+  const yearMatch = label.match(/\b(20\d{2})\b/);
+  const year = yearMatch ? parseInt(yearMatch[1], 10) : null;
+  const words = label.toLowerCase().match(/[a-z0-9]+/g) || [];
+  const period =
+    RETIREMENT_PERIODS.find((p) => words.includes(p)) ||
+    MONTHS.find((month) => words.some((word) => word.startsWith(month))) ||
+    null;
+  const range = year
+    ? retirementWindowRange(period, year)
+    : { start: null, end: null };
+
+  return {
+    label,
+    period,
+    year,
+    likelihood,
+    start: range.start,
+    end: range.end,
+    confidence: retirementConfidence(likelihood),
+  };
+}
+
+/**
+ * Convert a scraped set record into the current schema
+ * Safe to call on a record that is already in the current schema
+ * @param {Object} set - Set record from extractSetDetails or an older snapshot
+ * @returns {Object} Typed set record
+ */
+function normalizeSet(set) {
+  const currentValue = set.currentValue || {};
+  const currency =
+    set.currency ||
+    [
+      set.marketPrice,
+      set.retailPrice,
+      currentValue.newSealed,
+      currentValue.used,
+      set.oneYearRetiredValue,
+    ]
+      .map(detectCurrency)
+      .find(Boolean) ||
+    DEFAULT_CURRENCY;
+  const money = (value) => parseMoney(value, currency);
+
+  let usedRange = currentValue.usedRange;
+  if (typeof usedRange === "string") {
+    const amounts = usedRange.split(/\s+[-–]\s+/).map(money);
+    usedRange =
+      amounts.length >= 2 && amounts[0] !== null && amounts[1] !== null
+        ? { low: amounts[0], high: amounts[1] }
+        : null;
+  }
+
+  const typed = {
+    setNumber: String(set.setNumber),
+    currency,
+    name: parseText(set.name),
+    theme: parseText(set.theme),
+    year: parseNumber(set.year),
+    pieces: parseNumber(set.pieces),
+    minifigs: parseNumber(set.minifigs),
+    minifigsValue: money(set.minifigsValue),
+    retailPrice: money(set.retailPrice),
+    marketPrice: money(set.marketPrice),
+    marketPriceChange: parsePercent(set.marketPriceChange),
+    currentValue: {
+      newSealed: money(currentValue.newSealed),
+      used: money(currentValue.used),
+      usedRange: usedRange || null,
+    },
+    availability: parseText(set.availability),
+    retired: parseRetired(set.retired),
+    retirementEstimate: parseRetirementWindow(set.retirementEstimate),
+    retirementPop: parsePercent(set.retirementPop),
+    annualGrowthFirstYear: parsePercent(set.annualGrowthFirstYear),
+    annualGrowthSecondYear: parsePercent(set.annualGrowthSecondYear),
+    oneYearRetiredValue: money(set.oneYearRetiredValue),
+    fiveYearsRetiredValue: money(set.fiveYearsRetiredValue),
+    pricePerPiece: money(set.pricePerPiece),
+    rating: parseNumber(set.rating),
+    reviewCount: parseNumber(set.reviewCount),
+  };
+  if (set.parseHealth) typed.parseHealth = set.parseHealth;
+
+  return typed;
+}
+
+/**
+ * Upgrades from one schema version to the next, keyed by the version they
+ * upgrade from. New upgrades must only ever be added at the end.
+ */
+const MIGRATIONS = {
+  1: (data) => ({
+    ...data,
+    schemaVersion: 2,
+    sets: (data.sets || []).map(normalizeSet),
+  }),
+  2: (data) => ({
+    ...data,
+    schemaVersion: 3,
+    sets: (data.sets || []).map(normalizeSet),
+  }),
+  3: (data) => ({
+    ...data,
+    schemaVersion: 4,
+    sets: (data.sets || []).map(normalizeSet),
+  }),
+};
+
+/**
+ * Upgrade an analysis-data.json (or quarantine.json) document to the
+ * current schema version
+ * @param {Object} data - Parsed document
+ * @returns {Object} Document in the current schema (the same object if already current)
+ * @throws {Error} If the document is from a newer, unknown schema version
+ */
+function migrateSnapshot(data) {
+  let migrated = data;
+  let version = data.schemaVersion || 1;
+
+  if (version > SCHEMA_VERSION) {
+    throw new Error(
+      `Snapshot ${data.fetchTimestamp} uses schema version ${version}, but this version of the monitor only understands up to ${SCHEMA_VERSION}`
+    );
+  }
+
+  while (version < SCHEMA_VERSION) {
+    migrated = MIGRATIONS[version](migrated);
+    version = migrated.schemaVersion;
+  }
+
+  return migrated;
+}
+
+/**
+ * Format a money amount for display
+ * @param {number|null} value - Amount
+ * @param {string} missing - Text to show when the value is missing
+ * @param {string} currency - ISO 4217 code (default US dollars)
+ * @returns {string} Formatted amount like "$1,234.56" or "£1,234.56"
+ */
+function formatMoney(value, missing = "", currency = DEFAULT_CURRENCY) {
+  if (value === null || value === undefined) return missing;
+  const symbol = CURRENCY_SYMBOLS[currency] || `${currency} `;
+  return `${value < 0 ? "-" : ""}${symbol}${Math.abs(value).toLocaleString(
+    "en-US",
+    {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2,
+    }
+  )}`;
+}
+
+/**
+ * Format a percentage for display
+ * @param {number|null} value - Percentage points
+ * @param {string} missing - Text to show when the value is missing
+ * @returns {string} Formatted percentage like "+7.0%"
+ */
+function formatPercent(value, missing = "") {
+  if (value === null || value === undefined) return missing;
+  return `${value >= 0 ? "+" : ""}${value.toFixed(1)}%`;
+}
+
+/**
+ * Format a retirement window for display
+ * @param {Object|null} window - Window from parseRetirementWindow
+ * @param {string} missing - Text to show when the value is missing
+ * @returns {string} Formatted window like "Early 2026 (85% likely)"
+ */
+function formatRetirementWindow(window, missing = "") {
+  if (!window) return missing;
+  return window.likelihood !== null
+    ? `${window.label} (${window.likelihood}% likely)`
+    : window.label;
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  DEFAULT_CURRENCY,
+  CURRENCY_SYMBOLS,
+  MONEY_PATTERN,
+  RETIREMENT_PERIODS,
+  detectCurrency,
+  parseMoney,
+  parsePercent,
+  parseNumber,
+  parseIsoDate,
+  parseRetired,
+  parseRetirementWindow,
+  normalizeSet,
+  migrateSnapshot,
+  formatMoney,
+  formatPercent,
+  formatRetirementWindow,
+};
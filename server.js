@@ -0,0 +1,664 @@
+const fs = require("fs");
+const http = require("http");
+const { URL } = require("url");
+const SetRegistry = require("./SetRegistry");
+const {
+  getLatestSnapshot,
+  getSetSnapshots,
+  countSnapshots,
+  getSourceObservations,
+} = require("./snapshots");
+const { trackSetPrices } = require("./priceHistory");
+const {
+  trackRetirementEstimate,
+  retirementCountdown,
+} = require("./retirement");
+const {
+  getDefaultDbPath,
+  openDatabase,
+  getRecentAlerts,
+} = require("./database");
+const {
+  formatMoney,
+  formatPercent,
+  formatRetirementWindow,
+} = require("./schema");
+const { escapeXml, renderLineChart } = require("./charts");
+const { parseArgs } = require("./utils");
+const { DEFAULT_CONFIG_PATH, loadConfig } = require("./config");
+const ExchangeRates = require("./ExchangeRates");
+const { dataPath, applyDataOptions, getExchangeRatesPath } = require("./paths");
+const { PAGE_HISTORY_SOURCE } = require("./pageHistory");
+
+const MAX_ALERTS = 500;
+
+/**
+ * Error with the HTTP status to answer with
+ */
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Decode a percent-encoded path segment
+ * @param {string} segment - Segment from the URL path
+ * @returns {string} Decoded text
+ * @throws {HttpError} 400 if the segment is not valid percent-encoding
+ */
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (error) {
+    throw new HttpError(400, `Malformed path segment "${segment}"`);
+  }
+}
+
+/**
+ * Load the recent alerts from the database
+ * @param {number} limit - Maximum number of alerts
+ * @param {Object} filter - {setNumber}, optional
+ * @returns {Array<Object>} Alerts, newest first (empty if there is no database)
+ */
+function loadAlerts(limit, filter = {}) {
+  if (!fs.existsSync(getDefaultDbPath())) return [];
+  const db = openDatabase();
+  try {
+    return getRecentAlerts(db, limit, filter);
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Load the registry as a list of sets
+ * @returns {Array<Object>} Registry entries
+ */
+function loadRegistry() {
+  const registryPath = dataPath("set-registry.json");
+  if (!fs.existsSync(registryPath)) return [];
+  return new SetRegistry(registryPath).getAllSets();
+}
+
+/**
+ * Build one set's history: prices, estimate moves and alerts
+ * @param {string} setNumber - Set number
+ * @param {Array} snapshots - Snapshots sorted oldest first (defaults to the
+ *   ones that include the set)
+ * @returns {Object} Result of trackSetPrices plus retirement and alerts,
+ *   in the currency of the set's latest snapshot
+ * @throws {HttpError} 404 if the set is not in any snapshot
+ */
+function buildSetHistory(setNumber, snapshots = getSetSnapshots(setNumber)) {
+  const history = trackSetPrices(
+    setNumber,
+    snapshots,
+    getSourceObservations({ setNumber, source: PAGE_HISTORY_SOURCE }),
+    new ExchangeRates(getExchangeRatesPath())
+  );
+  if (history.dataPoints.length === 0) {
+    throw new HttpError(404, `No data found for set ${setNumber}`);
+  }
+
+  const retirement = trackRetirementEstimate(setNumber, snapshots);
+  return {
+    ...history,
+    retirement: {
+      current: retirement.current,
+      countdown: retirementCountdown(retirement.current),
+      movements: retirement.movements,
+    },
+    alerts: loadAlerts(MAX_ALERTS, { setNumber }),
+  };
+}
+
+/**
+ * JSON API routes: [path pattern, handler(match, url) => response body]
+ */
+const API_ROUTES = [
+  [
+    /^\/api\/?$/,
+    () => ({
+      endpoints: [
+        "GET /api/registry",
+        "GET /api/snapshots/latest",
+        "GET /api/sets/:setNumber/history",
+        "GET /api/alerts?limit=50",
+      ],
+    }),
+  ],
+  [/^\/api\/registry$/, () => ({ sets: loadRegistry() })],
+  [
+    /^\/api\/snapshots\/latest$/,
+    () => {
+      const latest = getLatestSnapshot();
+      if (!latest) {
+        throw new HttpError(404, "No snapshots found");
+      }
+      return latest;
+    },
+  ],
+  [
+    /^\/api\/sets\/([^/]+)\/history$/,
+    (match) => buildSetHistory(decodeSegment(match[1])),
+  ],
+  [
+    /^\/api\/alerts$/,
+    (match, url) => {
+      const limit = parseInt(url.searchParams.get("limit") || "50", 10);
+      if (isNaN(limit) || limit < 1) {
+        throw new HttpError(400, "limit must be a positive number");
+      }
+      return { alerts: loadAlerts(Math.min(limit, MAX_ALERTS)) };
+    },
+  ],
+];
+
+/**
+ * Script that makes every table.sortable sortable by clicking a header
+ * Cells sort by their data-value attribute when present, else their text
+ */
+const SORT_SCRIPT = `
+document.querySelectorAll("table.sortable").forEach(function (table) {
+  table.querySelectorAll("th").forEach(function (th, column) {
+    th.addEventListener("click", function () {
+      var ascending = th.getAttribute("data-order") !== "asc";
+      table.querySelectorAll("th").forEach(function (other) {
+        other.removeAttribute("data-order");
+      });
+      th.setAttribute("data-order", ascending ? "asc" : "desc");
+      var body = table.tBodies[0];
+      var rows = Array.prototype.slice.call(body.rows);
+      var key = function (row) {
+        var cell = row.cells[column];
+        var value = cell.hasAttribute("data-value") ? cell.getAttribute("data-value") : cell.textContent;
+        var number = parseFloat(value);
+        return value !== "" && !isNaN(number) && isFinite(value) ? number : value.toLowerCase();
+      };
+      rows.sort(function (a, b) {
+        var x = key(a), y = key(b);
+        if (x === y) return 0;
+        if (x === "") return 1;
+        if (y === "") return -1;
+        return (x < y ? -1 : 1) * (ascending ? 1 : -1);
+      });
+      rows.forEach(function (row) { body.appendChild(row); });
+    });
+  });
+});`;
+
+/**
+ * Wrap page content in the dashboard layout
+ * @param {string} title - Page title
+ * @param {string} body - Page HTML
+ * @returns {string} HTML document
+ */
+function renderPage(title, body) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeXml(title)}</title>
+<style>
+body { font-family: Helvetica, Arial, sans-serif; margin: 24px; color: #222; }
+h1 { font-size: 22px; } h2 { font-size: 17px; margin-top: 32px; }
+nav a { margin-right: 16px; }
+table { border-collapse: collapse; width: 100%; font-size: 13px; }
+th, td { padding: 6px 8px; border-bottom: 1px solid #e5e5e5; text-align: left; }
+th { background: #f5f5f5; }
+table.sortable th { cursor: pointer; user-select: none; }
+th[data-order="asc"]::after { content: " \\25B2"; }
+th[data-order="desc"]::after { content: " \\25BC"; }
+td.num { text-align: right; font-variant-numeric: tabular-nums; }
+.up { color: #2a7d2a; } .down { color: #c0392b; } .muted { color: #888; }
+svg { max-width: 100%; height: auto; border: 1px solid #ddd; }
+</style>
+</head>
+<body>
+<nav><a href="/">Dashboard</a><a href="/api">JSON API</a></nav>
+<h1>${escapeXml(title)}</h1>
+${body}
+<script>${SORT_SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+/**
+ * Render a table cell
+ * @param {*} text - Displayed text (escaped)
+ * @param {Object} options - {value: sort value, num: right-align, className}
+ * @returns {string} <td> markup
+ */
+function cell(text, options = {}) {
+  const classes = [options.num ? "num" : "", options.className || ""]
+    .filter(Boolean)
+    .join(" ");
+  const value =
+    options.value === undefined || options.value === null
+      ? ""
+      : ` data-value="${escapeXml(options.value)}"`;
+  return `<td${classes ? ` class="${classes}"` : ""}${value}>${escapeXml(
+    text === null || text === undefined ? "" : text
+  )}</td>`;
+}
+
+/**
+ * Render a sortable table
+ * @param {Array<string>} headers - Column headings
+ * @param {Array<string>} rows - Row markup (sequences of <td>)
+ * @returns {string} <table> markup
+ */
+function table(headers, rows) {
+  if (rows.length === 0) return `<p class="muted">Nothing to show yet.</p>`;
+  return `<table class="sortable"><thead><tr>${headers
+    .map((h) => `<th>${escapeXml(h)}</th>`)
+    .join("")}</tr></thead><tbody>\n${rows
+    .map((row) => `<tr>${row}</tr>`)
+    .join("\n")}\n</tbody></table>`;
+}
+
+/**
+ * Render the alerts table
+ * @param {Array<Object>} alerts - Alerts from getRecentAlerts
+ * @returns {string} Table markup
+ */
+function alertsTable(alerts) {
+  return table(
+    ["When", "Priority", "Type", "Set", "Message"],
+    alerts.map(
+      (alert) =>
+        cell(new Date(alert.createdAt).toLocaleString(), {
+          value: alert.createdAt,
+        }) +
+        cell(alert.priority) +
+        cell(alert.type) +
+        `<td><a href="/sets/${encodeURIComponent(alert.setNumber)}">${escapeXml(
+          alert.setNumber
+        )}</a></td>` +
+        cell(alert.message)
+    )
+  );
+}
+
+/**
+ * Render the dashboard: latest snapshot, recent alerts and the registry
+ * @returns {string} HTML document
+ */
+function renderDashboard() {
+  const latest = getLatestSnapshot();
+  let body = "";
+
+  if (!latest) {
+    body += `<p>No snapshots found. Run analyzeSetDetails.js first.</p>`;
+  } else {
+    body += `<p>Latest snapshot: <strong>${escapeXml(
+      latest.timestamp
+    )}</strong> (${escapeXml(
+      latest.date.toLocaleString()
+    )}) &middot; ${countSnapshots()} snapshot(s) &middot; ${
+      latest.data.sets.length
+    } set(s)</p>`;
+
+    body += `<h2>Sets</h2>`;
+    body += table(
+      [
+        "Set",
+        "Name",
+        "Theme",
+        "MSRP",
+        "Market",
+        "vs MSRP",
+        "Retirement estimate",
+        "Days to window",
+        "Status",
+      ],
+      latest.data.sets.map((set) => {
+        const vsMsrp =
+          set.retailPrice && set.marketPrice
+            ? ((set.marketPrice - set.retailPrice) / set.retailPrice) * 100
+            : null;
+        const countdown = set.retired
+          ? null
+          : retirementCountdown(set.retirementEstimate);
+        return (
+          `<td data-value="${escapeXml(
+            set.setNumber
+          )}"><a href="/sets/${encodeURIComponent(set.setNumber)}">${escapeXml(
+            set.setNumber
+          )}</a></td>` +
+          cell(set.name) +
+          cell(set.theme) +
+          cell(formatMoney(set.retailPrice, "", set.currency), {
+            value: set.retailPrice,
+            num: true,
+          }) +
+          cell(formatMoney(set.marketPrice, "", set.currency), {
+            value: set.marketPrice,
+            num: true,
+          }) +
+          cell(formatPercent(vsMsrp), {
+            value: vsMsrp,
+            num: true,
+            className: vsMsrp > 0 ? "up" : vsMsrp < 0 ? "down" : "",
+          }) +
+          cell(formatRetirementWindow(set.retirementEstimate), {
+            value: set.retirementEstimate && set.retirementEstimate.start,
+          }) +
+          cell(countdown ? countdown.daysToStart : "", {
+            value: countdown ? countdown.daysToStart : null,
+            num: true,
+          }) +
+          cell(set.retired ? `Retired ${set.retired}` : set.availability)
+        );
+      })
+    );
+  }
+
+  body += `<h2>Recent alerts</h2>`;
+  body += alertsTable(loadAlerts(50));
+
+  const registry = loadRegistry();
+  body += `<h2>Registry (${registry.length} set(s))</h2>`;
+  body += table(
+    [
+      "Set",
+      "Name",
+      "Category",
+      "State",
+      "First seen",
+      "Last seen",
+      "Times found",
+    ],
+    registry.map(
+      (set) =>
+        `<td data-value="${escapeXml(
+          set.setNumber
+        )}"><a href="/sets/${encodeURIComponent(set.setNumber)}">${escapeXml(
+          set.setNumber
+        )}</a></td>` +
+        cell(set.name) +
+        cell(set.category) +
+        cell(set.state) +
+        cell(set.firstSeen ? set.firstSeen.slice(0, 10) : "") +
+        cell(set.lastSeen ? set.lastSeen.slice(0, 10) : "") +
+        cell(set.timesFound, { value: set.timesFound, num: true })
+    )
+  );
+
+  return renderPage("LEGO Monitor", body);
+}
+
+/**
+ * Render the detail page for one set
+ * @param {string} setNumber - Set number
+ * @returns {string} HTML document
+ */
+function renderSetPage(setNumber) {
+  const history = buildSetHistory(setNumber);
+  const last = history.dataPoints[history.dataPoints.length - 1];
+  const retiredPoint = history.dataPoints.find((point) => point.retired);
+  const money = (value, missing = "") =>
+    formatMoney(value, missing, history.currency);
+  let body = "";
+
+  const facts = [
+    ["Theme", history.theme],
+    ["Currency", history.currency],
+    ["MSRP", money(history.msrp, "unknown")],
+    ["Market price", money(last.marketPrice, "unknown")],
+    ["Sealed value", money(last.newSealedValue, "unknown")],
+    ["Used value", money(last.usedValue, "unknown")],
+    [
+      "Sealed/used spread",
+      last.spread
+        ? `${money(last.spread.amount)} (${last.spread.percent.toFixed(1)}%)`
+        : "unknown",
+    ],
+    ["Availability", last.availability],
+    [
+      "Retirement estimate",
+      formatRetirementWindow(history.retirement.current, "unknown"),
+    ],
+    ["Retired", last.retired || "not yet"],
+    ["Predicted pop", formatPercent(last.retirementPop, "unknown")],
+    ["1 year retired value", money(last.oneYearValue, "unknown")],
+  ];
+  const countdown = history.retirement.countdown;
+  if (countdown && !last.retired) {
+    facts.push([
+      "Days to retirement window",
+      {
+        upcoming: countdown.daysToStart,
+        "in window": "in the window now",
+        overdue: "window passed without retiring",
+      }[countdown.phase],
+    ]);
+  }
+  body += `<table>${facts
+    .map(
+      ([label, value]) => `<tr><th>${escapeXml(label)}</th>${cell(value)}</tr>`
+    )
+    .join("\n")}</table>`;
+
+  const pointsOf = (field) =>
+    history.dataPoints
+      .filter((point) => point[field] !== null)
+      .map((point) => ({ date: point.date, value: point[field] }));
+  const pageHistoryOf = (condition) =>
+    history.backdated
+      .filter((observation) => observation.condition === condition)
+      .map((observation) => ({
+        date: observation.date,
+        value: observation.price,
+      }));
+  body += `<h2>Price history</h2>`;
+  body += renderLineChart({
+    series: [
+      { label: "Market price", points: pointsOf("marketPrice") },
+      { label: "Sealed", points: pointsOf("newSealedValue") },
+      { label: "Used", points: pointsOf("usedValue") },
+      { label: "Sealed (page history)", points: pageHistoryOf("sealed") },
+      { label: "Used (page history)", points: pageHistoryOf("used") },
+    ],
+    referenceLines: [
+      { label: "MSRP", value: history.msrp },
+      { label: "1Y value", value: last.oneYearValue, color: "#2ca02c" },
+    ],
+    markers: retiredPoint
+      ? [
+          {
+            label: "Retired",
+            date: isNaN(Date.parse(retiredPoint.retired))
+              ? retiredPoint.date
+              : new Date(retiredPoint.retired),
+          },
+        ]
+      : [],
+    formatValue: (v) => money(v),
+  });
+
+  body += `<h2>Snapshots</h2>`;
+  body += table(
+    [
+      "Date",
+      "Market price",
+      "Sealed",
+      "Used",
+      "Availability",
+      "Retirement estimate",
+      "Predicted pop",
+      "1 year value",
+    ],
+    history.dataPoints.map(
+      (point) =>
+        cell(point.date.toLocaleDateString(), {
+          value: point.date.toISOString(),
+        }) +
+        cell(money(point.marketPrice), {
+          value: point.marketPrice,
+          num: true,
+        }) +
+        cell(money(point.newSealedValue), {
+          value: point.newSealedValue,
+          num: true,
+        }) +
+        cell(money(point.usedValue), {
+          value: point.usedValue,
+          num: true,
+        }) +
+        cell(point.retired ? `Retired ${point.retired}` : point.availability) +
+        cell(formatRetirementWindow(point.retirementEstimate)) +
+        cell(formatPercent(point.retirementPop), {
+          value: point.retirementPop,
+          num: true,
+        }) +
+        cell(money(point.oneYearValue), {
+          value: point.oneYearValue,
+          num: true,
+        })
+    )
+  );
+
+  if (history.retirement.movements.length > 0) {
+    body += `<h2>Retirement estimate moves</h2>`;
+    body += table(
+      ["Date", "From", "To", "Change"],
+      history.retirement.movements.map(
+        (move) =>
+          cell(move.date.toLocaleDateString(), {
+            value: move.date.toISOString(),
+          }) +
+          cell(move.from ? move.from.label : "none") +
+          cell(move.to ? move.to.label : "none") +
+          cell(
+            `${move.direction}${
+              move.shiftDays !== null ? ` ${Math.abs(move.shiftDays)} days` : ""
+            }`
+          )
+      )
+    );
+  }
+
+  body += `<h2>Alerts</h2>`;
+  body += alertsTable(history.alerts);
+  body += `<p class="muted">JSON: <a href="/api/sets/${encodeURIComponent(
+    setNumber
+  )}/history">/api/sets/${escapeXml(setNumber)}/history</a></p>`;
+
+  return renderPage(`Set ${history.setNumber}: ${history.name}`, body);
+}
+
+/**
+ * Send a response
+ * @param {ServerResponse} res - HTTP response
+ * @param {number} status - Status code
+ * @param {string} type - Content type
+ * @param {string} body - Response body
+ */
+function send(res, status, type, body) {
+  res.writeHead(status, {
+    "Content-Type": `${type}; charset=utf-8`,
+    "Cache-Control": "no-store",
+  });
+  res.end(res.req.method === "HEAD" ? undefined : body);
+}
+
+/**
+ * Handle one HTTP request
+ * @param {IncomingMessage} req - HTTP request
+ * @param {ServerResponse} res - HTTP response
+ */
+function handleRequest(req, res) {
+  const url = new URL(req.url, "http://localhost");
+  const isApi = url.pathname.startsWith("/api");
+
+  try {
+    if (req.method !== "GET" && req.method !== "HEAD") {
+      throw new HttpError(405, `${req.method} is not supported`);
+    }
+
+    if (isApi) {
+      for (const [pattern, handler] of API_ROUTES) {
+        const match = url.pathname.match(pattern);
+        if (match) {
+          send(
+            res,
+            200,
+            "application/json",
+            JSON.stringify(handler(match, url), null, 2)
+          );
+          return;
+        }
+      }
+      throw new HttpError(404, `No endpoint ${url.pathname}`);
+    }
+
+    if (url.pathname === "/") {
+      send(res, 200, "text/html", renderDashboard());
+      return;
+    }
+    const setMatch = url.pathname.match(/^\/sets\/([^/]+)$/);
+    if (setMatch) {
+      send(res, 200, "text/html", renderSetPage(decodeSegment(setMatch[1])));
+      return;
+    }
+    throw new HttpError(404, `Page not found: ${url.pathname}`);
+  } catch (error) {
+    const status = error.status || 500;
+    if (status === 500) {
+      console.error(`Error serving ${req.url}: ${error.stack}`);
+    }
+    if (isApi) {
+      send(
+        res,
+        status,
+        "application/json",
+        JSON.stringify({ error: error.message })
+      );
+    } else {
+      send(
+        res,
+        status,
+        "text/html",
+        renderPage(
+          status === 404 ? "Not found" : "Error",
+          `<p>${escapeXml(error.message)}</p>`
+        )
+      );
+    }
+  } finally {
+    console.log(`${req.method} ${req.url} ${res.statusCode}`);
+  }
+}
+
+// Main execution
+async function main() {
+  const { flags } = parseArgs(process.argv.slice(2));
+  applyDataOptions(flags);
+  const config = loadConfig(flags.config || DEFAULT_CONFIG_PATH);
+  const host = flags.host || config.server.host;
+  const port = parseInt(flags.port || config.server.port, 10);
+
+  const server = http.createServer(handleRequest);
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, resolve);
+  });
+
+  console.log(`LEGO Monitor dashboard running at http://${host}:${port}/`);
+  console.log(`JSON API at http://${host}:${port}/api`);
+  if (host === "127.0.0.1" || host === "localhost") {
+    console.log(
+      'Only reachable from this machine - set server.host to "0.0.0.0" (or use --host 0.0.0.0) to share it on the LAN.'
+    );
+  }
+}
+
+main().catch((error) => {
+  console.error("Error:", error.message);
+  process.exit(1);
+});
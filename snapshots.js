@@ -0,0 +1,209 @@
+const fs = require("fs");
+const database = require("./database");
+const { migrateSnapshot } = require("./schema");
+const { dataPath } = require("./paths");
+
+/**
+ * Load analysis data from a specific timestamp, upgraded to the current schema
+ * @param {string} timestamp - Timestamp directory name
+ * @returns {Object|null} Analysis data or null if not found
+ */
+function loadAnalysisData(timestamp) {
+  const filePath = dataPath("set-analysis", timestamp, "analysis-data.json");
+
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+
+  try {
+    const data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    return migrateSnapshot(data);
+  } catch (error) {
+    console.error(`Error loading ${filePath}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Get all analysis snapshots from the analysis-data.json files, sorted by date
+ * @returns {Array} Array of {timestamp, date, data} objects
+ */
+function loadSnapshotsFromFiles() {
+  const analysisDir = dataPath("set-analysis");
+
+  if (!fs.existsSync(analysisDir)) {
+    console.error("No analysis data found. Run analyzeSetDetails.js first.");
+    return [];
+  }
+
+  const snapshots = [];
+  const dirs = fs.readdirSync(analysisDir);
+
+  for (const dir of dirs) {
+    const data = loadAnalysisData(dir);
+    if (data && data.analysisDate) {
+      snapshots.push({
+        timestamp: dir,
+        date: new Date(data.analysisDate),
+        data: data,
+      });
+    }
+  }
+
+  // Sort by date (oldest first)
+  snapshots.sort((a, b) => a.date - b.date);
+
+  return snapshots;
+}
+
+/**
+ * Import the analysis-data.json snapshots the database does not hold yet,
+ * so snapshots written before the database existed (or copied in from
+ * another machine) are never hidden by the ones already stored
+ * @param {Database} db - Database handle
+ * @returns {number} Number of snapshots imported
+ */
+function importMissingSnapshots(db) {
+  const analysisDir = dataPath("set-analysis");
+  if (!fs.existsSync(analysisDir)) return 0;
+
+  const stored = database.getSnapshotTimestamps(db);
+  let imported = 0;
+
+  for (const dir of fs.readdirSync(analysisDir).sort()) {
+    if (stored.has(dir)) continue;
+
+    const data = loadAnalysisData(dir);
+    if (!data || !data.analysisDate || !Array.isArray(data.sets)) continue;
+
+    // Older snapshots may not record their fetch timestamp
+    const fetchTimestamp = data.fetchTimestamp || dir;
+    if (stored.has(fetchTimestamp)) continue;
+
+    database.recordSnapshot(db, { ...data, fetchTimestamp });
+    stored.add(fetchTimestamp);
+    imported++;
+  }
+
+  if (imported > 0) {
+    console.log(
+      `Imported ${imported} JSON snapshot(s) missing from the database.`
+    );
+  }
+  return imported;
+}
+
+/**
+ * Run a query against the snapshot database, first importing any JSON
+ * snapshots it is missing
+ * @param {string} dbPath - Path to the database
+ * @param {Function} query - (db) => result
+ * @param {*} empty - Result when there is no data at all
+ * @returns {*} Query result
+ */
+function withSnapshots(dbPath, query, empty) {
+  if (!fs.existsSync(dbPath) && !fs.existsSync(dataPath("set-analysis"))) {
+    console.error("No analysis data found. Run analyzeSetDetails.js first.");
+    return empty;
+  }
+
+  const db = database.openDatabase(dbPath);
+  try {
+    importMissingSnapshots(db);
+    return query(db);
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Get all available analysis snapshots sorted by date
+ * @param {string} dbPath - Path to the database (optional)
+ * @returns {Array} Array of {timestamp, date, data} objects
+ */
+function getAllSnapshots(dbPath = database.getDefaultDbPath()) {
+  return withSnapshots(dbPath, (db) => database.getAllSnapshots(db), []);
+}
+
+/**
+ * Get the most recent analysis snapshot
+ * @param {string} dbPath - Path to the database (optional)
+ * @returns {Object|null} Snapshot {timestamp, date, data}, or null if none
+ */
+function getLatestSnapshot(dbPath = database.getDefaultDbPath()) {
+  return withSnapshots(dbPath, (db) => database.getLatestSnapshot(db), null);
+}
+
+/**
+ * Get the snapshots that include a set, each holding only that set's data
+ * @param {string} setNumber - Set number
+ * @param {string} dbPath - Path to the database (optional)
+ * @returns {Array} Array of {timestamp, date, data} objects, oldest first
+ */
+function getSetSnapshots(setNumber, dbPath = database.getDefaultDbPath()) {
+  return withSnapshots(
+    dbPath,
+    (db) => database.getSnapshotsForSet(db, setNumber),
+    []
+  );
+}
+
+/**
+ * Count the available analysis snapshots
+ * @param {string} dbPath - Path to the database (optional)
+ * @returns {number} Number of snapshots
+ */
+function countSnapshots(dbPath = database.getDefaultDbPath()) {
+  return withSnapshots(dbPath, (db) => database.countSnapshots(db), 0);
+}
+
+/**
+ * Load dated prices recorded from other sources (see
+ * database.recordSourceObservations), oldest first
+ * @param {Object} filter - {setNumber, source}, both optional
+ * @param {string} dbPath - Path to the database (optional)
+ * @returns {Array<Object>} Observations, or none if there is no database yet
+ */
+function getSourceObservations(
+  filter = {},
+  dbPath = database.getDefaultDbPath()
+) {
+  if (!fs.existsSync(dbPath)) return [];
+
+  const db = database.openDatabase(dbPath);
+  try {
+    return database.getSourceObservations(db, filter);
+  } finally {
+    db.close();
+  }
+}
+
+// Set-number lookups per snapshot, built on first use
+const setIndexes = new WeakMap();
+
+/**
+ * Find a set in a snapshot by number, using a per-snapshot index
+ * @param {Object} snapshot - Snapshot {timestamp, date, data}
+ * @param {string} setNumber - Set number
+ * @returns {Object|undefined} Set data
+ */
+function findSetInSnapshot(snapshot, setNumber) {
+  let index = setIndexes.get(snapshot);
+  if (!index) {
+    index = new Map(snapshot.data.sets.map((set) => [set.setNumber, set]));
+    setIndexes.set(snapshot, index);
+  }
+  return index.get(setNumber);
+}
+
+module.exports = {
+  loadAnalysisData,
+  loadSnapshotsFromFiles,
+  importMissingSnapshots,
+  getAllSnapshots,
+  getLatestSnapshot,
+  getSetSnapshots,
+  countSnapshots,
+  getSourceObservations,
+  findSetInSnapshot,
+};
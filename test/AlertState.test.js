@@ -0,0 +1,221 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const AlertState = require("../AlertState");
+const { deliverAlerts } = require("../alertMonitor");
+
+const { priceCondition, REARM_MARGIN } = AlertState;
+
+/**
+ * Create an alert state backed by a fresh file in a temporary directory
+ * @param {Object} t - node:test context, to remove the directory afterwards
+ * @returns {AlertState} Empty state; state.statePath does not exist yet
+ */
+function createState(t) {
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "error", () => {});
+  t.mock.method(console, "warn", () => {});
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "alert-state-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return new AlertState(path.join(dir, "alert-state.json"));
+}
+
+test("events of a new set are seeded without firing", (t) => {
+  const state = createState(t);
+  const key = AlertState.key("75331", "PRICE_TARGET");
+
+  state.seeding = true;
+  assert.equal(state.evaluate(key, priceCondition(700, 650), "t1"), false);
+  state.seeding = false;
+  state.addKnownSet("75331");
+
+  assert.equal(state.events[key].armed, false);
+  assert.equal(state.events[key].silent, true);
+  assert.equal(state.evaluate(key, priceCondition(710, 650), "t2"), false);
+  assert.ok(state.isKnownSet("75331"));
+});
+
+test("an armed event fires once and not again while it holds", (t) => {
+  const state = createState(t);
+  const key = AlertState.key("75331", "PRICE_TARGET");
+
+  assert.equal(state.evaluate(key, priceCondition(600, 650), "t1"), false);
+  assert.equal(state.evaluate(key, priceCondition(660, 650), "t2"), true);
+  assert.equal(state.evaluate(key, priceCondition(680, 650), "t3"), false);
+  assert.equal(state.events[key].firedSnapshot, "t2");
+  assert.equal(state.events[key].silent, false);
+});
+
+test("an event re-arms only once the price moves back past the margin", (t) => {
+  const state = createState(t);
+  const key = AlertState.key("75331", "PRICE_TARGET");
+  const threshold = 650;
+  const justInside = threshold * (1 - REARM_MARGIN) + 1;
+  const pastMargin = threshold * (1 - REARM_MARGIN) - 1;
+
+  assert.equal(state.evaluate(key, priceCondition(660, threshold), "t1"), true);
+  state.evaluate(key, priceCondition(justInside, threshold), "t2");
+  assert.equal(state.events[key].armed, false);
+  assert.equal(
+    state.evaluate(key, priceCondition(655, threshold), "t3"),
+    false
+  );
+
+  state.evaluate(key, priceCondition(pastMargin, threshold), "t4");
+  assert.equal(state.events[key].armed, true);
+  assert.equal(state.events[key].rearmedSnapshot, "t4");
+  assert.equal(state.evaluate(key, priceCondition(655, threshold), "t5"), true);
+});
+
+test("a buying opportunity re-arms once the price rises past the margin", (t) => {
+  const state = createState(t);
+  const key = AlertState.key("75331", "BUYING_OPPORTUNITY");
+  const msrp = 500;
+
+  assert.equal(
+    state.evaluate(key, priceCondition(480, msrp, "below"), "t1"),
+    true
+  );
+  state.evaluate(key, priceCondition(505, msrp, "below"), "t2");
+  assert.equal(state.events[key].armed, false);
+  state.evaluate(
+    key,
+    priceCondition(msrp * (1 + REARM_MARGIN), msrp, "below"),
+    "t3"
+  );
+  assert.equal(state.events[key].armed, true);
+});
+
+test("retirement alerts never re-arm", (t) => {
+  const state = createState(t);
+  const key = AlertState.key("75331", "RETIREMENT");
+
+  assert.equal(state.evaluate(key, { active: true, rearm: false }, "t1"), true);
+  state.evaluate(key, { active: false, rearm: true }, "t2");
+  assert.equal(
+    state.evaluate(key, { active: true, rearm: false }, "t3"),
+    false
+  );
+});
+
+test("per-lot events are tracked apart from the set's", (t) => {
+  const state = createState(t);
+  const condition = priceCondition(660, 650);
+
+  assert.equal(
+    state.evaluate(AlertState.key("75331", "ROI_TARGET", 1), condition, "t1"),
+    true
+  );
+  assert.equal(
+    state.evaluate(AlertState.key("75331", "ROI_TARGET", 2), condition, "t1"),
+    true
+  );
+  assert.equal(
+    state.evaluate(AlertState.key("75331", "ROI_TARGET"), condition, "t1"),
+    true
+  );
+});
+
+test("events, known sets and pending deliveries survive a save and load", (t) => {
+  const state = createState(t);
+  const key = AlertState.key("75331", "PRICE_TARGET");
+  state.evaluate(key, priceCondition(660, 650), "t1");
+  state.addKnownSet("75331");
+  state.markProcessed("t1");
+  state.pendingDeliveries = [
+    {
+      channel: "slack",
+      category: "Price Targets",
+      alerts: [{ type: "PRICE_TARGET" }],
+    },
+  ];
+  state.save();
+
+  const reloaded = new AlertState(state.statePath);
+
+  assert.equal(reloaded.lastProcessedSnapshot, "t1");
+  assert.equal(reloaded.events[key].armed, false);
+  assert.ok(reloaded.isKnownSet("75331"));
+  assert.deepEqual(reloaded.pendingDeliveries, state.pendingDeliveries);
+});
+
+/**
+ * Build a channel that fails until told otherwise and records what it sent
+ * @param {string} name - Channel name
+ * @returns {Object} Channel for notifyAll, plus {sent, failing}
+ */
+function fakeChannel(name) {
+  const channel = {
+    name,
+    type: "webhook",
+    minPriority: "LOW",
+    categories: null,
+    sent: [],
+    failing: false,
+    send: async (alerts, category) => {
+      if (channel.failing) throw new Error(`${name} is down`);
+      channel.sent.push({ category, alerts });
+    },
+  };
+  return channel;
+}
+
+test("failed deliveries are kept and retried on the next run", async (t) => {
+  const state = createState(t);
+  const config = { notifications: { retries: 0, retryDelayMs: 1 } };
+  const slack = fakeChannel("slack");
+  const file = fakeChannel("file");
+  const alert = {
+    type: "PRICE_TARGET",
+    priority: "HIGH",
+    message: "75331 reached $650.00",
+    details: {},
+  };
+  slack.failing = true;
+
+  const failed = await deliverAlerts(
+    state,
+    { "Price Targets": [alert] },
+    [slack, file],
+    config
+  );
+
+  assert.equal(failed.length, 1);
+  assert.deepEqual(state.pendingDeliveries, [
+    { channel: "slack", category: "Price Targets", alerts: [alert] },
+  ]);
+  assert.equal(file.sent.length, 1);
+
+  // Still down: the delivery stays pending
+  await deliverAlerts(state, {}, [slack, file], config);
+  assert.equal(state.pendingDeliveries.length, 1);
+  assert.equal(file.sent.length, 1);
+
+  slack.failing = false;
+  const retried = await deliverAlerts(state, {}, [slack, file], config);
+
+  assert.equal(retried.length, 0);
+  assert.deepEqual(state.pendingDeliveries, []);
+  assert.deepEqual(slack.sent, [
+    { category: "Price Targets", alerts: [alert] },
+  ]);
+});
+
+test("pending deliveries for a channel that was removed are dropped", async (t) => {
+  const state = createState(t);
+  state.pendingDeliveries = [
+    {
+      channel: "old-webhook",
+      category: "Price Targets",
+      alerts: [{ type: "PRICE_TARGET" }],
+    },
+  ];
+
+  await deliverAlerts(state, {}, [fakeChannel("file")], {
+    notifications: { retries: 0 },
+  });
+
+  assert.deepEqual(state.pendingDeliveries, []);
+});
@@ -0,0 +1,41 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const { createHttpBackend } = require("../fetchBackends");
+
+/**
+ * Serve one fixed page on a random local port for the length of a test
+ * @param {Object} t - node:test context, to stop the server afterwards
+ * @param {string} html - Page to serve
+ * @returns {Promise<string>} URL of the page
+ */
+async function servePage(t, html) {
+  const server = http.createServer((req, res) => {
+    res.writeHead(200, { "Content-Type": "text/html" });
+    res.end(html);
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => server.close());
+  return `http://127.0.0.1:${server.address().port}/set/75331`;
+}
+
+test("the http backend returns a page that has the expected content", async (t) => {
+  const url = await servePage(t, "<h2>Set Details</h2>");
+  const backend = createHttpBackend();
+
+  const html = await backend.fetch(url, {
+    expect: (page) => page.includes("Set Details"),
+  });
+
+  assert.equal(html, "<h2>Set Details</h2>");
+});
+
+test("the http backend rejects a page without the expected content", async (t) => {
+  const url = await servePage(t, "<h2>Maintenance</h2>");
+  const backend = createHttpBackend();
+
+  await assert.rejects(
+    backend.fetch(url, { expect: (page) => page.includes("Set Details") }),
+    (error) => error.missingContent === true
+  );
+});
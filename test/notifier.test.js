@@ -0,0 +1,233 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { createChannels, notifyAll } = require("../notifier");
+
+const alerts = {
+  "Price Drops": [
+    {
+      type: "PRICE_DROP",
+      priority: "HIGH",
+      message: "75331 dropped 12.0%",
+      details: { setNumber: "75331", marketPrice: "$602.00" },
+    },
+    {
+      type: "PRICE_DROP",
+      priority: "LOW",
+      message: "10305 dropped 3.1%",
+      details: { setNumber: "10305" },
+    },
+  ],
+  "Retirement Warnings": [
+    {
+      type: "RETIRING_SOON",
+      priority: "MEDIUM",
+      message: "75331 retires within 30 days",
+      details: { setNumber: "75331" },
+    },
+  ],
+};
+
+/**
+ * Start a webhook stand-in that records every POST body by path; paths
+ * starting with /fail answer 500
+ * @param {Object} t - node:test context, to stop the server afterwards
+ * @returns {Promise<Object>} {url(path), received: {path: [bodies]}}
+ */
+async function startWebhookServer(t) {
+  const received = {};
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      (received[req.url] = received[req.url] || []).push(JSON.parse(body));
+      res.writeHead(req.url.startsWith("/fail") ? 500 : 204);
+      res.end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => server.close());
+  const base = `http://127.0.0.1:${server.address().port}`;
+  return { url: (urlPath) => base + urlPath, received };
+}
+
+/**
+ * Silence the delivery log for the length of a test
+ * @param {Object} t - node:test context
+ * @returns {Object} The console.error mock, to check what was logged
+ */
+function quiet(t) {
+  t.mock.method(console, "log", () => {});
+  return t.mock.method(console, "error", () => {});
+}
+
+test("webhooks post json, slack and discord payloads", async (t) => {
+  quiet(t);
+  const server = await startWebhookServer(t);
+  const channels = createChannels({
+    channels: ["json", "slack", "discord"].map((format) => ({
+      type: "webhook",
+      format,
+      url: server.url(`/${format}`),
+    })),
+  });
+
+  const priceDrops = { "Price Drops": alerts["Price Drops"] };
+  const results = await notifyAll(priceDrops, channels, { retries: 0 });
+
+  assert.ok(results.every((result) => result.ok));
+  const [json] = server.received["/json"];
+  assert.equal(json.category, "Price Drops");
+  assert.deepEqual(json.alerts, alerts["Price Drops"]);
+  assert.match(json.text, /^PRICE DROPS \(2\)\n/);
+  assert.match(
+    json.text,
+    /\[HIGH\] 75331 dropped 12\.0%\n  Set Number: 75331\n/
+  );
+  assert.deepEqual(server.received["/slack"], [{ text: json.text }]);
+  assert.deepEqual(server.received["/discord"], [{ content: json.text }]);
+});
+
+test("discord messages are cut to the length discord accepts", async (t) => {
+  quiet(t);
+  const server = await startWebhookServer(t);
+  const long = Array.from({ length: 60 }, (_, i) => ({
+    type: "PRICE_DROP",
+    priority: "HIGH",
+    message: `Set ${i} dropped by quite a lot since the last snapshot`,
+    details: {},
+  }));
+  const channels = createChannels({
+    channels: [
+      { type: "webhook", format: "discord", url: server.url("/discord") },
+    ],
+  });
+
+  await notifyAll({ "Price Drops": long }, channels, { retries: 0 });
+
+  const [{ content }] = server.received["/discord"];
+  assert.equal(content.length, 2000);
+  assert.ok(content.endsWith("..."));
+});
+
+test("channels only get alerts at or above their priority and in their categories", async (t) => {
+  quiet(t);
+  const server = await startWebhookServer(t);
+  const channels = createChannels({
+    channels: [
+      { type: "webhook", url: server.url("/high"), minPriority: "HIGH" },
+      { type: "webhook", url: server.url("/medium"), minPriority: "MEDIUM" },
+      {
+        type: "webhook",
+        url: server.url("/retiring"),
+        categories: ["Retirement Warnings"],
+      },
+    ],
+  });
+
+  const results = await notifyAll(alerts, channels, { retries: 0 });
+
+  const messages = (urlPath) =>
+    (server.received[urlPath] || []).flatMap((payload) =>
+      payload.alerts.map((alert) => alert.message)
+    );
+  assert.deepEqual(messages("/high"), ["75331 dropped 12.0%"]);
+  assert.deepEqual(messages("/medium"), [
+    "75331 dropped 12.0%",
+    "75331 retires within 30 days",
+  ]);
+  assert.deepEqual(messages("/retiring"), ["75331 retires within 30 days"]);
+  assert.equal(results.length, 4);
+});
+
+test("createChannels rejects an unknown priority", () => {
+  assert.throws(
+    () =>
+      createChannels({
+        channels: [{ type: "webhook", url: "http://x", minPriority: "URGENT" }],
+      }),
+    /minPriority must be one of LOW, MEDIUM, HIGH/
+  );
+});
+
+test("a failing channel is retried and logged without stopping the others", async (t) => {
+  const errors = quiet(t);
+  const server = await startWebhookServer(t);
+  const channels = createChannels({
+    channels: [
+      { type: "webhook", name: "broken", url: server.url("/fail") },
+      { type: "webhook", name: "working", url: server.url("/ok") },
+    ],
+  });
+
+  const results = await notifyAll(
+    { "Price Drops": alerts["Price Drops"] },
+    channels,
+    { retries: 2, retryDelayMs: 1 }
+  );
+
+  assert.equal(server.received["/fail"].length, 3);
+  assert.equal(server.received["/ok"].length, 1);
+  const [broken, working] = results;
+  assert.equal(broken.channel, "broken");
+  assert.equal(broken.ok, false);
+  assert.equal(broken.error, "Webhook responded with HTTP 500");
+  assert.deepEqual(broken.alerts, alerts["Price Drops"]);
+  assert.equal(working.ok, true);
+  const logged = errors.mock.calls.map((call) => call.arguments.join(" "));
+  assert.equal(logged.filter((line) => line.includes("retry")).length, 2);
+  assert.ok(
+    logged.some((line) =>
+      line.includes('✗ broken: failed to send "Price Drops"')
+    )
+  );
+});
+
+test("the file channel appends one JSON line per alert", async (t) => {
+  quiet(t);
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "notifier-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, "alerts", "alerts.jsonl");
+  const channels = createChannels({
+    channels: [{ type: "file", path: filePath }],
+  });
+
+  await notifyAll(alerts, channels, { retries: 0 });
+  await notifyAll({ "Price Drops": [alerts["Price Drops"][1]] }, channels, {
+    retries: 0,
+  });
+
+  const lines = fs
+    .readFileSync(filePath, "utf8")
+    .trim()
+    .split("\n")
+    .map((line) => JSON.parse(line));
+  assert.equal(lines.length, 4);
+  assert.equal(lines[0].category, "Price Drops");
+  assert.equal(lines[0].message, "75331 dropped 12.0%");
+  assert.equal(lines[2].category, "Retirement Warnings");
+  assert.equal(lines[3].message, "10305 dropped 3.1%");
+  assert.ok(!Number.isNaN(Date.parse(lines[0].sentAt)));
+});
+
+test("a relative file channel path is inside the data directory", async (t) => {
+  quiet(t);
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "notifier-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const previous = process.env.LEGO_MONITOR_DATA_DIR;
+  process.env.LEGO_MONITOR_DATA_DIR = dir;
+  t.after(() => {
+    if (previous === undefined) delete process.env.LEGO_MONITOR_DATA_DIR;
+    else process.env.LEGO_MONITOR_DATA_DIR = previous;
+  });
+  const channels = createChannels({
+    channels: [{ type: "file", path: "alerts.jsonl" }],
+  });
+
+  await notifyAll(alerts, channels, { retries: 0 });
+
+  assert.ok(fs.existsSync(path.join(dir, "alerts.jsonl")));
+});
@@ -0,0 +1,93 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const {
+  PAGE_HISTORY_SOURCE,
+  extractPageHistory,
+  toObservations,
+} = require("../pageHistory");
+
+const page = fs.readFileSync(
+  path.join(__dirname, "fixtures", "set-page-chart.html"),
+  "utf8"
+);
+const fetchedAt = new Date("2025-10-01T10:00:00Z");
+
+test("extractPageHistory reads the sealed and used value series", () => {
+  const history = extractPageHistory(page, fetchedAt);
+
+  assert.deepEqual(history.used, [
+    { date: "2023-01-15", value: 430 },
+    { date: "2024-12-01", value: 455.25 },
+  ]);
+  assert.deepEqual(
+    history.sealed.map((point) => point.date),
+    ["2022-10-01", "2023-01-15", "2024-06-01", "2024-12-01"]
+  );
+});
+
+test("extractPageHistory skips retail, forecast and tooltip columns", () => {
+  const { sealed } = extractPageHistory(page, fetchedAt);
+
+  assert.equal(sealed[0].value, 599.99);
+  assert.ok(sealed.every((point) => point.value !== 650));
+});
+
+test("extractPageHistory keeps the first chart's value for a date", () => {
+  const { sealed } = extractPageHistory(page, fetchedAt);
+
+  assert.deepEqual(
+    sealed.find((point) => point.date === "2023-01-15"),
+    { date: "2023-01-15", value: 560.5 }
+  );
+  assert.deepEqual(
+    sealed.find((point) => point.date === "2024-06-01"),
+    { date: "2024-06-01", value: 610 }
+  );
+});
+
+test("extractPageHistory drops points after the page was fetched", () => {
+  const history = extractPageHistory(page, fetchedAt);
+
+  assert.ok(history.sealed.every((point) => point.date <= "2025-10-01"));
+  assert.ok(history.used.every((point) => point.date <= "2025-10-01"));
+});
+
+test("extractPageHistory returns empty series for a page without a chart", () => {
+  assert.deepEqual(extractPageHistory("<html><body></body></html>"), {
+    sealed: [],
+    used: [],
+  });
+});
+
+test("toObservations labels each point with its condition and fetch", () => {
+  const history = {
+    sealed: [{ date: "2024-12-01", value: 640.12 }],
+    used: [{ date: "2024-12-01", value: 455.25 }],
+  };
+
+  assert.deepEqual(
+    toObservations("75331", history, "2025-10-01T10-00-00-000Z", "GBP"),
+    [
+      {
+        setNumber: "75331",
+        source: PAGE_HISTORY_SOURCE,
+        condition: "sealed",
+        observedAt: "2024-12-01",
+        price: 640.12,
+        currency: "GBP",
+        recordedFrom: "2025-10-01T10-00-00-000Z",
+      },
+      {
+        setNumber: "75331",
+        source: PAGE_HISTORY_SOURCE,
+        condition: "used",
+        observedAt: "2024-12-01",
+        price: 455.25,
+        currency: "GBP",
+        recordedFrom: "2025-10-01T10-00-00-000Z",
+      },
+    ]
+  );
+});
@@ -0,0 +1,24 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { calculateSpread, formatSpread } = require("../priceHistory");
+
+test("formatSpread says how far below sealed used copies sell", () => {
+  const spread = calculateSpread(640, 450);
+
+  assert.equal(
+    formatSpread(spread, "USD"),
+    "$190.00 (used 29.7% below sealed)"
+  );
+});
+
+test("formatSpread says above when used copies sell for more", () => {
+  const spread = calculateSpread(400, 420);
+
+  assert.equal(spread.percent, -5);
+  assert.equal(formatSpread(spread, "GBP"), "£20.00 (used 5.0% above sealed)");
+});
+
+test("calculateSpread needs both values", () => {
+  assert.equal(calculateSpread(640, null), null);
+  assert.equal(calculateSpread(null, 450), null);
+});
@@ -0,0 +1,139 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const {
+  FIELD_ALIASES,
+  PRICE_SOURCE_FORMATS,
+  parseDelimited,
+  toObservations,
+  detectFormat,
+} = require("../priceSources");
+
+/**
+ * Read a file from test/fixtures
+ * @param {string} name - File name
+ * @returns {string} File content
+ */
+function fixture(name) {
+  return fs.readFileSync(path.join(__dirname, "fixtures", name), "utf8");
+}
+
+test("parseDelimited picks the delimiter from the header line", () => {
+  assert.deepEqual(parseDelimited("a,b\n1,2\n"), [
+    ["a", "b"],
+    ["1", "2"],
+  ]);
+  assert.deepEqual(parseDelimited("a\tb\r\n1\t2"), [
+    ["a", "b"],
+    ["1", "2"],
+  ]);
+  assert.deepEqual(parseDelimited("a;b\n1,5;2"), [
+    ["a", "b"],
+    ["1,5", "2"],
+  ]);
+});
+
+test("parseDelimited honours quoted fields and drops blank lines", () => {
+  const rows = parseDelimited(
+    '\uFEFFset,note\n75331,"Shop, ""Berlin""\nline two"\n\n10305,\n'
+  );
+
+  assert.deepEqual(rows, [
+    ["set", "note"],
+    ["75331", 'Shop, "Berlin"\nline two'],
+    ["10305", ""],
+  ]);
+});
+
+test("toObservations rejects rows it cannot use and says why", () => {
+  const records = [
+    { line: 2, record: { set: "75331-1", condition: "new", price: "$10" } },
+    { line: 3, record: { set: "75331", condition: "mint", price: "$10" } },
+    { line: 4, record: { set: "75331", condition: "used", price: "" } },
+    {
+      line: 5,
+      record: { set: "75331", condition: "used", price: "10", currency: "$" },
+    },
+  ];
+  const result = toObservations(records, FIELD_ALIASES.csv, {
+    source: "shop",
+    date: "2025-09-30",
+  });
+
+  assert.deepEqual(result.observations, [
+    {
+      setNumber: "75331",
+      source: "shop",
+      condition: "sealed",
+      observedAt: "2025-09-30",
+      price: 10,
+      currency: "USD",
+      recordedFrom: null,
+    },
+  ]);
+  assert.deepEqual(result.rejected, [
+    { line: 3, reason: "unknown condition" },
+    { line: 4, reason: "no price" },
+    { line: 5, reason: '"$" is not a currency code' },
+  ]);
+});
+
+test("toObservations uses the --currency option when a price shows none", () => {
+  const records = [
+    { line: 2, record: { set: "10305", condition: "new", price: "1.234" } },
+  ];
+  const { observations } = toObservations(records, FIELD_ALIASES.csv, {
+    source: "shop",
+    date: "2025-09-30",
+    currency: "EUR",
+  });
+
+  assert.equal(observations[0].currency, "EUR");
+  assert.equal(observations[0].price, 1234);
+});
+
+test("the bricklink format reads an XML price guide export", () => {
+  const content = fixture("bricklink-price-guide.xml");
+  const result = PRICE_SOURCE_FORMATS.bricklink.parse(content, {
+    source: "bricklink",
+    date: "2025-09-30",
+    recordedFrom: "bricklink-price-guide.xml",
+  });
+
+  assert.equal(detectFormat("export.txt", content), "bricklink");
+  assert.deepEqual(
+    result.observations.map((o) => [o.setNumber, o.condition, o.price]),
+    [
+      ["75331", "sealed", 602],
+      ["75331", "used", 455.5],
+    ]
+  );
+  assert.ok(result.observations.every((o) => o.currency === "USD"));
+  assert.equal(result.ignored, 1);
+  assert.deepEqual(result.rejected, [{ line: 4, reason: "no price" }]);
+});
+
+test("the csv format reads a semicolon-separated euro export", () => {
+  const content = fixture("shop-prices.csv");
+  const result = PRICE_SOURCE_FORMATS.csv.parse(content, { source: "shop" });
+
+  assert.equal(detectFormat("shop-prices.csv", content), "csv");
+  assert.deepEqual(
+    result.observations.map((o) => [
+      o.setNumber,
+      o.observedAt,
+      o.condition,
+      o.price,
+      o.currency,
+    ]),
+    [
+      ["75331", "2025-09-28", "sealed", 1234.5, "EUR"],
+      ["10305", "2025-09-28", "used", 1234, "EUR"],
+    ]
+  );
+  assert.deepEqual(result.rejected, [
+    { line: 4, reason: '"abc" is not a set number' },
+    { line: 5, reason: '"someday" is not a date' },
+  ]);
+});
@@ -0,0 +1,74 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  parseMoney,
+  parseIsoDate,
+  parseRetired,
+  normalizeSet,
+} = require("../schema");
+
+test("parseMoney reads dollar and pound amounts", () => {
+  assert.equal(parseMoney("$1,234.56"), 1234.56);
+  assert.equal(parseMoney("US $12.00"), 12);
+  assert.equal(parseMoney("£99.99"), 99.99);
+  assert.equal(parseMoney("$9"), 9);
+  assert.equal(parseMoney("$1,234"), 1234);
+});
+
+test("parseMoney reads euro amounts with a decimal comma", () => {
+  assert.equal(parseMoney("€1.234,56"), 1234.56);
+  assert.equal(parseMoney("1.234,56 €"), 1234.56);
+  assert.equal(parseMoney("12,99 EUR"), 12.99);
+  assert.equal(parseMoney("€12.99"), 12.99);
+});
+
+test("parseMoney reads a dot before three digits as thousands in euros", () => {
+  assert.equal(parseMoney("€1.234"), 1234);
+  assert.equal(parseMoney("€1.234.567"), 1234567);
+  assert.equal(parseMoney("1.234", "EUR"), 1234);
+  assert.equal(parseMoney("$1.234"), 1.234);
+  assert.equal(parseMoney("1.234", "USD"), 1.234);
+});
+
+test("parseMoney passes numbers through and rejects missing values", () => {
+  assert.equal(parseMoney(42.5), 42.5);
+  assert.equal(parseMoney(NaN), null);
+  assert.equal(parseMoney(""), null);
+  assert.equal(parseMoney(null), null);
+  assert.equal(parseMoney("N/A"), null);
+});
+
+test("parseIsoDate keeps only the precision the page gave", () => {
+  assert.equal(parseIsoDate("2024-12-31"), "2024-12-31");
+  assert.equal(parseIsoDate("Dec 31, 2024"), "2024-12-31");
+  assert.equal(parseIsoDate("December 2024"), "2024-12");
+  assert.equal(parseIsoDate("2024"), "2024");
+});
+
+test("parseIsoDate returns null for text that is not a date", () => {
+  assert.equal(parseIsoDate("Retired 2023"), null);
+  assert.equal(parseIsoDate("  "), null);
+  assert.equal(parseIsoDate(undefined), null);
+});
+
+test("parseRetired keeps text that is not a recognised date", () => {
+  assert.equal(parseRetired("Dec 31, 2024"), "2024-12-31");
+  assert.equal(parseRetired(" Retired 2023 "), "Retired 2023");
+  assert.equal(parseRetired(""), null);
+});
+
+test("normalizeSet reads every amount in the set's currency", () => {
+  const set = normalizeSet({
+    setNumber: 10305,
+    marketPrice: "€1.234",
+    retailPrice: "399,99 €",
+    currentValue: { used: "1.050", usedRange: "€1.000 - €1.200" },
+  });
+
+  assert.equal(set.setNumber, "10305");
+  assert.equal(set.currency, "EUR");
+  assert.equal(set.marketPrice, 1234);
+  assert.equal(set.retailPrice, 399.99);
+  assert.equal(set.currentValue.used, 1050);
+  assert.deepEqual(set.currentValue.usedRange, { low: 1000, high: 1200 });
+});
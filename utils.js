@@ -2,6 +2,7 @@ const puppeteer = require("puppeteer-extra");
 const StealthPlugin = require("puppeteer-extra-plugin-stealth");
 const fs = require("fs");
 const path = require("path");
+const { getDataDir } = require("./paths");
 
 // Initialize Puppeteer with Stealth Plugin
 puppeteer.use(StealthPlugin());
@@ -19,10 +20,11 @@ async function initBrowser(headless = true) {
  * Fetch HTML content from a URL
  * @param {Page} page - Puppeteer page instance
  * @param {string} url - URL to fetch
+ * @param {number} timeoutMs - Navigation timeout in milliseconds (0 = no timeout)
  * @returns {Promise<string>} HTML content
  */
-async function fetchPageContent(page, url) {
-  await page.goto(url, { waitUntil: "networkidle2" });
+async function fetchPageContent(page, url, timeoutMs = 30000) {
+  await page.goto(url, { waitUntil: "networkidle2", timeout: timeoutMs });
   return await page.content();
 }
 
@@ -40,9 +42,10 @@ function ensureDirectoryExists(dir) {
  * Save content to a file
  * @param {string} filename - Name of the file
  * @param {string} content - Content to save
- * @param {string} dir - Directory to save to (defaults to current directory)
+ * @param {string} dir - Directory to save to (defaults to the profile's data directory)
+ * @returns {string} Path of the saved file
  */
-function saveFile(filename, content, dir = __dirname) {
+function saveFile(filename, content, dir = getDataDir()) {
   ensureDirectoryExists(dir);
   const filepath = path.join(dir, filename);
   fs.writeFileSync(filepath, content, "utf8");
@@ -57,6 +60,21 @@ function getTimestamp() {
   return new Date().toISOString().replace(/[:.]/g, "-");
 }
 
+/**
+ * Convert a timestamp from getTimestamp back into a Date
+ * @param {string} timestamp - Timestamp like "2025-11-09T10-30-00-000Z"
+ * @returns {Date|null} Date, or null if the string is not a timestamp
+ */
+function parseTimestamp(timestamp) {
+  const match = String(timestamp).match(
+    /^(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/
+  );
+  if (!match) return null;
+  return new Date(
+    `${match[1]}T${match[2]}:${match[3]}:${match[4]}.${match[5]}Z`
+  );
+}
+
 /**
  * Parse set-numbers txt file to extract URLs and set numbers
  * @param {string} filePath - Path to the set-numbers txt file
@@ -87,10 +105,11 @@ function parseSetNumbersFile(filePath) {
 /**
  * Find the most recent file matching a pattern
  * @param {string} pattern - Glob pattern to search for
- * @param {string} dir - Directory to search in
+ * @param {string} dir - Directory to search in (defaults to the profile's data directory)
  * @returns {string|null} Path to most recent file or null
  */
-function findMostRecentFile(pattern, dir = __dirname) {
+function findMostRecentFile(pattern, dir = getDataDir()) {
+  if (!fs.existsSync(dir)) return null;
   const files = fs.readdirSync(dir);
   const matchingFiles = files.filter((file) => {
     const regex = new RegExp(pattern.replace("*", ".*"));
@@ -109,12 +128,75 @@ function findMostRecentFile(pattern, dir = __dirname) {
   return path.join(dir, matchingFiles[0]);
 }
 
+/**
+ * Parse command line arguments into positional args and flags
+ * Supports "--flag value", "--flag=value" and boolean "--flag"
+ * @param {Array<string>} argv - Arguments (usually process.argv.slice(2))
+ * @param {Array<string>} booleans - Flags that never take a value
+ * @returns {{_: Array<string>, flags: Object}} Parsed arguments
+ */
+function parseArgs(argv, booleans = []) {
+  const result = { _: [], flags: {} };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (!arg.startsWith("--")) {
+      result._.push(arg);
+      continue;
+    }
+
+    const eqIndex = arg.indexOf("=");
+    if (eqIndex !== -1) {
+      result.flags[arg.slice(2, eqIndex)] = arg.slice(eqIndex + 1);
+    } else if (booleans.includes(arg.slice(2))) {
+      result.flags[arg.slice(2)] = true;
+    } else if (i + 1 < argv.length && !argv[i + 1].startsWith("--")) {
+      result.flags[arg.slice(2)] = argv[++i];
+    } else {
+      result.flags[arg.slice(2)] = true;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Run an async function, retrying with exponential backoff
+ * @param {Function} fn - Async function to run
+ * @param {number} retries - Retries after the first attempt
+ * @param {number} delayMs - Delay before the first retry (doubles each time)
+ * @param {string} label - Prefix for retry log lines (optional)
+ * @returns {Promise<*>} Result of fn
+ */
+async function withRetry(fn, retries = 2, delayMs = 1000, label = "") {
+  let attempt = 0;
+  for (;;) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (attempt >= retries) throw error;
+      const wait = delayMs * Math.pow(2, attempt);
+      attempt++;
+      console.error(
+        `  ↻ ${label ? `${label}: ` : ""}${
+          error.message
+        } - retry ${attempt}/${retries} in ${wait}ms`
+      );
+      await new Promise((resolve) => setTimeout(resolve, wait));
+    }
+  }
+}
+
 module.exports = {
   initBrowser,
   fetchPageContent,
   saveFile,
   getTimestamp,
+  parseTimestamp,
   parseSetNumbersFile,
   findMostRecentFile,
   ensureDirectoryExists,
+  parseArgs,
+  withRetry,
 };